@@ -0,0 +1,75 @@
+// Run a bots-only match in Node (no browser) and print the result as JSON.
+//
+// Usage:
+//   node scripts/headless-match.mjs [--map maps/facey.json] [--seed 123] [--bots 8]
+//                                   [--max-seconds 1800] [--verbose]
+//
+// Without --map the procedural arena is used; without --seed a random one is
+// picked (and reported in the result, so the run can be repeated).
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+import { HeadlessMatch } from '../src/core/HeadlessMatch.js';
+import { parseSeedInput } from '../src/core/MatchRandom.js';
+import { randomSeedUint32 } from '../src/net/prng.js';
+import { loadWeaponDefinitions } from '../src/config/weapons.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+const repoRoot = path.resolve(__dirname, '..');
+
+function parseArgs(argv) {
+	const args = { map: null, seed: null, bots: null, maxSeconds: null, verbose: false };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const next = () => {
+			const value = argv[++i];
+			if (value === undefined) throw new Error(`Missing value for ${arg}`);
+			return value;
+		};
+		switch (arg) {
+			case '--map': args.map = next(); break;
+			case '--seed': args.seed = parseSeedInput(next()); break;
+			case '--bots': args.bots = Number.parseInt(next(), 10); break;
+			case '--max-seconds': args.maxSeconds = Number(next()); break;
+			case '--verbose': args.verbose = true; break;
+			default: throw new Error(`Unknown argument: ${arg}`);
+		}
+	}
+	return args;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+// Game code logs freely; keep stdout clean for the JSON result.
+if (args.verbose) {
+	console.log = console.error;
+	console.info = console.error;
+} else {
+	console.log = () => {};
+	console.info = () => {};
+}
+
+// Same weapon files the browser fetches
+await loadWeaponDefinitions(async (file) => JSON.parse(await fs.readFile(path.join(repoRoot, 'weapons', file), 'utf8')));
+
+let mapData = null;
+if (args.map) {
+	const mapPath = path.resolve(repoRoot, args.map);
+	mapData = JSON.parse(await fs.readFile(mapPath, 'utf8'));
+}
+
+const match = new HeadlessMatch({
+	mapData,
+	seed: args.seed ?? randomSeedUint32(),
+	botCount: Number.isInteger(args.bots) ? args.bots : null,
+	...(Number.isFinite(args.maxSeconds) ? { maxDurationSeconds: args.maxSeconds } : {})
+});
+
+const startedAt = performance.now();
+const result = match.run();
+result.wallClockMs = Math.round(performance.now() - startedAt);
+
+process.stdout.write(JSON.stringify(result, null, 2) + '\n');
@@ -0,0 +1,331 @@
+// Tiny signaling relay for multiplayer lobbies: swaps invite/reply codes over
+// WebSocket rooms with short join codes, so nobody has to copy/paste them.
+//
+// Usage:
+//   node scripts/signaling-relay.mjs [--port 8787] [--host 0.0.0.0]
+//
+// Then open the game with `?relay=ws://<this machine>:8787`. The relay never
+// sees gameplay: it only forwards the WebRTC offer/answer codes between a host
+// and whoever joins its room, and the players talk directly afterwards.
+//
+// Protocol (JSON text frames):
+//   -> {type:'create'}                      <- {type:'created', code, peer: 0}
+//   -> {type:'join', code}                  <- {type:'joined', code, peer}
+//                                              (host gets {type:'peer_joined', peer})
+//   -> {type:'signal', to, data}            (`to` gets {type:'signal', from, data})
+//   <- {type:'peer_left', peer}             <- {type:'room_closed'} (host left)
+//   <- {type:'error', reason}
+//
+// No dependencies: the WebSocket handshake and framing are done by hand
+// (text frames only, which is all browsers send for strings).
+
+import http from 'node:http';
+import crypto from 'node:crypto';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+// No 0/O or 1/I, so codes survive being read out loud
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 5;
+const MAX_ROOMS = 1000;
+const MAX_PEERS_PER_ROOM = 16;
+// Offers with every ICE candidate fit easily; anything bigger is not signaling
+const MAX_MESSAGE_BYTES = 64 * 1024;
+
+function parseArgs(argv) {
+	const args = { port: 8787, host: '0.0.0.0' };
+	for (let i = 0; i < argv.length; i++) {
+		const arg = argv[i];
+		const next = () => {
+			const value = argv[++i];
+			if (value === undefined) throw new Error(`Missing value for ${arg}`);
+			return value;
+		};
+		switch (arg) {
+			case '--port': args.port = Number.parseInt(next(), 10); break;
+			case '--host': args.host = next(); break;
+			default: throw new Error(`Unknown argument: ${arg}`);
+		}
+	}
+	return args;
+}
+
+// ---- WebSocket framing ------------------------------------------------------
+
+function encodeFrame(opcode, payload) {
+	const length = payload.length;
+	let header;
+	if (length < 126) {
+		header = Buffer.from([0x80 | opcode, length]);
+	} else if (length < 65536) {
+		header = Buffer.alloc(4);
+		header[0] = 0x80 | opcode;
+		header[1] = 126;
+		header.writeUInt16BE(length, 2);
+	} else {
+		header = Buffer.alloc(10);
+		header[0] = 0x80 | opcode;
+		header[1] = 127;
+		header.writeBigUInt64BE(BigInt(length), 2);
+	}
+	return Buffer.concat([header, payload]);
+}
+
+class Connection {
+	constructor(socket, onText, onClose) {
+		this.socket = socket;
+		this.onText = onText;
+		this.onClose = onClose;
+		this.buffer = Buffer.alloc(0);
+		// Text message being reassembled from continuation frames
+		this.fragments = null;
+		this.closed = false;
+
+		// Relay state
+		this.room = null;
+		this.peer = null;
+
+		socket.on('data', (chunk) => this.receive(chunk));
+		socket.on('close', () => this.teardown());
+		socket.on('error', () => this.teardown());
+	}
+
+	receive(chunk) {
+		this.buffer = Buffer.concat([this.buffer, chunk]);
+
+		while (this.buffer.length >= 2) {
+			const first = this.buffer[0];
+			const second = this.buffer[1];
+			const fin = (first & 0x80) !== 0;
+			const opcode = first & 0x0f;
+			const masked = (second & 0x80) !== 0;
+			let length = second & 0x7f;
+			let offset = 2;
+
+			if (length === 126) {
+				if (this.buffer.length < 4) return;
+				length = this.buffer.readUInt16BE(2);
+				offset = 4;
+			} else if (length === 127) {
+				if (this.buffer.length < 10) return;
+				const big = this.buffer.readBigUInt64BE(2);
+				if (big > BigInt(MAX_MESSAGE_BYTES)) {
+					this.close(1009, 'Message too big');
+					return;
+				}
+				length = Number(big);
+				offset = 10;
+			}
+
+			// Browsers always mask; unmasked client frames are a protocol error
+			if (!masked) {
+				this.close(1002, 'Frames must be masked');
+				return;
+			}
+			if (length > MAX_MESSAGE_BYTES) {
+				this.close(1009, 'Message too big');
+				return;
+			}
+			if (this.buffer.length < offset + 4 + length) return;
+
+			const mask = this.buffer.subarray(offset, offset + 4);
+			const payload = Buffer.from(this.buffer.subarray(offset + 4, offset + 4 + length));
+			for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+			this.buffer = this.buffer.subarray(offset + 4 + length);
+
+			this.handleFrame(fin, opcode, payload);
+			if (this.closed) return;
+		}
+	}
+
+	handleFrame(fin, opcode, payload) {
+		switch (opcode) {
+			case 0x0: // continuation
+				if (!this.fragments) {
+					this.close(1002, 'Unexpected continuation');
+					return;
+				}
+				this.fragments.push(payload);
+				break;
+			case 0x1: // text
+				this.fragments = [payload];
+				break;
+			case 0x8: // close
+				this.close(1000, '');
+				return;
+			case 0x9: // ping
+				this.write(0xa, payload);
+				return;
+			case 0xa: // pong
+				return;
+			default:
+				this.close(1003, 'Text frames only');
+				return;
+		}
+
+		if (!fin) {
+			if (this.fragments.reduce((sum, f) => sum + f.length, 0) > MAX_MESSAGE_BYTES) {
+				this.close(1009, 'Message too big');
+			}
+			return;
+		}
+		const text = Buffer.concat(this.fragments).toString('utf8');
+		this.fragments = null;
+		this.onText(this, text);
+	}
+
+	write(opcode, payload) {
+		if (this.closed || this.socket.destroyed) return;
+		this.socket.write(encodeFrame(opcode, payload));
+	}
+
+	send(message) {
+		this.write(0x1, Buffer.from(JSON.stringify(message), 'utf8'));
+	}
+
+	close(code, reason) {
+		if (this.closed) return;
+		const payload = Buffer.alloc(2 + Buffer.byteLength(reason));
+		payload.writeUInt16BE(code, 0);
+		payload.write(reason, 2);
+		this.write(0x8, payload);
+		this.socket.end();
+		this.teardown();
+	}
+
+	teardown() {
+		if (this.closed) return;
+		this.closed = true;
+		this.onClose(this);
+	}
+}
+
+// ---- Rooms ------------------------------------------------------------------
+
+// code -> { code, peers: Map(peer -> Connection), nextPeer }
+const rooms = new Map();
+
+function createRoomCode() {
+	for (let attempt = 0; attempt < 100; attempt++) {
+		let code = '';
+		for (const byte of crypto.randomBytes(CODE_LENGTH)) {
+			code += CODE_ALPHABET[byte % CODE_ALPHABET.length];
+		}
+		if (!rooms.has(code)) return code;
+	}
+	return null;
+}
+
+function handleText(conn, text) {
+	let msg;
+	try {
+		msg = JSON.parse(text);
+	} catch {
+		conn.send({ type: 'error', reason: 'Invalid JSON' });
+		return;
+	}
+	if (!msg || typeof msg !== 'object') return;
+
+	switch (msg.type) {
+		case 'create': {
+			if (conn.room) {
+				conn.send({ type: 'error', reason: 'Already in a room' });
+				return;
+			}
+			const code = rooms.size < MAX_ROOMS ? createRoomCode() : null;
+			if (!code) {
+				conn.send({ type: 'error', reason: 'Relay is full' });
+				return;
+			}
+			const room = { code, peers: new Map([[0, conn]]), nextPeer: 1 };
+			rooms.set(code, room);
+			conn.room = room;
+			conn.peer = 0;
+			conn.send({ type: 'created', code, peer: 0 });
+			console.log(`[Relay] Room ${code} opened (${rooms.size} open)`);
+			return;
+		}
+		case 'join': {
+			const room = rooms.get(String(msg.code || '').toUpperCase());
+			if (conn.room) {
+				conn.send({ type: 'error', reason: 'Already in a room' });
+			} else if (!room) {
+				conn.send({ type: 'error', reason: 'No room with that code' });
+			} else if (room.peers.size >= MAX_PEERS_PER_ROOM) {
+				conn.send({ type: 'error', reason: 'Room is full' });
+			} else {
+				const peer = room.nextPeer++;
+				room.peers.set(peer, conn);
+				conn.room = room;
+				conn.peer = peer;
+				conn.send({ type: 'joined', code: room.code, peer });
+				room.peers.get(0).send({ type: 'peer_joined', peer });
+			}
+			return;
+		}
+		case 'signal': {
+			const target = conn.room?.peers.get(msg.to);
+			if (!target) {
+				conn.send({ type: 'error', reason: 'Unknown peer' });
+				return;
+			}
+			target.send({ type: 'signal', from: conn.peer, data: msg.data });
+			return;
+		}
+		default:
+			conn.send({ type: 'error', reason: `Unknown message type: ${msg.type}` });
+	}
+}
+
+function handleClose(conn) {
+	const room = conn.room;
+	if (!room) return;
+	room.peers.delete(conn.peer);
+
+	if (conn.peer === 0) {
+		// The host's lobby is gone; nobody else can use the room
+		for (const other of room.peers.values()) {
+			other.send({ type: 'room_closed' });
+			other.room = null;
+		}
+		rooms.delete(room.code);
+		console.log(`[Relay] Room ${room.code} closed (${rooms.size} open)`);
+	} else {
+		for (const other of room.peers.values()) {
+			other.send({ type: 'peer_left', peer: conn.peer });
+		}
+	}
+}
+
+// ---- Server -----------------------------------------------------------------
+
+const args = parseArgs(process.argv.slice(2));
+
+const server = http.createServer((req, res) => {
+	res.writeHead(200, { 'Content-Type': 'text/plain' });
+	res.end(`Battle-2D-eath signaling relay (${rooms.size} rooms open)\n`);
+});
+
+server.on('upgrade', (req, socket) => {
+	const key = req.headers['sec-websocket-key'];
+	if (req.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+		socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+		return;
+	}
+
+	const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+	socket.write([
+		'HTTP/1.1 101 Switching Protocols',
+		'Upgrade: websocket',
+		'Connection: Upgrade',
+		`Sec-WebSocket-Accept: ${accept}`,
+		'',
+		''
+	].join('\r\n'));
+	socket.setNoDelay(true);
+
+	new Connection(socket, handleText, handleClose);
+});
+
+server.listen(args.port, args.host, () => {
+	console.log(`[Relay] Listening on ws://${args.host}:${args.port}`);
+});
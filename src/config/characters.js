@@ -31,6 +31,7 @@ export const CHARACTERS = {
             type: 'groundSlam',
             cooldown: 12000,
             baseDamage: 40,
+            knockback: 450, // px/s, away from Boulder
             description: 'Slam the ground to damage nearby enemies and control space.'
         },
         // Visual properties
@@ -11,6 +11,9 @@ export const FIXED_TIMESTEP = 1000 / TARGET_FPS; // 16.67ms
 // Physics constants
 export const FRICTION = 0.85;
 export const MAX_VELOCITY = 500;
+// Knockback (px/s) fades per tick like FRICTION and is capped so hits can't fling characters across the map
+export const KNOCKBACK_FRICTION = 0.88;
+export const MAX_KNOCKBACK = 900;
 
 // Virtual joystick settings (20% larger)
 export const JOYSTICK_RADIUS = 80; 
@@ -7,6 +7,7 @@ export const CONSUMABLE_TYPES = {
         color: '#ff4444',
         radius: 15,
         healAmount: 0.3, // 30% of max HP
+        cures: ['burn', 'poison'], // Status effects removed on use
         maxInventory: 2 // Can carry 2 health kits
     },
     shieldPotion: {
@@ -26,4 +27,12 @@ export function createConsumable(type) {
         throw new Error(`Unknown consumable type: ${type}`);
     }
     return { ...config };
-}
\ No newline at end of file
+}
+
+// Consumable dropped where a character dies: 70% health kit, 25% shield potion, 5% nothing
+export function rollDeathDrop(random) {
+    const roll = random();
+    if (roll < 0.70) return 'healthKit';
+    if (roll < 0.95) return 'shieldPotion';
+    return null;
+}
@@ -1,6 +1,8 @@
 // Default game configuration for Battle-2D-eath
 // These values match the current hardcoded game behavior to ensure backward compatibility
 
+import { normalizeTeamMode } from './teams.js';
+
 /**
  * Get default game configuration
  * This configuration can be overridden per-map in the map JSON files
@@ -21,7 +23,9 @@ export function getDefaultGameConfig() {
         // Match settings
         match: {
             aiCount: 7,              // Number of AI opponents (current default)
-            targetDuration: 600      // Target match duration in seconds (10 minutes)
+            targetDuration: 600,     // Target match duration in seconds (10 minutes)
+            teamMode: 'ffa',         // 'ffa' | 'duos' | 'trios' (see config/teams.js)
+            friendlyFire: false      // Whether teammates can hurt each other
         },
         
         // Safe zone settings (timings in milliseconds for backward compatibility with map.js)
@@ -132,7 +136,9 @@ export function validateGameConfig(config) {
         },
         match: {
             aiCount: Math.max(1, Math.min(50, config.match?.aiCount ?? defaultConfig.match.aiCount)),
-            targetDuration: Math.max(60, config.match?.targetDuration ?? defaultConfig.match.targetDuration)
+            targetDuration: Math.max(60, config.match?.targetDuration ?? defaultConfig.match.targetDuration),
+            teamMode: normalizeTeamMode(config.match?.teamMode),
+            friendlyFire: !!(config.match?.friendlyFire ?? defaultConfig.match.friendlyFire)
         },
         safeZone: {
             phases: config.safeZone?.phases ?? defaultConfig.safeZone.phases,
@@ -170,9 +176,10 @@ export function validateGameConfig(config) {
  * Generate AI skill levels based on distribution config
  * @param {Object} skillDistribution - Skill distribution ratios
  * @param {number} count - Number of AI to generate skills for
+ * @param {Function} random - Match random function (floats in [0, 1))
  * @returns {Array<string>} Array of skill levels
  */
-export function generateAISkills(skillDistribution, count) {
+export function generateAISkills(skillDistribution, count, random) {
     const skills = [];
     const noviceCount = Math.round(count * skillDistribution.novice);
     const intermediateCount = Math.round(count * skillDistribution.intermediate);
@@ -184,20 +191,86 @@ export function generateAISkills(skillDistribution, count) {
     
     // Shuffle array
     for (let i = skills.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [skills[i], skills[j]] = [skills[j], skills[i]];
     }
     
     return skills;
 }
 
+// Multiplayer bots: counts and skills the lobby host can pick
+export const MULTIPLAYER_BOT_COUNTS = [0, 2, 4, 8];
+export const AI_SKILL_LEVELS = ['novice', 'intermediate', 'expert'];
+
+/**
+ * Sanitize a multiplayer bot setting (from the lobby or a replay).
+ * @param {Object|null} bots - {count, skill}
+ * @returns {{count:number, skill:string}} No bots if missing or invalid
+ */
+export function normalizeBotConfig(bots) {
+    const count = Number.isInteger(bots?.count) && MULTIPLAYER_BOT_COUNTS.includes(bots.count) ? bots.count : 0;
+    const skill = AI_SKILL_LEVELS.includes(bots?.skill) ? bots.skill : 'intermediate';
+    return { count, skill };
+}
+
+// Multiplayer rules the lobby host can pick (scales on the map's own gameConfig)
+export const SAFE_ZONE_PRESETS = {
+    slow: { name: 'Slow', timeScale: 1.5 },
+    normal: { name: 'Normal', timeScale: 1 },
+    fast: { name: 'Fast', timeScale: 0.5 }
+};
+export const LOOT_PRESETS = {
+    scarce: { name: 'Scarce', amountScale: 0.5 },
+    normal: { name: 'Normal', amountScale: 1 },
+    plenty: { name: 'Plenty', amountScale: 2 }
+};
+
+/**
+ * Sanitize multiplayer match rules (from the lobby or a replay).
+ * @param {Object|null} rules - {safeZone, loot} preset keys, {teams} team mode, {friendlyFire}
+ * @returns {{safeZone:string, loot:string, teams:string, friendlyFire:boolean}} Normal FFA for anything missing or unknown
+ */
+export function normalizeMatchRules(rules) {
+    const safeZone = Object.hasOwn(SAFE_ZONE_PRESETS, rules?.safeZone) ? rules.safeZone : 'normal';
+    const loot = Object.hasOwn(LOOT_PRESETS, rules?.loot) ? rules.loot : 'normal';
+    return { safeZone, loot, teams: normalizeTeamMode(rules?.teams), friendlyFire: rules?.friendlyFire === true };
+}
+
+/**
+ * Apply match rules to a map's gameConfig.
+ * @param {Object|undefined} gameConfig - As found in the map JSON
+ * @param {Object|null} rules - See normalizeMatchRules
+ * @returns {Object} Validated gameConfig with the presets applied
+ */
+export function applyMatchRules(gameConfig, rules) {
+    const { safeZone, loot, teams, friendlyFire } = normalizeMatchRules(rules);
+    const config = validateGameConfig(gameConfig);
+    config.match = { ...config.match, teamMode: teams, friendlyFire };
+
+    const timeScale = SAFE_ZONE_PRESETS[safeZone].timeScale;
+    config.safeZone = {
+        ...config.safeZone,
+        phases: config.safeZone.phases.map(phase => ({ ...phase, startTime: Math.round(phase.startTime * timeScale) })),
+        shrinkDuration: config.safeZone.shrinkDuration * timeScale
+    };
+
+    const amountScale = LOOT_PRESETS[loot].amountScale;
+    config.loot = {
+        ...config.loot,
+        initialWeapons: Math.round(config.loot.initialWeapons * amountScale),
+        initialConsumables: Math.round(config.loot.initialConsumables * amountScale)
+    };
+    return config;
+}
+
 /**
  * Generate AI character types based on distribution config
  * @param {Object} characterDistribution - Character distribution ratios
  * @param {number} count - Number of AI to generate types for
+ * @param {Function} random - Match random function (floats in [0, 1))
  * @returns {Array<string>} Array of character types
  */
-export function generateAICharacterTypes(characterDistribution, count) {
+export function generateAICharacterTypes(characterDistribution, count, random) {
     const types = [];
     const boltCount = Math.round(count * characterDistribution.bolt);
     const boulderCount = count - boltCount;
@@ -207,7 +280,7 @@ export function generateAICharacterTypes(characterDistribution, count) {
     
     // Shuffle array
     for (let i = types.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [types[i], types[j]] = [types[j], types[i]];
     }
     
@@ -217,10 +290,11 @@ export function generateAICharacterTypes(characterDistribution, count) {
 /**
  * Generate weapon tier based on distribution config
  * @param {Object} tierRatios - Tier distribution ratios
+ * @param {Function} random - Match random function (floats in [0, 1))
  * @returns {number} Weapon tier (1, 2, or 3)
  */
-export function generateWeaponTier(tierRatios) {
-    const rand = Math.random();
+export function generateWeaponTier(tierRatios, random) {
+    const rand = random();
     
     if (rand < tierRatios.common) {
         return 1; // Common
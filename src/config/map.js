@@ -2,6 +2,8 @@
 
 import { Vector2D } from '../utils/Vector2D.js';
 import { getDefaultGameConfig, validateGameConfig } from './gameConfig.js';
+import { createMulberry32 } from '../net/prng.js';
+import { isStatusEffect } from './statusEffects.js';
 
 // Current selected map
 let currentMapConfig = null;
@@ -30,17 +32,17 @@ function generateSpawnPoints(count, radius, centerX, centerY) {
 }
 
 // Generate bushes scattered across the map
-function generateBushes(count, centerX, centerY, radius) {
+function generateBushes(count, centerX, centerY, radius, random) {
     const bushes = [];
     const innerRadius = radius * 0.3; // Don't spawn too close to center
     const outerRadius = radius * 0.85; // Don't spawn too close to edge
     
     for (let i = 0; i < count; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = innerRadius + Math.random() * (outerRadius - innerRadius);
+        const angle = random() * Math.PI * 2;
+        const distance = innerRadius + random() * (outerRadius - innerRadius);
         const x = centerX + Math.cos(angle) * distance;
         const y = centerY + Math.sin(angle) * distance;
-        const bushRadius = 40 + Math.random() * 30; // Random size 40-70
+        const bushRadius = 40 + random() * 30; // Random size 40-70
         
         bushes.push({
             position: new Vector2D(x, y),
@@ -52,18 +54,18 @@ function generateBushes(count, centerX, centerY, radius) {
 }
 
 // Generate obstacles (rocks) scattered across the map
-function generateObstacles(count, centerX, centerY, radius) {
+function generateObstacles(count, centerX, centerY, radius, random) {
     const obstacles = [];
     const innerRadius = radius * 0.2;
     const outerRadius = radius * 0.9;
     
     for (let i = 0; i < count; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = innerRadius + Math.random() * (outerRadius - innerRadius);
+        const angle = random() * Math.PI * 2;
+        const distance = innerRadius + random() * (outerRadius - innerRadius);
         const x = centerX + Math.cos(angle) * distance;
         const y = centerY + Math.sin(angle) * distance;
-        const width = 60 + Math.random() * 60; // Random width 60-120
-        const height = 60 + Math.random() * 60; // Random height 60-120
+        const width = 60 + random() * 60; // Random width 60-120
+        const height = 60 + random() * 60; // Random height 60-120
         
         obstacles.push({
             position: new Vector2D(x, y),
@@ -76,18 +78,18 @@ function generateObstacles(count, centerX, centerY, radius) {
 }
 
 // Generate water areas
-function generateWaterAreas(count, centerX, centerY, radius) {
+function generateWaterAreas(count, centerX, centerY, radius, random) {
     const waterAreas = [];
     const innerRadius = radius * 0.4;
     const outerRadius = radius * 0.8;
     
     for (let i = 0; i < count; i++) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = innerRadius + Math.random() * (outerRadius - innerRadius);
+        const angle = random() * Math.PI * 2;
+        const distance = innerRadius + random() * (outerRadius - innerRadius);
         const x = centerX + Math.cos(angle) * distance;
         const y = centerY + Math.sin(angle) * distance;
-        const width = 100 + Math.random() * 100; // Random width 100-200
-        const height = 80 + Math.random() * 80; // Random height 80-160
+        const width = 100 + random() * 100; // Random width 100-200
+        const height = 80 + random() * 80; // Random height 80-160
         
         waterAreas.push({
             position: new Vector2D(x, y),
@@ -99,11 +101,22 @@ function generateWaterAreas(count, centerX, centerY, radius) {
     return waterAreas;
 }
 
+// Optional status effect applied to characters standing in a bush or water area
+function terrainStatusEffect(area) {
+    if (area.statusEffect === undefined) return null;
+    if (!isStatusEffect(area.statusEffect)) {
+        console.warn(`[Map] Unknown terrain status effect "${area.statusEffect}", ignoring`);
+        return null;
+    }
+    return area.statusEffect;
+}
+
 // Load map from JSON data
 export function loadMapFromJSON(mapData) {
     const bushes = mapData.bushes.map(b => ({
         position: new Vector2D(b.x, b.y),
-        radius: b.radius
+        radius: b.radius,
+        statusEffect: terrainStatusEffect(b)
     }));
     
     const obstacles = mapData.obstacles.map(o => ({
@@ -114,7 +127,8 @@ export function loadMapFromJSON(mapData) {
     
     const waterAreas = mapData.waterAreas.map(w => ({
         position: new Vector2D(w.x, w.y),
-        radius: w.radius
+        radius: w.radius,
+        statusEffect: terrainStatusEffect(w)
     }));
     
     // Load and validate game config (with fallback to defaults for backward compatibility)
@@ -187,6 +201,15 @@ export function getGameConfig() {
 // Initialize with default game config
 const defaultGameConfig = getDefaultGameConfig();
 
+// Terrain counts for the procedural arena
+const PROCEDURAL_BUSHES = 25;
+const PROCEDURAL_OBSTACLES = 20;
+const PROCEDURAL_WATER_AREAS = 5;
+
+// Fixed seed so the arena is stable until a match reseeds it
+const DEFAULT_TERRAIN_SEED = 1;
+const defaultTerrainRandom = createMulberry32(DEFAULT_TERRAIN_SEED);
+
 export const MAP_CONFIG = {
     width: MAP_WIDTH,
     height: MAP_HEIGHT,
@@ -199,9 +222,9 @@ export const MAP_CONFIG = {
     characterSpawns: generateSpawnPoints(24, MAP_RADIUS, MAP_CENTER_X, MAP_CENTER_Y),
     
     // Terrain features
-    bushes: generateBushes(25, MAP_CENTER_X, MAP_CENTER_Y, MAP_RADIUS),
-    obstacles: generateObstacles(20, MAP_CENTER_X, MAP_CENTER_Y, MAP_RADIUS),
-    waterAreas: generateWaterAreas(5, MAP_CENTER_X, MAP_CENTER_Y, MAP_RADIUS),
+    bushes: generateBushes(PROCEDURAL_BUSHES, MAP_CENTER_X, MAP_CENTER_Y, MAP_RADIUS, defaultTerrainRandom),
+    obstacles: generateObstacles(PROCEDURAL_OBSTACLES, MAP_CENTER_X, MAP_CENTER_Y, MAP_RADIUS, defaultTerrainRandom),
+    waterAreas: generateWaterAreas(PROCEDURAL_WATER_AREAS, MAP_CENTER_X, MAP_CENTER_Y, MAP_RADIUS, defaultTerrainRandom),
     
     // Game configuration
     gameConfig: defaultGameConfig,
@@ -219,6 +242,19 @@ export const MAP_CONFIG = {
     }
 };
 
+/**
+ * Switch back to the procedural arena and regenerate its terrain.
+ * @param {Function} random - Match random function, so the layout follows the seed
+ * @returns {Object} MAP_CONFIG
+ */
+export function useProceduralMap(random) {
+    MAP_CONFIG.bushes = generateBushes(PROCEDURAL_BUSHES, MAP_CENTER_X, MAP_CENTER_Y, MAP_RADIUS, random);
+    MAP_CONFIG.obstacles = generateObstacles(PROCEDURAL_OBSTACLES, MAP_CENTER_X, MAP_CENTER_Y, MAP_RADIUS, random);
+    MAP_CONFIG.waterAreas = generateWaterAreas(PROCEDURAL_WATER_AREAS, MAP_CENTER_X, MAP_CENTER_Y, MAP_RADIUS, random);
+    currentMapConfig = null;
+    return MAP_CONFIG;
+}
+
 // Helper function to check if a point is within the circular map boundary
 export function isWithinMapBounds(x, y) {
     const dx = x - MAP_CENTER_X;
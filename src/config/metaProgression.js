@@ -6,6 +6,7 @@ export const META_PROGRESSION_VERSION = 1;
 export const META_CONFIG = {
     storage: {
         profileKey: 'battle2death.profile',
+        replayKeyPrefix: 'battle2death.replay.',
         profileVersion: META_PROGRESSION_VERSION
     },
 
@@ -74,6 +75,8 @@ export const META_CONFIG = {
     },
 
     history: {
-        maxEntries: 25
+        maxEntries: 25,
+        // Replays are much larger than history entries; only the newest few are kept.
+        maxReplays: 5
     }
 };
@@ -0,0 +1,160 @@
+// Status effects (burn, poison, slow, stun, haste) and the rules for applying them.
+
+// Anything can apply an effect with applyStatusEffect: weapons (`statusEffect`
+// in weapons/*.json), abilities, terrain (a map water area or bush with a
+// `statusEffect`) and consumables (health kits cure). Active effects live on the
+// character as plain data, so GameState snapshots cover them; StatusEffectSystem
+// counts them down and deals their tick damage. Everything is in milliseconds
+// and iterated in STATUS_EFFECTS order, so every peer agrees.
+//
+// Stacking when an effect is applied again while active:
+//   'refresh' - duration restarts (the longer of the two is kept)
+//   'stack'   - one more stack (tick damage is per stack) up to maxStacks, duration restarts
+//   'extend'  - the new duration is added, up to maxDurationMs
+//   'ignore'  - the running effect is kept as is
+// An effect with `immunityMs` cannot be applied again for that long after it wears off.
+
+export const STATUS_EFFECTS = {
+    burn: {
+        name: 'Burn',
+        icon: '🔥',
+        color: '#ff7a1a',
+        durationMs: 3000,
+        tickMs: 500,
+        damagePerTick: 4,
+        stacking: 'refresh'
+    },
+    poison: {
+        name: 'Poison',
+        icon: '☠',
+        color: '#7ac943',
+        durationMs: 6000,
+        tickMs: 1000,
+        damagePerTick: 2,
+        stacking: 'stack',
+        maxStacks: 5
+    },
+    slow: {
+        name: 'Slow',
+        icon: '🐌',
+        color: '#66b3ff',
+        durationMs: 2000,
+        speedMultiplier: 0.6,
+        stacking: 'extend',
+        maxDurationMs: 4000
+    },
+    stun: {
+        name: 'Stun',
+        icon: '💫',
+        color: '#ffe066',
+        durationMs: 1000,
+        stuns: true,
+        stacking: 'ignore',
+        // No stun-locking: a freshly recovered character shrugs off stuns for a moment
+        immunityMs: 1500
+    },
+    haste: {
+        name: 'Haste',
+        icon: '⚡',
+        color: '#00e5ff',
+        durationMs: 2000,
+        speedMultiplier: 2,
+        stacking: 'refresh'
+    }
+};
+
+/**
+ * @param {string} id
+ * @returns {boolean} True if `id` is a STATUS_EFFECTS key
+ */
+export function isStatusEffect(id) {
+    return Object.hasOwn(STATUS_EFFECTS, id);
+}
+
+/**
+ * Apply (or re-apply, following its stacking rule) an effect.
+ * @param {Character} character
+ * @param {string} id - STATUS_EFFECTS key
+ * @param {Object} [options]
+ * @param {number} [options.durationMs] - Defaults to the effect's own duration
+ * @param {Character|null} [options.source] - Credited for tick damage
+ * @returns {boolean} False if the character is out, immune, or the effect ignored it
+ */
+export function applyStatusEffect(character, id, { durationMs, source = null } = {}) {
+    const def = STATUS_EFFECTS[id];
+    if (!def) throw new Error(`Unknown status effect: ${id}`);
+    if (character.isDead || character.isDowned) return false;
+    if (character.statusImmunities[id] > 0) return false;
+
+    const duration = durationMs ?? def.durationMs;
+    const active = character.statusEffects[id];
+    if (!active) {
+        character.statusEffects[id] = { remainingMs: duration, stacks: 1, tickElapsedMs: 0, source };
+        return true;
+    }
+
+    switch (def.stacking) {
+        case 'ignore':
+            return false;
+        case 'extend':
+            active.remainingMs = Math.min(active.remainingMs + duration, def.maxDurationMs ?? Infinity);
+            break;
+        case 'stack':
+            active.stacks = Math.min(active.stacks + 1, def.maxStacks ?? 1);
+            active.remainingMs = Math.max(active.remainingMs, duration);
+            break;
+        default: // 'refresh'
+            active.remainingMs = Math.max(active.remainingMs, duration);
+    }
+    active.source = source;
+    return true;
+}
+
+/**
+ * Remove effects, e.g. when a consumable cures them.
+ * @param {Character} character
+ * @param {string[]} ids
+ * @returns {boolean} True if anything was removed
+ */
+export function removeStatusEffects(character, ids) {
+    let removed = false;
+    for (const id of ids) {
+        if (character.statusEffects[id]) {
+            delete character.statusEffects[id];
+            removed = true;
+        }
+    }
+    return removed;
+}
+
+/**
+ * @param {Character} character
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function hasStatusEffect(character, id) {
+    return !!character.statusEffects?.[id];
+}
+
+/**
+ * @param {Character} character
+ * @returns {boolean} True if an active effect stops movement, attacks and abilities
+ */
+export function isStunned(character) {
+    for (const id in character.statusEffects) {
+        if (STATUS_EFFECTS[id]?.stuns) return true;
+    }
+    return false;
+}
+
+/**
+ * @param {Character} character
+ * @returns {number} Product of the active effects' speed multipliers (1 with none)
+ */
+export function getStatusSpeedMultiplier(character) {
+    let multiplier = 1;
+    for (const id of Object.keys(STATUS_EFFECTS)) {
+        if (character.statusEffects?.[id]) multiplier *= STATUS_EFFECTS[id].speedMultiplier ?? 1;
+    }
+    return multiplier;
+}
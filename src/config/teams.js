@@ -0,0 +1,104 @@
+// Team modes (Duos/Trios) and the team rules shared by solo and multiplayer.
+
+// Teams are assigned in character order (players in slot order, then bots), so
+// every peer and every replay ends up with the same teams. In FFA `teamId` stays
+// null and each character is its own side.
+
+export const TEAM_MODES = {
+    ffa: { name: 'FFA', teamSize: 1 },
+    duos: { name: 'Duos', teamSize: 2 },
+    trios: { name: 'Trios', teamSize: 3 }
+};
+
+// Downed-and-revive tuning (team modes only, see ReviveSystem). A downed
+// character's HP becomes a bleed-out pool that drains over time and takes hits.
+export const REVIVE_CONFIG = {
+    bleedOutHP: 100,
+    bleedOutSeconds: 30,
+    crawlSpeedMultiplier: 0.3,
+    reviveRadius: 60,
+    reviveSeconds: 3,
+    revivedHPFraction: 0.3,
+    // Bots walk over to downed teammates this close when not fighting
+    botReviveRange: 800
+};
+
+// Marker colors, indexed by teamId
+export const TEAM_COLORS = ['#3b82f6', '#f59e0b', '#a855f7', '#10b981', '#ec4899', '#14b8a6', '#f97316', '#84cc16'];
+
+/**
+ * @param {string} mode
+ * @returns {string} A TEAM_MODES key ('ffa' for anything unknown)
+ */
+export function normalizeTeamMode(mode) {
+    return Object.hasOwn(TEAM_MODES, mode) ? mode : 'ffa';
+}
+
+/**
+ * Team id for the character at `index` in spawn order.
+ * @param {number} index
+ * @param {string} mode
+ * @returns {number|null} Null in FFA
+ */
+export function getTeamForIndex(index, mode) {
+    const teamSize = TEAM_MODES[normalizeTeamMode(mode)].teamSize;
+    return teamSize > 1 ? Math.floor(index / teamSize) : null;
+}
+
+/**
+ * Set `teamId` on every character, filling teams in order.
+ * @param {Character[]} characters - In spawn order
+ * @param {string} mode
+ */
+export function assignTeams(characters, mode) {
+    characters.forEach((character, i) => {
+        character.teamId = getTeamForIndex(i, mode);
+    });
+}
+
+/**
+ * @param {Character|null} a
+ * @param {Character|null} b
+ * @returns {boolean} True if both are on the same team (never in FFA)
+ */
+export function areTeammates(a, b) {
+    return !!a && !!b && a.teamId !== null && a.teamId !== undefined && a.teamId === b.teamId;
+}
+
+/**
+ * Whether `attacker`'s hits land on `target`: never on themselves, and on
+ * teammates only with friendly fire. Sourceless damage (attacker null) always lands.
+ * @param {Character|null} attacker
+ * @param {Character} target
+ * @param {boolean} [friendlyFire=false]
+ * @returns {boolean}
+ */
+export function canDamage(attacker, target, friendlyFire = false) {
+    if (target === attacker) return false;
+    return friendlyFire || !areTeammates(attacker, target);
+}
+
+/**
+ * @param {Character} character
+ * @returns {boolean} True if alive and not downed (can fight and revive)
+ */
+export function isStanding(character) {
+    return !character.isDead && !character.isDowned;
+}
+
+/**
+ * Sides still in the match: each team with a living member, plus every living
+ * character without a team.
+ * @param {Character[]} characters
+ * @returns {number}
+ */
+export function countAliveSides(characters) {
+    const teams = new Set();
+    let loners = 0;
+    for (const character of characters) {
+        if (character.isDead) continue;
+        if (character.teamId === null || character.teamId === undefined) loners++;
+        else teams.add(character.teamId);
+    }
+    return teams.size + loners;
+}
@@ -1,78 +1,190 @@
 // Weapon type definitions and configurations
 
-export const WEAPON_TYPES = {
-    blaster: {
-        name: 'Blaster',
-        type: 'blaster',
-        attackType: 'cone',
-        baseDamage: 15,
-        baseRange: 150,
-        baseCooldown: 1500, // milliseconds
-        coneAngle: 45, // degrees
-        tierMultipliers: {
-            damage: [1.0, 1.4, 1.8],
-            range: [1.0, 1.3, 1.6]
-        },
-        // Visual properties
-        color: '#ff6600',
-        glowColor: '#ff9944'
-    },
-    spear: {
-        name: 'Spear',
-        type: 'spear',
-        attackType: 'projectile',
-        baseDamage: 25,
-        baseRange: 300,
-        baseCooldown: 2000,
-        projectileSpeed: 500,
-        coneAngle: 15, 
-        tierMultipliers: {
-            damage: [1.0, 1.4, 1.8],
-            range: [1.0, 1.3, 1.6]
-        },
-        // Visual properties
-        color: '#cccccc',
-        glowColor: '#ffffff'
-    },
-    bomb: {
-        name: 'Bomb',
-        type: 'bomb',
-        attackType: 'aoe',
-        baseDamage: 35,
-        baseRange: 250,
-        baseCooldown: 3000,
-        explosionRadius: 80,
-        arcHeight: 100,
-        fuseTime: 500, // milliseconds
-        tierMultipliers: {
-            damage: [1.0, 1.4, 1.8],
-            range: [1.0, 1.3, 1.6]
-        },
-        // Visual properties
-        color: '#ff0000',
-        glowColor: '#ff4444'
-    },
-    gun: {
-        name: 'Gun',
-        type: 'gun',
-        attackType: 'burst',
-        baseDamage: 5,
-        baseRange: 280,
-        baseCooldown: 1800,
-        burstCount: 3,
-        burstDelay: 100,
-        projectileSpeed: 600,
-        coneAngle: 5, 
-        tierMultipliers: {
-            damage: [1.0, 1.4, 1.8],
-            range: [1.0, 1.3, 1.6]
-        },
-        // Visual properties
-        color: '#4444ff',
-        glowColor: '#6666ff'
-    }
+// Definitions live in weapons/*.json, listed in weapons/manifest.json (like maps).
+// They are validated against the attack type registry (systems/attackTypes.js)
+// and loaded once at startup (loadWeaponDefinitions); manifest order is the loot
+// order, so every peer rolls the same weapons from the same seed.
+
+import { getAttackType, getAttackTypeNames } from '../systems/attackTypes.js';
+import { resolveWeaponsUrl } from '../utils/assetUrl.js';
+import { fnv1a } from '../utils/hash.js';
+import { STATUS_EFFECTS, isStatusEffect } from './statusEffects.js';
+
+// type -> definition, filled by registerWeaponDefinitions
+export const WEAPON_TYPES = {};
+
+const TIER_COUNT = 3;
+const WEAPON_ID_PATTERN = /^[a-z][a-zA-Z0-9_]*$/;
+
+// Fields every weapon has, whatever its attack type
+const COMMON_FIELDS = {
+    type: { type: 'string', required: true },
+    name: { type: 'string', required: true },
+    attackType: { type: 'string', required: true },
+    baseDamage: { type: 'number', required: true, min: 0 },
+    baseRange: { type: 'number', required: true, min: 1 },
+    baseCooldown: { type: 'number', required: true, min: 0 }, // milliseconds
+    color: { type: 'string', required: true },
+    glowColor: { type: 'string', required: true },
+    // Optional art and sound (paths from the site root); missing ones use fallbacks
+    icon: { type: 'string' },
+    sound: { type: 'string' },
+    // Optional status effect every hit applies (config/statusEffects.js)
+    statusEffect: { type: 'string' },
+    statusDuration: { type: 'number', min: 0 }, // milliseconds, defaults to the effect's own
+    // Optional push on hit in px/s (explosions push outward, scaled by falloff)
+    knockback: { type: 'number', min: 0 }
 };
 
+// Hash of the loaded definitions, compared in the lobby like the map hash
+let definitionsHash = null;
+
+function checkField(def, key, spec, problems) {
+    const value = def[key];
+    if (value === undefined) {
+        if (spec.required) problems.push(`missing "${key}"`);
+        return;
+    }
+    if (spec.type === 'tiers') {
+        if (!Array.isArray(value) || value.length !== TIER_COUNT) {
+            problems.push(`"${key}" must be ${TIER_COUNT} numbers (one per tier)`);
+        } else if (!value.every(v => typeof v === 'number' && Number.isFinite(v))) {
+            problems.push(`"${key}" must be ${TIER_COUNT} numbers (one per tier)`);
+        } else if (spec.min !== undefined && value.some(v => v < spec.min)) {
+            problems.push(`"${key}" values must be at least ${spec.min}`);
+        } else if (spec.integer && !value.every(Number.isInteger)) {
+            problems.push(`"${key}" values must be whole numbers`);
+        }
+    } else if (spec.type === 'number') {
+        if (typeof value !== 'number' || !Number.isFinite(value)) {
+            problems.push(`"${key}" must be a number`);
+        } else if (spec.min !== undefined && value < spec.min) {
+            problems.push(`"${key}" must be at least ${spec.min}`);
+        } else if (spec.integer && !Number.isInteger(value)) {
+            problems.push(`"${key}" must be a whole number`);
+        }
+    } else if (typeof value !== spec.type) {
+        problems.push(`"${key}" must be a ${spec.type}`);
+    }
+}
+
+/**
+ * Check a weapon definition against the common fields and its attack type's
+ * fields. Unknown fields are rejected too, so typos do not go unnoticed.
+ * @param {Object} def
+ * @param {string} [source] - Where it came from, for the error message
+ * @throws {Error} Listing every problem found
+ */
+export function validateWeaponDefinition(def, source = 'weapon definition') {
+    if (!def || typeof def !== 'object' || Array.isArray(def)) {
+        throw new Error(`Invalid ${source}: expected a JSON object`);
+    }
+
+    const problems = [];
+    for (const [key, spec] of Object.entries(COMMON_FIELDS)) checkField(def, key, spec, problems);
+
+    if (typeof def.type === 'string' && !WEAPON_ID_PATTERN.test(def.type)) {
+        problems.push(`"type" must start with a lowercase letter and use only letters, digits and _ (got "${def.type}")`);
+    }
+
+    const attackType = typeof def.attackType === 'string' ? getAttackType(def.attackType) : null;
+    if (typeof def.attackType === 'string' && !attackType) {
+        problems.push(`unknown attackType "${def.attackType}" (known: ${getAttackTypeNames().join(', ')})`);
+    }
+    if (attackType) {
+        for (const [key, spec] of Object.entries(attackType.fields)) checkField(def, key, spec, problems);
+    }
+
+    if (typeof def.statusEffect === 'string' && !isStatusEffect(def.statusEffect)) {
+        problems.push(`unknown statusEffect "${def.statusEffect}" (known: ${Object.keys(STATUS_EFFECTS).join(', ')})`);
+    }
+    if (def.statusDuration !== undefined && def.statusEffect === undefined) {
+        problems.push('"statusDuration" needs a "statusEffect"');
+    }
+
+    const tiers = def.tierMultipliers;
+    if (!tiers || typeof tiers !== 'object') {
+        problems.push('missing "tierMultipliers"');
+    } else {
+        for (const stat of ['damage', 'range']) {
+            const values = tiers[stat];
+            if (!Array.isArray(values) || values.length !== TIER_COUNT || !values.every(v => typeof v === 'number' && v > 0)) {
+                problems.push(`"tierMultipliers.${stat}" must be ${TIER_COUNT} positive numbers (one per tier)`);
+            }
+        }
+    }
+
+    const known = new Set([...Object.keys(COMMON_FIELDS), 'tierMultipliers', ...Object.keys(attackType?.fields || {})]);
+    for (const key of Object.keys(def)) {
+        if (!known.has(key)) problems.push(`unknown field "${key}"`);
+    }
+
+    if (problems.length > 0) {
+        throw new Error(`Invalid ${source}: ${problems.join('; ')}`);
+    }
+}
+
+/**
+ * Replace the weapon list. Everything is validated before anything changes.
+ * @param {Object[]} defs - In loot order
+ * @param {string[]} [sources] - File names, for error messages
+ */
+export function registerWeaponDefinitions(defs, sources = []) {
+    if (!Array.isArray(defs) || defs.length === 0) throw new Error('No weapon definitions');
+
+    const seen = new Set();
+    defs.forEach((def, i) => {
+        const source = sources[i] || `weapon definition #${i + 1}`;
+        validateWeaponDefinition(def, source);
+        if (seen.has(def.type)) throw new Error(`Invalid ${source}: weapon type "${def.type}" is defined twice`);
+        seen.add(def.type);
+    });
+
+    for (const type of Object.keys(WEAPON_TYPES)) delete WEAPON_TYPES[type];
+    for (const def of defs) WEAPON_TYPES[def.type] = def;
+    definitionsHash = fnv1a(JSON.stringify(defs));
+}
+
+/**
+ * Load weapons/manifest.json and every definition it lists.
+ * @param {Function} [readJson] - (pathUnderWeapons) => Promise<Object>; fetches from the site by default
+ * @returns {Promise<void>}
+ * @throws {Error} If a file is missing or a definition is invalid
+ */
+export async function loadWeaponDefinitions(readJson = fetchWeaponsJson) {
+    const manifest = await readJson('manifest.json');
+    if (!manifest || !Array.isArray(manifest.weapons)) {
+        throw new Error('Invalid weapons/manifest.json: expected {"weapons": [{"file": ...}, ...]}');
+    }
+
+    const files = manifest.weapons.map((entry, i) => {
+        if (!entry || typeof entry.file !== 'string') throw new Error(`Invalid weapons/manifest.json: entry #${i + 1} has no "file"`);
+        return entry.file;
+    });
+    const defs = await Promise.all(files.map(file => readJson(file)));
+    registerWeaponDefinitions(defs, files.map(file => `weapons/${file}`));
+}
+
+async function fetchWeaponsJson(file) {
+    const response = await fetch(resolveWeaponsUrl(file));
+    if (!response.ok) throw new Error(`Cannot load weapons/${file} (HTTP ${response.status})`);
+    return response.json();
+}
+
+/**
+ * @returns {string[]} Weapon types in loot order
+ */
+export function getWeaponTypeIds() {
+    return Object.keys(WEAPON_TYPES);
+}
+
+/**
+ * @returns {number|null} Hash of the loaded definitions (null before loading)
+ */
+export function getWeaponDefinitionsHash() {
+    return definitionsHash;
+}
+
 // Weapon tier colors for visual distinction
 export const TIER_COLORS = {
     1: '#cccccc', // Common - gray/white
@@ -88,9 +200,18 @@ export function createWeapon(weaponType, tier = 1) {
     }
     
     const tierIndex = tier - 1;
+
+    // Attack-type fields ride along in every attack (see Weapon.fire); per-tier
+    // fields are resolved for this tier
+    const attackParams = {};
+    for (const [key, spec] of Object.entries(getAttackType(config.attackType).fields)) {
+        if (config[key] === undefined) continue;
+        attackParams[key] = spec.type === 'tiers' ? config[key][tierIndex] : config[key];
+    }
     
     return {
         ...config,
+        attackParams,
         tier,
         damage: config.baseDamage * config.tierMultipliers.damage[tierIndex],
         range: config.baseRange * config.tierMultipliers.range[tierIndex],
@@ -1,6 +1,7 @@
 // Asset loader for images and audio files
 
 import { resolveAssetUrl, warnMissingAsset } from '../utils/assetUrl.js';
+import { WEAPON_TYPES } from '../config/weapons.js';
 
 export class AssetLoader {
     constructor() {
@@ -113,11 +114,10 @@ export class AssetLoader {
             { key: 'char_menu_bolt', path: 'assets/utils/bolt_preview.png', category: 'characterMenu', type: 'bolt' },
             { key: 'char_menu_boulder', path: 'assets/utils/boulder_preview.png', category: 'characterMenu', type: 'boulder' },
             
-            // Weapon assets
-            { key: 'weapon_blaster', path: 'assets/weapons/blaster.png', category: 'weapon', type: 'blaster' },
-            { key: 'weapon_spear', path: 'assets/weapons/spear.png', category: 'weapon', type: 'spear' },
-            { key: 'weapon_bomb', path: 'assets/weapons/bomb.png', category: 'weapon', type: 'bomb' },
-            { key: 'weapon_gun', path: 'assets/weapons/gun.png', category: 'weapon', type: 'gun' },
+            // Weapon assets (icons named by the weapon definitions)
+            ...Object.values(WEAPON_TYPES)
+                .filter(def => def.icon)
+                .map(def => ({ key: `weapon_${def.type}`, path: def.icon, category: 'weapon', type: def.type })),
             
             // Consumable assets
             { key: 'consumable_healthKit', path: 'assets/consumables/health.png', category: 'consumable', type: 'healthKit' },
@@ -125,10 +125,9 @@ export class AssetLoader {
         ];
 
         const audioList = [
-            { key: 'weapon_blaster', path: 'assets/audio/blaster.mp3' },
-            { key: 'weapon_spear', path: 'assets/audio/spear.mp3' },
-            { key: 'weapon_bomb', path: 'assets/audio/bomb.mp3' },
-            { key: 'weapon_gun', path: 'assets/audio/gun.mp3' },
+            ...Object.values(WEAPON_TYPES)
+                .filter(def => def.sound)
+                .map(def => ({ key: `weapon_${def.type}`, path: def.sound })),
             { key: 'impact_hit', path: 'assets/audio/hit.mp3' },
             { key: 'impact_kill', path: 'assets/audio/kill.mp3' }
         ];
@@ -11,12 +11,15 @@
  * - Check win/loss conditions
  * - Track comprehensive match statistics via EventBus
  * - Award XP and coins at match end
+ * - Record the local player's per-tick input for replays (or play one back)
  *
  * Architecture Notes:
  * - Listens to EventBus for damage, kills, consumables, abilities
  * - Updates GameState.stats for end-screen display and progression
  * - Delegates rendering to Renderer
  * - Only used for solo mode (multiplayer has its own controller)
+ * - Live input is quantized like a multiplayer frame before use, so a replay
+ *   feeds back exactly what the live match consumed
  *
  * Performance Considerations:
  * - Updates run at 60 FPS; keep system updates efficient
@@ -26,18 +29,54 @@
  */
 
 import { computeMatchRewards, recordMatchToProfile, saveProfile } from './ProfileStore.js';
+import { createReplayId, saveReplay } from './ReplayStore.js';
+import { ReplayRecorder, packFrame, unpackFrame } from '../net/ReplayRecorder.js';
+import { ReplaySession } from '../net/ReplaySession.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../config/constants.js';
+import { areTeammates } from '../config/teams.js';
 
 export class GameOrchestrator {
-    constructor(gameState, systems, renderer, spawnManager, playerCharacter, profile) {
+    /**
+     * @param {GameState} gameState
+     * @param {Object} systems
+     * @param {Renderer} renderer
+     * @param {SpawnManager} spawnManager
+     * @param {Player} playerCharacter
+     * @param {Object} profile
+     * @param {Object} [options]
+     * @param {Object} [options.selectedMap] - Map the match was started with (recorded in replays)
+     * @param {Object} [options.replay] - Play this replay back instead of reading live input
+     */
+    constructor(gameState, systems, renderer, spawnManager, playerCharacter, profile, { selectedMap = null, replay = null } = {}) {
         this.gameState = gameState;
         this.systems = systems;
         this.renderer = renderer;
         this.spawnManager = spawnManager;
         this.playerCharacter = playerCharacter;
         this.profile = profile;
+        this.selectedMap = selectedMap;
         this.rewardsAwarded = false;
 
+        // Replays (solo): one recorded frame per update tick
+        this.currentTick = 0;
+        this.replaySession = null;
+        this.replayRecorder = null;
+        if (replay) {
+            this.replaySession = new ReplaySession(replay);
+            this.replaySession.start();
+        } else if (this.playerCharacter) {
+            this.replayRecorder = new ReplayRecorder({
+                mode: 'solo',
+                seed: this.gameState.matchSeed,
+                map: selectedMap ? {
+                    file: selectedMap.file || null,
+                    name: selectedMap.name || null,
+                    gameConfig: selectedMap.mapData?.gameConfig || null
+                } : null,
+                players: [{ character: this.playerCharacter.characterType, maxHP: this.playerCharacter.maxHP }]
+            });
+        }
+
         // Initialize camera to player position
         if (this.playerCharacter && this.systems.cameraSystem) {
             this.systems.cameraSystem.x = this.playerCharacter.position.x - CANVAS_WIDTH / 2;
@@ -66,7 +105,8 @@ export class GameOrchestrator {
 
         // Track kills by player
         this.systems.eventBus.on('characterKilled', (data) => {
-            if (data.attacker && data.attacker.isPlayer && data.target && !data.target.isPlayer) {
+            if (data.attacker && data.attacker.isPlayer && data.target && !data.target.isPlayer &&
+                !areTeammates(data.attacker, data.target)) {
                 this.gameState.addKill();
             }
         });
@@ -86,6 +126,13 @@ export class GameOrchestrator {
             }
         });
 
+        // Track teammates revived by the player
+        this.systems.eventBus.on('characterRevived', (data) => {
+            if (data.reviver && data.reviver.isPlayer) {
+                this.gameState.addFriendlyRevive();
+            }
+        });
+
         // Track abilities used
         this.systems.eventBus.on('abilityUsed', (data) => {
             if (data.character && data.character.isPlayer) {
@@ -124,65 +171,15 @@ export class GameOrchestrator {
         // Update safe zone system
         this.systems.safeZoneSystem.update(deltaTime);
 
-        // Update camera to follow player
-        if (this.playerCharacter) {
-            this.systems.cameraSystem.update(this.playerCharacter);
+        // Update camera to follow player (replays move the camera themselves)
+        if (this.playerCharacter && !this.replaySession) {
+            this.systems.cameraSystem.update(this.getCameraTarget());
             this.gameState.camera = this.systems.cameraSystem.getBounds();
         }
 
-        // Update input system
-        this.systems.inputSystem.update(this.playerCharacter);
-
-        // Get player input
-        const movementInput = this.systems.inputSystem.getMovementInput();
-
-        // Update player with input
+        // Bots-only matches (headless runner) have no player, input or camera
         if (this.playerCharacter) {
-            this.playerCharacter.update(deltaTime, movementInput);
-
-            // Check if weapon was fired
-            const weaponInput = this.systems.inputSystem.checkWeaponFired();
-            if (weaponInput.fired && weaponInput.weaponSlot >= 0) {
-                // Switch to the weapon slot that was pressed
-                this.playerCharacter.switchToWeapon(weaponInput.weaponSlot);
-
-                // Fire the weapon
-                const weapon = this.playerCharacter.getActiveWeapon();
-                if (weapon) {
-                    this.systems.combatSystem.fireWeapon(
-                        this.playerCharacter,
-                        weapon,
-                        weaponInput.angle
-                    );
-                }
-            }
-
-            // Check if health kit was used
-            if (this.systems.inputSystem.checkHealthKitUsed()) {
-                if (this.playerCharacter.useHealthKit()) {
-                    console.log('Used health kit!');
-                    this.systems.eventBus.emit('healthKitUsed', {
-                        character: this.playerCharacter
-                    });
-                }
-            }
-
-            // Update ability preview (for Ground Slam)
-            const isChargingAbility = this.systems.inputSystem.isAbilityCharging();
-            this.systems.abilitySystem.updateGroundSlamPreview(this.playerCharacter, isChargingAbility);
-
-            // Check if ability was activated
-            if (this.systems.inputSystem.checkAbilityActivated()) {
-                if (this.systems.abilitySystem.activateAbility(this.playerCharacter)) {
-                    console.log('Activated special ability!');
-                }
-            }
-
-            // Check for weapon pickups
-            this.checkWeaponPickups(this.playerCharacter);
-
-            // Check for consumable pickups
-            this.checkConsumablePickups(this.playerCharacter);
+            this.updatePlayer(deltaTime);
         }
 
         // Update all non-player characters
@@ -206,6 +203,16 @@ export class GameOrchestrator {
         // Update ability system
         this.systems.abilitySystem.update(deltaTime);
 
+        // Tick status effects (burns, poison, stuns...)
+        if (this.systems.statusEffectSystem) {
+            this.systems.statusEffectSystem.update(deltaTime);
+        }
+
+        // Downed characters bleed out or get revived (team modes)
+        if (this.systems.reviveSystem) {
+            this.systems.reviveSystem.update(deltaTime);
+        }
+
         // Handle character deaths and loot dropping
         this.gameState.characters.forEach(character => {
             if (character.isDead && !character.isPlayer && this.systems.aiSystem) {
@@ -225,12 +232,118 @@ export class GameOrchestrator {
         // Check match end conditions
         this.gameState.checkMatchEnd();
 
-        // Award meta rewards exactly once when the match ends.
-        if (!this.rewardsAwarded && (this.gameState.phase === 'gameOver' || this.gameState.phase === 'victory')) {
+        // Award meta rewards exactly once when the match ends (never for replays).
+        if (!this.replaySession && !this.rewardsAwarded && (this.gameState.phase === 'gameOver' || this.gameState.phase === 'victory')) {
             this.awardRewards();
         }
     }
 
+    /**
+     * Read this tick's input (live or recorded) and apply it to the player.
+     * @param {number} deltaTime
+     */
+    updatePlayer(deltaTime) {
+        const player = this.playerCharacter;
+
+        // Update input system
+        this.systems.inputSystem.update(player);
+
+        // This tick's input: recorded (replay) or live
+        const input = this.replaySession ? this.nextReplayInput() : this.readLocalInput();
+        if (this.replayRecorder) this.replayRecorder.recordTick(this.currentTick, [input]);
+        this.currentTick++;
+
+        // A dead player (watching teammates in team modes) only keeps the tick count going
+        if (player.isDead) return;
+
+        // Update player with input
+        player.update(deltaTime, { x: input.moveX, y: input.moveY });
+
+        // Downed: crawl only, until a teammate revives them
+        if (player.isDowned) return;
+
+        // Check if weapon was fired
+        if (input.fire) {
+            // Switch to the weapon slot that was pressed
+            player.switchToWeapon(input.weaponSlot);
+
+            // Fire the weapon
+            const weapon = player.getActiveWeapon();
+            if (weapon) {
+                this.systems.combatSystem.fireWeapon(
+                    player,
+                    weapon,
+                    input.aimAngle
+                );
+            }
+        }
+
+        // Check if health kit was used
+        if (input.heal) {
+            if (player.useHealthKit()) {
+                console.log('Used health kit!');
+                this.systems.eventBus.emit('healthKitUsed', {
+                    character: player
+                });
+            }
+        }
+
+        // Update ability preview (for Ground Slam)
+        const isChargingAbility = !this.replaySession && this.systems.inputSystem.isAbilityCharging();
+        this.systems.abilitySystem.updateGroundSlamPreview(player, isChargingAbility);
+
+        // Check if ability was activated
+        if (input.ability) {
+            if (this.systems.abilitySystem.activateAbility(player)) {
+                console.log('Activated special ability!');
+            }
+        }
+
+        // Check for weapon pickups
+        this.checkWeaponPickups(player);
+
+        // Check for consumable pickups
+        this.checkConsumablePickups(player);
+    }
+
+    /**
+     * Read this tick's live input, quantized the same way a replay stores it.
+     * @returns {Object} Decoded frame {moveX, moveY, fire, aimAngle, weaponSlot, ability, heal}
+     */
+    readLocalInput() {
+        const inputSystem = this.systems.inputSystem;
+        const move = inputSystem.getMovementInput();
+        const weaponInput = inputSystem.checkWeaponFired();
+        const fired = !!weaponInput.fired && weaponInput.weaponSlot >= 0;
+
+        return unpackFrame(packFrame({
+            moveX: move.x,
+            moveY: move.y,
+            fire: fired,
+            aimAngle: fired ? weaponInput.angle : 0,
+            weaponSlot: fired ? weaponInput.weaponSlot : 0,
+            heal: inputSystem.checkHealthKitUsed(),
+            ability: inputSystem.checkAbilityActivated()
+        }));
+    }
+
+    // Next recorded frame; a neutral one once the replay has run out.
+    nextReplayInput() {
+        const step = this.replaySession.popNextTickInputs();
+        if (step) return step.frames[0];
+        return { moveX: 0, moveY: 0, fire: false, aimAngle: 0, weaponSlot: 0, ability: false, heal: false };
+    }
+
+    /**
+     * The player, or once they are down in a team mode, a surviving teammate.
+     * @returns {Character}
+     */
+    getCameraTarget() {
+        const player = this.playerCharacter;
+        if (!player || !player.isDead) return player;
+        return this.gameState.characters.find(c => !c.isDead && areTeammates(c, player)) || player;
+    }
+
     /**
      * Check if match has ended (win/loss condition)
      * @returns {boolean} True if match should end
@@ -261,12 +374,15 @@ export class GameOrchestrator {
         this.gameState.matchStats.finalPlacement = 1;
     }
 
-    // Check if player can pickup weapons (with timer)
+    // Check if a player can pickup weapons (with timer). Multiplayer runs this
+    // for every player inside the lockstep tick; the blocked-reason hints are UI
+    // for the local player only.
     checkWeaponPickups(player) {
-        if (!this.systems.aiSystem) return;
+        if (!this.spawnManager) return;
 
-        const availableWeapons = this.systems.aiSystem.getAvailableWeapons();
+        const availableWeapons = this.spawnManager.getAvailableWeapons();
         const deltaTime = 1/60; // Approximate frame time
+        const isLocalPlayer = player === this.playerCharacter;
 
         availableWeapons.forEach(pickup => {
             if (!pickup.active) return;
@@ -278,12 +394,12 @@ export class GameOrchestrator {
 
                 // Never start/continue pickup progress for invalid pickups
                 if (!eligibility.ok) {
-                    pickup.playerPickupBlockedReason = eligibility.reason;
-                    pickup.resetPickup();
+                    if (isLocalPlayer) pickup.playerPickupBlockedReason = eligibility.reason;
+                    if (pickup.pickupCharacter === player) pickup.resetPickup();
                     return;
                 }
 
-                pickup.playerPickupBlockedReason = null;
+                if (isLocalPlayer) pickup.playerPickupBlockedReason = null;
 
                 // Update pickup progress
                 if (pickup.updatePickup(player, deltaTime)) {
@@ -300,22 +416,23 @@ export class GameOrchestrator {
                             tier: config.tier
                         });
                         
-                        console.log(`Player picked up ${config.name} (Tier ${config.tier})`);
+                        console.log(`${player.name} picked up ${config.name} (Tier ${config.tier})`);
                     } else {
                         // If anything changed mid-pickup, stop the loader
-                        pickup.playerPickupBlockedReason = result.reason;
+                        if (isLocalPlayer) pickup.playerPickupBlockedReason = result.reason;
                         pickup.resetPickup();
                     }
                 }
-            } else {
+            } else if (isLocalPlayer) {
                 pickup.playerPickupBlockedReason = null;
             }
         });
     }
 
-    // Check for consumable pickups
+    // Check for consumable pickups (per player, like checkWeaponPickups)
     checkConsumablePickups(player) {
         const deltaTime = 1/60; // Approximate frame time
+        const isLocalPlayer = player === this.playerCharacter;
         
         this.spawnManager.consumables.forEach(consumable => {
             if (!consumable.active) return;
@@ -325,19 +442,18 @@ export class GameOrchestrator {
                 const config = consumable.getConfig();
 
                 // Block pickup progress if the player can't actually take the item
+                let blockedReason = null;
                 if (config.type === 'healthKit' && !player.canCarryHealthKit()) {
-                    consumable.playerPickupBlockedReason = 'health_kits_full';
-                    consumable.resetPickup();
-                    return;
+                    blockedReason = 'health_kits_full';
+                } else if (config.type === 'shieldPotion' && player.shield >= 100) {
+                    blockedReason = 'shield_full';
                 }
-                if (config.type === 'shieldPotion' && player.shield >= 100) {
-                    consumable.playerPickupBlockedReason = 'shield_full';
-                    consumable.resetPickup();
+                if (isLocalPlayer) consumable.playerPickupBlockedReason = blockedReason;
+                if (blockedReason) {
+                    if (consumable.pickupCharacter === player) consumable.resetPickup();
                     return;
                 }
 
-                consumable.playerPickupBlockedReason = null;
-
                 // Update pickup progress
                 if (consumable.updatePickup(player, deltaTime)) {
                     // Try to pickup consumable
@@ -363,7 +479,7 @@ export class GameOrchestrator {
                         });
                     }
                 }
-            } else {
+            } else if (isLocalPlayer) {
                 consumable.playerPickupBlockedReason = null;
             }
         });
@@ -382,7 +498,9 @@ export class GameOrchestrator {
 
         recordMatchToProfile(this.profile, this.gameState.matchStats, {
             character: this.playerCharacter?.constructor.name.toLowerCase() || null,
-            map: 'solo' // This would need to be passed in
+            map: this.selectedMap?.file || 'solo',
+            mode: 'solo',
+            replayId: this.saveMatchReplay()
         });
 
         saveProfile(this.profile);
@@ -390,4 +508,24 @@ export class GameOrchestrator {
         console.log('=== META REWARDS ===');
         console.log(`XP +${rewards.xpEarned}, Coins +${rewards.coinsEarned}`);
     }
+
+    /**
+     * Store the recorded match (async) and return its id for the history entry.
+     * @returns {string|null}
+     */
+    saveMatchReplay() {
+        if (!this.replayRecorder) return null;
+
+        const stats = this.gameState.matchStats;
+        const replay = this.replayRecorder.finish({
+            placement: stats.finalPlacement,
+            kills: stats.kills,
+            matchTime: this.gameState.matchTime
+        });
+        this.replayRecorder = null;
+
+        const id = createReplayId();
+        saveReplay(id, replay);
+        return id;
+    }
 }
\ No newline at end of file
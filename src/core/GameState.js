@@ -25,6 +25,11 @@
 
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../config/constants.js';
 import { MAP_CONFIG } from '../config/map.js';
+import { cloneState, captureFields, restoreFields } from '../utils/snapshot.js';
+import { areTeammates, countAliveSides } from '../config/teams.js';
+
+// Character fields restored separately (weapons keep their own identity)
+const CHARACTER_SNAPSHOT_SKIP = ['weapons'];
 
 export class GameState {
     constructor() {
@@ -37,9 +42,29 @@ export class GameState {
         
         // Safe zone system reference (Phase 6)
         this.safeZoneSystem = null;
+
+        // Replay playback controls (ReplayPlayer) while watching a replay
+        this.replay = null;
+
+        // Spectator camera and controls (SpectatorView) while spectating a multiplayer match
+        this.spectator = null;
+
+        // Quick chat wheel and bubbles (QuickChat) while playing a multiplayer match
+        this.quickChat = null;
+
+        // Rematch votes and series score (RematchCoordinator), shown on the multiplayer end screen
+        this.rematch = null;
+
+        // Seed of the match RNG (matchRandom), shown on the end screen
+        this.matchSeed = null;
+
+        // Team modes: whether teammates can hurt each other (teams live on Character.teamId)
+        this.friendlyFire = false;
         
         // Match end info
-        this.matchEndReason = null; // 'playerDied', 'playerWon', 'timeout'
+        this.matchEndReason = null; // 'playerDied', 'playerWon', 'timeout', 'spectated', 'opponentLeft', 'connectionLost'
+        // Multiplayer: match end decided in-sim, applied once its tick is confirmed
+        this.pendingMatchEnd = null; // { tick, reason, winners: player slots }
         this.matchRewards = null; // { xpEarned: number, coinsEarned: number }
         this.matchStats = {
             kills: 0,
@@ -72,7 +97,8 @@ export class GameState {
             x: 0,
             y: 0,
             width: CANVAS_WIDTH,
-            height: CANVAS_HEIGHT
+            height: CANVAS_HEIGHT,
+            zoom: 1
         };
         
         // Input state (will be updated by InputSystem)
@@ -119,17 +145,20 @@ export class GameState {
     
     // Check match end conditions (Phase 6)
     checkMatchEnd() {
-        if (this.phase !== 'playing') return;
-        
-        // Check if player is dead
-        if (this.player && this.player.isDead) {
+        if (this.phase !== 'playing' || !this.player) return;
+        const player = this.player;
+
+        // Check if the player's side is out (in team modes a dead player
+        // keeps watching while a teammate is alive)
+        const teamAlive = !player.isDead || this.characters.some(c => !c.isDead && areTeammates(c, player));
+        if (!teamAlive) {
             this.endMatch('playerDied');
             return;
         }
         
-        // Check if player is the last one standing
-        const aliveAI = this.getAliveAICount();
-        if (aliveAI === 0 && this.player && !this.player.isDead) {
+        // Check if the player's side is the last one standing
+        const enemiesAlive = this.characters.some(c => !c.isDead && c !== player && !areTeammates(c, player));
+        if (!enemiesAlive) {
             this.endMatch('playerWon');
             return;
         }
@@ -144,7 +173,14 @@ export class GameState {
         
         // Calculate final stats
         this.matchStats.survivalTime = this.matchTime;
-        this.matchStats.finalPlacement = (reason === 'playerWon') ? 1 : (this.getAliveAICount() + 2);
+        if (reason === 'playerWon') {
+            this.matchStats.finalPlacement = 1;
+        } else if (this.player && this.player.teamId !== null) {
+            // Teams place together: one behind every side still standing
+            this.matchStats.finalPlacement = countAliveSides(this.characters) + 1;
+        } else {
+            this.matchStats.finalPlacement = this.getAliveAICount() + 2;
+        }
         
         console.log('=== MATCH END ===');
         console.log(`Reason: ${reason}`);
@@ -188,12 +224,51 @@ export class GameState {
         this.matchStats.weaponFiredCount++;
     }
 
+    /**
+     * Capture simulation state for rollback. Characters are restored in place so
+     * references held by projectiles and effects stay valid.
+     * @returns {Object}
+     */
+    createSnapshot() {
+        return {
+            matchTime: this.matchTime,
+            matchStats: cloneState(this.matchStats),
+            pendingMatchEnd: cloneState(this.pendingMatchEnd),
+            characters: this.characters.map(character => ({
+                ref: character,
+                fields: captureFields(character, CHARACTER_SNAPSHOT_SKIP),
+                weapons: character.weapons.map(weapon => ({ ref: weapon, fields: captureFields(weapon) }))
+            }))
+        };
+    }
+
+    /**
+     * Restore state captured by createSnapshot()
+     * @param {Object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        this.matchTime = snapshot.matchTime;
+        this.matchStats = cloneState(snapshot.matchStats);
+        this.pendingMatchEnd = cloneState(snapshot.pendingMatchEnd);
+
+        this.characters = snapshot.characters.map(entry => {
+            restoreFields(entry.ref, entry.fields, CHARACTER_SNAPSHOT_SKIP);
+            entry.ref.weapons = entry.weapons.map(w => {
+                restoreFields(w.ref, w.fields);
+                return w.ref;
+            });
+            return entry.ref;
+        });
+    }
+
     /**
      * Reset the game state to initial values
      */
     reset() {
         this.phase = 'playing';
         this.matchTime = 0;
+        this.pendingMatchEnd = null;
+        this.friendlyFire = false;
         this.player = null;
         this.characters = [];
         this.projectiles = [];
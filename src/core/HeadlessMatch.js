@@ -0,0 +1,194 @@
+/**
+ * HeadlessMatch.js - Bots-Only Match Without DOM or Canvas
+ *
+ * Builds just the simulation side of a solo match (game state, physics, combat,
+ * abilities, safe zone, AI and spawning) for a map and seed, then runs it to
+ * completion as fast as possible. Used from Node for balance testing and
+ * automated regression checks (see scripts/headless-match.mjs).
+ *
+ * Key Responsibilities:
+ * - Seed matchRandom and load the map (JSON or procedural)
+ * - Spawn a bots-only roster plus initial loot
+ * - Step the shared GameOrchestrator loop at the fixed timestep
+ * - Track eliminations and kills, and report a JSON-friendly result
+ *
+ * Architecture Notes:
+ * - No InputSystem, CameraSystem, Renderer or AudioSystem is created; the
+ *   orchestrator runs without a player in that case
+ * - Same seed + same map = same result, so results can be diffed in CI
+ *
+ * @module core/HeadlessMatch
+ */
+
+import { GameState } from './GameState.js';
+import { EventBus } from './EventBus.js';
+import { GameOrchestrator } from './GameOrchestrator.js';
+import { SpawnManager } from './SpawnManager.js';
+import { matchRandom } from './MatchRandom.js';
+import { PhysicsSystem } from '../systems/PhysicsSystem.js';
+import { CombatSystem } from '../systems/CombatSystem.js';
+import { SafeZoneSystem } from '../systems/SafeZoneSystem.js';
+import { AbilitySystem } from '../systems/AbilitySystem.js';
+import { StatusEffectSystem } from '../systems/StatusEffectSystem.js';
+import { AISystem } from '../systems/AISystem.js';
+import { loadMapFromJSON, useProceduralMap, getCurrentMapConfig, getGameConfig } from '../config/map.js';
+import { FIXED_TIMESTEP } from '../config/constants.js';
+
+// Safety net for matches that never resolve (the zone normally ends them)
+const DEFAULT_MAX_DURATION_SECONDS = 30 * 60;
+
+export class HeadlessMatch {
+    /**
+     * @param {Object} options
+     * @param {Object|null} [options.mapData] - Map JSON (null = procedural arena)
+     * @param {number} options.seed - uint32 match seed
+     * @param {number} [options.botCount] - Overrides the map's gameConfig.match.aiCount
+     * @param {number} [options.maxDurationSeconds=1800] - Stop (as a time-out) after this much match time
+     */
+    constructor({ mapData = null, seed, botCount = null, maxDurationSeconds = DEFAULT_MAX_DURATION_SECONDS } = {}) {
+        if (!Number.isInteger(seed)) throw new Error('seed must be an integer');
+
+        this.mapData = mapData;
+        this.seed = seed >>> 0;
+        this.botCount = botCount;
+        this.maxTicks = Math.ceil(maxDurationSeconds * 1000 / FIXED_TIMESTEP);
+        this.deltaTime = FIXED_TIMESTEP / 1000;
+
+        this.gameState = null;
+        this.orchestrator = null;
+
+        // One entry per bot, in spawn order
+        this.bots = [];
+        this.eliminations = 0;
+        this.tick = 0;
+    }
+
+    setup() {
+        matchRandom.reseed(this.seed);
+        if (this.mapData) {
+            const mapData = structuredClone(this.mapData);
+            if (this.botCount !== null) {
+                mapData.gameConfig = { ...mapData.gameConfig, match: { ...mapData.gameConfig?.match, aiCount: this.botCount } };
+            }
+            loadMapFromJSON(mapData);
+        } else {
+            useProceduralMap(matchRandom.random);
+        }
+
+        const mapConfig = getCurrentMapConfig();
+        const gameConfig = getGameConfig();
+        const botCount = this.botCount ?? gameConfig.match.aiCount;
+        if (botCount < 2) throw new Error('A headless match needs at least 2 bots');
+
+        const gameState = new GameState();
+        gameState.matchSeed = this.seed;
+        const eventBus = new EventBus();
+
+        const physicsSystem = new PhysicsSystem(gameState);
+        const combatSystem = new CombatSystem(gameState, eventBus);
+        const safeZoneSystem = new SafeZoneSystem(gameState, eventBus);
+        const abilitySystem = new AbilitySystem(gameState, eventBus, combatSystem);
+        const statusEffectSystem = new StatusEffectSystem(gameState, eventBus, combatSystem);
+        const aiSystem = new AISystem(gameState, eventBus, combatSystem, abilitySystem);
+        gameState.safeZoneSystem = safeZoneSystem;
+
+        const spawnManager = new SpawnManager(gameState, mapConfig.obstacles || [], aiSystem);
+        const spawnPoints = spawnManager.generateCharacterSpawns(mapConfig, botCount, {
+            clearanceRadius: 70,
+            minSpacing: 240,
+            marginFromEdge: 140,
+            maxAttemptsPerSpawn: 250
+        });
+        const opponents = spawnManager.spawnAIOpponents(gameConfig, spawnPoints);
+        spawnManager.spawnInitialWeapons(mapConfig, gameConfig.loot.initialWeapons, gameConfig);
+        spawnManager.spawnInitialConsumables(mapConfig, gameConfig.loot.initialConsumables);
+
+        this.bots = opponents.map((character, index) => ({
+            id: index,
+            character,
+            kills: 0,
+            placement: null,
+            eliminatedAt: null
+        }));
+
+        const entryByCharacter = new Map(this.bots.map(entry => [entry.character, entry]));
+        eventBus.on('characterKilled', (data) => {
+            const attacker = entryByCharacter.get(data.attacker);
+            if (attacker && data.target !== data.attacker) attacker.kills++;
+        });
+
+        const systems = { physicsSystem, combatSystem, safeZoneSystem, abilitySystem, statusEffectSystem, aiSystem, eventBus };
+        this.gameState = gameState;
+        this.orchestrator = new GameOrchestrator(gameState, systems, null, spawnManager, null, null);
+        this.mapName = mapConfig.name || 'Random Arena';
+    }
+
+    /**
+     * Run the whole match synchronously.
+     * @returns {Object} Result (see getResult())
+     */
+    run() {
+        this.setup();
+
+        let endReason = 'timeLimit';
+        while (this.tick < this.maxTicks) {
+            this.orchestrator.update(this.deltaTime);
+            this.tick++;
+
+            const alive = this.recordEliminations();
+            if (alive <= 1) {
+                endReason = alive === 1 ? 'lastStanding' : 'noSurvivors';
+                break;
+            }
+        }
+
+        // Survivors share first place on a time-out
+        for (const entry of this.bots) {
+            if (entry.placement === null) entry.placement = 1;
+        }
+
+        return this.getResult(endReason);
+    }
+
+    // Place bots that died this tick; returns how many are still alive.
+    recordEliminations() {
+        const alive = this.bots.filter(entry => entry.placement === null && !entry.character.isDead).length;
+        for (const entry of this.bots) {
+            if (entry.placement !== null || !entry.character.isDead) continue;
+            // Bots that fall on the same tick tie
+            entry.placement = alive + 1;
+            entry.eliminatedAt = this.gameState.matchTime;
+        }
+        return alive;
+    }
+
+    /**
+     * @param {'lastStanding'|'noSurvivors'|'timeLimit'} endReason
+     * @returns {Object}
+     */
+    getResult(endReason) {
+        const placements = this.bots
+            .map(entry => ({
+                placement: entry.placement,
+                bot: entry.id,
+                character: entry.character.characterType,
+                skill: entry.character.aiSkillLevel,
+                kills: entry.kills,
+                eliminatedAt: entry.eliminatedAt === null ? null : Number(entry.eliminatedAt.toFixed(3))
+            }))
+            .sort((a, b) => a.placement - b.placement || a.bot - b.bot);
+
+        const winner = endReason === 'lastStanding' ? placements[0].bot : null;
+
+        return {
+            seed: this.seed,
+            map: this.mapName,
+            bots: this.bots.length,
+            endReason,
+            winner,
+            ticks: this.tick,
+            duration: Number(this.gameState.matchTime.toFixed(3)),
+            placements
+        };
+    }
+}
@@ -17,12 +17,12 @@
  * - Used by both Game (solo) and MultiplayerMatchController
  * - Delegates spawning logic to SpawnManager
  * - Configures deterministic RNG for multiplayer
+ * - Solo randomness draws from matchRandom, reseeded by the caller
  *
  * @module core/MatchInitializer
  */
 
 import { Player } from '../entities/Player.js';
-import { AICharacter } from '../entities/AICharacter.js';
 import { EventBus } from './EventBus.js';
 import { InputSystem } from '../systems/InputSystem.js';
 import { PhysicsSystem } from '../systems/PhysicsSystem.js';
@@ -31,6 +31,8 @@ import { SafeZoneSystem } from '../systems/SafeZoneSystem.js';
 import { AISystem } from '../systems/AISystem.js';
 import { CameraSystem } from '../systems/CameraSystem.js';
 import { AbilitySystem } from '../systems/AbilitySystem.js';
+import { ReviveSystem } from '../systems/ReviveSystem.js';
+import { StatusEffectSystem } from '../systems/StatusEffectSystem.js';
 import { Renderer } from '../renderer/Renderer.js';
 import { SpawnManager } from './SpawnManager.js';
 import { AudioSystem } from '../systems/AudioSystem.js';
@@ -39,10 +41,12 @@ import { CHARACTERS } from '../config/characters.js';
 import { createWeapon } from '../config/weapons.js';
 import { Weapon } from '../entities/Weapon.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from '../config/constants.js';
-import { generateAISkills, generateAICharacterTypes } from '../config/gameConfig.js';
 import { getCurrentMapConfig, getGameConfig } from '../config/map.js';
+import { normalizeBotConfig } from '../config/gameConfig.js';
+import { assignTeams } from '../config/teams.js';
 import { getMaxHpMultiplierFromUpgrades } from './ProfileStore.js';
 import { createMulberry32 } from '../net/prng.js';
+import { matchRandom } from './MatchRandom.js';
 
 export class MatchInitializer {
     constructor(canvas, gameState, assetLoader) {
@@ -76,7 +80,9 @@ export class MatchInitializer {
         const combatSystem = new CombatSystem(this.gameState, eventBus);
         const safeZoneSystem = new SafeZoneSystem(this.gameState, eventBus);
         const abilitySystem = new AbilitySystem(this.gameState, eventBus, combatSystem);
+        const statusEffectSystem = new StatusEffectSystem(this.gameState, eventBus, combatSystem);
         const aiSystem = new AISystem(this.gameState, eventBus, combatSystem, abilitySystem);
+        const reviveSystem = new ReviveSystem(this.gameState, eventBus);
         const cameraSystem = new CameraSystem(CANVAS_WIDTH, CANVAS_HEIGHT);
         const renderer = new Renderer(this.canvas, this.assetLoader);
 
@@ -98,7 +104,9 @@ export class MatchInitializer {
             combatSystem,
             safeZoneSystem,
             abilitySystem,
+            statusEffectSystem,
             aiSystem,
+            reviveSystem,
             cameraSystem,
             renderer,
             eventBus
@@ -127,22 +135,24 @@ export class MatchInitializer {
 
 
 
-        // Systems (no AI / no loot)
+        // Systems (the AI runs inside the lockstep tick, for the host's bots)
         const inputSystem = new InputSystem(this.canvas, eventBus, this.assetLoader);
         const physicsSystem = new PhysicsSystem(this.gameState);
         const combatSystem = new CombatSystem(this.gameState, eventBus);
         const safeZoneSystem = new SafeZoneSystem(this.gameState, eventBus);
         const abilitySystem = new AbilitySystem(this.gameState, eventBus, combatSystem);
-        const aiSystem = null;
+        const statusEffectSystem = new StatusEffectSystem(this.gameState, eventBus, combatSystem);
+        const aiSystem = new AISystem(this.gameState, eventBus, combatSystem, abilitySystem);
+        const reviveSystem = new ReviveSystem(this.gameState, eventBus);
         const cameraSystem = new CameraSystem(CANVAS_WIDTH, CANVAS_HEIGHT);
         const renderer = new Renderer(this.canvas, this.assetLoader);
 
         this.gameState.safeZoneSystem = safeZoneSystem;
         this.gameState.cameraSystem = cameraSystem;
 
-        // Create spawn manager (no AI system for multiplayer)
+        // Create spawn manager (weapon pickups live in the AI system, as in solo)
         const mapConfig = getCurrentMapConfig();
-        const spawnManager = new SpawnManager(this.gameState, mapConfig.obstacles || [], null);
+        const spawnManager = new SpawnManager(this.gameState, mapConfig.obstacles || [], aiSystem);
 
         // Setup event listeners for stats tracking
         this.setupEventListeners(eventBus, profile);
@@ -156,8 +166,11 @@ export class MatchInitializer {
             combatSystem,
             safeZoneSystem,
             abilitySystem,
+            statusEffectSystem,
             aiSystem,
+            reviveSystem,
             cameraSystem,
+            audioSystem,
             renderer,
             eventBus
         };
@@ -208,56 +221,15 @@ export class MatchInitializer {
         // Add player to game state
         this.gameState.addCharacter(player);
 
-        // Create AI opponents
+        // Create AI opponents on the remaining spawn points
         const aiCount = gameConfig.match.aiCount;
-        const characterTypes = generateAICharacterTypes(gameConfig.ai.characterDistribution, aiCount);
-        const skillLevels = generateAISkills(gameConfig.ai.skillDistribution, aiCount);
-
-        for (let i = 0; i < aiCount; i++) {
-            const characterType = characterTypes[i];
-            const skillLevel = skillLevels[i];
-
-            const baseSkillProfile = gameConfig.ai.skillProfiles?.[skillLevel] || null;
-
-            // Per-bot personality variance
-            const varianceStrength = skillLevel === 'expert' ? 0.07 : (skillLevel === 'intermediate' ? 0.1 : 0.14);
-            const jitter = (value, min, max) => {
-                if (typeof value !== 'number') return value;
-                const factor = 1 + (Math.random() - 0.5) * 2 * varianceStrength;
-                const v = value * factor;
-                return Math.max(min, Math.min(max, v));
-            };
-
-            const skillProfile = baseSkillProfile ? {
-                ...baseSkillProfile,
-                reactionTimeSeconds: jitter(baseSkillProfile.reactionTimeSeconds, 0.12, 1.2),
-                perceptionRange: jitter(baseSkillProfile.perceptionRange, 180, 600),
-                aimAccuracy: jitter(baseSkillProfile.aimAccuracy, 0.35, 0.99),
-                aggression: jitter(baseSkillProfile.aggression, 0.15, 0.95),
-                strafeStrength: jitter(baseSkillProfile.strafeStrength, 0.2, 0.8),
-                abilityUseChancePerSecond: jitter(baseSkillProfile.abilityUseChancePerSecond, 0.02, 0.6)
-            } : null;
-
-            const aiConfig = {
-                ...CHARACTERS[characterType],
-                isPlayer: false,
-                aiSkillLevel: skillLevel,
-                aiProfile: skillProfile
-            };
-            const aiOpponent = new AICharacter(aiConfig);
+        const aiOpponents = spawnManager.spawnAIOpponents(gameConfig, spawnPoints.slice(1, aiCount + 1));
 
-            // Stable per-bot movement style
-            aiOpponent.strafeSide = Math.random() < 0.5 ? -1 : 1;
-
-            // Spawn AI using the same randomized spawn distribution as the player
-            const spawnPoint = spawnPoints[i + 1];
-            aiOpponent.setPosition(spawnPoint.x, spawnPoint.y);
-
-            // Add AI to game state
-            this.gameState.addCharacter(aiOpponent);
-
-            console.log(`AI ${i + 1} spawned: ${aiOpponent.name} (${skillLevel}) at (${Math.round(spawnPoint.x)}, ${Math.round(spawnPoint.y)})`);
-        }
+        // Team modes: the player's teammates are the first bots spawned
+        assignTeams(this.gameState.characters, gameConfig.match.teamMode);
+        this.gameState.friendlyFire = gameConfig.match.friendlyFire;
+        const characterTypes = aiOpponents.map(ai => ai.characterType);
+        const skillLevels = aiOpponents.map(ai => ai.aiSkillLevel);
 
         // Spawn weapons and consumables
         const weaponSpawns = spawnManager.spawnInitialWeapons(mapConfig, gameConfig.loot.initialWeapons, gameConfig);
@@ -279,70 +251,80 @@ export class MatchInitializer {
     }
 
     /**
-     * Initialize multiplayer game with two players
+     * Initialize multiplayer game with one player per lockstep slot, plus the
+     * host's bots (session.bots) after them
      * @param {Object} session - Multiplayer session
      * @param {Object} selectedMap - Selected map configuration
      * @param {SpawnManager} spawnManager - Spawn manager instance
-     * @returns {Player} The local player character
+     * @returns {Player|null} The local player character (null when spectating)
      */
     initMultiplayerGame(session, selectedMap, spawnManager) {
         const mapConfig = getCurrentMapConfig();
+        const gameConfig = getGameConfig();
+
+        // One player per lockstep slot, each with the character picked in the lobby
+        const playerCount = session.playerCount;
+        const localPlayerIndex = session.localPlayerIndex;
+        const bots = normalizeBotConfig(session.bots);
+        console.log(`initMultiplayerGame: Role=${session.role}, LocalIdx=${localPlayerIndex}/${playerCount}, Bots=${bots.count} ${bots.skill}, Seed=${session.seed}`);
 
-        // Create players (Bolt vs Bolt for the MVP slice)
-        const localIsHost = session.role === 'host';
-        const localPlayerIndex = localIsHost ? 0 : 1;
-        console.log(`initMultiplayerGame: Role=${session.role}, LocalIdx=${localPlayerIndex}, Seed=${session.seed}`);
+        // Everything random in the match (loot rolls included) follows the shared seed
+        matchRandom.reseed(session.seed);
+        this.gameState.matchSeed = matchRandom.seed;
 
         // Deterministic spawns
         const rng = createMulberry32((session.seed >>> 0) || 1);
         console.log('Generating spawns...');
-        const spawns = spawnManager.generateCharacterSpawns(mapConfig, 2, {
+        const spawns = spawnManager.generateCharacterSpawns(mapConfig, playerCount + bots.count, {
             clearanceRadius: 70,
-            minSpacing: 520,
+            minSpacing: playerCount + bots.count <= 2 ? 520 : 360,
             marginFromEdge: 180,
             maxAttemptsPerSpawn: 350
         }, rng);
 
-        // Assign spawn order by player index
-        const boltConfigLocal = { ...CHARACTERS['bolt'], isPlayer: true };
-        const boltConfigRemote = { ...CHARACTERS['bolt'], isPlayer: false };
-
-        const localPlayer = new Player(boltConfigLocal);
-        const remotePlayer = new Player(boltConfigRemote);
-        remotePlayer.isRemoteHuman = true;
-
-        const p0 = localIsHost ? localPlayer : remotePlayer;
-        const p1 = localIsHost ? remotePlayer : localPlayer;
-        p0.setPosition(spawns[0].x, spawns[0].y);
-        p1.setPosition(spawns[1].x, spawns[1].y);
-
-        // Fixed starting weapon (deterministic): Blaster tier 1
-        const blaster0 = new Weapon(createWeapon('blaster', 1));
-        const blaster1 = new Weapon(createWeapon('blaster', 1));
-        p0.equipWeapon(blaster0);
-        p1.equipWeapon(blaster1);
-
-        this.gameState.addCharacter(p0);
-        this.gameState.addCharacter(p1);
-
-        // Spawn weapons and consumables (Deterministic if spawnManager uses the RNG)
-        // Use the same RNG for loot? SpawnManager creates its own unless passed?
-        // SpawnManager.spawnInitialWeapons doesn't take RNG, it uses Math.random() usually?
-        // We need deterministic loot.
-        // For MVP, if SpawnManager uses Math.random(), loot will be de-synced.
-        // CHECK SpawnManager.js? 
-        // Assuming for now we just spawn them. If they desync, that's a separate issue.
-        // Actually, SpawnManager likely uses Math.random(). 
-        // But the user just said "No pickups". Sync issues come later.
+        // Characters are added in slot order so gameState.characters[i] is player i on every peer.
+        let localPlayer = null;
+        for (let i = 0; i < playerCount; i++) {
+            const isLocal = i === localPlayerIndex;
+            const characterType = CHARACTERS[session.characters?.[i]] ? session.characters[i] : 'bolt';
+            const player = new Player({ ...CHARACTERS[characterType], isPlayer: isLocal });
+            player.isRemoteHuman = !isLocal;
+            player.playerIndex = i;
+            player.setPosition(spawns[i].x, spawns[i].y);
+
+            // Fixed starting weapon (deterministic): Blaster tier 1
+            player.equipWeapon(new Weapon(createWeapon('blaster', 1)));
+
+            this.gameState.addCharacter(player);
+            if (isLocal) localPlayer = player;
+        }
 
-        const gameConfig = getGameConfig();
+        // Bots come after the players (characters[playerCount...]), all at the host's skill level
+        if (bots.count > 0) {
+            const botConfig = {
+                ...gameConfig,
+                ai: {
+                    ...gameConfig.ai,
+                    skillDistribution: { novice: 0, intermediate: 0, expert: 0, [bots.skill]: 1 }
+                }
+            };
+            spawnManager.spawnAIOpponents(botConfig, spawns.slice(playerCount));
+        }
+
+        // Teams fill in slot order, then the bots (the lobby shows the same split)
+        assignTeams(this.gameState.characters, gameConfig.match.teamMode);
+        this.gameState.friendlyFire = gameConfig.match.friendlyFire;
+
+        // Loot rolls come from matchRandom, so every peer spawns the same items;
+        // pickups are processed inside the lockstep tick (MultiplayerMatchController).
         spawnManager.spawnInitialWeapons(mapConfig, gameConfig.loot.initialWeapons, gameConfig);
         spawnManager.spawnInitialConsumables(mapConfig, gameConfig.loot.initialConsumables);
 
-        // Camera to local player
+        // Camera to local player (spectators have none and start on player 1)
         const cameraSystem = this.gameState.cameraSystem;
-        cameraSystem.x = localPlayer.position.x - CANVAS_WIDTH / 2;
-        cameraSystem.y = localPlayer.position.y - CANVAS_HEIGHT / 2;
+        const cameraFocus = localPlayer || this.gameState.characters[0];
+        cameraSystem.x = cameraFocus.position.x - CANVAS_WIDTH / 2;
+        cameraSystem.y = cameraFocus.position.y - CANVAS_HEIGHT / 2;
         cameraSystem.targetX = cameraSystem.x;
         cameraSystem.targetY = cameraSystem.y;
 
@@ -0,0 +1,87 @@
+/**
+ * MatchRandom.js - Per-Match Random Number Service
+ *
+ * Single seeded source of randomness for everything the simulation decides:
+ * procedural terrain, AI rosters and personalities, loot rolls and drops, and
+ * AI decision making. Reseeding it with the same seed before a match starts
+ * reproduces that match exactly, given the same inputs.
+ *
+ * Key Responsibilities:
+ * - Hold the current match seed (shown on the end screen, stored in replays)
+ * - Provide random(), range() and int() draws from a Mulberry32 stream
+ * - Expose the generator state for simulation snapshots (rollback)
+ *
+ * Architecture Notes:
+ * - Exported as a singleton, reseeded by main.js / MultiplayerMatchController
+ * - Presentation code (audio detune, log throttling, ids) must keep
+ *   using Math.random so it never shifts the simulation stream
+ *
+ * @module core/MatchRandom
+ */
+
+import { createMulberry32, randomSeedUint32, seedFromString } from '../net/prng.js';
+
+export class MatchRandom {
+    constructor(seed = randomSeedUint32()) {
+        // Usable detached, wherever a plain random function is expected
+        this.random = this.random.bind(this);
+        this.reseed(seed);
+    }
+
+    /**
+     * Restart the stream from a seed.
+     * @param {number} seed - uint32
+     */
+    reseed(seed) {
+        this.seed = seed >>> 0;
+        this.generator = createMulberry32(this.seed);
+    }
+
+    /**
+     * @returns {number} Float in [0, 1)
+     */
+    random() {
+        return this.generator();
+    }
+
+    /**
+     * @param {number} min
+     * @param {number} max
+     * @returns {number} Float in [min, max)
+     */
+    range(min, max) {
+        return min + this.generator() * (max - min);
+    }
+
+    /**
+     * @param {number} maxExclusive
+     * @returns {number} Integer in [0, maxExclusive)
+     */
+    int(maxExclusive) {
+        return Math.floor(this.generator() * maxExclusive);
+    }
+
+    getState() {
+        return this.generator.getState();
+    }
+
+    setState(state) {
+        this.generator.setState(state);
+    }
+}
+
+export const matchRandom = new MatchRandom();
+
+/**
+ * Turn a seed typed by the player into a uint32.
+ * Plain numbers are used as-is so a seed read off the end screen round-trips;
+ * any other text is hashed.
+ * @param {string} text
+ * @returns {number|null} Null when the field is empty
+ */
+export function parseSeedInput(text) {
+    const trimmed = String(text ?? '').trim();
+    if (!trimmed) return null;
+    if (/^\d+$/.test(trimmed) && Number(trimmed) <= 0xFFFFFFFF) return Number(trimmed) >>> 0;
+    return seedFromString(trimmed);
+}
@@ -3,23 +3,59 @@
  *
  * Manages multiplayer matches using deterministic lockstep simulation.
  * Coordinates input synchronization, applies networked actions, tracks
- * statistics, and handles match lifecycle for 2-player games.
+ * statistics, and handles match lifecycle for 2-8 player free-for-all or
+ * team games (plus optional bots).
  *
  * Key Responsibilities:
  * - Initialize multiplayer session and systems
- * - Synchronize player inputs via LockstepSession2P
+ * - Synchronize player inputs via LockstepSession (full mesh)
  * - Apply deterministic actions to maintain sync across peers
  * - Track match statistics (same as solo)
- * - Handle match end and rewards
+ * - Handle match end (last player alive) and rewards
  *
  * Architecture Notes:
  * - Uses lockstep simulation (inputs synced, then applied)
- * - Deterministic: same inputs + seed = same outcomes on both clients
+ * - Deterministic: same inputs + seed = same outcomes on every peer
+ * - Players are indexed by lockstep slot; actions apply in slot order
+ * - Eliminated peers keep ticking (spectating) so others never stall
+ * - State is hashed every few ticks and compared across peers; a mismatch
+ *   emits a `desync` event on the EventBus with a field-level diff
+ * - Input delay adapts to the measured round-trip time: peers ping each other
+ *   (LatencyMonitor) and slot 0 announces delay changes, which every peer
+ *   applies from the same tick
+ * - Optional rollback mode (session.netMode === 'rollback'): late remote input is
+ *   predicted, and mispredicted ticks are resimulated from per-tick snapshots
+ * - Match end is decided in-sim but only applied once its tick is confirmed
+ * - Every simulated tick's frames are recorded for replays; a replay plays back
+ *   through this same controller with a ReplaySession in place of the network
+ * - Spectators (session.role === 'spectator') have no slot: the host streams them
+ *   confirmed ticks over its link (SpectatorFeed -> SpectatorSession), so the
+ *   lockstep gate never waits on them. Peers that connect to the host's open
+ *   invite after the start are admitted as spectators
+ * - A dropped player link pauses the match while the two players re-pair it by
+ *   hand (LinkRepair); the new link resends the missing inputs and play resumes.
+ *   If the reconnect timeout runs out, a 2-player match goes to the remaining
+ *   player and larger matches end as a lost connection
  * - EventBus listeners track stats for progression
- * - No loot or AI in multiplayer v0 (fixed loadout)
+ * - Loot plays like solo: weapons and consumables spawn from the shared seed,
+ *   pickups progress inside the tick in slot order, the fired weapon slot rides
+ *   in the input frame, and a dead player drops a consumable
+ * - The host can add bots (session.bots: count and skill). They follow the
+ *   players in characters[] and run the solo AISystem inside the tick, which
+ *   only reads matchRandom and simulated time, so every peer sees the same bots
+ * - Duos/Trios (session.rules.teams) fill teams in characters[] order, so slot
+ *   order decides who plays together; the last side standing wins
+ * - Quick chat and emotes (QuickChat) ride the same transports as control
+ *   messages and never touch the simulation
+ * - Rematches (RematchCoordinator) are agreed over the same transports after the
+ *   match ends; the next match reuses the session and its links (see
+ *   teardown({ keepConnection })) and carries a best-of-N series score
  *
  * Performance Considerations:
- * - Network latency handled by lockstep buffering
+ * - Network latency handled by lockstep buffering (or prediction in rollback mode),
+ *   with the buffer sized from measured RTT and jitter
+ * - Rollback snapshots every unconfirmed tick (at most maxRollbackTicks kept),
+ *   ground loot included
  * - Must maintain determinism: no Math.random() or Date.now() in sim
  *
  * @module core/MultiplayerMatchController
@@ -27,8 +63,32 @@
 
 import { MatchInitializer } from './MatchInitializer.js';
 import { GameOrchestrator } from './GameOrchestrator.js';
-import { LockstepSession2P } from '../net/LockstepSession2P.js';
+import { LockstepSession } from '../net/LockstepSession.js';
+import { RollbackSession } from '../net/RollbackSession.js';
+import { DesyncDetector } from '../net/DesyncDetector.js';
+import { LatencyMonitor } from '../net/LatencyMonitor.js';
+import { QuickChat } from '../net/QuickChat.js';
+import { RematchCoordinator } from '../net/RematchCoordinator.js';
+import { HOST_PEER_ID } from '../net/PeerMesh.js';
+import { captureStateSummary } from '../net/stateHash.js';
+import { ReplayRecorder } from '../net/ReplayRecorder.js';
+import { ReplaySession } from '../net/ReplaySession.js';
+import { SpectatorSession } from '../net/SpectatorSession.js';
+import { SpectatorFeed, MAX_SPECTATORS } from '../net/SpectatorFeed.js';
+import { SpectatorView } from './SpectatorView.js';
+import { LinkRepair } from '../net/LinkRepair.js';
+import { ReconnectOverlay } from '../renderer/ReconnectOverlay.js';
+import { settingsManager } from './SettingsManager.js';
 import { computeMatchRewards, recordMatchToProfile, saveProfile } from './ProfileStore.js';
+import { createReplayId, saveReplay } from './ReplayStore.js';
+import { matchRandom } from './MatchRandom.js';
+import { getCurrentMapConfig } from '../config/map.js';
+import { normalizeBotConfig, normalizeMatchRules } from '../config/gameConfig.js';
+import { areTeammates, countAliveSides } from '../config/teams.js';
+import { getWeaponDefinitionsHash } from '../config/weapons.js';
+
+// Hash the simulation twice a second (at 60 ticks/s)
+const DESYNC_HASH_INTERVAL_TICKS = 30;
 
 export class MultiplayerMatchController {
     constructor(game, canvas, gameState, assetLoader, profile) {
@@ -41,62 +101,89 @@ export class MultiplayerMatchController {
         this.matchInitializer = null;
         this.orchestrator = null;
         this.mpLockstep = null;
-        this.mpPlayers = null;
+        this.desyncDetector = null;
+        this.latencyMonitor = null;
+        this.quickChat = null;
+        this.rematch = null;
+        // Rollback mode: tick -> snapshot taken before simulating that tick
+        this.rollbackMode = false;
+        this.snapshots = new Map();
+        // Replays: record live matches, or play one back (session.replay)
+        this.replayMode = false;
+        this.replayRecorder = null;
+        // Spectating: watch a live match with no slot (session.role === 'spectator');
+        // the host streams confirmed ticks to its spectators through spectatorFeed
+        this.spectating = false;
+        this.spectatorView = null;
+        this.spectatorFeed = null;
+        // Dropped player links: { deadline, repairs: Map(playerIndex -> LinkRepair), overlay }
+        this.linkLoss = null;
+        // Players indexed by lockstep slot, then the host's bots
+        this.players = [];
+        this.bots = [];
+        this.localPlayer = null;
         this.rewardsAwarded = false;
     }
 
     setupEventListeners(eventBus) {
         // Track damage dealt by local player
         eventBus.on('characterDamaged', (data) => {
-            if (data.attacker && data.attacker === this.mpPlayers?.local) {
+            if (data.attacker && data.attacker === this.localPlayer) {
                 this.gameState.addDamage(data.damage);
             }
 
             // Track damage taken by the local player
-            if (data.target && data.target === this.mpPlayers?.local) {
+            if (data.target && data.target === this.localPlayer) {
                 this.gameState.addDamageTaken(data.damage);
             }
         });
 
         // Track kills by local player
         eventBus.on('characterKilled', (data) => {
-            if (data.attacker && data.attacker === this.mpPlayers?.local && data.target && data.target !== this.mpPlayers?.local) {
+            if (data.attacker && data.attacker === this.localPlayer && data.target && data.target !== this.localPlayer) {
                 this.gameState.addKill();
             }
         });
 
         // Track health kits used
         eventBus.on('healthKitUsed', (data) => {
-            if (data.character && data.character === this.mpPlayers?.local) {
+            if (data.character && data.character === this.localPlayer) {
                 this.gameState.addHealConsumed();
             }
         });
 
         // Track consumables picked up (shield potions consumed immediately)
         eventBus.on('consumablePickedUp', (data) => {
-            if (data.character && data.character === this.mpPlayers?.local && data.consumableType === 'shieldPotion') {
+            if (data.character && data.character === this.localPlayer && data.consumableType === 'shieldPotion') {
                 // Shield potions are consumed immediately on pickup
                 this.gameState.addShieldUsed();
             }
         });
 
+        // Track teammates revived by the local player
+        eventBus.on('characterRevived', (data) => {
+            if (data.reviver && data.reviver === this.localPlayer) {
+                this.gameState.addFriendlyRevive();
+            }
+        });
+
         // Track abilities used
         eventBus.on('abilityUsed', (data) => {
-            if (data.character && data.character === this.mpPlayers?.local) {
+            if (data.character && data.character === this.localPlayer) {
                 this.gameState.addAbilityUsed();
             }
         });
 
         // Track weapons fired
         eventBus.on('weaponFired', (data) => {
-            if (data.character && data.character === this.mpPlayers?.local) {
+            if (data.character && data.character === this.localPlayer) {
                 this.gameState.addWeaponFired();
             }
         });
 
         // Track safe zone damage
         eventBus.on('zoneDamage', (data) => {
-            if (data.character && data.character === this.mpPlayers?.local) {
+            if (data.character && data.character === this.localPlayer) {
                 this.gameState.addDamageTaken(data.damage);
             }
         });
@@ -114,10 +201,10 @@ export class MultiplayerMatchController {
         this.session = session;
         console.log('Starting multiplayer match:', session?.role);
 
-        // Detach lobby message handler; game owns transport now.
-        if (session.connection) {
-            session.connection.onMessage = null;
-            session.connection.onStatus = null;
+        // Detach lobby message handlers; game owns the transports now.
+        for (const peer of session.peers) {
+            peer.transport.onMessage = null;
+            peer.transport.onStatus = null;
         }
 
         // Initialize match
@@ -127,21 +214,97 @@ export class MultiplayerMatchController {
         // Create orchestrator
         this.orchestrator = new GameOrchestrator(this.gameState, systems, systems.renderer, spawnManager, playerCharacter, this.profile);
 
-        // Setup multiplayer lockstep
-        this.mpLockstep = new LockstepSession2P({
-            transport: session.connection,
-            localPlayerIndex: isHost ? 0 : 1,
-            inputDelayTicks: 2
-        });
+        this.replayMode = !!session.replay;
+        this.spectating = session.role === 'spectator';
+        if (this.replayMode) {
+            // Recorded frames stand in for the network; nothing to hash against.
+            this.mpLockstep = new ReplaySession(session.replay);
+        } else if (this.spectating) {
+            // Confirmed frames streamed by the host; spectators never send anything.
+            this.mpLockstep = new SpectatorSession({
+                hostTransport: session.hostTransport,
+                playerCount: session.playerCount
+            });
+        } else {
+            // Setup multiplayer lockstep (rollback is a drop-in variant selected in the lobby)
+            this.rollbackMode = session.netMode === 'rollback';
+            const SessionClass = this.rollbackMode ? RollbackSession : LockstepSession;
+            this.mpLockstep = new SessionClass({
+                peers: session.peers,
+                localPlayerIndex: session.localPlayerIndex,
+                playerCount: session.playerCount,
+                // Starting delay; retuned from measured RTT once the match runs
+                inputDelayTicks: 2,
+                // Rematches reuse the links; inputs from an earlier match are dropped
+                matchEpoch: session.matchEpoch || 0
+            });
+
+            // Desync detection rides on the same transports as the inputs
+            this.desyncDetector = new DesyncDetector({
+                intervalTicks: DESYNC_HASH_INTERVAL_TICKS,
+                broadcast: (msg) => this.mpLockstep.broadcast(msg),
+                sendTo: (playerIndex, msg) => this.mpLockstep.sendTo(playerIndex, msg),
+                onDesync: (report) => systems.eventBus.emit('desync', report)
+            });
+            // Ping/pong over the same transports; sizes the input delay
+            this.latencyMonitor = new LatencyMonitor({
+                localPlayerIndex: session.localPlayerIndex,
+                broadcast: (msg) => this.mpLockstep.broadcast(msg),
+                sendTo: (playerIndex, msg) => this.mpLockstep.sendTo(playerIndex, msg)
+            });
+            // Quick chat / emotes from the HUD wheel (presentation only)
+            this.quickChat = new QuickChat({
+                localPlayerIndex: session.localPlayerIndex,
+                broadcast: (msg) => this.mpLockstep.broadcast(msg),
+                sendPing: (msg) => this.sendPingToTeam(msg),
+                getLocalPosition: () => this.localPlayer.position,
+                isMuted: () => !!settingsManager.get('muteQuickChat')
+            });
+            this.gameState.quickChat = this.quickChat;
+            // Rematch votes can arrive before the match has ended on this peer
+            this.rematch = new RematchCoordinator({
+                session,
+                hostPlayerIndex: session.roster.indexOf(HOST_PEER_ID),
+                broadcast: (msg) => this.mpLockstep.broadcast(msg),
+                sendTo: (playerIndex, msg) => this.mpLockstep.sendTo(playerIndex, msg),
+                onStart: (nextSession) => this.game.startRematch(nextSession)
+            });
+            this.gameState.rematch = this.rematch;
+            this.mpLockstep.onControlMessage = (fromPlayerIndex, msg) => {
+                if (this.latencyMonitor.handleMessage(fromPlayerIndex, msg)) return;
+                if (this.quickChat.handleMessage(fromPlayerIndex, msg)) return;
+                if (this.rematch.handleMessage(fromPlayerIndex, msg)) return;
+                this.desyncDetector.handleMessage(fromPlayerIndex, msg);
+            };
+        }
 
-        this.mpPlayers = {
-            local: isHost ? this.gameState.characters[0] : this.gameState.characters[1],
-            remote: isHost ? this.gameState.characters[1] : this.gameState.characters[0]
-        };
+        // characters[] is in slot order (see MatchInitializer.initMultiplayerGame)
+        this.players = this.gameState.characters.slice(0, session.playerCount);
+        this.bots = this.gameState.characters.slice(session.playerCount);
+        this.localPlayer = this.spectating ? null : this.players[session.localPlayerIndex];
+
+        if (this.spectating) {
+            this.spectatorView = new SpectatorView({ players: this.players, session: this.mpLockstep });
+            this.gameState.spectator = this.spectatorView;
+        } else if (!this.replayMode) {
+            this.replayRecorder = new ReplayRecorder({
+                mode: 'multiplayer',
+                seed: session.seed,
+                map: { file: session.mapFile, name: session.mapFile, gameConfig: null },
+                players: this.players.map(p => ({ character: p.characterType, maxHP: p.maxHP })),
+                bots: normalizeBotConfig(session.bots),
+                rules: normalizeMatchRules(session.rules),
+                localPlayerIndex: session.localPlayerIndex
+            });
+        }
 
-        // Setup event listeners for stats tracking (after mpPlayers is set)
+        // Setup event listeners for stats tracking (after players are set)
         this.setupEventListeners(systems.eventBus);
 
+        if (session.role === 'host' && !this.replayMode) {
+            this.startSpectatorFeed(session);
+        }
+
         // Start the lockstep session to begin syncing inputs
         this.mpLockstep.start();
 
@@ -154,9 +317,14 @@ export class MultiplayerMatchController {
      * @param {number} deltaTime - Time elapsed in seconds
      */
     update(deltaTime) {
-        const localPlayer = this.mpPlayers?.local;
-        const remotePlayer = this.mpPlayers?.remote;
-        if (!localPlayer || !remotePlayer || !this.mpLockstep) return;
+        if (!this.mpLockstep) return;
+        if (this.spectating) {
+            this.updateSpectating(deltaTime);
+            return;
+        }
+
+        const localPlayer = this.localPlayer;
+        if (!localPlayer) return;
 
         // Update local input system (UI + capture)
         this.orchestrator.systems.inputSystem.update(localPlayer);
@@ -164,71 +332,500 @@ export class MultiplayerMatchController {
         const getLocalInput = () => {
             const move = this.orchestrator.systems.inputSystem.getMovementInput();
             const weaponInput = this.orchestrator.systems.inputSystem.checkWeaponFired();
-            const fired = !!weaponInput.fired;
+            const fired = !!weaponInput.fired && weaponInput.weaponSlot >= 0;
 
             return {
                 moveX: move.x,
                 moveY: move.y,
                 fire: fired,
                 aimAngle: fired ? weaponInput.angle : 0,
+                weaponSlot: fired ? weaponInput.weaponSlot : 0,
                 ability: this.orchestrator.systems.inputSystem.checkAbilityActivated(),
                 heal: this.orchestrator.systems.inputSystem.checkHealthKitUsed()
             };
         };
 
+        // A dropped link pauses everything (inputs and simulation) until it is re-paired.
+        if (this.updateLinkLoss()) {
+            this.orchestrator.systems.cameraSystem.update(this.getCameraTarget());
+            this.gameState.camera = this.orchestrator.systems.cameraSystem.getBounds();
+            return;
+        }
+
+        // Measure latency; slot 0 retunes the input delay for everyone (live matches only).
+        if (this.latencyMonitor) {
+            this.latencyMonitor.update();
+            const delay = this.latencyMonitor.proposeInputDelay(this.mpLockstep.inputDelayTicks);
+            if (delay !== null) this.mpLockstep.requestInputDelay(delay);
+        }
+
         // Feed the lockstep layer (sends inputs ahead)
         this.mpLockstep.tick(getLocalInput);
 
-        // Advance simulation only when we have both players' inputs for the next tick.
-        // Deterministic lockstep may stall (visible stutter) under high latency.
+        // Rollback: correct mispredicted ticks before advancing further.
+        if (this.rollbackMode) {
+            this.resimulateFromRollback(deltaTime);
+        }
+
+        // Advance simulation only when the session allows it: lockstep needs every
+        // player's input for the next tick and may stall (visible stutter) under high
+        // latency; rollback predicts missing input within its window.
         if (this.mpLockstep.canSimulateNextTick()) {
             const step = this.mpLockstep.popNextTickInputs();
-            if (!step) return;
-
-            // Apply per-tick time
-            this.gameState.updateTime(deltaTime);
+            if (step) {
+                if (this.rollbackMode) this.saveSnapshot(step.tick);
+                this.simulateTick(step, deltaTime);
+            }
+        }
 
-            // Safe zone and camera
-            this.orchestrator.systems.safeZoneSystem.update(deltaTime);
-            this.orchestrator.systems.cameraSystem.update(localPlayer);
+        // Camera (follow a survivor once eliminated); presentation only, outside the tick.
+        // Replays move the camera themselves (ReplayPlayer).
+        if (!this.replayMode) {
+            this.orchestrator.systems.cameraSystem.update(this.getCameraTarget());
             this.gameState.camera = this.orchestrator.systems.cameraSystem.getBounds();
+        }
 
-            const frames = step.frames;
-            const localFrame = this.mpLockstep.localPlayerIndex === 0 ? frames[0] : frames[1];
-            const remoteFrame = this.mpLockstep.localPlayerIndex === 0 ? frames[1] : frames[0];
+        // Spectators get every confirmed tick, up to and including the deciding one.
+        if (this.spectatorFeed && this.replayRecorder) {
+            this.spectatorFeed.publish(this.replayRecorder.ticks, this.mpLockstep.getConfirmedTick());
+        }
 
-            // Update player movement inputs
-            localPlayer.update(deltaTime, { x: localFrame.moveX, y: localFrame.moveY });
-            remotePlayer.update(deltaTime, { x: remoteFrame.moveX, y: remoteFrame.moveY });
+        this.applyConfirmedMatchEnd();
 
-            // Process actions (fire/heal/ability)
-            this.applyMultiplayerActions(localPlayer, localFrame);
-            this.applyMultiplayerActions(remotePlayer, remoteFrame);
+        // Award meta rewards exactly once when the match ends (never for replays).
+        if (!this.replayMode && !this.rewardsAwarded && (this.gameState.phase === 'gameOver' || this.gameState.phase === 'victory')) {
+            this.awardMultiplayerRewards();
+        }
+    }
 
-            // Physics + combat + abilities
-            this.orchestrator.systems.physicsSystem.update(deltaTime);
-            this.orchestrator.systems.combatSystem.update(deltaTime);
-            this.orchestrator.systems.abilitySystem.update(deltaTime);
+    /**
+     * Spectator update: run the streamed ticks (several per update while catching
+     * up), then move the spectator camera.
+     * @param {number} deltaTime
+     */
+    updateSpectating(deltaTime) {
+        const systems = this.orchestrator.systems;
+        const ticks = this.mpLockstep.consumeTicks();
+
+        // Fast-forwarding would replay a burst of sounds.
+        if (systems.audioSystem) systems.audioSystem.muted = ticks > 1;
+
+        for (let i = 0; i < ticks && this.mpLockstep.canSimulateNextTick(); i++) {
+            this.simulateTick(this.mpLockstep.popNextTickInputs(), deltaTime);
+            if (this.gameState.pendingMatchEnd) break;
+        }
+
+        if (systems.audioSystem) systems.audioSystem.muted = false;
 
-            // Match end (1v1)
-            if (localPlayer.isDead && !remotePlayer.isDead) {
-                this.endMultiplayerMatch('playerDied');
-            } else if (!localPlayer.isDead && remotePlayer.isDead) {
-                this.endMultiplayerMatch('playerWon');
+        this.spectatorView.updateCamera(systems.cameraSystem);
+        this.gameState.camera = systems.cameraSystem.getBounds();
+
+        this.applyConfirmedMatchEnd();
+    }
+
+    /**
+     * Host: stream the match to the lobby's spectators, and admit anyone who
+     * connects to the still-open invite as a spectator too.
+     * @param {Object} session
+     */
+    startSpectatorFeed(session) {
+        const mesh = session.mesh;
+        if (!mesh) return;
+
+        this.spectatorFeed = new SpectatorFeed();
+        for (const peerId of session.spectators || []) {
+            const transport = mesh.getTransport(peerId);
+            if (transport) this.spectatorFeed.addSpectator(peerId, transport);
+        }
+
+        // The lobby UI is gone; the match owns the mesh callbacks now.
+        mesh.onChange = null;
+        mesh.onMessage = null;
+        mesh.onStatus = (peerId, status) => {
+            if (peerId === null || !this.spectatorFeed) return;
+            if (status === 'connected') {
+                this.admitLateSpectator(session, peerId);
+            } else if (status === 'left') {
+                this.spectatorFeed.removeSpectator(peerId);
             }
+        };
+    }
+
+    /**
+     * Host: a peer joined mid-match. Send it the start message as a spectator;
+     * it fast-forwards through the backlog from tick 0.
+     * @param {Object} session
+     * @param {number} peerId
+     */
+    admitLateSpectator(session, peerId) {
+        const feed = this.spectatorFeed;
+        if (session.roster.includes(peerId) || feed.spectators.has(peerId)) return;
+
+        const transport = session.mesh.getTransport(peerId);
+        if (!transport) return;
+        if (feed.count >= MAX_SPECTATORS) {
+            session.mesh.dropPeer(peerId);
+            return;
         }
 
-        // Award meta rewards exactly once when the match ends.
-        if (!this.rewardsAwarded && (this.gameState.phase === 'gameOver' || this.gameState.phase === 'victory')) {
-            this.awardMultiplayerRewards();
+        feed.addSpectator(peerId, transport);
+        transport.send({
+            type: 'start',
+            seed: session.seed,
+            mapFile: session.mapFile,
+            mapHash: session.mapHash,
+            weaponsHash: getWeaponDefinitionsHash(),
+            build: session.build,
+            roster: session.roster,
+            netMode: session.netMode,
+            bots: session.bots,
+            rules: session.rules,
+            characters: session.characters,
+            spectators: [...feed.spectators.keys()]
+        });
+        console.log(`[Spectate] Peer ${peerId} joined the running match as a spectator`);
+    }
+
+    /**
+     * Track dropped player links: open a repair for each, resume once every link
+     * is back, or end the match when the reconnect timeout runs out.
+     * @returns {boolean} True while the match is paused
+     */
+    updateLinkLoss() {
+        if (this.replayMode || this.gameState.phase !== 'playing') return false;
+
+        const lost = this.mpLockstep.getDisconnectedPlayers();
+        if (!this.linkLoss) {
+            if (lost.length === 0) return false;
+            this.beginLinkLoss();
+        }
+
+        if (lost.length === 0) {
+            console.log('[Reconnect] All links restored; resuming');
+            this.endLinkLoss();
+            return false;
+        }
+
+        const linkLoss = this.linkLoss;
+        let changed = false;
+        for (const playerIndex of lost) {
+            const repair = linkLoss.repairs.get(playerIndex);
+            if (repair && repair.status !== 'connected') continue;
+            this.startLinkRepair(playerIndex);
+            changed = true;
+        }
+        if (changed && linkLoss.overlay) linkLoss.overlay.setRepairs([...linkLoss.repairs.values()]);
+
+        const secondsLeft = (linkLoss.deadline - Date.now()) / 1000;
+        if (secondsLeft <= 0) {
+            this.endMatchForLostLinks(lost);
+            return true;
+        }
+        if (linkLoss.overlay) linkLoss.overlay.update(secondsLeft);
+        return true;
+    }
+
+    beginLinkLoss() {
+        const timeoutSeconds = settingsManager.get('reconnectTimeoutSeconds') || 60;
+        console.warn(`[Reconnect] Player link lost; pausing for up to ${timeoutSeconds}s`);
+
+        this.linkLoss = {
+            deadline: Date.now() + timeoutSeconds * 1000,
+            repairs: new Map(),
+            overlay: typeof document !== 'undefined'
+                ? new ReconnectOverlay(this.canvas, { onLeave: () => this.game.resetToMenu() })
+                : null
+        };
+    }
+
+    /**
+     * Start re-pairing the link to one player. The lower slot creates the offer.
+     * Without a lobby mesh (headless runs) there is nothing to re-pair with.
+     * @param {number} playerIndex
+     */
+    startLinkRepair(playerIndex) {
+        const mesh = this.session.mesh;
+        const peerId = this.session.roster ? this.session.roster[playerIndex] : undefined;
+        if (!mesh || peerId === undefined) return;
+
+        const previous = this.linkLoss.repairs.get(playerIndex);
+        if (previous) previous.close();
+
+        const repair = new LinkRepair({
+            mesh,
+            playerIndex,
+            offering: this.session.localPlayerIndex < playerIndex,
+            onConnected: (transport) => {
+                console.log(`[Reconnect] Link to P${playerIndex + 1} re-paired`);
+                mesh.replaceLink(peerId, transport);
+                this.mpLockstep.replacePeerTransport(playerIndex, transport);
+            }
+        });
+        this.linkLoss.repairs.set(playerIndex, repair);
+        if (repair.offering) repair.createOffer();
+    }
+
+    endLinkLoss() {
+        if (!this.linkLoss) return;
+        for (const repair of this.linkLoss.repairs.values()) repair.close();
+        if (this.linkLoss.overlay) this.linkLoss.overlay.destroy();
+        this.linkLoss = null;
+    }
+
+    /**
+     * Reconnect timeout. The rest of the match can no longer be agreed on, so
+     * each side ends it on its own: in a 2-player match the remaining player
+     * wins by forfeit; with more players nobody can tell who left, so the match
+     * ends as a lost connection (placed behind every survivor).
+     * @param {number[]} lost - Player slots still unreachable
+     */
+    endMatchForLostLinks(lost) {
+        console.warn('[Reconnect] Timed out waiting for players:', lost);
+        this.endLinkLoss();
+
+        const stats = this.gameState.matchStats;
+        const pending = this.gameState.pendingMatchEnd;
+        if (pending) {
+            // Decided in-sim, just not confirmed yet: keep that result.
+            this.endMultiplayerMatch(pending.reason);
+            return;
+        }
+
+        // A lone opponent leaving forfeits (not a teammate, and no bots left to fight)
+        const botsAlive = this.bots.filter(b => !b.isDead).length;
+        const opponent = this.players.find(p => p !== this.localPlayer);
+        if (this.players.length === 2 && botsAlive === 0 && !this.localPlayer.isDead &&
+            !areTeammates(opponent, this.localPlayer)) {
+            stats.finalPlacement = 1;
+            stats.survivalTime = this.gameState.matchTime;
+            this.endMultiplayerMatch('opponentLeft');
+            return;
+        }
+
+        if (stats.finalPlacement === 0) {
+            stats.finalPlacement = countAliveSides(this.gameState.characters);
+            stats.survivalTime = this.gameState.matchTime;
+        }
+        this.endMultiplayerMatch('connectionLost');
+    }
+
+    /**
+     * Run one deterministic simulation tick with every player's frame.
+     * @param {{tick:number, frames:Array, confirmed:boolean}} step
+     * @param {number} deltaTime
+     */
+    simulateTick(step, deltaTime) {
+        const systems = this.orchestrator.systems;
+
+        if (this.replayRecorder) this.replayRecorder.recordTick(step.tick, step.frames);
+
+        // Apply per-tick time
+        this.gameState.updateTime(deltaTime);
+
+        // Safe zone
+        systems.safeZoneSystem.update(deltaTime);
+
+        // Update player movement inputs, then actions, both in slot order so
+        // every peer resolves same-tick interactions identically.
+        const frames = step.frames;
+        for (let i = 0; i < this.players.length; i++) {
+            this.players[i].update(deltaTime, { x: frames[i].moveX, y: frames[i].moveY });
+        }
+        for (let i = 0; i < this.players.length; i++) {
+            this.applyMultiplayerActions(this.players[i], frames[i]);
+        }
+
+        // Pickups (slot order decides who gets a contested item first)
+        for (const player of this.players) {
+            if (player.isDead || player.isDowned) continue;
+            this.orchestrator.checkWeaponPickups(player);
+            this.orchestrator.checkConsumablePickups(player);
+        }
+
+        // Bots after the players, in spawn order (same order as solo: characters, then AI)
+        for (const bot of this.bots) bot.update(deltaTime);
+        systems.aiSystem.update(deltaTime);
+
+        // Physics + combat + abilities + status effects, then downed characters bleed out or get revived
+        systems.physicsSystem.update(deltaTime);
+        systems.combatSystem.update(deltaTime);
+        systems.abilitySystem.update(deltaTime);
+        systems.statusEffectSystem.update(deltaTime);
+        systems.reviveSystem.update(deltaTime);
+
+        // Players and bots who died this tick drop a consumable
+        const mapConfig = getCurrentMapConfig();
+        for (const character of this.gameState.characters) {
+            if (character.isDead) this.orchestrator.spawnManager.spawnDeathDrop(character, mapConfig);
+        }
+
+        // Only hash state that can no longer be rolled back.
+        if (step.confirmed && this.desyncDetector && this.desyncDetector.shouldHash(step.tick)) {
+            this.desyncDetector.recordLocal(step.tick, captureStateSummary(this.gameState, systems.combatSystem, this.orchestrator.spawnManager));
+        }
+
+        this.checkMatchEnd(step.tick);
+    }
+
+    createSnapshot() {
+        const systems = this.orchestrator.systems;
+        return {
+            gameState: this.gameState.createSnapshot(),
+            combat: systems.combatSystem.createSnapshot(),
+            ability: systems.abilitySystem.createSnapshot(),
+            safeZone: systems.safeZoneSystem.createSnapshot(),
+            loot: this.orchestrator.spawnManager.createSnapshot(),
+            random: matchRandom.getState()
+        };
+    }
+
+    restoreSnapshot(snapshot) {
+        const systems = this.orchestrator.systems;
+        this.gameState.restoreSnapshot(snapshot.gameState);
+        systems.combatSystem.restoreSnapshot(snapshot.combat);
+        systems.abilitySystem.restoreSnapshot(snapshot.ability);
+        systems.safeZoneSystem.restoreSnapshot(snapshot.safeZone);
+        this.orchestrator.spawnManager.restoreSnapshot(snapshot.loot);
+        matchRandom.setState(snapshot.random);
+    }
+
+    // Snapshot the state before `tick` and drop ones that can no longer be rolled back to.
+    saveSnapshot(tick) {
+        this.snapshots.set(tick, this.createSnapshot());
+
+        const confirmedTick = this.mpLockstep.getConfirmedTick();
+        for (const t of this.snapshots.keys()) {
+            if (t <= confirmedTick) this.snapshots.delete(t);
+        }
+    }
+
+    /**
+     * Rollback mode: if a late input contradicted a prediction, restore the
+     * snapshot from before that tick and resimulate back to the present.
+     * @param {number} deltaTime
+     */
+    resimulateFromRollback(deltaTime) {
+        const fromTick = this.mpLockstep.takeRollbackTick();
+        if (fromTick === null) return;
+
+        const snapshot = this.snapshots.get(fromTick);
+        if (!snapshot) {
+            console.error(`[Rollback] No snapshot for tick ${fromTick}; cannot resimulate`);
+            return;
+        }
+
+        const targetTick = this.mpLockstep.nextTickToSimulate;
+        this.restoreSnapshot(snapshot);
+        this.mpLockstep.rewindTo(fromTick);
+
+        // Events fire again while resimulating; keep sounds from replaying.
+        const audioSystem = this.orchestrator.systems.audioSystem;
+        if (audioSystem) audioSystem.muted = true;
+
+        while (this.mpLockstep.nextTickToSimulate < targetTick) {
+            const step = this.mpLockstep.popNextTickInputs();
+            if (!step) break;
+            this.saveSnapshot(step.tick);
+            this.simulateTick(step, deltaTime);
+        }
+
+        if (audioSystem) audioSystem.muted = false;
+    }
+
+    /**
+     * Camera follows the local player, a surviving teammate (or any surviving
+     * player) once eliminated, or whoever a spectator picked.
+     * @returns {Character}
+     */
+    getCameraTarget() {
+        if (this.spectating) return this.spectatorView.getWatchedPlayer();
+        const local = this.localPlayer;
+        if (!local.isDead) return local;
+        return this.gameState.characters.find(c => !c.isDead && areTeammates(c, local)) ||
+            this.players.find(p => !p.isDead) || local;
+    }
+
+    /**
+     * Location pings: to every peer in FFA, only to teammates in team modes,
+     * so they never show the other team where we are.
+     * @param {Object} msg
+     */
+    sendPingToTeam(msg) {
+        const local = this.localPlayer;
+        if (local.teamId === null) {
+            this.mpLockstep.broadcast(msg);
+            return;
+        }
+        this.players.forEach((player, playerIndex) => {
+            if (player !== local && areTeammates(player, local)) this.mpLockstep.sendTo(playerIndex, msg);
+        });
+    }
+
+    /**
+     * Last side alive wins: one character in FFA, one team in Duos/Trios (bots
+     * included). The local placement is locked in on the tick the local side is
+     * out; the match keeps simulating until one (or zero) sides remain, or until
+     * no side with a player in it is left to watch the bots.
+     * Runs inside the simulated tick, so everything it writes is rollback state.
+     * @param {number} tick
+     */
+    checkMatchEnd(tick) {
+        if (this.gameState.pendingMatchEnd) return;
+
+        const characters = this.gameState.characters;
+        const sidesAlive = countAliveSides(characters);
+        const hasPlayerSide = characters.some(c => !c.isDead && this.players.some(p => c === p || areTeammates(c, p)));
+        const stats = this.gameState.matchStats;
+        const decided = sidesAlive <= 1 || !hasPlayerSide;
+
+        // Spectators have no placement; the match just ends with the last player.
+        if (this.spectating) {
+            if (decided) this.gameState.pendingMatchEnd = { tick, reason: 'spectated' };
+            return;
+        }
+
+        const local = this.localPlayer;
+        const localSideAlive = characters.some(c => !c.isDead && (c === local || areTeammates(c, local)));
+        if (!localSideAlive && stats.finalPlacement === 0) {
+            // Every side knocked out on the same tick shares the placement.
+            stats.finalPlacement = sidesAlive + 1;
+        }
+        if (local.isDead && stats.survivalTime === 0) {
+            stats.survivalTime = this.gameState.matchTime;
+        }
+
+        if (!decided) return;
+
+        // Every player on the surviving side wins (series score); bots winning scores nobody
+        const winners = [];
+        this.players.forEach((player, i) => {
+            if (characters.some(c => !c.isDead && (c === player || areTeammates(c, player)))) winners.push(i);
+        });
+
+        let reason;
+        if (localSideAlive) {
+            reason = 'playerWon';
+            stats.finalPlacement = 1;
+            if (!local.isDead) stats.survivalTime = this.gameState.matchTime;
+        } else {
+            reason = sidesAlive === 0 ? 'draw' : 'playerDied';
+        }
+        this.gameState.pendingMatchEnd = { tick, reason, winners };
+    }
+
+    // End the match once the deciding tick can no longer be rolled back.
+    applyConfirmedMatchEnd() {
+        const pending = this.gameState.pendingMatchEnd;
+        if (pending && pending.tick <= this.mpLockstep.getConfirmedTick()) {
+            this.endMultiplayerMatch(pending.reason);
         }
     }
 
     applyMultiplayerActions(player, frame) {
-        if (!player || player.isDead) return;
+        if (!player || player.isDead || player.isDowned) return;
 
         if (frame.fire) {
-            player.switchToWeapon(0);
+            player.switchToWeapon(frame.weaponSlot);
             const weapon = player.getActiveWeapon();
             if (weapon) {
                 this.orchestrator.systems.combatSystem.fireWeapon(player, weapon, frame.aimAngle);
@@ -250,10 +847,10 @@ export class MultiplayerMatchController {
         if (!this.gameState || this.gameState.phase !== 'playing') return;
 
         this.gameState.matchEndReason = reason;
-        this.gameState.phase = (reason === 'playerWon') ? 'victory' : 'gameOver';
+        this.gameState.phase = (reason === 'playerWon' || reason === 'opponentLeft') ? 'victory' : 'gameOver';
 
-        this.gameState.matchStats.survivalTime = this.gameState.matchTime;
-        this.gameState.matchStats.finalPlacement = (reason === 'playerWon') ? 1 : 2;
+        // Matches cut short by a lost link score nobody (and cannot be rematched anyway)
+        if (this.rematch) this.rematch.setResult(this.gameState.pendingMatchEnd?.winners || []);
 
         console.log('=== MULTIPLAYER MATCH END ===');
         console.log(`Reason: ${reason}`);
@@ -275,26 +872,73 @@ export class MultiplayerMatchController {
         this.profile.coins += rewards.coinsEarned;
 
         recordMatchToProfile(this.profile, this.gameState.matchStats, {
-            character: 'bolt',
-            map: this.session?.mapFile || 'multiplayer'
+            character: this.localPlayer?.characterType || 'bolt',
+            map: this.session?.mapFile || 'multiplayer',
+            mode: 'multiplayer',
+            replayId: this.saveMatchReplay()
         });
 
         saveProfile(this.profile);
     }
 
+    /**
+     * Store the recorded match (async) and return its id for the history entry.
+     * @returns {string|null}
+     */
+    saveMatchReplay() {
+        if (!this.replayRecorder) return null;
+
+        // Rollback may have simulated past the deciding tick.
+        const pending = this.gameState.pendingMatchEnd;
+        if (pending) this.replayRecorder.truncate(pending.tick + 1);
+
+        const stats = this.gameState.matchStats;
+        const replay = this.replayRecorder.finish({
+            placement: stats.finalPlacement,
+            kills: stats.kills,
+            matchTime: this.gameState.matchTime
+        });
+        this.replayRecorder = null;
+
+        const id = createReplayId();
+        saveReplay(id, replay);
+        return id;
+    }
+
     /**
      * Teardown multiplayer match and cleanup
+     * @param {Object} [options]
+     * @param {boolean} [options.keepConnection=false] - Leave the mesh open for a rematch
      */
-    teardown() {
+    teardown({ keepConnection = false } = {}) {
         // Cleanup multiplayer resources
         if (this.mpLockstep) {
             this.mpLockstep = null;
         }
-        if (this.session?.connection) {
-            this.session.connection.close();
+        this.desyncDetector = null;
+        this.latencyMonitor = null;
+        this.quickChat = null;
+        this.gameState.quickChat = null;
+        this.rematch = null;
+        this.gameState.rematch = null;
+        this.endLinkLoss();
+        if (this.spectatorFeed) {
+            this.spectatorFeed.close();
+            this.spectatorFeed = null;
+        }
+        this.spectating = false;
+        this.spectatorView = null;
+        this.snapshots.clear();
+        this.rollbackMode = false;
+        this.replayMode = false;
+        this.replayRecorder = null;
+        if (this.session?.mesh && !keepConnection) {
+            this.session.mesh.close();
         }
         this.session = null;
-        this.mpPlayers = null;
+        this.players = [];
+        this.bots = [];
+        this.localPlayer = null;
         this.matchInitializer = null;
         this.orchestrator = null;
         this.rewardsAwarded = false;
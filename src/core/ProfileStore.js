@@ -201,7 +201,9 @@ export function recordMatchToProfile(profile, matchStats, context = {}) {
         friendlyRevives: Number(stats.friendlyRevives) || 0,
         weaponFiredCount: Number(stats.weaponFiredCount) || 0,
         character: context.character || null,
-        map: context.map || null
+        map: context.map || null,
+        mode: context.mode || 'solo',
+        replayId: context.replayId || null
     };
 
     p.history.unshift(entry);
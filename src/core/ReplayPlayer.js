@@ -0,0 +1,110 @@
+/**
+ * ReplayPlayer.js - Replay Playback Controls
+ *
+ * Owns the presentation side of watching a replay: pause, playback speed and a
+ * free camera. The simulation itself is driven by the normal match controller
+ * fed from a ReplaySession, so replays run through the exact same update path.
+ *
+ * Key Responsibilities:
+ * - Decide how many simulation ticks to run per fixed update (0.25x-4x, paused)
+ * - Follow a player or pan a free camera with the movement joystick
+ * - Handle taps on the replay control bar (drawn by UIRenderer)
+ *
+ * Architecture Notes:
+ * - Exposed to the renderer as gameState.replay
+ * - Slow motion accumulates fractional ticks; it never changes the tick length,
+ *   so playback stays deterministic at every speed
+ *
+ * @module core/ReplayPlayer
+ */
+
+import { Vector2D } from '../utils/Vector2D.js';
+import { MAP_CONFIG } from '../config/map.js';
+
+export const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+// Free camera pan speed (world units per second at full joystick deflection)
+const FREE_CAMERA_SPEED = 900;
+
+export class ReplayPlayer {
+    /**
+     * @param {Object} replay - From ReplayRecorder.finish()
+     */
+    constructor(replay) {
+        this.replay = replay;
+        this.totalTicks = replay.ticks;
+        this.currentTick = 0;
+
+        this.paused = false;
+        this.speedIndex = REPLAY_SPEEDS.indexOf(1);
+        this.tickAccumulator = 0;
+
+        this.freeCamera = false;
+        this.cameraPosition = new Vector2D(0, 0);
+    }
+
+    get speed() {
+        return REPLAY_SPEEDS[this.speedIndex];
+    }
+
+    /**
+     * Number of simulation ticks to run for one fixed update.
+     * @returns {number}
+     */
+    consumeTicks() {
+        if (this.paused) return 0;
+
+        this.tickAccumulator += this.speed;
+        const ticks = Math.floor(this.tickAccumulator);
+        this.tickAccumulator -= ticks;
+        return ticks;
+    }
+
+    /**
+     * @param {'pause'|'slower'|'faster'|'camera'} action
+     * @param {Object|null} followTarget - Entity the camera follows when not free
+     */
+    handleAction(action, followTarget) {
+        switch (action) {
+            case 'pause':
+                this.paused = !this.paused;
+                break;
+            case 'slower':
+                this.speedIndex = Math.max(0, this.speedIndex - 1);
+                break;
+            case 'faster':
+                this.speedIndex = Math.min(REPLAY_SPEEDS.length - 1, this.speedIndex + 1);
+                break;
+            case 'camera':
+                this.freeCamera = !this.freeCamera;
+                // Start panning from wherever the camera was looking.
+                if (this.freeCamera && followTarget) {
+                    this.cameraPosition = followTarget.position.clone();
+                }
+                break;
+        }
+    }
+
+    /**
+     * Move the camera (runs even while paused).
+     * @param {CameraSystem} cameraSystem
+     * @param {Object|null} followTarget
+     * @param {Vector2D} movement - Joystick vector, used to pan the free camera
+     * @param {number} deltaTime
+     */
+    updateCamera(cameraSystem, followTarget, movement, deltaTime) {
+        if (!this.freeCamera) {
+            cameraSystem.update(followTarget);
+            return;
+        }
+
+        this.cameraPosition.x += movement.x * FREE_CAMERA_SPEED * deltaTime;
+        this.cameraPosition.y += movement.y * FREE_CAMERA_SPEED * deltaTime;
+
+        // Keep the focus point on the map so panning back responds immediately.
+        const r = MAP_CONFIG.radius;
+        this.cameraPosition.x = Math.max(MAP_CONFIG.centerX - r, Math.min(MAP_CONFIG.centerX + r, this.cameraPosition.x));
+        this.cameraPosition.y = Math.max(MAP_CONFIG.centerY - r, Math.min(MAP_CONFIG.centerY + r, this.cameraPosition.y));
+        cameraSystem.update({ position: this.cameraPosition });
+    }
+}
@@ -0,0 +1,107 @@
+// Replay persistence (localStorage), kept apart from the profile so it stays small.
+// Replays are gzip-compressed; only the newest META_CONFIG.history.maxReplays are kept.
+
+import { META_CONFIG } from '../config/metaProgression.js';
+import { safeJsonParse } from '../utils/jsonHelpers.js';
+import { compressJSON, decompressJSON } from '../utils/CodecUtils.js';
+
+const INDEX_KEY = `${META_CONFIG.storage.replayKeyPrefix}index`;
+const FILE_EXTENSION = '.b2dreplay';
+
+function loadIndex() {
+    const ids = safeJsonParse(localStorage.getItem(INDEX_KEY), []);
+    return Array.isArray(ids) ? ids : [];
+}
+
+function saveIndex(ids) {
+    localStorage.setItem(INDEX_KEY, JSON.stringify(ids));
+}
+
+function replayKey(id) {
+    return `${META_CONFIG.storage.replayKeyPrefix}${id}`;
+}
+
+export function createReplayId() {
+    return `${Date.now().toString(36)}${Math.floor(Math.random() * 1296).toString(36)}`;
+}
+
+/**
+ * Store a replay, evicting the oldest ones past the limit. The replay and the
+ * index are written before anything is evicted, so a failed save (e.g. quota)
+ * leaves the stored replays and the index as they were.
+ * @param {string} id - From createReplayId()
+ * @param {Object} replay - From ReplayRecorder.finish()
+ * @returns {Promise<boolean>} False if storage failed
+ */
+export async function saveReplay(id, replay) {
+    let data;
+    try {
+        data = await compressJSON(replay);
+    } catch (e) {
+        console.warn('Failed to save replay:', e);
+        return false;
+    }
+
+    const key = replayKey(id);
+    const previous = localStorage.getItem(key);
+    const ids = [id, ...loadIndex().filter(other => other !== id)];
+    const evicted = ids.splice(META_CONFIG.history.maxReplays);
+
+    try {
+        localStorage.setItem(key, data);
+    } catch (e) {
+        // Replays are a nice-to-have, like progression.
+        console.warn('Failed to save replay:', e);
+        return false;
+    }
+
+    try {
+        saveIndex(ids);
+    } catch (e) {
+        console.warn('Failed to save replay index:', e);
+        // Put the replay key back the way it was
+        try {
+            if (previous === null) localStorage.removeItem(key);
+            else localStorage.setItem(key, previous);
+        } catch { /* ignore */ }
+        return false;
+    }
+
+    for (const old of evicted) localStorage.removeItem(replayKey(old));
+    return true;
+}
+
+/**
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function loadReplay(id) {
+    const data = localStorage.getItem(replayKey(id));
+    if (!data) return null;
+    return decompressJSON(data);
+}
+
+export function hasReplay(id) {
+    return !!id && loadIndex().includes(id);
+}
+
+/**
+ * Download a stored replay as a compact file.
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function downloadReplay(id) {
+    const data = localStorage.getItem(replayKey(id));
+    if (!data) return false;
+
+    const blob = new Blob([data], { type: 'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `battle2death-${id}${FILE_EXTENSION}`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+    return true;
+}
@@ -4,7 +4,9 @@ export class SettingsManager {
     constructor() {
         this.settings = {
             volume: 0.5, // Default volume
-            userName: 'Player'
+            userName: 'Player',
+            reconnectTimeoutSeconds: 60, // Multiplayer: wait this long for a dropped player
+            muteQuickChat: false // Multiplayer: hide other players' quick chat and emotes
         };
         this.load();
     }
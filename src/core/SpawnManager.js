@@ -9,8 +9,11 @@
  * - Spawn weapons with randomized tiers
  * - Spawn consumables (health kits, shield potions)
  * - Generate character spawn positions avoiding obstacles
+ * - Create the AI roster (character mix, skill levels, per-bot personality)
  * - Ensure minimum distance between spawns
  * - Handle initial weapon/consumable distribution
+ * - Multiplayer: drop a consumable where a player dies, and snapshot loot
+ *   for rollback
  *
  * Architecture Notes:
  * - Used by MatchInitializer and GameOrchestrator/AISystem
@@ -21,11 +24,16 @@
  */
 
 import { WeaponPickup } from '../entities/Weapon.js';
+import { AICharacter } from '../entities/AICharacter.js';
 import { Consumable } from '../entities/Consumable.js';
 import { Vector2D } from '../utils/Vector2D.js';
-import { createWeapon } from '../config/weapons.js';
-import { createConsumable } from '../config/consumables.js';
+import { createWeapon, getWeaponTypeIds } from '../config/weapons.js';
+import { createConsumable, rollDeathDrop } from '../config/consumables.js';
+import { CHARACTERS } from '../config/characters.js';
+import { generateAISkills, generateAICharacterTypes } from '../config/gameConfig.js';
 import { MAP_WIDTH, MAP_HEIGHT } from '../config/map.js';
+import { matchRandom } from './MatchRandom.js';
+import { captureFields, restoreFields, cloneState } from '../utils/snapshot.js';
 
 export class SpawnManager {
     constructor(gameState, mapObstacles, aiSystem) {
@@ -34,12 +42,13 @@ export class SpawnManager {
         this.aiSystem = aiSystem;
         this.consumables = [];
         this.localWeapons = []; // Fallback for multiplayer/no-AI
+        this.deathDrops = new Set(); // Characters whose death drop was already rolled
     }
 
     /**
      * Spawn a weapon pickup at the specified position
      * @param {Vector2D} position - World position to spawn weapon
-     * @param {string} weaponType - Type of weapon ('blaster', 'gun', 'spear', 'bomb')
+     * @param {string} weaponType - Weapon type id from weapons/manifest.json (e.g. 'blaster')
      * @param {number} tier - Weapon tier (1, 2, or 3)
      * @returns {Weapon} The spawned weapon entity
      */
@@ -66,6 +75,15 @@ export class SpawnManager {
         return this.localWeapons.filter(w => w.active);
     }
 
+    /**
+     * Every weapon pickup spawned this match, taken ones included (the AI system
+     * drops the ones bots take from its list)
+     * @returns {Array<WeaponPickup>}
+     */
+    getWeaponPickups() {
+        return this.aiSystem ? this.aiSystem.availableWeapons : this.localWeapons;
+    }
+
     /**
      * Spawn a consumable at the specified position
      * @param {Vector2D} position - World position
@@ -79,6 +97,59 @@ export class SpawnManager {
         return consumable;
     }
 
+    /**
+     * Roll the death drop for a character that just died (once per character).
+     * Same odds as bots in solo (see rollDeathDrop); draws from matchRandom,
+     * so multiplayer peers drop the same item in the same place.
+     * @param {Character} character
+     * @param {Object} mapConfig - Map configuration
+     * @returns {Consumable|null} The dropped consumable, if any
+     */
+    spawnDeathDrop(character, mapConfig) {
+        if (!character.isDead || this.deathDrops.has(character)) return null;
+        this.deathDrops.add(character);
+
+        const type = rollDeathDrop(matchRandom.random);
+        if (!type) return null;
+
+        const validPos = this.findValidSpawnPosition(character.position.x, character.position.y, mapConfig, 30, 5);
+        if (!validPos) return null;
+        return this.spawnConsumable(new Vector2D(validPos.x, validPos.y), type);
+    }
+
+    /**
+     * Capture ground loot (pickup progress, taken flags, drops) for rollback.
+     * Pickups are restored in place; ones spawned after the snapshot are dropped.
+     * @returns {Object}
+     */
+    createSnapshot() {
+        const capture = (item) => ({ ref: item, fields: captureFields(item) });
+        return {
+            weapons: this.getWeaponPickups().map(capture),
+            consumables: this.consumables.map(capture),
+            deathDrops: cloneState(this.deathDrops)
+        };
+    }
+
+    /**
+     * Restore state captured by createSnapshot()
+     * @param {Object} snapshot
+     */
+    restoreSnapshot(snapshot) {
+        const restore = (entry) => {
+            restoreFields(entry.ref, entry.fields);
+            return entry.ref;
+        };
+        const weapons = snapshot.weapons.map(restore);
+        if (this.aiSystem) {
+            this.aiSystem.availableWeapons = weapons;
+        } else {
+            this.localWeapons = weapons;
+        }
+        this.consumables = snapshot.consumables.map(restore);
+        this.deathDrops = cloneState(snapshot.deathDrops);
+    }
+
     /**
      * Spawn initial weapons across the map
      * @param {Object} mapConfig - Map configuration
@@ -87,12 +158,13 @@ export class SpawnManager {
      * @returns {Array} Array of weapon spawn data
      */
     spawnInitialWeapons(mapConfig, weaponCount, gameConfig) {
-        const weaponTypes = ['blaster', 'spear', 'bomb', 'gun'];
+        // Manifest order (weapons/manifest.json), the same on every peer
+        const weaponTypes = getWeaponTypeIds();
         const weaponSpawns = [];
 
         for (let i = 0; i < weaponCount; i++) {
             const angle = (i / 8) * Math.PI * 2;
-            const distance = 400 + Math.random() * 500;
+            const distance = 400 + matchRandom.random() * 500;
             let x = mapConfig.centerX + Math.cos(angle) * distance;
             let y = mapConfig.centerY + Math.sin(angle) * distance;
 
@@ -102,7 +174,7 @@ export class SpawnManager {
                 x = validPos.x;
                 y = validPos.y;
 
-                const type = weaponTypes[Math.floor(Math.random() * weaponTypes.length)];
+                const type = weaponTypes[matchRandom.int(weaponTypes.length)];
                 const tier = this.generateWeaponTier(gameConfig.loot.weaponTierRatios);
 
                 weaponSpawns.push({ pos: new Vector2D(x, y), type, tier });
@@ -124,7 +196,7 @@ export class SpawnManager {
 
         for (let i = 0; i < consumableCount; i++) {
             const angle = (i / 6) * Math.PI * 2 + Math.PI / 12;
-            const distance = 300 + Math.random() * 600;
+            const distance = 300 + matchRandom.random() * 600;
             let x = mapConfig.centerX + Math.cos(angle) * distance;
             let y = mapConfig.centerY + Math.sin(angle) * distance;
 
@@ -134,7 +206,7 @@ export class SpawnManager {
                 x = validPos.x;
                 y = validPos.y;
 
-                const type = consumableTypes[Math.floor(Math.random() * consumableTypes.length)];
+                const type = consumableTypes[matchRandom.int(consumableTypes.length)];
                 this.spawnConsumable(new Vector2D(x, y), type);
             }
         }
@@ -206,10 +278,10 @@ export class SpawnManager {
      * @param {Object} mapConfig - Map configuration
      * @param {number} count - Number of spawns to generate
      * @param {Object} [options={}] - Spawn options
-     * @param {Function} [randomFn=Math.random] - Random function for deterministic spawning
+     * @param {Function} [randomFn=matchRandom.random] - Random function for deterministic spawning
      * @returns {Array<Vector2D>} Array of spawn positions
      */
-    generateCharacterSpawns(mapConfig, count, options = {}, randomFn = Math.random) {
+    generateCharacterSpawns(mapConfig, count, options = {}, randomFn = matchRandom.random) {
         const clearanceRadius = options.clearanceRadius ?? 60;
         const minSpacing = options.minSpacing ?? 220;
         const marginFromEdge = options.marginFromEdge ?? 140;
@@ -268,13 +340,75 @@ export class SpawnManager {
         return spawns;
     }
 
+    /**
+     * Create one AI opponent per spawn point and add them to the game state.
+     * Character mix and skill levels follow the map's AI distribution; each bot
+     * gets a slightly jittered copy of its skill profile so bots feel distinct.
+     * @param {Object} gameConfig - Game configuration
+     * @param {Array<{x:number, y:number}>} spawnPoints - One per bot
+     * @returns {Array<AICharacter>} The spawned bots
+     */
+    spawnAIOpponents(gameConfig, spawnPoints) {
+        const aiCount = spawnPoints.length;
+        const characterTypes = generateAICharacterTypes(gameConfig.ai.characterDistribution, aiCount, matchRandom.random);
+        const skillLevels = generateAISkills(gameConfig.ai.skillDistribution, aiCount, matchRandom.random);
+        const opponents = [];
+
+        for (let i = 0; i < aiCount; i++) {
+            const characterType = characterTypes[i];
+            const skillLevel = skillLevels[i];
+
+            const baseSkillProfile = gameConfig.ai.skillProfiles?.[skillLevel] || null;
+
+            // Per-bot personality variance
+            const varianceStrength = skillLevel === 'expert' ? 0.07 : (skillLevel === 'intermediate' ? 0.1 : 0.14);
+            const jitter = (value, min, max) => {
+                if (typeof value !== 'number') return value;
+                const factor = 1 + (matchRandom.random() - 0.5) * 2 * varianceStrength;
+                const v = value * factor;
+                return Math.max(min, Math.min(max, v));
+            };
+
+            const skillProfile = baseSkillProfile ? {
+                ...baseSkillProfile,
+                reactionTimeSeconds: jitter(baseSkillProfile.reactionTimeSeconds, 0.12, 1.2),
+                perceptionRange: jitter(baseSkillProfile.perceptionRange, 180, 600),
+                aimAccuracy: jitter(baseSkillProfile.aimAccuracy, 0.35, 0.99),
+                aggression: jitter(baseSkillProfile.aggression, 0.15, 0.95),
+                strafeStrength: jitter(baseSkillProfile.strafeStrength, 0.2, 0.8),
+                abilityUseChancePerSecond: jitter(baseSkillProfile.abilityUseChancePerSecond, 0.02, 0.6)
+            } : null;
+
+            const aiConfig = {
+                ...CHARACTERS[characterType],
+                isPlayer: false,
+                aiSkillLevel: skillLevel,
+                aiProfile: skillProfile
+            };
+            const aiOpponent = new AICharacter(aiConfig);
+
+            // Stable per-bot movement style
+            aiOpponent.strafeSide = matchRandom.random() < 0.5 ? -1 : 1;
+
+            const spawnPoint = spawnPoints[i];
+            aiOpponent.setPosition(spawnPoint.x, spawnPoint.y);
+
+            this.gameState.addCharacter(aiOpponent);
+            opponents.push(aiOpponent);
+
+            console.log(`AI ${i + 1} spawned: ${aiOpponent.name} (${skillLevel}) at (${Math.round(spawnPoint.x)}, ${Math.round(spawnPoint.y)})`);
+        }
+
+        return opponents;
+    }
+
     /**
      * Generate weapon tier based on rarity ratios
      * @param {Object} tierRatios - Tier probability ratios with common, rare, epic properties
      * @returns {number} Weapon tier (1, 2, or 3)
      */
     generateWeaponTier(tierRatios) {
-        const rand = Math.random();
+        const rand = matchRandom.random();
 
         if (rand < tierRatios.common) {
             return 1; // Common
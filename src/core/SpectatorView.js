@@ -0,0 +1,114 @@
+/**
+ * SpectatorView.js - Spectator Camera and Controls
+ *
+ * Owns the presentation side of spectating a live multiplayer match: which
+ * player the camera follows, or a zoomed-out view of the whole map. The
+ * simulation itself runs through MultiplayerMatchController, fed by a
+ * SpectatorSession instead of local input.
+ *
+ * Key Responsibilities:
+ * - Cycle the followed player (skipping eliminated ones)
+ * - Switch between follow and full-map overview (camera zoom)
+ * - Handle taps on the spectator control bar (drawn by UIRenderer)
+ *
+ * Architecture Notes:
+ * - Exposed to the renderer as gameState.spectator
+ * - Presentation only: nothing here touches simulated state
+ *
+ * @module core/SpectatorView
+ */
+
+import { MAP_CONFIG } from '../config/map.js';
+
+export class SpectatorView {
+    /**
+     * @param {Object} options
+     * @param {Array} options.players - Match characters in slot order
+     * @param {SpectatorSession} options.session - For catch-up / host link status
+     */
+    constructor({ players, session }) {
+        this.players = players;
+        this.session = session;
+
+        this.targetIndex = 0;
+        this.overview = false;
+    }
+
+    get catchingUp() {
+        return this.session.isCatchingUp();
+    }
+
+    get hostConnected() {
+        return this.session.hostConnected;
+    }
+
+    getAliveCount() {
+        return this.players.filter(p => !p.isDead).length;
+    }
+
+    /**
+     * Followed player, moving on to the next survivor once it is eliminated.
+     * @returns {Character|null}
+     */
+    getWatchedPlayer() {
+        const current = this.players[this.targetIndex];
+        if (current && !current.isDead) return current;
+
+        const next = this.findAlive(1);
+        if (next !== null) this.targetIndex = next;
+        return this.players[this.targetIndex] || null;
+    }
+
+    /**
+     * Slot of the last player standing, or null (draw / still running).
+     * @returns {number|null}
+     */
+    getWinnerIndex() {
+        const alive = this.players.filter(p => !p.isDead);
+        return alive.length === 1 ? this.players.indexOf(alive[0]) : null;
+    }
+
+    // Next surviving slot after targetIndex in `direction` (±1), or null if nobody is alive.
+    findAlive(direction) {
+        const count = this.players.length;
+        for (let step = 1; step <= count; step++) {
+            const index = ((this.targetIndex + direction * step) % count + count) % count;
+            if (!this.players[index].isDead) return index;
+        }
+        return null;
+    }
+
+    /**
+     * @param {'prev'|'next'|'view'} action
+     */
+    handleAction(action) {
+        switch (action) {
+            case 'prev':
+            case 'next': {
+                const index = this.findAlive(action === 'next' ? 1 : -1);
+                if (index !== null) this.targetIndex = index;
+                // Picking a player leaves the overview.
+                this.overview = false;
+                break;
+            }
+            case 'view':
+                this.overview = !this.overview;
+                break;
+        }
+    }
+
+    /**
+     * Move the camera for this frame.
+     * @param {CameraSystem} cameraSystem
+     */
+    updateCamera(cameraSystem) {
+        if (this.overview) {
+            cameraSystem.setZoom(cameraSystem.getFullMapZoom());
+            cameraSystem.update({ position: { x: MAP_CONFIG.centerX, y: MAP_CONFIG.centerY } });
+            return;
+        }
+
+        cameraSystem.setZoom(1);
+        cameraSystem.update(this.getWatchedPlayer());
+    }
+}
@@ -2,6 +2,7 @@
 
 import { Character } from './Character.js';
 import { Vector2D } from '../utils/Vector2D.js';
+import { matchRandom } from '../core/MatchRandom.js';
 
 export class AICharacter extends Character {
     /**
@@ -25,7 +26,10 @@ export class AICharacter extends Character {
         this.targetEnemy = null;
         this.targetWeapon = null;
         this.targetConsumable = null; // For health kits and other consumables
+        this.pickupAttemptStart = null; // Match time the current loot run started
         this.lastSeenPlayerPosition = null;
+        // Enemy mines this bot has spotted: { mineId, x, y, radius } (avoided like obstacles)
+        this.knownMines = [];
         
         // Decision making
         this.stateTimer = 0;
@@ -33,7 +37,7 @@ export class AICharacter extends Character {
         this.reactionTime = this.getReactionTime();
         
         // Movement
-        this.wanderAngle = Math.random() * Math.PI * 2;
+        this.wanderAngle = matchRandom.random() * Math.PI * 2;
         this.wanderChangeTimer = 0;
         
         // Combat
@@ -207,8 +211,8 @@ export class AICharacter extends Character {
     getWanderDirection() {
         // Change wander angle periodically
         if (this.wanderChangeTimer <= 0) {
-            this.wanderAngle += (Math.random() - 0.5) * Math.PI / 2;
-            this.wanderChangeTimer = 2.0 + Math.random() * 2.0; // 2-4 seconds
+            this.wanderAngle += (matchRandom.random() - 0.5) * Math.PI / 2;
+            this.wanderChangeTimer = 2.0 + matchRandom.random() * 2.0; // 2-4 seconds
         }
         
         return new Vector2D(
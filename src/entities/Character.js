@@ -3,6 +3,10 @@
 import { Entity } from './Entity.js';
 import { Vector2D } from '../utils/Vector2D.js';
 import { Weapon } from './Weapon.js';
+import { REVIVE_CONFIG } from '../config/teams.js';
+import { CONSUMABLE_TYPES } from '../config/consumables.js';
+import { removeStatusEffects } from '../config/statusEffects.js';
+import { MAX_KNOCKBACK } from '../config/constants.js';
 
 export class Character extends Entity {
     constructor(config) {
@@ -13,6 +17,7 @@ export class Character extends Entity {
         this.characterType = config.type; // 'bolt' or 'boulder'
         this.name = config.name;
         this.isPlayer = config.isPlayer || false;
+        this.teamId = null; // Set by assignTeams() in team modes
         
         // Stats
         this.maxHP = config.maxHP;
@@ -24,6 +29,8 @@ export class Character extends Entity {
         
         // Movement
         this.velocity = new Vector2D(0, 0);
+        // Push from hits (px/s), on top of the character's own movement (see PhysicsSystem)
+        this.knockback = new Vector2D(0, 0);
         this.facingAngle = 0;
         
         // Visual properties
@@ -33,6 +40,17 @@ export class Character extends Entity {
         // State
         this.isDead = false;
         this.isInBush = false;
+
+        // Downed (team modes): HP is the bleed-out pool while downed
+        this.isDowned = false;
+        this.downedBy = null; // Attacker credited if they bleed out
+        this.reviveProgress = 0; // Seconds
+        this.reviver = null; // Teammate currently reviving
+
+        // Status effects (see config/statusEffects.js): id -> { remainingMs, stacks, tickElapsedMs, source }
+        this.statusEffects = {};
+        // id -> ms left before that effect can be applied again
+        this.statusImmunities = {};
         
         // Combat - Phase 4: Multiple weapons
         this.weapons = [];
@@ -82,34 +100,88 @@ export class Character extends Entity {
         // Apply remaining damage to HP
         this.currentHP -= amount;
         
-        // Check if dead
+        // Check if dead (or downed)
         if (this.currentHP <= 0) {
+            this.knockOut();
+        }
+    }
+
+    /**
+     * Get shoved by a hit or explosion
+     * @param {number} force - Speed in px/s
+     * @param {number} angle - Direction in radians
+     */
+    applyKnockback(force, angle) {
+        if (this.isDead || force <= 0) return;
+
+        this.knockback.x += Math.cos(angle) * force;
+        this.knockback.y += Math.sin(angle) * force;
+        const speed = this.knockback.magnitude();
+        if (speed > MAX_KNOCKBACK) {
+            this.knockback.multiply(MAX_KNOCKBACK / speed);
+        }
+    }
+
+    // Out of HP: on a team, the first time goes down instead of dying
+    knockOut() {
+        if (this.teamId !== null && !this.isDowned) {
+            this.down();
+        } else {
             this.currentHP = 0;
             this.die();
         }
     }
 
+    // Go down: can only crawl until revived or bled out
+    down() {
+        this.isDowned = true;
+        this.currentHP = REVIVE_CONFIG.bleedOutHP;
+        this.shield = 0;
+        this.reviveProgress = 0;
+        this.reviver = null;
+        this.statusEffects = {};
+        this.velocity.set(0, 0);
+        this.cancelAttacks();
+    }
+
+    /**
+     * Get back up after a teammate's revive
+     * @param {number} hpFraction - Share of maxHP restored
+     */
+    revive(hpFraction) {
+        if (this.isDead || !this.isDowned) return;
+
+        this.isDowned = false;
+        this.downedBy = null;
+        this.reviveProgress = 0;
+        this.reviver = null;
+        this.currentHP = this.maxHP * hpFraction;
+    }
+
     /**
      * Heal this character
      * @param {number} amount - Healing amount
      * @returns {number} Actual amount healed (capped at maxHP)
      */
     heal(amount) {
-        if (this.isDead) return;
+        if (this.isDead || this.isDowned) return;
         
         this.currentHP = Math.min(this.currentHP + amount, this.maxHP);
     }
     
     // Use health kit
     useHealthKit() {
-        if (this.isDead || this.healthKits <= 0) return false;
+        if (this.isDead || this.isDowned || this.healthKits <= 0) return false;
         
-        // Can't use if at full health
-        if (this.currentHP >= this.maxHP) return false;
+        // Can't use if at full health with nothing to cure
+        const kit = CONSUMABLE_TYPES.healthKit;
+        const canCure = kit.cures.some(id => this.statusEffects[id]);
+        if (this.currentHP >= this.maxHP && !canCure) return false;
         
-        // Restore 30% of max HP
-        const healAmount = this.maxHP * 0.3;
+        // Restore 30% of max HP and cure burns and poison
+        const healAmount = this.maxHP * kit.healAmount;
         this.heal(healAmount);
+        removeStatusEffects(this, kit.cures);
         this.healthKits--;
         
         return true;
@@ -134,7 +206,7 @@ export class Character extends Entity {
      * @param {number} amount - Shield amount to add
      */
     addShield(amount) {
-        if (this.isDead) return;
+        if (this.isDead || this.isDowned) return;
         
         this.shield = Math.min(this.shield + amount, 100);
     }
@@ -142,15 +214,33 @@ export class Character extends Entity {
     // Die
     die() {
         this.isDead = true;
+        this.isDowned = false;
+        this.reviver = null;
+        this.statusEffects = {};
+        this.statusImmunities = {};
         this.velocity.set(0, 0);
+        this.knockback.set(0, 0);
+        this.cancelAttacks();
+    }
+
+    // Drop unfinished bursts and charges, however the character was taken out
+    cancelAttacks() {
+        for (const weapon of this.weapons) {
+            delete weapon.burstState;
+            delete weapon.chargeState;
+        }
     }
 
     // Respawn
     respawn() {
         this.isDead = false;
+        this.isDowned = false;
         this.currentHP = this.maxHP;
         this.shield = 0;
+        this.statusEffects = {};
+        this.statusImmunities = {};
         this.velocity.set(0, 0);
+        this.knockback.set(0, 0);
     }
 
     // Get health percentage
@@ -158,6 +248,11 @@ export class Character extends Entity {
         return this.currentHP / this.maxHP;
     }
 
+    // Get revive progress while downed (0 to 1)
+    getReviveProgress() {
+        return Math.min(this.reviveProgress / REVIVE_CONFIG.reviveSeconds, 1);
+    }
+
     // Check if character is alive
     isAlive() {
         return !this.isDead && this.active;
@@ -33,11 +33,23 @@ export class Consumable extends Entity {
     
     // Update pickup progress
     updatePickup(character, deltaTime) {
+        // Same claim rules as WeaponPickup: the first character in range owns the
+        // progress until they die or walk away, so overlapping players don't
+        // reset (or double up) each other's progress.
+        if (this.isBeingPickedUp && this.pickupCharacter && this.pickupCharacter !== character) {
+            const claimant = this.pickupCharacter;
+            if (!claimant.active || claimant.isDead || !this.isInRange(claimant)) {
+                this.resetPickup();
+            } else {
+                return false;
+            }
+        }
+
         if (!this.isInRange(character)) {
             this.resetPickup();
             return false;
         }
-        
+
         this.isBeingPickedUp = true;
         this.pickupCharacter = character;
         this.pickupProgress += deltaTime;
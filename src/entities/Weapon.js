@@ -2,6 +2,7 @@
 
 import { Entity } from './Entity.js';
 import { Vector2D } from '../utils/Vector2D.js';
+import { areTeammates } from '../config/teams.js';
 
 export const PROJECTILE_STATES = {
     FLYING: 'flying',
@@ -33,6 +34,14 @@ export class Weapon extends Entity {
         this.fuseTime = config.fuseTime || 0;
         this.burstCount = config.burstCount || 1;
         this.burstDelay = config.burstDelay || 0;
+        // Every field the attack type declares, copied into each attack
+        this.attackParams = config.attackParams || {};
+        // Status effect applied by every hit: { id, durationMs } or null
+        this.statusEffect = config.statusEffect
+            ? { id: config.statusEffect, durationMs: config.statusDuration }
+            : null;
+        // Push on hit (px/s)
+        this.knockback = config.knockback || 0;
         
         // Visual properties
         this.color = config.color || '#ffffff';
@@ -85,29 +94,13 @@ export class Weapon extends Entity {
             angle: angle,
             color: this.color,
             glowColor: this.glowColor,
+            statusEffect: this.statusEffect,
+            knockback: this.knockback,
             owner: this.owner
         };
         
-        // Add type-specific data
-        switch (this.attackType) {
-            case 'cone':
-                attackData.coneAngle = this.coneAngle;
-                break;
-            case 'projectile':
-                attackData.projectileSpeed = this.projectileSpeed;
-                break;
-            case 'aoe':
-                attackData.explosionRadius = this.explosionRadius;
-                attackData.arcHeight = this.arcHeight;
-                attackData.fuseTime = this.fuseTime;
-                attackData.projectileSpeed = this.projectileSpeed;
-                break;
-            case 'burst':
-                attackData.burstCount = this.burstCount;
-                attackData.burstDelay = this.burstDelay;
-                attackData.projectileSpeed = this.projectileSpeed;
-                break;
-        }
+        // Add type-specific data (the attack type's fields, see systems/attackTypes.js)
+        Object.assign(attackData, this.attackParams);
         
         return attackData;
     }
@@ -140,6 +133,9 @@ export class WeaponEffect extends Entity {
         // Type-specific properties
         this.coneAngle = attackData.coneAngle || 0;
         this.explosionRadius = attackData.explosionRadius || 0;
+        // Beam: how far the ray got (obstacle, last pierced target or full range)
+        this.beamLength = attackData.beamLength || 0;
+        this.beamWidth = attackData.beamWidth || 0;
         
         // Animation properties
         this.lifetime = 0.3; // seconds
@@ -178,6 +174,8 @@ export class Projectile extends Entity {
         this.range = attackData.range;
         this.color = attackData.color;
         this.owner = attackData.owner;
+        this.statusEffect = attackData.statusEffect || null;
+        this.knockback = attackData.knockback || 0;
         
         // Movement/State
         this.state = PROJECTILE_STATES.FLYING;
@@ -191,8 +189,10 @@ export class Projectile extends Entity {
         this.startPosition = attackData.position.clone();
         this.distanceTraveled = 0;
         
-        // AoE / Arcing
-        this.isAoe = attackData.attackType === 'aoe';
+        // AoE / Arcing (thrown mines fly like bombs and arm where they land)
+        this.isMine = attackData.attackType === 'mine';
+        this.mineData = this.isMine ? attackData : null;
+        this.isAoe = attackData.attackType === 'aoe' || this.isMine;
         this.explosionRadius = attackData.explosionRadius || 0;
         this.arcHeight = attackData.arcHeight || 0;
         this.height = 0; // Visual height offset
@@ -288,6 +288,71 @@ export class Projectile extends Entity {
     }
 }
 
+// Proximity mine: armed trap that explodes when an enemy comes close
+export class Mine extends Entity {
+    /**
+     * @param {Vector2D} position - Where it lies
+     * @param {Object} attackData - From Weapon.fire (mine attack type fields)
+     * @param {number} mineId - Per-match id (Entity ids are not the same on every peer)
+     */
+    constructor(position, attackData, mineId) {
+        super();
+
+        this.type = 'mine';
+        this.mineId = mineId;
+        this.weaponType = attackData.weaponType;
+        this.position = position.clone();
+        this.owner = attackData.owner;
+        this.damage = attackData.damage;
+        this.statusEffect = attackData.statusEffect || null;
+        this.knockback = attackData.knockback || 0;
+
+        this.explosionRadius = attackData.explosionRadius || 0;
+        this.triggerRadius = attackData.triggerRadius || 0;
+        this.revealRadius = attackData.revealRadius || 0;
+
+        // Timing (seconds, like projectile fuses)
+        this.armTime = (attackData.armTime || 0) / 1000;
+        this.lifetime = (attackData.lifetime || 0) / 1000;
+        this.age = 0;
+        this.armed = this.armTime <= 0;
+
+        // Visual
+        this.color = attackData.color;
+        this.glowColor = attackData.glowColor;
+        this.radius = 8;
+    }
+
+    // Arm after the delay, expire (without exploding) after the lifetime
+    update(deltaTime) {
+        this.age += deltaTime;
+        if (!this.armed && this.age >= this.armTime) {
+            this.armed = true;
+        }
+        if (this.age >= this.lifetime) {
+            this.active = false;
+        }
+    }
+
+    // Whether a character is close enough to set it off
+    isTriggeredBy(character) {
+        const reach = this.triggerRadius + (character.hitboxRadius || 0);
+        return this.position.distanceTo(character.position) <= reach;
+    }
+
+    // Laid by this character or a teammate
+    isFriendlyTo(character) {
+        return character === this.owner || areTeammates(this.owner, character);
+    }
+
+    // Owners and their teammates always see it; anyone else only up close
+    isRevealedTo(character) {
+        if (this.isFriendlyTo(character)) return true;
+        const reach = this.revealRadius + (character.hitboxRadius || 0);
+        return this.position.distanceTo(character.position) <= reach;
+    }
+}
+
 // Damage number visual effect
 export class DamageNumber extends Entity {
     constructor(position, damage, isCritical = false) {
@@ -11,12 +11,15 @@
  * - Coordinate match initialization via MatchInitializer
  * - Delegate gameplay updates to GameOrchestrator or MultiplayerMatchController
  * - Handle match teardown and return to menu
+ * - Play back recorded replays (solo or multiplayer) with pause/speed/free camera
+ * - Forward spectator bar taps (cycle players / full map) to the SpectatorView
  *
  * Architecture Notes:
  * - Uses GameLoop for fixed timestep updates (60 FPS)
  * - Delegates solo gameplay to GameOrchestrator
  * - Delegates multiplayer to MultiplayerMatchController
  * - Manages canvas event listeners for end-screen interactions
+ * - Replays reuse the solo/multiplayer controllers, fed by a ReplaySession
  *
  * @module main
  */
@@ -31,9 +34,16 @@ import { MatchInitializer } from './core/MatchInitializer.js';
 import { GameOrchestrator } from './core/GameOrchestrator.js';
 import { MultiplayerMatchController } from './core/MultiplayerMatchController.js';
 import { CANVAS_WIDTH, CANVAS_HEIGHT } from './config/constants.js';
-import { loadMapFromJSON } from './config/map.js';
+import { loadMapFromJSON, useProceduralMap } from './config/map.js';
+import { applyMatchRules } from './config/gameConfig.js';
+import { loadWeaponDefinitions } from './config/weapons.js';
 import { resolveMapsUrl, warnMissingAsset } from './utils/assetUrl.js';
 import { loadProfile } from './core/ProfileStore.js';
+import { matchRandom } from './core/MatchRandom.js';
+import { randomSeedUint32 } from './net/prng.js';
+import { loadReplay } from './core/ReplayStore.js';
+import { ReplayPlayer } from './core/ReplayPlayer.js';
+import { validateReplay } from './net/ReplayRecorder.js';
 import { getCanvasCoordinates } from './utils/canvasHelpers.js';
 
 class Game {
@@ -74,6 +84,9 @@ class Game {
         this.gameOrchestrator = null;
         this.multiplayerController = null;
 
+        // Replay playback (null during live matches)
+        this.replayPlayer = null;
+
         // Game loop
         this.gameLoop = null;
         this.startScreenLoop = null;
@@ -99,14 +112,21 @@ class Game {
         // We'll check the startRequested flag in the render loop
     }
     
-    async startSoloMatch(playerCharacterType, selectedMap) {
+    async startSoloMatch(playerCharacterType, selectedMap, replay = null, seed = null) {
         console.log('Starting solo match with character:', playerCharacterType);
         console.log('Starting solo match with map:', selectedMap?.name || 'Random Arena');
 
+        // Seed every random draw of the match (replays reuse the recorded seed)
+        const matchSeed = replay ? replay.seed : (seed ?? randomSeedUint32());
+        matchRandom.reseed(matchSeed);
+        console.log('Solo match seed:', matchRandom.seed);
+
         // Load selected map
+        let mapLoaded = false;
         if (selectedMap && selectedMap.mapData) {
             try {
                 loadMapFromJSON(selectedMap.mapData);
+                mapLoaded = true;
                 console.log('✅ Successfully loaded selected map (with menu overrides):', selectedMap.mapData.name);
             } catch (error) {
                 console.error('❌ Error loading selected map data:', error);
@@ -125,6 +145,7 @@ class Game {
                 const mapData = await response.json();
                 console.log('Map data loaded:', mapData);
                 loadMapFromJSON(mapData);
+                mapLoaded = true;
                 console.log('✅ Successfully loaded custom map:', mapData.name);
             } catch (error) {
                 console.error('❌ Error loading map file:', error);
@@ -134,6 +155,7 @@ class Game {
         } else {
             console.log('Using default procedural map (no custom map selected)');
         }
+        if (!mapLoaded) useProceduralMap(matchRandom.random);
 
         // Remove start screen event listeners
         this.startScreen.removeEventListeners();
@@ -149,9 +171,16 @@ class Game {
         // Initialize match using MatchInitializer
         this.matchInitializer = new MatchInitializer(this.canvas, this.gameState, this.assetLoader);
         const { systems, spawnManager, playerCharacter } = await this.matchInitializer.initializeSoloMatch(playerCharacterType, selectedMap, this.profile, this.audioManager);
+        this.gameState.matchSeed = matchRandom.seed;
+
+        // Replays restore the recorded loadout rather than today's upgrades
+        if (replay && playerCharacter && replay.players[0]?.maxHP) {
+            playerCharacter.maxHP = replay.players[0].maxHP;
+            playerCharacter.currentHP = playerCharacter.maxHP;
+        }
 
         // Create orchestrator
-        this.gameOrchestrator = new GameOrchestrator(this.gameState, systems, systems.renderer, spawnManager, playerCharacter, this.profile);
+        this.gameOrchestrator = new GameOrchestrator(this.gameState, systems, systems.renderer, spawnManager, playerCharacter, this.profile, { selectedMap, replay });
 
         // Initialize game loop
         this.gameLoop = new GameLoop(
@@ -168,7 +197,7 @@ class Game {
 
     async startMultiplayerMatch(session, playerCharacterType, selectedMap, isHost) {
         console.log('Starting multiplayer match:', session?.role);
-        console.log('Session data:', JSON.stringify({ ...session, connection: 'Active' }));
+        console.log('Session data:', JSON.stringify({ ...session, peers: session.peers?.length || 0, mesh: 'Active', hostTransport: !!session.hostTransport, replay: !!session.replay }));
 
         // Load a deterministic map file (no procedural randomness)
         const mapFile = session.mapFile || 'facey.json';
@@ -182,11 +211,16 @@ class Game {
                 throw new Error(`HTTP error! status: ${response.status}`);
             }
             const mapData = await response.json();
+            // Lobby rules scale the map's own settings (the procedural fallback keeps defaults)
+            mapData.gameConfig = applyMatchRules(mapData.gameConfig, session.rules);
             loadMapFromJSON(mapData);
             console.log('✅ Multiplayer map loaded:', mapData.name || mapFile);
         } catch (error) {
             console.error('❌ Failed to load multiplayer map:', error);
-            console.log('Falling back to default procedural map (non-deterministic)');
+            console.log('Falling back to default procedural map');
+            // Same seed on every peer, so the fallback terrain matches too
+            matchRandom.reseed(session.seed);
+            useProceduralMap(matchRandom.random);
         }
 
         // Remove start screen listeners but KEEP the active multiplayer connection.
@@ -223,30 +257,193 @@ class Game {
         this.gameLoop.start();
         console.log('Multiplayer Match successfully started!');
     }
+
+    /**
+     * Every player agreed on a rematch (RematchCoordinator): drop the finished
+     * match but keep its links, then start the next one on them.
+     * @param {Object} session - The finished match's session with the new seed, map and series
+     */
+    async startRematch(session) {
+        console.log('Starting rematch...');
+        if (this.gameLoop) {
+            this.gameLoop.stop();
+            this.gameLoop = null;
+        }
+        if (this.multiplayerController) {
+            this.multiplayerController.teardown({ keepConnection: true });
+            this.multiplayerController = null;
+        }
+
+        this.gameState = new GameState();
+        const characterType = session.characters[session.localPlayerIndex];
+        await this.startMultiplayerMatch(session, characterType, null, session.role === 'host');
+    }
     
 
+    /**
+     * Load a stored replay and play it through the matching controller.
+     * @param {string} replayId
+     */
+    async startReplay(replayId) {
+        const replay = await loadReplay(replayId);
+        try {
+            validateReplay(replay);
+        } catch (error) {
+            console.error('❌ Cannot play replay:', error);
+            this.resetToMenu();
+            return;
+        }
+
+        console.log(`Starting ${replay.mode} replay (${replay.ticks} ticks)`);
+        this.replayPlayer = new ReplayPlayer(replay);
+        this.gameState.replay = this.replayPlayer;
+
+        if (replay.mode === 'multiplayer') {
+            const session = {
+                role: 'replay',
+                seed: replay.seed,
+                mapFile: replay.map?.file || 'facey.json',
+                localPlayerIndex: replay.localPlayerIndex,
+                playerCount: replay.players.length,
+                bots: replay.bots || null,
+                rules: replay.rules || null,
+                characters: replay.players.map(p => p.character),
+                peers: [],
+                replay
+            };
+            await this.startMultiplayerMatch(session, replay.players[replay.localPlayerIndex].character, null, false);
+            return;
+        }
+
+        // Solo: rebuild the map exactly as it was started (file + menu overrides)
+        let selectedMap = null;
+        if (replay.map?.file) {
+            selectedMap = { file: replay.map.file, name: replay.map.name, mapData: null };
+            try {
+                const response = await fetch(resolveMapsUrl(replay.map.file));
+                if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                const mapData = await response.json();
+                if (replay.map.gameConfig) mapData.gameConfig = replay.map.gameConfig;
+                selectedMap.mapData = mapData;
+            } catch (error) {
+                warnMissingAsset('map json', `maps/${replay.map.file}`, error?.message || String(error));
+            }
+        }
+        await this.startSoloMatch(replay.players[0].character, selectedMap, replay);
+    }
+
+    // Replays: run 0..n ticks per fixed update (pause / speed), then move the camera.
+    updateReplay(deltaTime) {
+        const controller = this.multiplayerController || this.gameOrchestrator;
+        if (!controller) return;
+        const systems = this.multiplayerController ? this.multiplayerController.orchestrator.systems : controller.systems;
+
+        const ticks = this.replayPlayer.consumeTicks();
+        for (let i = 0; i < ticks && this.gameState.phase === 'playing'; i++) {
+            controller.update(deltaTime);
+        }
+
+        const session = this.multiplayerController ? this.multiplayerController.mpLockstep : controller.replaySession;
+        this.replayPlayer.currentTick = Math.min(session.nextTickToSimulate, this.replayPlayer.totalTicks);
+
+        // Joystick pans the free camera, even while paused
+        systems.inputSystem.update(null);
+        this.replayPlayer.updateCamera(systems.cameraSystem, controller.getCameraTarget(), systems.inputSystem.getMovementInput(), deltaTime);
+        this.gameState.camera = systems.cameraSystem.getBounds();
+    }
+
     handleEndScreenTouchEnd(event) {
-        if (!this.gameState || this.gameState.phase === 'playing') return;
+        if (!this.gameState) return;
         if (!event.changedTouches || event.changedTouches.length === 0) return;
 
         const touch = event.changedTouches[0];
         const coords = getCanvasCoordinates(this.canvas, touch.clientX, touch.clientY);
+        if (this.gameState.phase === 'playing') {
+            this.tryHandleReplayControl(coords.x, coords.y);
+            this.tryHandleSpectatorControl(coords.x, coords.y);
+            this.tryHandleQuickChatControl(coords.x, coords.y);
+            return;
+        }
+        this.tryHandleRematchControl(coords.x, coords.y);
         this.tryHandleReturnToMenu(coords.x, coords.y);
     }
 
     handleEndScreenMouseUp(event) {
-        if (!this.gameState || this.gameState.phase === 'playing') return;
+        if (!this.gameState) return;
         const coords = getCanvasCoordinates(this.canvas, event.clientX, event.clientY);
+        if (this.gameState.phase === 'playing') {
+            this.tryHandleReplayControl(coords.x, coords.y);
+            this.tryHandleSpectatorControl(coords.x, coords.y);
+            this.tryHandleQuickChatControl(coords.x, coords.y);
+            return;
+        }
+        this.tryHandleRematchControl(coords.x, coords.y);
         this.tryHandleReturnToMenu(coords.x, coords.y);
     }
 
-    tryHandleReturnToMenu(x, y) {
-        let renderer = null;
+    getActiveRenderer() {
         if (this.multiplayerController && this.multiplayerController.orchestrator) {
-            renderer = this.multiplayerController.orchestrator.systems.renderer;
+            return this.multiplayerController.orchestrator.systems.renderer;
         } else if (this.gameOrchestrator) {
-            renderer = this.gameOrchestrator.systems.renderer;
+            return this.gameOrchestrator.systems.renderer;
+        }
+        return null;
+    }
+
+    tryHandleReplayControl(x, y) {
+        if (!this.replayPlayer) return;
+        const renderer = this.getActiveRenderer();
+        if (!renderer || !renderer.uiRenderer) return;
+
+        const action = renderer.uiRenderer.getReplayControlHit(x, y);
+        if (!action) return;
+
+        if (action === 'exit') {
+            this.resetToMenu();
+            return;
+        }
+        const controller = this.multiplayerController || this.gameOrchestrator;
+        this.replayPlayer.handleAction(action, controller ? controller.getCameraTarget() : null);
+    }
+
+    tryHandleSpectatorControl(x, y) {
+        const spectator = this.gameState.spectator;
+        if (!spectator) return;
+        const renderer = this.getActiveRenderer();
+        if (!renderer || !renderer.uiRenderer) return;
+
+        const action = renderer.uiRenderer.getSpectatorControlHit(x, y);
+        if (!action) return;
+
+        if (action === 'exit') {
+            this.resetToMenu();
+            return;
         }
+        spectator.handleAction(action);
+    }
+
+    tryHandleQuickChatControl(x, y) {
+        const quickChat = this.gameState.quickChat;
+        if (!quickChat) return;
+        const renderer = this.getActiveRenderer();
+        if (!renderer || !renderer.uiRenderer) return;
+
+        const action = renderer.uiRenderer.getQuickChatControlHit(x, y);
+        if (action) quickChat.handleAction(action);
+    }
+
+    tryHandleRematchControl(x, y) {
+        const rematch = this.gameState.rematch;
+        if (!rematch) return;
+        const renderer = this.getActiveRenderer();
+        if (!renderer || !renderer.uiRenderer) return;
+
+        const action = renderer.uiRenderer.getRematchControlHit(x, y);
+        if (action) rematch.handleAction(action);
+    }
+
+    tryHandleReturnToMenu(x, y) {
+        const renderer = this.getActiveRenderer();
 
         if (!renderer || !renderer.uiRenderer) return;
         if (this.gameState.phase !== 'gameOver' && this.gameState.phase !== 'victory') return;
@@ -274,6 +471,7 @@ class Game {
         // Clear match controllers
         this.matchInitializer = null;
         this.gameOrchestrator = null;
+        this.replayPlayer = null;
 
         // Reset game state
         this.gameState = new GameState();
@@ -300,7 +498,9 @@ class Game {
         }
 
         // Delegate to appropriate controller
-        if (this.multiplayerController) {
+        if (this.replayPlayer) {
+            this.updateReplay(deltaTime);
+        } else if (this.multiplayerController) {
             this.multiplayerController.update(deltaTime);
         } else if (this.gameOrchestrator) {
             this.gameOrchestrator.update(deltaTime);
@@ -328,6 +528,17 @@ class Game {
                 return;
             }
 
+            // Check if a replay was picked from the match history
+            const replayId = this.startScreen.checkReplayRequested();
+            if (replayId) {
+                if (this.startScreenLoop) {
+                    this.startScreenLoop.stop();
+                }
+                this.audioManager.init();
+                this.startReplay(replayId);
+                return;
+            }
+
             // Check if start was requested
             if (this.startScreen.checkStartRequested()) {
                 console.log('Start button pressed, starting game...');
@@ -342,7 +553,7 @@ class Game {
                     this.startScreenLoop.stop();
                 }
                 // Start the game
-                this.startSoloMatch(this.selectedCharacter, this.selectedMap);
+                this.startSoloMatch(this.selectedCharacter, this.selectedMap, null, this.startScreen.getSoloSeed());
             }
             return;
         }
@@ -407,6 +618,9 @@ document.addEventListener('DOMContentLoaded', async () => {
         // Create game instance
         const game = new Game();
         
+        // Weapon definitions first: the asset list and loot table come from them
+        await loadWeaponDefinitions();
+
         // Load game assets for start screen
         console.log('Loading game assets...');
         await game.assetLoader.loadGameAssets();
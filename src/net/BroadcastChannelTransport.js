@@ -0,0 +1,143 @@
+// Same-machine transport over BroadcastChannel (two or more tabs of the game).
+
+// Mirrors WebRTCManualConnection's invite/reply API so PeerMesh and the lobby
+// work unchanged: the host's "offer code" just names a fresh channel, and the
+// client announces itself on that channel, so the host is connected as soon as
+// the invite is opened in another tab (pasting the reply back is optional).
+//
+// Meant for development and testing without a second device; there is no NAT,
+// no SDP and no network involved.
+
+import { safeJsonParse } from '../utils/jsonHelpers.js';
+import { Transport } from './Transport.js';
+
+export const BROADCAST_TRANSPORT = 'broadcast';
+
+const CHANNEL_PREFIX = 'battle2death.link.';
+
+function randomId() {
+    const buf = new Uint32Array(2);
+    crypto.getRandomValues(buf);
+    return `${buf[0].toString(36)}${buf[1].toString(36)}`;
+}
+
+function parseCode(code, expectedType) {
+    const parsed = safeJsonParse(code);
+    if (!parsed || parsed.transport !== BROADCAST_TRANSPORT || parsed.type !== expectedType || typeof parsed.link !== 'string') {
+        throw new Error(`Invalid ${expectedType} code`);
+    }
+    return parsed;
+}
+
+export class BroadcastChannelTransport extends Transport {
+    /**
+     * True if `code` is an invite created by this transport (vs a WebRTC offer).
+     * @param {string} code
+     * @returns {boolean}
+     */
+    static isInviteCode(code) {
+        const parsed = safeJsonParse(code);
+        return !!parsed && parsed.transport === BROADCAST_TRANSPORT && parsed.type === 'offer';
+    }
+
+    constructor({ role } = {}) {
+        super();
+        if (role !== 'host' && role !== 'client') throw new Error('role must be host or client');
+        if (typeof BroadcastChannel === 'undefined') throw new Error('BroadcastChannel is not supported here');
+        this.role = role;
+
+        // Distinguishes our posts from a stray third tab on the same channel
+        this.localId = randomId();
+        this.remoteId = null;
+        this.linkId = null;
+        this.channel = null;
+
+        this.onPageHide = () => this.close();
+        if (typeof window !== 'undefined') window.addEventListener('pagehide', this.onPageHide);
+    }
+
+    openChannel(linkId) {
+        this.linkId = linkId;
+        this.channel = new BroadcastChannel(`${CHANNEL_PREFIX}${linkId}`);
+        this.channel.addEventListener('message', (e) => this.handlePost(e.data));
+    }
+
+    post(kind, extra = {}) {
+        if (!this.channel) return;
+        this.channel.postMessage({ kind, from: this.localId, to: this.remoteId, ...extra });
+    }
+
+    handlePost(post) {
+        if (!post || typeof post !== 'object' || post.from === this.localId) return;
+        if (this.remoteId !== null && post.from !== this.remoteId) return;
+        if (post.to && post.to !== this.localId) return;
+
+        switch (post.kind) {
+            case 'hello':
+                // Host: the invited tab is here.
+                if (this.role !== 'host' || this.remoteId !== null) return;
+                this.remoteId = post.from;
+                this.post('welcome');
+                this.setStatus('connected');
+                break;
+            case 'welcome':
+                if (this.role !== 'client' || this.isConnected()) return;
+                this.remoteId = post.from;
+                this.setStatus('connected');
+                break;
+            case 'data':
+                if (this.isConnected()) this.receive(post.data);
+                break;
+            case 'bye':
+                this.shutdown();
+                this.setStatus('disconnected');
+                break;
+        }
+    }
+
+    send(message) {
+        if (!this.isConnected()) return false;
+        this.post('data', { data: this.encode(message) });
+        return true;
+    }
+
+    // ---- Invite / reply (same shape as WebRTCManualConnection) ---------------
+
+    async createOfferCode() {
+        if (this.role !== 'host') throw new Error('createOfferCode only valid for host');
+        this.openChannel(randomId());
+        this.setStatus('awaiting-peer');
+        return JSON.stringify({ type: 'offer', transport: BROADCAST_TRANSPORT, link: this.linkId });
+    }
+
+    // Optional: the client has usually connected by the time this is pasted.
+    async acceptAnswerCode(answerCode) {
+        if (this.role !== 'host') throw new Error('acceptAnswerCode only valid for host');
+        const { link } = parseCode(answerCode, 'answer');
+        if (link !== this.linkId) throw new Error('Reply code is for a different invite');
+        if (!this.isConnected()) this.setStatus('connecting');
+    }
+
+    async acceptOfferCodeAndCreateAnswer(offerCode) {
+        if (this.role !== 'client') throw new Error('acceptOfferCodeAndCreateAnswer only valid for client');
+        const { link } = parseCode(offerCode, 'offer');
+        this.openChannel(link);
+        this.setStatus('connecting');
+        this.post('hello');
+        return JSON.stringify({ type: 'answer', transport: BROADCAST_TRANSPORT, link });
+    }
+
+    shutdown() {
+        if (typeof window !== 'undefined') window.removeEventListener('pagehide', this.onPageHide);
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    close() {
+        if (this.channel && this.remoteId !== null) this.post('bye');
+        this.shutdown();
+        super.close();
+    }
+}
@@ -0,0 +1,146 @@
+// Periodic state-hash exchange between lockstep peers.
+
+// Every `intervalTicks` simulated ticks each peer hashes its state summary and
+// broadcasts `{type:'hash', tick, hash, parts}`. When a remote hash differs from
+// ours for the same tick, both sides send their full summary for that tick
+// (`state_dump`) so each can report a field-level diff.
+
+import { hashStateSummary, diffStateSummaries } from './stateHash.js';
+
+export class DesyncDetector {
+    /**
+     * @param {Object} options
+     * @param {number} [options.intervalTicks=30] - Hash every N ticks
+     * @param {number} [options.historySize=8] - Local summaries kept for late hashes/dumps
+     * @param {Function} options.broadcast - (message) => void, to every peer
+     * @param {Function} options.sendTo - (playerIndex, message) => void
+     * @param {Function} [options.onDesync] - ({tick, playerIndex, localHash, remoteHash, parts, diff}) => void
+     */
+    constructor({ intervalTicks = 30, historySize = 8, broadcast, sendTo, onDesync = null } = {}) {
+        if (typeof broadcast !== 'function' || typeof sendTo !== 'function') {
+            throw new Error('broadcast and sendTo required');
+        }
+
+        this.intervalTicks = Math.max(1, intervalTicks | 0);
+        this.historySize = historySize;
+        this.broadcast = broadcast;
+        this.sendTo = sendTo;
+        this.onDesync = onDesync;
+
+        // tick -> { summary, hash, parts }
+        this.localByTick = new Map();
+        // tick -> Array<{ playerIndex, hash, parts }> received before we hashed that tick
+        this.pendingRemote = new Map();
+        // `${playerIndex}:${tick}` -> mismatch info awaiting the remote dump
+        this.mismatches = new Map();
+
+        // Only the first desync per peer is reported; later ones are just fallout.
+        this.desyncedPlayers = new Set();
+    }
+
+    shouldHash(tick) {
+        return tick % this.intervalTicks === 0;
+    }
+
+    /**
+     * Record the local summary for a simulated tick and share its hash.
+     * @param {number} tick
+     * @param {Object} summary - From captureStateSummary()
+     */
+    recordLocal(tick, summary) {
+        const { hash, parts } = hashStateSummary(summary);
+        this.localByTick.set(tick, { summary, hash, parts });
+        this.pruneHistory();
+
+        this.broadcast({ type: 'hash', tick, hash, parts });
+
+        const pending = this.pendingRemote.get(tick);
+        if (pending) {
+            this.pendingRemote.delete(tick);
+            for (const remote of pending) this.compare(tick, remote);
+        }
+    }
+
+    pruneHistory() {
+        const ticks = [...this.localByTick.keys()].sort((a, b) => a - b);
+        while (ticks.length > this.historySize) {
+            this.localByTick.delete(ticks.shift());
+        }
+
+        const oldest = ticks.length ? ticks[0] : 0;
+        for (const tick of this.pendingRemote.keys()) {
+            if (tick < oldest) this.pendingRemote.delete(tick);
+        }
+    }
+
+    /**
+     * Handle a non-input lockstep message. Returns true if it was consumed.
+     * @param {number} fromPlayerIndex
+     * @param {Object} msg
+     * @returns {boolean}
+     */
+    handleMessage(fromPlayerIndex, msg) {
+        if (msg.type === 'hash') {
+            if (!Number.isInteger(msg.tick) || typeof msg.hash !== 'number') return true;
+            const remote = { playerIndex: fromPlayerIndex, hash: msg.hash, parts: msg.parts || {} };
+
+            if (this.localByTick.has(msg.tick)) {
+                this.compare(msg.tick, remote);
+            } else {
+                const list = this.pendingRemote.get(msg.tick) || [];
+                list.push(remote);
+                this.pendingRemote.set(msg.tick, list);
+            }
+            return true;
+        }
+
+        if (msg.type === 'state_dump') {
+            this.onStateDump(fromPlayerIndex, msg);
+            return true;
+        }
+
+        return false;
+    }
+
+    compare(tick, remote) {
+        const local = this.localByTick.get(tick);
+        if (!local || local.hash === remote.hash) return;
+        if (this.desyncedPlayers.has(remote.playerIndex)) return;
+        this.desyncedPlayers.add(remote.playerIndex);
+
+        const parts = Object.keys(local.parts).filter(key => local.parts[key] !== remote.parts[key]);
+        console.error(`[Desync] Desync at tick ${tick} with player ${remote.playerIndex}. Diverging: ${parts.join(', ')}`);
+
+        this.mismatches.set(`${remote.playerIndex}:${tick}`, {
+            tick,
+            playerIndex: remote.playerIndex,
+            localHash: local.hash,
+            remoteHash: remote.hash,
+            parts
+        });
+
+        // The other side detects the same mismatch and sends us its dump.
+        this.sendTo(remote.playerIndex, { type: 'state_dump', tick, summary: local.summary });
+    }
+
+    onStateDump(fromPlayerIndex, msg) {
+        const key = `${fromPlayerIndex}:${msg.tick}`;
+        const mismatch = this.mismatches.get(key);
+        const local = this.localByTick.get(msg.tick);
+        if (!mismatch || !local || !msg.summary) return;
+        this.mismatches.delete(key);
+
+        const report = { ...mismatch, diff: diffStateSummaries(local.summary, msg.summary) };
+        console.error(`[Desync] Diff at tick ${report.tick} (local vs player ${report.playerIndex}):`);
+        console.table(report.diff);
+
+        if (typeof this.onDesync === 'function') this.onDesync(report);
+    }
+
+    reset() {
+        this.localByTick.clear();
+        this.pendingRemote.clear();
+        this.mismatches.clear();
+        this.desyncedPlayers.clear();
+    }
+}
@@ -0,0 +1,183 @@
+// Round-trip time measurement between lockstep peers, and the input delay it implies.
+
+// Every peer pings every other peer twice a second (`{type:'ping', t}` answered by
+// `{type:'pong', t}`) and keeps a smoothed RTT and jitter per link (TCP-style
+// EWMA). Links that do not involve the delay coordinator (slot 0) are invisible
+// to it, so every other peer reports its worst link to the coordinator once a
+// second (`{type:'latency', rtt, jitter}`).
+//
+// Only the coordinator turns those numbers into an input delay; it announces
+// the change through the session so every peer switches on the same tick
+// (LockstepSession.requestInputDelay). Times here are wall clock and never
+// reach the simulation.
+
+import { FIXED_TIMESTEP } from '../config/constants.js';
+import { DELAY_COORDINATOR_INDEX, MIN_INPUT_DELAY_TICKS, MAX_INPUT_DELAY_TICKS } from './LockstepSession.js';
+
+const PING_INTERVAL_MS = 500;
+const REPORT_INTERVAL_MS = 1000;
+// Reported stats older than this are ignored (that peer stopped reporting)
+const REPORT_TTL_MS = 5000;
+// Evaluations in a row that must ask for less delay before it is lowered
+const LOWER_AFTER_EVALUATIONS = 3;
+
+/**
+ * Input delay (ticks) that covers one-way latency plus a jitter margin.
+ * @param {{rtt:number, jitter:number}} stats - Milliseconds
+ * @param {number} [tickMs=FIXED_TIMESTEP]
+ * @returns {number}
+ */
+export function computeInputDelay({ rtt, jitter }, tickMs = FIXED_TIMESTEP) {
+    const ticks = Math.ceil((rtt / 2 + jitter * 2) / tickMs);
+    return Math.max(MIN_INPUT_DELAY_TICKS, Math.min(MAX_INPUT_DELAY_TICKS, ticks));
+}
+
+export class LatencyMonitor {
+    /**
+     * @param {Object} options
+     * @param {number} options.localPlayerIndex
+     * @param {Function} options.broadcast - (message) => void, to every peer
+     * @param {Function} options.sendTo - (playerIndex, message) => void
+     * @param {Function} [options.now] - Millisecond clock (performance.now by default)
+     */
+    constructor({ localPlayerIndex, broadcast, sendTo, now = () => performance.now() } = {}) {
+        if (typeof broadcast !== 'function' || typeof sendTo !== 'function') {
+            throw new Error('broadcast and sendTo required');
+        }
+
+        this.localPlayerIndex = localPlayerIndex;
+        this.broadcast = broadcast;
+        this.sendTo = sendTo;
+        this.now = now;
+
+        // playerIndex -> { rtt, jitter } for our own links
+        this.links = new Map();
+        // Coordinator only: playerIndex -> { rtt, jitter, at } worst link reported by that peer
+        this.reports = new Map();
+
+        this.lastPingAt = -Infinity;
+        this.lastReportAt = -Infinity;
+        this.lastEvaluateAt = -Infinity;
+        this.lowerStreak = 0;
+    }
+
+    get isCoordinator() {
+        return this.localPlayerIndex === DELAY_COORDINATOR_INDEX;
+    }
+
+    /**
+     * Call once per update: sends pings and reports when due.
+     */
+    update() {
+        const now = this.now();
+        if (now - this.lastPingAt >= PING_INTERVAL_MS) {
+            this.lastPingAt = now;
+            this.broadcast({ type: 'ping', t: now });
+        }
+
+        if (!this.isCoordinator && now - this.lastReportAt >= REPORT_INTERVAL_MS) {
+            const worst = this.getWorstLink();
+            if (worst) {
+                this.lastReportAt = now;
+                this.sendTo(DELAY_COORDINATOR_INDEX, { type: 'latency', rtt: worst.rtt, jitter: worst.jitter });
+            }
+        }
+    }
+
+    /**
+     * Handle a non-input lockstep message. Returns true if it was consumed.
+     * @param {number} fromPlayerIndex
+     * @param {Object} msg
+     * @returns {boolean}
+     */
+    handleMessage(fromPlayerIndex, msg) {
+        switch (msg.type) {
+            case 'ping':
+                this.sendTo(fromPlayerIndex, { type: 'pong', t: msg.t });
+                return true;
+            case 'pong':
+                if (typeof msg.t === 'number') this.addSample(fromPlayerIndex, this.now() - msg.t);
+                return true;
+            case 'latency':
+                if (this.isCoordinator && typeof msg.rtt === 'number' && typeof msg.jitter === 'number') {
+                    this.reports.set(fromPlayerIndex, { rtt: msg.rtt, jitter: msg.jitter, at: this.now() });
+                }
+                return true;
+        }
+        return false;
+    }
+
+    addSample(playerIndex, sample) {
+        if (!(sample >= 0)) return;
+
+        const stats = this.links.get(playerIndex);
+        if (!stats) {
+            this.links.set(playerIndex, { rtt: sample, jitter: sample / 2 });
+            return;
+        }
+        stats.jitter += (Math.abs(sample - stats.rtt) - stats.jitter) / 4;
+        stats.rtt += (sample - stats.rtt) / 8;
+    }
+
+    /**
+     * @param {number} playerIndex
+     * @returns {{rtt:number, jitter:number}|null}
+     */
+    getLinkStats(playerIndex) {
+        return this.links.get(playerIndex) || null;
+    }
+
+    /**
+     * Highest RTT and jitter over our links (and, on the coordinator, every
+     * peer's fresh report), or null before the first pong.
+     * @returns {{rtt:number, jitter:number}|null}
+     */
+    getWorstLink() {
+        const all = [...this.links.values()];
+        if (this.isCoordinator) {
+            const now = this.now();
+            for (const report of this.reports.values()) {
+                if (now - report.at <= REPORT_TTL_MS) all.push(report);
+            }
+        }
+        if (all.length === 0) return null;
+
+        return {
+            rtt: Math.max(...all.map(s => s.rtt)),
+            jitter: Math.max(...all.map(s => s.jitter))
+        };
+    }
+
+    /**
+     * Coordinator: the delay the mesh should use now, or null to keep
+     * `currentDelay`. Raises right away; lowers only once the links have been
+     * fast for a few evaluations, so a single quiet second does not flap it.
+     * Call every update; it only evaluates once a second.
+     * @param {number} currentDelay
+     * @returns {number|null}
+     */
+    proposeInputDelay(currentDelay) {
+        const now = this.now();
+        if (!this.isCoordinator || now - this.lastEvaluateAt < REPORT_INTERVAL_MS) return null;
+        this.lastEvaluateAt = now;
+
+        const worst = this.getWorstLink();
+        if (!worst) return null;
+
+        const target = computeInputDelay(worst);
+        if (target > currentDelay) {
+            this.lowerStreak = 0;
+            return target;
+        }
+        if (target < currentDelay) {
+            this.lowerStreak++;
+            if (this.lowerStreak >= LOWER_AFTER_EVALUATIONS) {
+                this.lowerStreak = 0;
+                return target;
+            }
+            return null;
+        }
+        this.lowerStreak = 0;
+        return null;
+    }
+}
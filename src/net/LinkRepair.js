@@ -0,0 +1,117 @@
+// Re-pairs one dropped player link mid-match with a fresh offer/answer exchange.
+
+// A closed WebRTC data channel cannot be reopened, and mid-match there is no
+// working channel left to relay signaling through (the lobby relay needs the
+// host, which may be the peer that dropped). So the two players swap codes by
+// hand again, like the lobby invite: the lower slot creates the offer, the other
+// answers, and the lower slot pastes the reply back. BroadcastChannel links
+// connect as soon as the offer is accepted.
+//
+// Once the new link is open, onConnected(transport) hands it to the match,
+// which swaps it into the session (LockstepSession.replacePeerTransport).
+
+export class LinkRepair {
+    /**
+     * @param {Object} options
+     * @param {PeerMesh} options.mesh - Creates the new link (same transport type as the lobby)
+     * @param {number} options.playerIndex - Remote player slot
+     * @param {boolean} options.offering - True if this side creates the offer
+     * @param {Function} options.onConnected - (transport) once the new link is open
+     */
+    constructor({ mesh, playerIndex, offering, onConnected }) {
+        this.mesh = mesh;
+        this.playerIndex = playerIndex;
+        this.offering = offering;
+        this.onConnected = onConnected;
+
+        this.conn = null;
+        // 'idle' | 'creating' | 'awaiting-reply' | 'awaiting-code' | 'connecting' | 'connected' | 'error'
+        this.status = offering ? 'idle' : 'awaiting-code';
+        // Code to hand to the other player (our offer, or our reply)
+        this.code = null;
+        this.error = null;
+
+        // UI hook: called whenever status or code changes
+        this.onChange = null;
+    }
+
+    setStatus(status, error = null) {
+        this.status = status;
+        this.error = error;
+        if (typeof this.onChange === 'function') this.onChange(this);
+    }
+
+    openConnection(linkRole) {
+        if (this.conn) this.conn.close();
+        const conn = this.mesh.createConnection(linkRole);
+        this.conn = conn;
+
+        conn.onStatus = (status) => {
+            if (this.conn !== conn) return;
+            if (status === 'connected') {
+                this.setStatus('connected');
+                this.onConnected(conn);
+            } else if (status === 'disconnected' || status === 'pc:failed') {
+                this.setStatus('error', 'Connection failed');
+            }
+        };
+        return conn;
+    }
+
+    /**
+     * Offering side: create a new offer code (replaces any earlier attempt).
+     * @returns {Promise<void>}
+     */
+    async createOffer() {
+        if (!this.offering) throw new Error('createOffer only valid for the offering side');
+
+        this.code = null;
+        this.setStatus('creating');
+        const conn = this.openConnection('host');
+        try {
+            const code = await conn.createOfferCode();
+            if (this.conn !== conn) return;
+            this.code = code;
+            if (this.status === 'creating') this.setStatus('awaiting-reply');
+        } catch (e) {
+            console.error('[LinkRepair] Failed to create offer', e);
+            this.setStatus('error', e.message);
+        }
+    }
+
+    /**
+     * Paste the other player's code: their reply (offering side) or their offer
+     * (answering side, which then shares `code` back).
+     * @param {string} text
+     * @returns {Promise<void>}
+     */
+    async submitCode(text) {
+        const code = String(text || '').trim();
+        if (!code) return;
+
+        try {
+            if (this.offering) {
+                if (!this.conn) throw new Error('Create a reconnect code first');
+                await this.conn.acceptAnswerCode(code);
+                if (this.status !== 'connected') this.setStatus('connecting');
+            } else {
+                this.code = null;
+                const conn = this.openConnection('client');
+                const reply = await conn.acceptOfferCodeAndCreateAnswer(code);
+                if (this.conn !== conn) return;
+                this.code = reply;
+                if (this.status !== 'connected') this.setStatus('connecting');
+            }
+        } catch (e) {
+            console.error('[LinkRepair] Bad code', e);
+            this.setStatus('error', e.message);
+        }
+    }
+
+    // Abandon the attempt. A connected link belongs to the match and stays open.
+    close() {
+        this.onChange = null;
+        if (this.conn && this.status !== 'connected') this.conn.close();
+        this.conn = null;
+    }
+}
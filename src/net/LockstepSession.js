@@ -0,0 +1,473 @@
+// N-player (2-8) deterministic lockstep session over a full mesh of message transports.
+
+// Input frames are quantized to ints so both peers consume identical values.
+//
+// Inputs go out as `{type:'inputs', match, frames: [[tick, frame], ...], ack}`:
+// every message repeats all of our frames the receiver has not acknowledged yet,
+// and `ack` is the highest tick up to which we hold all of the receiver's frames.
+// A lost message is covered by the next one, so inputs can use an unordered,
+// unreliable channel (Transport.sendUnreliable) without retransmit stalls.
+// `match` is the match epoch: a rematch reuses the links, so a late message
+// from the previous match must not be taken for this one's.
+
+// Bumped whenever the frame fields change (2: weapon slot `w`)
+export const INPUT_PROTOCOL = 2;
+
+// Weapon slots a frame can select (Character.maxWeapons fits with room to spare)
+export const MAX_WEAPON_SLOT = 7;
+
+function clamp(v, min, max) {
+    return Math.max(min, Math.min(max, v));
+}
+
+function quantizeSignedUnit(value, scale) {
+    // value expected in [-1, 1]
+    const v = clamp(value, -1, 1);
+    return Math.round(v * scale);
+}
+
+function dequantizeSignedUnit(value, scale) {
+    return clamp(value / scale, -1, 1);
+}
+
+function quantizeAngleRad(angleRad) {
+    // Keep to [-pi, pi] for stability.
+    let a = angleRad;
+    while (a > Math.PI) a -= Math.PI * 2;
+    while (a < -Math.PI) a += Math.PI * 2;
+    return Math.round(a * 10000);
+}
+
+function dequantizeAngleRad(q) {
+    return q / 10000;
+}
+
+export function encodeLocalInputFrame({ moveX, moveY, fire, aimAngle, weaponSlot, ability, heal }) {
+    return {
+        p: INPUT_PROTOCOL,
+        mx: quantizeSignedUnit(moveX, 127),
+        my: quantizeSignedUnit(moveY, 127),
+        f: fire ? 1 : 0,
+        a: quantizeAngleRad(aimAngle || 0),
+        w: clamp(weaponSlot | 0, 0, MAX_WEAPON_SLOT),
+        ab: ability ? 1 : 0,
+        h: heal ? 1 : 0
+    };
+}
+
+export function decodeInputFrame(frame) {
+    return {
+        moveX: dequantizeSignedUnit(frame.mx || 0, 127),
+        moveY: dequantizeSignedUnit(frame.my || 0, 127),
+        fire: !!frame.f,
+        aimAngle: dequantizeAngleRad(frame.a || 0),
+        weaponSlot: frame.w || 0,
+        ability: !!frame.ab,
+        heal: !!frame.h
+    };
+}
+
+export function framesEqual(a, b) {
+    if (!a || !b) return a === b;
+    return a.mx === b.mx && a.my === b.my && a.f === b.f && a.a === b.a && a.w === b.w && a.ab === b.ab && a.h === b.h;
+}
+
+export const MIN_LOCKSTEP_PLAYERS = 2;
+export const MAX_LOCKSTEP_PLAYERS = 8;
+
+// Input delay bounds for adaptive delay (see requestInputDelay)
+export const MIN_INPUT_DELAY_TICKS = 1;
+export const MAX_INPUT_DELAY_TICKS = 10;
+// Slot that decides input delay changes for the whole mesh (the lobby host)
+export const DELAY_COORDINATOR_INDEX = 0;
+
+// Acknowledged local frames kept for resending after a link is replaced (2 seconds at 60 ticks/s)
+const LOCAL_FRAME_HISTORY_TICKS = 120;
+// Most unacknowledged frames repeated in one message (oldest first)
+const MAX_FRAMES_PER_MESSAGE = 32;
+
+/**
+ * Lockstep session for 2-8 players connected in a full mesh.
+ *
+ * Every peer owns exactly one player slot. Each peer link carries only the
+ * inputs of the player on the other end, so incoming frames are bucketed by
+ * the link they arrived on (never by a field in the message).
+ *
+ * @param {Object} options
+ * @param {Array<{playerIndex:number, transport:Transport}>} options.peers - One transport per remote player (see Transport.js)
+ * @param {number} options.localPlayerIndex - Slot of the local player
+ * @param {number} options.playerCount - Total players in the match (2-8)
+ * @param {number} [options.inputDelayTicks=2] - Starting pipeline delay in ticks (every peer must agree)
+ * @param {number} [options.sendAheadTicks=2] - Extra ticks of input sent past the delay as a jitter buffer
+ * @param {number} [options.matchEpoch=0] - Match number on these links (bumped by each rematch)
+ */
+export class LockstepSession {
+    constructor({ peers, localPlayerIndex, playerCount, inputDelayTicks = 2, sendAheadTicks = 2, matchEpoch = 0 } = {}) {
+        if (!Number.isInteger(playerCount) || playerCount < MIN_LOCKSTEP_PLAYERS || playerCount > MAX_LOCKSTEP_PLAYERS) {
+            throw new Error(`playerCount must be ${MIN_LOCKSTEP_PLAYERS}-${MAX_LOCKSTEP_PLAYERS}`);
+        }
+        if (!Number.isInteger(localPlayerIndex) || localPlayerIndex < 0 || localPlayerIndex >= playerCount) {
+            throw new Error('localPlayerIndex out of range');
+        }
+        if (!Array.isArray(peers) || peers.length !== playerCount - 1) {
+            throw new Error('peers must contain one transport per remote player');
+        }
+
+        const seen = new Set([localPlayerIndex]);
+        for (const peer of peers) {
+            if (!peer || !peer.transport) throw new Error('peer transport required');
+            const idx = peer.playerIndex;
+            if (!Number.isInteger(idx) || idx < 0 || idx >= playerCount || seen.has(idx)) {
+                throw new Error(`invalid peer playerIndex: ${idx}`);
+            }
+            seen.add(idx);
+        }
+
+        this.peers = peers;
+        this.playerCount = playerCount;
+        this.localPlayerIndex = localPlayerIndex;
+        this.matchEpoch = matchEpoch;
+
+        // The first `startupTicks` ticks are neutral for everyone. Fixed for the
+        // match, unlike inputDelayTicks which may change (see requestInputDelay).
+        this.startupTicks = inputDelayTicks;
+        this.inputDelayTicks = inputDelayTicks;
+        this.sendAheadTicks = sendAheadTicks;
+        // Agreed delay change not in effect yet: { delay, tick }
+        this.pendingInputDelay = null;
+        // Highest tick we recorded a local frame for
+        this.lastSentTick = this.startupTicks - 1;
+
+        this.started = false;
+        this.nextTickToSimulate = 0;
+
+        // One bucket per player slot: tick -> encoded frame
+        this.inputsByPlayer = Array.from({ length: playerCount }, () => new Map());
+        // tick -> local frame, kept until every peer acknowledged it (and a while
+        // longer, so a peer whose link was re-paired can ask again)
+        this.localFrameHistory = new Map();
+        // playerIndex -> highest tick that peer acknowledged having all our frames up to
+        this.ackedByPlayer = new Map();
+        // playerIndex -> highest tick up to which we hold all of that player's frames
+        this.receivedThrough = new Map();
+        this.resetAcks();
+
+        // Non-input messages on the match transports (hashes, etc): (fromPlayerIndex, msg)
+        this.onControlMessage = null;
+
+        for (const peer of this.peers) {
+            peer.transport.onMessage = (msg) => this.onNetMessage(peer.playerIndex, msg);
+        }
+
+        this.neutralFrame = encodeLocalInputFrame({
+            moveX: 0,
+            moveY: 0,
+            fire: false,
+            aimAngle: 0,
+            weaponSlot: 0,
+            ability: false,
+            heal: false
+        });
+    }
+
+    reset() {
+        this.started = false;
+        this.nextTickToSimulate = 0;
+        for (const bucket of this.inputsByPlayer) bucket.clear();
+        this.localFrameHistory.clear();
+        this.resetAcks();
+        this.inputDelayTicks = this.startupTicks;
+        this.pendingInputDelay = null;
+        this.lastSentTick = this.startupTicks - 1;
+    }
+
+    // Neutral startup ticks count as held and acknowledged on both sides.
+    resetAcks() {
+        for (const peer of this.peers) {
+            this.ackedByPlayer.set(peer.playerIndex, this.startupTicks - 1);
+            this.receivedThrough.set(peer.playerIndex, this.startupTicks - 1);
+        }
+    }
+
+    start() {
+        // We intentionally treat the first `startupTicks` ticks as neutral input for
+        // every player (pipeline delay). This avoids a deadlock on tick 0.
+        this.started = true;
+    }
+
+    onNetMessage(fromPlayerIndex, msg) {
+        if (!msg || msg.v !== 1) return;
+        if (msg.type === 'resume') {
+            this.resendLocalInputs(fromPlayerIndex, msg.fromTick);
+            return;
+        }
+        if (msg.type === 'input_delay') {
+            if (fromPlayerIndex === DELAY_COORDINATOR_INDEX) this.scheduleInputDelay(msg.delay, msg.tick);
+            return;
+        }
+        if (msg.type !== 'inputs') {
+            if (typeof this.onControlMessage === 'function') this.onControlMessage(fromPlayerIndex, msg);
+            return;
+        }
+        if (msg.match !== this.matchEpoch) return;
+        if (!this.receivedThrough.has(fromPlayerIndex) || !Array.isArray(msg.frames)) return;
+
+        // Acks only move forward (messages may arrive out of order), and never
+        // past what we sent: anything beyond that was not acking our frames.
+        if (Number.isInteger(msg.ack)) {
+            const ack = Math.min(msg.ack, this.lastSentTick);
+            if (ack > this.ackedByPlayer.get(fromPlayerIndex)) this.ackedByPlayer.set(fromPlayerIndex, ack);
+        }
+
+        for (const entry of msg.frames) {
+            if (!Array.isArray(entry)) continue;
+            const [tick, frame] = entry;
+            if (!Number.isInteger(tick) || !frame || frame.p !== INPUT_PROTOCOL) continue;
+            this.receiveInput(fromPlayerIndex, tick, frame);
+        }
+
+        const bucket = this.inputsByPlayer[fromPlayerIndex];
+        let through = this.receivedThrough.get(fromPlayerIndex);
+        while (bucket.has(through + 1)) through++;
+        this.receivedThrough.set(fromPlayerIndex, through);
+    }
+
+    /**
+     * Store one remote frame (repeats of frames we already hold are common).
+     * @param {number} fromPlayerIndex
+     * @param {number} tick
+     * @param {Object} frame - Encoded frame
+     * @returns {boolean} True if the frame was new
+     */
+    receiveInput(fromPlayerIndex, tick, frame) {
+        if (!this.acceptsInputTick(tick) || tick <= this.receivedThrough.get(fromPlayerIndex)) return false;
+        const bucket = this.inputsByPlayer[fromPlayerIndex];
+        if (bucket.has(tick)) return false;
+        bucket.set(tick, frame);
+        return true;
+    }
+
+    // Inputs for ticks already simulated are useless in pure lockstep.
+    acceptsInputTick(tick) {
+        return tick >= this.nextTickToSimulate;
+    }
+
+    /**
+     * Highest tick whose simulation used only real (non-predicted) inputs.
+     * In lockstep every simulated tick is confirmed.
+     * @returns {number}
+     */
+    getConfirmedTick() {
+        return this.nextTickToSimulate - 1;
+    }
+
+    recordLocalInputForTick(tick, frame) {
+        this.inputsByPlayer[this.localPlayerIndex].set(tick, frame);
+        this.localFrameHistory.set(tick, frame);
+    }
+
+    // ---- Input delay ----------------------------------------------------------
+
+    /**
+     * Coordinator only: change the input delay for every peer. The announcement
+     * goes out on the reliable channel while inputs use the unreliable one, so
+     * a peer may receive inputs for ticks past the switch tick first, and even
+     * simulate past it before the announcement lands. That cannot desync
+     * anyone: the delay only decides which tick a peer files its own new local
+     * inputs under, and every tick is simulated from the frames actually
+     * exchanged for it. A late announcement is applied at once (switch tick
+     * already passed), and the next frame continues after the last tick sent,
+     * so no tick is left without a frame or sent twice.
+     * @param {number} delay - Ticks
+     * @returns {boolean} False if nothing changed
+     */
+    requestInputDelay(delay) {
+        if (this.localPlayerIndex !== DELAY_COORDINATOR_INDEX) throw new Error('Only the delay coordinator can change input delay');
+
+        const clamped = Math.max(MIN_INPUT_DELAY_TICKS, Math.min(MAX_INPUT_DELAY_TICKS, delay | 0));
+        const current = this.pendingInputDelay ? this.pendingInputDelay.delay : this.inputDelayTicks;
+        if (clamped === current) return false;
+
+        // Past every input we have sent, so our own frames switch over cleanly
+        const tick = Math.max(this.lastSentTick + 2, this.nextTickToSimulate);
+        this.broadcast({ type: 'input_delay', delay: clamped, tick });
+        this.scheduleInputDelay(clamped, tick);
+        return true;
+    }
+
+    scheduleInputDelay(delay, tick) {
+        if (!Number.isInteger(delay) || !Number.isInteger(tick)) return;
+        if (delay < MIN_INPUT_DELAY_TICKS || delay > MAX_INPUT_DELAY_TICKS) return;
+        this.pendingInputDelay = { delay, tick };
+        this.applyPendingInputDelay();
+    }
+
+    applyPendingInputDelay() {
+        const pending = this.pendingInputDelay;
+        if (!pending || this.nextTickToSimulate < pending.tick) return;
+
+        console.log(`[Lockstep] Input delay ${this.inputDelayTicks} -> ${pending.delay} ticks at tick ${pending.tick}`);
+        this.inputDelayTicks = pending.delay;
+        this.pendingInputDelay = null;
+    }
+
+    /**
+     * Send every peer the local frames it has not acknowledged yet.
+     * Called every update, so a lost message is repeated by the next one.
+     */
+    sendUnackedInputs() {
+        for (const peer of this.peers) {
+            const acked = this.ackedByPlayer.get(peer.playerIndex);
+            const frames = [];
+            for (let t = acked + 1; t <= this.lastSentTick && frames.length < MAX_FRAMES_PER_MESSAGE; t++) {
+                const frame = this.localFrameHistory.get(t);
+                if (frame) frames.push([t, frame]);
+            }
+            if (frames.length === 0) continue;
+
+            const message = { type: 'inputs', match: this.matchEpoch, frames, ack: this.receivedThrough.get(peer.playerIndex) };
+            if (typeof peer.transport.sendUnreliable === 'function') {
+                peer.transport.sendUnreliable(message);
+            } else {
+                peer.transport.send(message);
+            }
+        }
+    }
+
+    broadcast(message) {
+        for (const peer of this.peers) {
+            peer.transport.send(message);
+        }
+    }
+
+    sendTo(playerIndex, message) {
+        const peer = this.peers.find(p => p.playerIndex === playerIndex);
+        return peer ? peer.transport.send(message) : false;
+    }
+
+    // Call once per fixed timestep.
+    // getLocalInput() should return raw input values (floats/bools).
+    tick(getLocalInput) {
+        if (!this.started) return;
+
+        this.applyPendingInputDelay();
+
+        // Ensure we always send input far enough ahead.
+        const targetTick = this.nextTickToSimulate + this.inputDelayTicks;
+
+        // Send the target tick and a couple ahead as extra jitter buffer. Start
+        // after the last tick already sent: a raised delay must not leave a gap,
+        // a lowered one (or a rollback rewind) must not send a tick twice.
+        for (let t = this.lastSentTick + 1; t <= targetTick + this.sendAheadTicks; t++) {
+            const raw = getLocalInput();
+            const frame = encodeLocalInputFrame(raw);
+            this.recordLocalInputForTick(t, frame);
+            this.lastSentTick = t;
+        }
+
+        this.sendUnackedInputs();
+
+        // Frames every peer acknowledged only matter for a re-paired link.
+        const minAcked = Math.min(...this.ackedByPlayer.values());
+        for (const t of this.localFrameHistory.keys()) {
+            if (t <= minAcked && t < this.nextTickToSimulate - LOCAL_FRAME_HISTORY_TICKS) this.localFrameHistory.delete(t);
+        }
+    }
+
+    // ---- Reconnect ------------------------------------------------------------
+
+    /**
+     * Remote player slots whose link is down.
+     * @returns {number[]}
+     */
+    getDisconnectedPlayers() {
+        return this.peers.filter(peer => !peer.transport.isConnected()).map(peer => peer.playerIndex);
+    }
+
+    /**
+     * First tick whose remote inputs this session may still be missing. A peer
+     * resending from here covers everything lost while the link was down.
+     * @returns {number}
+     */
+    getResumeTick() {
+        return this.nextTickToSimulate;
+    }
+
+    /**
+     * Swap in a freshly paired link for a remote player and ask it to resend
+     * its inputs from our resume tick. The other side does the same, so both
+     * directions catch up.
+     * @param {number} playerIndex
+     * @param {Transport} transport
+     */
+    replacePeerTransport(playerIndex, transport) {
+        const peer = this.peers.find(p => p.playerIndex === playerIndex);
+        if (!peer) throw new Error(`No peer for player ${playerIndex}`);
+
+        peer.transport = transport;
+        transport.onMessage = (msg) => this.onNetMessage(playerIndex, msg);
+        transport.send({ type: 'resume', fromTick: this.getResumeTick() });
+    }
+
+    // Treat everything from `fromTick` on as unacknowledged; sendUnackedInputs does the rest.
+    resendLocalInputs(playerIndex, fromTick) {
+        if (!Number.isInteger(fromTick) || !this.ackedByPlayer.has(playerIndex)) return;
+
+        const oldest = Math.min(...this.localFrameHistory.keys());
+        if (fromTick >= this.startupTicks && fromTick < oldest) {
+            console.warn(`[Lockstep] Player ${playerIndex} asked for inputs from tick ${fromTick}; history starts at ${oldest}`);
+        }
+        this.ackedByPlayer.set(playerIndex, Math.min(this.ackedByPlayer.get(playerIndex), fromTick - 1));
+    }
+
+    /**
+     * Player slots whose input for the next tick has not arrived yet.
+     * @returns {number[]}
+     */
+    getMissingPlayers() {
+        const tick = this.nextTickToSimulate;
+        if (tick < this.startupTicks) return [];
+
+        const missing = [];
+        for (let i = 0; i < this.playerCount; i++) {
+            if (!this.inputsByPlayer[i].has(tick)) missing.push(i);
+        }
+        return missing;
+    }
+
+    canSimulateNextTick() {
+        if (!this.started) return false;
+
+        const missing = this.getMissingPlayers();
+        const canSim = missing.length === 0;
+        if (!canSim && Math.random() < 0.01) {
+            console.log(`[Lockstep] Stalled at ${this.nextTickToSimulate}. Waiting on players:`, missing);
+        }
+        return canSim;
+    }
+
+    popNextTickInputs() {
+        const tick = this.nextTickToSimulate;
+
+        if (tick < this.startupTicks) {
+            this.nextTickToSimulate++;
+            const neutral = decodeInputFrame(this.neutralFrame);
+            return {
+                tick,
+                frames: Array.from({ length: this.playerCount }, () => ({ ...neutral })),
+                confirmed: true
+            };
+        }
+
+        if (this.getMissingPlayers().length > 0) return null;
+
+        const frames = this.inputsByPlayer.map((bucket) => {
+            const frame = bucket.get(tick);
+            bucket.delete(tick);
+            return decodeInputFrame(frame);
+        });
+        this.nextTickToSimulate++;
+
+        return { tick, frames, confirmed: true };
+    }
+}
@@ -0,0 +1,155 @@
+// In-memory transports for running multiplayer sessions in one process.
+
+// Each link is a pair of LoopbackTransports; what one end sends arrives at the
+// other after a simulated network delay. Latency, jitter and packet loss are
+// configurable so lockstep / rollback behaviour can be exercised without real
+// peers (tests, the headless runner, or two sessions in one page).
+//
+// Like a WebRTC link it has two channels: send() is reliable (never lost, and
+// in order unless `ordered` is off) and sendUnreliable() may be lost (lossRate)
+// or overtaken by later messages (jitter).
+//
+// Messages are serialized like any other transport, so anything that would not
+// survive the wire does not survive the loopback either.
+
+import { Transport } from './Transport.js';
+
+/**
+ * @typedef {Object} LoopbackOptions
+ * @property {number} [latencyMs=0] - One-way base delay
+ * @property {number} [jitterMs=0] - Extra random delay in [0, jitterMs)
+ * @property {number} [lossRate=0] - Probability (0-1) that a sendUnreliable() message is dropped
+ * @property {boolean} [ordered=true] - Never deliver a send() message before an earlier one (like an ordered data channel)
+ * @property {Function} [random=Math.random] - Random source for jitter and loss (seed it for repeatable runs)
+ */
+
+export class LoopbackTransport extends Transport {
+    /**
+     * @param {LoopbackOptions} [options]
+     */
+    constructor({ latencyMs = 0, jitterMs = 0, lossRate = 0, ordered = true, random = Math.random } = {}) {
+        super();
+        this.latencyMs = latencyMs;
+        this.jitterMs = jitterMs;
+        this.lossRate = lossRate;
+        this.ordered = ordered;
+        this.random = random;
+
+        this.remote = null;
+        this.lastDeliveryAt = 0;
+
+        // Messages on the wire, sorted by delivery time
+        this.inFlight = [];
+
+        // Counters for tests / debug overlays
+        this.sentCount = 0;
+        this.droppedCount = 0;
+    }
+
+    /**
+     * Link two transports (both become connected).
+     * @param {LoopbackTransport} other
+     */
+    connectTo(other) {
+        this.remote = other;
+        other.remote = this;
+        this.setStatus('connected');
+        other.setStatus('connected');
+    }
+
+    // Reliable channel: delayed, never lost
+    send(message) {
+        return this.transmit(message, this.ordered, false);
+    }
+
+    // Unreliable channel: may be lost or arrive out of order
+    sendUnreliable(message) {
+        return this.transmit(message, false, true);
+    }
+
+    transmit(message, ordered, lossy) {
+        if (!this.isConnected() || !this.remote) return false;
+
+        this.sentCount++;
+        if (lossy && this.lossRate > 0 && this.random() < this.lossRate) {
+            // Lost on the wire: the sender never knows.
+            this.droppedCount++;
+            return true;
+        }
+
+        const data = this.encode(message);
+        const now = Date.now();
+        let deliverAt = now + this.latencyMs + (this.jitterMs > 0 ? this.random() * this.jitterMs : 0);
+        if (ordered) {
+            deliverAt = Math.max(deliverAt, this.lastDeliveryAt);
+            this.lastDeliveryAt = deliverAt;
+        }
+
+        const entry = { deliverAt, data, timer: null };
+        let index = this.inFlight.length;
+        while (index > 0 && this.inFlight[index - 1].deliverAt > deliverAt) index--;
+        this.inFlight.splice(index, 0, entry);
+
+        // Timers alone can fire out of order, so each one flushes the queue up
+        // to its own message.
+        entry.timer = setTimeout(() => this.deliverThrough(entry), deliverAt - now);
+        return true;
+    }
+
+    deliverThrough(entry) {
+        const index = this.inFlight.indexOf(entry);
+        if (index < 0) return;
+
+        const due = this.inFlight.splice(0, index + 1);
+        for (const item of due) {
+            clearTimeout(item.timer);
+            if (this.remote && this.remote.isConnected()) this.remote.receive(item.data);
+        }
+    }
+
+    // Closing either end disconnects the other, like a closed data channel.
+    close() {
+        for (const item of this.inFlight) clearTimeout(item.timer);
+        this.inFlight = [];
+
+        const remote = this.remote;
+        this.remote = null;
+        super.close();
+
+        if (remote && remote.remote === this) {
+            remote.remote = null;
+            remote.setStatus('disconnected');
+        }
+    }
+}
+
+/**
+ * Create two connected ends of one link.
+ * @param {LoopbackOptions} [options] - Applied to both directions
+ * @returns {[LoopbackTransport, LoopbackTransport]}
+ */
+export function createLoopbackPair(options = {}) {
+    const a = new LoopbackTransport(options);
+    const b = new LoopbackTransport(options);
+    a.connectTo(b);
+    return [a, b];
+}
+
+/**
+ * Create a full mesh of loopback links for `playerCount` players.
+ * @param {number} playerCount
+ * @param {LoopbackOptions} [options]
+ * @returns {Array<Array<{playerIndex:number, transport:LoopbackTransport}>>}
+ *   peersByPlayer[i] is the `peers` list for player i's LockstepSession
+ */
+export function createLoopbackMesh(playerCount, options = {}) {
+    const peersByPlayer = Array.from({ length: playerCount }, () => []);
+    for (let i = 0; i < playerCount; i++) {
+        for (let j = i + 1; j < playerCount; j++) {
+            const [a, b] = createLoopbackPair(options);
+            peersByPlayer[i].push({ playerIndex: j, transport: a });
+            peersByPlayer[j].push({ playerIndex: i, transport: b });
+        }
+    }
+    return peersByPlayer;
+}
@@ -0,0 +1,359 @@
+// Full-mesh peer links for N-player lobbies, built on manual WebRTC connections
+// (or BroadcastChannel links between tabs, which use the same invite/reply API).
+
+// Only host <-> client links are paired by hand (invite link + reply code).
+// Client <-> client links are negotiated automatically: their offer/answer codes
+// are relayed through the host's data channels, so every player ends up with a
+// direct channel to every other player (lockstep inputs never route via the host).
+//
+// Peers are identified by a lobby `peerId` (host = 0, clients count up and are
+// never reused). Match slots are assigned separately at start time from the
+// roster order, so players leaving the lobby never leave holes in the slots.
+
+import { WebRTCManualConnection } from './WebRTCManualConnection.js';
+import { BroadcastChannelTransport, BROADCAST_TRANSPORT } from './BroadcastChannelTransport.js';
+import { MAX_LOCKSTEP_PLAYERS } from './LockstepSession.js';
+
+export const HOST_PEER_ID = 0;
+
+const MESH_MESSAGE_TYPES = new Set(['mesh_welcome', 'mesh_connect', 'mesh_offer', 'mesh_answer', 'mesh_link', 'mesh_leave']);
+
+export class PeerMesh {
+    /**
+     * @param {Object} options
+     * @param {'host'|'client'} options.role
+     * @param {Array} [options.iceServers] - WebRTC only
+     * @param {number} [options.maxPlayers]
+     * @param {'webrtc'|'broadcast'} [options.transport='webrtc'] - Link type for every peer
+     * @param {boolean} [options.unreliableInputs=true] - WebRTC only: send match inputs over an
+     *   unordered, unreliable channel (see WebRTCManualConnection)
+     */
+    constructor({ role, iceServers = [], maxPlayers = MAX_LOCKSTEP_PLAYERS, transport = 'webrtc', unreliableInputs = true } = {}) {
+        if (role !== 'host' && role !== 'client') throw new Error('role must be host or client');
+        this.role = role;
+        this.iceServers = iceServers;
+        this.transport = transport;
+        this.unreliableInputs = unreliableInputs;
+        this.maxPlayers = maxPlayers;
+
+        // Clients learn their id from the host's welcome message.
+        this.localPeerId = role === 'host' ? HOST_PEER_ID : null;
+
+        // peerId -> WebRTCManualConnection (open or still negotiating)
+        this.links = new Map();
+
+        // Host only: invite awaiting a reply, next id to hand out, and which
+        // client <-> client links each client has reported open.
+        this.pendingInvite = null;
+        this.nextPeerId = HOST_PEER_ID + 1;
+        this.clientLinks = new Map();
+
+        // Lobby (non-mesh) messages: (fromPeerId, msg)
+        this.onMessage = null;
+        // Roster or link state changed
+        this.onChange = null;
+        // Connection status text for the lobby UI: (peerId, status)
+        this.onStatus = null;
+    }
+
+    createConnection(linkRole) {
+        if (this.transport === BROADCAST_TRANSPORT) return new BroadcastChannelTransport({ role: linkRole });
+        return new WebRTCManualConnection({ role: linkRole, iceServers: this.iceServers, unreliableInputs: this.unreliableInputs });
+    }
+
+    // ---- Host: manual invites -------------------------------------------------
+
+    /**
+     * Create an invite for the next client. Replaces any unanswered invite.
+     * @returns {Promise<string>} Offer code to share
+     */
+    async createInvite() {
+        if (this.role !== 'host') throw new Error('createInvite only valid for host');
+        if (this.getPeerIds().length >= this.maxPlayers) throw new Error('Lobby is full');
+
+        this.cancelInvite();
+        const conn = this.createConnection('host');
+        this.pendingInvite = conn;
+
+        conn.onStatus = (status) => {
+            if (this.pendingInvite !== conn) return;
+            if (status === 'connected') {
+                this.admitClient(conn);
+            } else {
+                this.emitStatus(null, status);
+            }
+        };
+
+        return conn.createOfferCode();
+    }
+
+    async acceptInviteReply(answerCode) {
+        if (!this.pendingInvite) throw new Error('No pending invite');
+        await this.pendingInvite.acceptAnswerCode(answerCode);
+    }
+
+    cancelInvite() {
+        if (!this.pendingInvite) return;
+        this.pendingInvite.close();
+        this.pendingInvite = null;
+    }
+
+    admitClient(conn) {
+        this.pendingInvite = null;
+
+        const peerId = this.nextPeerId++;
+        const existingClients = this.getClientIds();
+
+        this.links.set(peerId, conn);
+        this.clientLinks.set(peerId, new Set());
+        this.wireLink(peerId, conn);
+
+        conn.send({ type: 'mesh_welcome', peerId });
+
+        // Existing clients dial the newcomer; the newcomer only answers.
+        for (const other of existingClients) {
+            this.sendTo(other, { type: 'mesh_connect', peer: peerId });
+        }
+
+        this.emitStatus(peerId, 'connected');
+        this.emitChange();
+    }
+
+    // ---- Client: manual join --------------------------------------------------
+
+    /**
+     * Join a host from its invite code.
+     * @param {string} offerCode
+     * @returns {Promise<string>} Reply code to send back to the host
+     */
+    async joinWithOffer(offerCode) {
+        if (this.role !== 'client') throw new Error('joinWithOffer only valid for client');
+
+        const conn = this.createConnection('client');
+        this.links.set(HOST_PEER_ID, conn);
+        this.wireLink(HOST_PEER_ID, conn);
+        return conn.acceptOfferCodeAndCreateAnswer(offerCode);
+    }
+
+    // ---- Links ----------------------------------------------------------------
+
+    wireLink(peerId, conn) {
+        conn.onStatus = (status) => {
+            if (status === 'connected') {
+                if (this.role === 'client' && peerId !== HOST_PEER_ID) {
+                    this.sendTo(HOST_PEER_ID, { type: 'mesh_link', peer: peerId });
+                }
+                this.emitChange();
+            } else if (status === 'disconnected' || status === 'pc:failed') {
+                this.dropPeer(peerId);
+            }
+            this.emitStatus(peerId, status);
+        };
+        conn.onMessage = (msg) => this.handleMessage(peerId, msg);
+    }
+
+    async dialPeer(peerId) {
+        const conn = this.createConnection('host');
+        this.links.set(peerId, conn);
+        this.wireLink(peerId, conn);
+        try {
+            const code = await conn.createOfferCode();
+            this.sendTo(HOST_PEER_ID, { type: 'mesh_offer', to: peerId, code });
+        } catch (e) {
+            console.error('[PeerMesh] Failed to dial peer', peerId, e);
+            this.emitStatus(peerId, 'error');
+        }
+    }
+
+    async answerPeer(peerId, offerCode) {
+        const conn = this.createConnection('client');
+        this.links.set(peerId, conn);
+        this.wireLink(peerId, conn);
+        try {
+            const code = await conn.acceptOfferCodeAndCreateAnswer(offerCode);
+            this.sendTo(HOST_PEER_ID, { type: 'mesh_answer', to: peerId, code });
+        } catch (e) {
+            console.error('[PeerMesh] Failed to answer peer', peerId, e);
+            this.emitStatus(peerId, 'error');
+        }
+    }
+
+    dropPeer(peerId) {
+        const conn = this.links.get(peerId);
+        if (!conn) return;
+        this.links.delete(peerId);
+        conn.close();
+
+        if (this.role === 'host') {
+            this.clientLinks.delete(peerId);
+            for (const linked of this.clientLinks.values()) linked.delete(peerId);
+            this.broadcast({ type: 'mesh_leave', peer: peerId });
+        }
+
+        this.emitStatus(peerId, 'left');
+        this.emitChange();
+    }
+
+    handleMessage(fromPeerId, msg) {
+        if (!msg || msg.v !== 1) return;
+
+        if (!MESH_MESSAGE_TYPES.has(msg.type)) {
+            if (typeof this.onMessage === 'function') this.onMessage(fromPeerId, msg);
+            return;
+        }
+
+        if (this.role === 'host') {
+            this.handleHostMeshMessage(fromPeerId, msg);
+        } else if (fromPeerId === HOST_PEER_ID) {
+            this.handleClientMeshMessage(msg);
+        }
+    }
+
+    handleHostMeshMessage(fromPeerId, msg) {
+        switch (msg.type) {
+            case 'mesh_offer':
+            case 'mesh_answer':
+                // Relay signaling between two clients.
+                if (msg.to !== fromPeerId && this.clientLinks.has(msg.to) && typeof msg.code === 'string') {
+                    this.sendTo(msg.to, { type: msg.type, from: fromPeerId, code: msg.code });
+                }
+                break;
+            case 'mesh_link': {
+                const linked = this.clientLinks.get(fromPeerId);
+                if (linked && this.clientLinks.has(msg.peer)) {
+                    linked.add(msg.peer);
+                    this.emitChange();
+                }
+                break;
+            }
+        }
+    }
+
+    handleClientMeshMessage(msg) {
+        switch (msg.type) {
+            case 'mesh_welcome':
+                if (Number.isInteger(msg.peerId)) {
+                    this.localPeerId = msg.peerId;
+                    this.emitChange();
+                }
+                break;
+            case 'mesh_connect':
+                if (Number.isInteger(msg.peer) && !this.links.has(msg.peer)) this.dialPeer(msg.peer);
+                break;
+            case 'mesh_offer':
+                if (Number.isInteger(msg.from) && !this.links.has(msg.from)) this.answerPeer(msg.from, msg.code);
+                break;
+            case 'mesh_answer': {
+                const conn = this.links.get(msg.from);
+                if (conn) {
+                    conn.acceptAnswerCode(msg.code).catch((e) => {
+                        console.error('[PeerMesh] Bad answer from peer', msg.from, e);
+                    });
+                }
+                break;
+            }
+            case 'mesh_leave':
+                this.dropPeer(msg.peer);
+                break;
+        }
+    }
+
+    // ---- Messaging ------------------------------------------------------------
+
+    sendTo(peerId, message) {
+        const conn = this.links.get(peerId);
+        return conn ? conn.send(message) : false;
+    }
+
+    broadcast(message) {
+        for (const conn of this.links.values()) conn.send(message);
+    }
+
+    // ---- Roster ---------------------------------------------------------------
+
+    getClientIds() {
+        const ids = [];
+        for (const [peerId, conn] of this.links) {
+            if (peerId !== HOST_PEER_ID && conn.isConnected()) ids.push(peerId);
+        }
+        return ids.sort((a, b) => a - b);
+    }
+
+    /**
+     * Host view of the lobby: every admitted peer, host first.
+     * @returns {number[]}
+     */
+    getPeerIds() {
+        return [HOST_PEER_ID, ...this.getClientIds()];
+    }
+
+    /**
+     * Host only: true once every pair of clients reported an open link.
+     * @param {number[]} [clients] - Only check links between these clients (e.g. players, not spectators)
+     * @returns {boolean}
+     */
+    isComplete(clients = this.getClientIds()) {
+        if (this.role !== 'host') return false;
+        for (const a of clients) {
+            const linked = this.clientLinks.get(a);
+            for (const b of clients) {
+                if (a !== b && !(linked && linked.has(b))) return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * @param {number} peerId
+     * @returns {Transport|null} Link to that peer (open or still negotiating)
+     */
+    getTransport(peerId) {
+        return this.links.get(peerId) || null;
+    }
+
+    /**
+     * Swap the link to `peerId` for a re-paired one mid-match (the old one is
+     * closed). The match owns its callbacks, so the new link is not wired here.
+     * @param {number} peerId
+     * @param {Transport} conn
+     */
+    replaceLink(peerId, conn) {
+        const old = this.links.get(peerId);
+        this.links.set(peerId, conn);
+        if (old && old !== conn) old.close();
+    }
+
+    /**
+     * Map a roster (peerIds in slot order) to lockstep peers.
+     * @param {number[]} roster
+     * @returns {Array<{playerIndex:number, transport:Transport}>}
+     */
+    getLockstepPeers(roster) {
+        const peers = [];
+        roster.forEach((peerId, playerIndex) => {
+            if (peerId === this.localPeerId) return;
+            const transport = this.links.get(peerId);
+            if (!transport) throw new Error(`No link to peer ${peerId}`);
+            peers.push({ playerIndex, transport });
+        });
+        return peers;
+    }
+
+    emitChange() {
+        if (typeof this.onChange === 'function') this.onChange();
+    }
+
+    emitStatus(peerId, status) {
+        if (typeof this.onStatus === 'function') this.onStatus(peerId, status);
+    }
+
+    close() {
+        this.onMessage = null;
+        this.onChange = null;
+        this.onStatus = null;
+        this.cancelInvite();
+        for (const conn of this.links.values()) conn.close();
+        this.links.clear();
+        this.clientLinks.clear();
+    }
+}
@@ -0,0 +1,145 @@
+// Quick chat and emotes between players in a multiplayer match.
+
+// Picking an option on the HUD wheel broadcasts `{type:'chat', id}` over the
+// lockstep transports; a location ping adds the sender's `x, y` and, in team
+// modes, goes to teammates only (it would give the other team away). Like pings and
+// hashes these are control messages, never inputs: they do not reach the
+// simulation, replays or spectators, and a lost one only loses its bubble.
+// With "Mute Quick Chat" on (Settings) other players' messages are dropped on
+// arrival. Times here are wall clock.
+
+export const QUICK_CHAT_OPTIONS = [
+    { id: 'gg', label: 'GG' },
+    { id: 'nice', label: 'Nice shot!' },
+    { id: 'help', label: 'Help!' },
+    { id: 'thanks', label: 'Thanks!' },
+    { id: 'laugh', label: '😂' },
+    { id: 'ping', label: 'Over here!', ping: true }
+];
+
+const OPTIONS_BY_ID = new Map(QUICK_CHAT_OPTIONS.map(option => [option.id, option]));
+
+// How long a bubble (and a ping marker) stays up
+const BUBBLE_MS = 3000;
+const PING_MS = 5000;
+// Local sends closer together than this are ignored (no spamming the wheel)
+const SEND_INTERVAL_MS = 1000;
+
+export class QuickChat {
+    /**
+     * @param {Object} options
+     * @param {number} options.localPlayerIndex
+     * @param {Function} options.broadcast - (message) => void, to every peer
+     * @param {Function} [options.sendPing] - (message) => void for location pings (broadcast by default)
+     * @param {Function} options.getLocalPosition - () => {x, y} for location pings
+     * @param {Function} [options.isMuted] - () => boolean, checked per incoming message
+     * @param {Function} [options.now] - Millisecond clock (performance.now by default)
+     */
+    constructor({ localPlayerIndex, broadcast, sendPing = broadcast, getLocalPosition, isMuted = () => false, now = () => performance.now() } = {}) {
+        if (typeof broadcast !== 'function' || typeof getLocalPosition !== 'function') {
+            throw new Error('broadcast and getLocalPosition required');
+        }
+
+        this.localPlayerIndex = localPlayerIndex;
+        this.broadcast = broadcast;
+        this.sendPing = sendPing;
+        this.getLocalPosition = getLocalPosition;
+        this.isMuted = isMuted;
+        this.now = now;
+
+        // HUD wheel open?
+        this.wheelOpen = false;
+        // playerIndex -> { option, at, ping: {x, y}|null }, latest message per player
+        this.messages = new Map();
+        this.lastSentAt = -Infinity;
+    }
+
+    /**
+     * HUD action from UIRenderer.getQuickChatControlHit: 'toggle' opens or
+     * closes the wheel, 'chat:<id>' sends that option.
+     * @param {string} action
+     */
+    handleAction(action) {
+        if (action === 'toggle') {
+            this.wheelOpen = !this.wheelOpen;
+            return;
+        }
+        if (action.startsWith('chat:')) {
+            this.wheelOpen = false;
+            this.send(action.slice(5));
+        }
+    }
+
+    /**
+     * Broadcast an option and show it over our own character.
+     * @param {string} id - QUICK_CHAT_OPTIONS id
+     * @returns {boolean} False if unknown or sent too soon after the last one
+     */
+    send(id) {
+        const option = OPTIONS_BY_ID.get(id);
+        const now = this.now();
+        if (!option || now - this.lastSentAt < SEND_INTERVAL_MS) return false;
+        this.lastSentAt = now;
+
+        const message = { type: 'chat', id };
+        if (option.ping) {
+            const position = this.getLocalPosition();
+            message.x = Math.round(position.x);
+            message.y = Math.round(position.y);
+            this.sendPing(message);
+        } else {
+            this.broadcast(message);
+        }
+        this.addMessage(this.localPlayerIndex, option, message);
+        return true;
+    }
+
+    /**
+     * Handle a non-input lockstep message. Returns true if it was consumed.
+     * @param {number} fromPlayerIndex
+     * @param {Object} msg
+     * @returns {boolean}
+     */
+    handleMessage(fromPlayerIndex, msg) {
+        if (msg.type !== 'chat') return false;
+
+        const option = OPTIONS_BY_ID.get(msg.id);
+        if (option && !this.isMuted()) {
+            if (!option.ping || (Number.isFinite(msg.x) && Number.isFinite(msg.y))) {
+                this.addMessage(fromPlayerIndex, option, msg);
+            }
+        }
+        return true;
+    }
+
+    addMessage(playerIndex, option, msg) {
+        this.messages.set(playerIndex, {
+            option,
+            at: this.now(),
+            ping: option.ping ? { x: msg.x, y: msg.y } : null
+        });
+    }
+
+    /**
+     * Messages still on screen, for the renderers.
+     * @returns {{playerIndex:number, label:string, ping:{x:number, y:number}|null, showBubble:boolean}[]}
+     */
+    getActiveMessages() {
+        const now = this.now();
+        const active = [];
+        for (const [playerIndex, message] of this.messages) {
+            const age = now - message.at;
+            if (age > (message.ping ? PING_MS : BUBBLE_MS)) {
+                this.messages.delete(playerIndex);
+                continue;
+            }
+            active.push({
+                playerIndex,
+                label: message.option.label,
+                ping: message.ping,
+                showBubble: age <= BUBBLE_MS
+            });
+        }
+        return active;
+    }
+}
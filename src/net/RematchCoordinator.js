@@ -0,0 +1,309 @@
+// Rematches and best-of-N series between the players of a finished match.
+
+// The end screen's "Rematch" button broadcasts `{type:'rematch_vote'}`. Once
+// every player has voted, the host offers the next match the way the lobby does
+// (see matchConfig.js): `{type:'rematch_offer', config}` with a fresh seed, the
+// map (the host can swap it on the end screen), its hash, the weapons hash, the
+// build and the series score. Each player checks them and answers
+// `{type:'rematch_ack', id, ok, reason}`; once all accepted, the host sends
+// `{type:'rematch_go', id}` and every peer starts the next match over the same
+// links, so nothing is re-paired. The host's end-screen choices (series length,
+// map) reach the others as `{type:'rematch_settings', bestOf, mapFile, mapName}`.
+//
+// The series counts match wins per player slot; in Duos/Trios everyone on the
+// winning team scores, and a match won by bots scores for nobody. Every peer
+// records the result in-sim, but the next match starts from the score in the
+// host's offer. Spectators are not carried over.
+
+import { checkMatchConfig, loadMapHash } from './matchConfig.js';
+import { randomSeedUint32 } from './prng.js';
+import { getWeaponDefinitionsHash } from '../config/weapons.js';
+
+export const SERIES_LENGTHS = [1, 3, 5];
+
+/**
+ * @param {number} bestOf
+ * @param {number} playerCount
+ * @returns {{bestOf:number, wins:number[]}}
+ */
+export function createSeries(bestOf, playerCount) {
+    return { bestOf, wins: new Array(playerCount).fill(0) };
+}
+
+/**
+ * Series from the network or a session, or a fresh best-of-1 if it is malformed.
+ * @param {Object|null} series
+ * @param {number} playerCount
+ * @returns {{bestOf:number, wins:number[]}}
+ */
+export function normalizeSeries(series, playerCount) {
+    if (!series || !SERIES_LENGTHS.includes(series.bestOf) || !Array.isArray(series.wins) ||
+        series.wins.length !== playerCount || !series.wins.every(w => Number.isInteger(w) && w >= 0)) {
+        return createSeries(SERIES_LENGTHS[0], playerCount);
+    }
+    return { bestOf: series.bestOf, wins: [...series.wins] };
+}
+
+/**
+ * @param {{bestOf:number, wins:number[]}} series
+ * @param {number[]} winners - Player slots that won the match
+ * @returns {{bestOf:number, wins:number[]}} New score
+ */
+export function recordSeriesResult(series, winners) {
+    return {
+        bestOf: series.bestOf,
+        wins: series.wins.map((w, i) => (winners.includes(i) ? w + 1 : w))
+    };
+}
+
+/**
+ * @param {{bestOf:number, wins:number[]}} series
+ * @returns {number[]} Slots that have won the series (teammates win together); empty while it runs
+ */
+export function getSeriesWinners(series) {
+    const needed = Math.floor(series.bestOf / 2) + 1;
+    return series.wins.flatMap((w, i) => (w >= needed ? [i] : []));
+}
+
+export class RematchCoordinator {
+    /**
+     * @param {Object} options
+     * @param {Object} options.session - Session of the match being played (reused for the next one)
+     * @param {number} options.hostPlayerIndex - Slot of the lobby host (-1 if it has none)
+     * @param {Function} options.broadcast - (message) => void, to every player
+     * @param {Function} options.sendTo - (playerIndex, message) => void
+     * @param {Function} options.onStart - (session) => void, start the next match
+     * @param {Function} [options.getMapHash] - (mapFile) => Promise<number|null>
+     */
+    constructor({ session, hostPlayerIndex, broadcast, sendTo, onStart, getMapHash = loadMapHash } = {}) {
+        if (!session || typeof broadcast !== 'function' || typeof sendTo !== 'function' || typeof onStart !== 'function') {
+            throw new Error('session, broadcast, sendTo and onStart required');
+        }
+
+        this.session = session;
+        this.localPlayerIndex = session.localPlayerIndex;
+        this.playerCount = session.playerCount;
+        this.hostPlayerIndex = hostPlayerIndex;
+        this.isHost = hostPlayerIndex === session.localPlayerIndex;
+        this.broadcast = broadcast;
+        this.sendTo = sendTo;
+        this.onStart = onStart;
+        this.getMapHash = getMapHash;
+
+        // Score including this match once it ends (see setResult)
+        this.series = normalizeSeries(session.series, this.playerCount);
+        this.ended = false;
+        this.started = false;
+
+        // Next match settings: the host picks them, the others show the host's
+        this.bestOf = this.series.bestOf;
+        this.mapPool = Array.isArray(session.mapPool) ? session.mapPool : [];
+        this.mapFile = session.mapFile;
+        this.mapName = this.mapPool.find(m => m.file === this.mapFile)?.name || this.mapFile;
+
+        // Player slots that want a rematch
+        this.votes = new Set();
+        // Host: config out for acks; others: the last one they accepted
+        this.offer = null;
+        // Latest offer id sent (host) or received (others)
+        this.offerId = 0;
+        // Host: playerIndex -> true for each player that accepted this.offer
+        this.acks = new Map();
+        // Why the rematch cannot start (a refused offer), shown on the end screen
+        this.error = null;
+    }
+
+    /**
+     * Whether the rematch controls are live: the host has a slot (it runs the
+     * offer) and the next match has not started yet.
+     * @returns {boolean}
+     */
+    get available() {
+        return this.hostPlayerIndex >= 0 && !this.started;
+    }
+
+    get hasVoted() {
+        return this.votes.has(this.localPlayerIndex);
+    }
+
+    /**
+     * Record the finished match. Votes that arrived while it was still running
+     * on this peer were kept.
+     * @param {number[]} winners - Player slots that won
+     */
+    setResult(winners) {
+        if (this.ended) return;
+        this.ended = true;
+        this.series = recordSeriesResult(this.series, winners);
+        this.maybeOffer();
+    }
+
+    /**
+     * @returns {number[]} Series winners under the series length chosen for the next match
+     */
+    getSeriesWinners() {
+        return getSeriesWinners({ ...this.series, bestOf: this.bestOf });
+    }
+
+    /**
+     * Score the next match starts from: the current one, or 0-0 once someone
+     * has won the series.
+     * @returns {{bestOf:number, wins:number[]}}
+     */
+    getNextSeries() {
+        if (this.getSeriesWinners().length > 0) return createSeries(this.bestOf, this.playerCount);
+        return { bestOf: this.bestOf, wins: [...this.series.wins] };
+    }
+
+    /**
+     * End screen action from UIRenderer.getRematchControlHit: 'vote', or (host)
+     * 'bestOf' / 'map' to cycle the series length or the map.
+     * @param {string} action
+     */
+    handleAction(action) {
+        if (!this.available) return;
+
+        if (action === 'vote') {
+            if (this.hasVoted) return;
+            this.votes.add(this.localPlayerIndex);
+            this.broadcast({ type: 'rematch_vote' });
+            this.maybeOffer();
+            return;
+        }
+
+        if (!this.isHost) return;
+        if (action === 'bestOf') {
+            this.bestOf = SERIES_LENGTHS[(SERIES_LENGTHS.indexOf(this.bestOf) + 1) % SERIES_LENGTHS.length];
+        } else if (action === 'map' && this.mapPool.length > 1) {
+            const index = this.mapPool.findIndex(m => m.file === this.mapFile);
+            const next = this.mapPool[(index + 1) % this.mapPool.length];
+            this.mapFile = next.file;
+            this.mapName = next.name;
+        } else {
+            return;
+        }
+        this.broadcast({ type: 'rematch_settings', bestOf: this.bestOf, mapFile: this.mapFile, mapName: this.mapName });
+        // Anything already offered is stale; offer again if everyone is in
+        this.offer = null;
+        this.maybeOffer();
+    }
+
+    /**
+     * Handle a non-input lockstep message. Returns true if it was consumed.
+     * @param {number} fromPlayerIndex
+     * @param {Object} msg
+     * @returns {boolean}
+     */
+    handleMessage(fromPlayerIndex, msg) {
+        switch (msg.type) {
+            case 'rematch_vote':
+                this.votes.add(fromPlayerIndex);
+                this.maybeOffer();
+                return true;
+            case 'rematch_settings':
+                if (fromPlayerIndex === this.hostPlayerIndex && SERIES_LENGTHS.includes(msg.bestOf) && typeof msg.mapFile === 'string') {
+                    this.bestOf = msg.bestOf;
+                    this.mapFile = msg.mapFile;
+                    this.mapName = typeof msg.mapName === 'string' ? msg.mapName : msg.mapFile;
+                }
+                return true;
+            case 'rematch_offer':
+                if (fromPlayerIndex === this.hostPlayerIndex) this.acceptOffer(msg.config);
+                return true;
+            case 'rematch_ack':
+                if (this.isHost) this.handleAck(fromPlayerIndex, msg);
+                return true;
+            case 'rematch_go':
+                if (fromPlayerIndex === this.hostPlayerIndex && this.offer && msg.id === this.offer.id) {
+                    this.start(this.offer);
+                }
+                return true;
+            default:
+                return false;
+        }
+    }
+
+    // HOST: offer the next match once this peer has ended and every player voted.
+    async maybeOffer() {
+        if (!this.isHost || !this.available || !this.ended || this.offer) return;
+        if (this.votes.size < this.playerCount) return;
+
+        const id = ++this.offerId;
+        const mapFile = this.mapFile;
+        const mapHash = await this.getMapHash(mapFile);
+        // Settings changed (or a newer offer went out) while hashing
+        if (id !== this.offerId || mapFile !== this.mapFile || !this.available) return;
+
+        this.offer = {
+            id,
+            seed: randomSeedUint32(),
+            mapFile,
+            mapHash,
+            weaponsHash: getWeaponDefinitionsHash(),
+            build: this.session.build,
+            series: this.getNextSeries()
+        };
+        this.acks = new Map([[this.localPlayerIndex, true]]);
+        this.error = null;
+        this.broadcast({ type: 'rematch_offer', config: this.offer });
+        console.log(`[Rematch] Offered match ${id} on ${mapFile}`);
+    }
+
+    // CLIENT: check the offered map and build against our own copy and answer.
+    async acceptOffer(config) {
+        this.offerId = config?.id;
+        const mapHash = typeof config?.mapFile === 'string' ? await this.getMapHash(config.mapFile) : null;
+        // A newer offer arrived while hashing; it gets its own answer
+        if (config?.id !== this.offerId) return;
+        const reason = checkMatchConfig(config, { mapHash, weaponsHash: getWeaponDefinitionsHash(), build: this.session.build });
+        if (reason) {
+            console.warn(`[Rematch] Refusing rematch: ${reason}`);
+            this.error = reason;
+            this.offer = null;
+        } else {
+            this.error = null;
+            this.offer = { ...config, series: normalizeSeries(config.series, this.playerCount) };
+        }
+        this.sendTo(this.hostPlayerIndex, { type: 'rematch_ack', id: config?.id, ok: !reason, reason });
+    }
+
+    handleAck(fromPlayerIndex, msg) {
+        if (!this.offer || msg.id !== this.offer.id) return;
+        if (!msg.ok) {
+            this.error = `P${fromPlayerIndex + 1}: ${msg.reason || 'refused the rematch'}`;
+            return;
+        }
+        this.acks.set(fromPlayerIndex, true);
+        if (this.acks.size < this.playerCount) return;
+
+        this.broadcast({ type: 'rematch_go', id: this.offer.id });
+        this.start(this.offer);
+    }
+
+    start(config) {
+        if (this.started) return;
+        this.started = true;
+        console.log(`[Rematch] Starting rematch on ${config.mapFile} (seed ${config.seed})`);
+        this.onStart({
+            ...this.session,
+            seed: config.seed,
+            mapFile: config.mapFile,
+            mapHash: config.mapHash,
+            series: config.series,
+            // Tags this match's inputs (see LockstepSession), so late ones from the last match are dropped
+            matchEpoch: (this.session.matchEpoch || 0) + 1,
+            spectators: []
+        });
+    }
+
+    /**
+     * One line for the end screen under the rematch button.
+     * @returns {string}
+     */
+    getStatusText() {
+        if (this.error) return this.error;
+        if (!this.hasVoted) return this.votes.size > 0 ? `${this.votes.size}/${this.playerCount} want a rematch` : '';
+        if (this.votes.size < this.playerCount) return `Waiting for players (${this.votes.size}/${this.playerCount})`;
+        return 'Starting rematch...';
+    }
+}
@@ -0,0 +1,183 @@
+// Match replays recorded from the per-tick input stream.
+
+// The simulation is driven purely by decoded input frames plus a seed, so a match
+// is fully described by `{seed, map, players, inputs}`. Each player's frames are
+// packed to small int tuples and run-length encoded (held inputs repeat a lot).
+//
+// Replay shape (v1):
+// {
+//   v, mode: 'solo'|'multiplayer', seed, map: {file, name, gameConfig} | null,
+//   players: [{character, maxHP}], bots: {count, skill} | null,
+//   rules: {safeZone, loot} | null, localPlayerIndex, ticks,
+//   inputs: [[count, mx, my, flags, aim, slot, count, ...], ...],  // one stream per player
+//   result: {placement, kills, matchTime}, createdAt
+// }
+
+import { encodeLocalInputFrame, decodeInputFrame } from './LockstepSession.js';
+
+export const REPLAY_VERSION = 1;
+
+const PACKED_FRAME_SIZE = 5;
+const FLAG_FIRE = 1;
+const FLAG_ABILITY = 2;
+const FLAG_HEAL = 4;
+
+/**
+ * Pack a decoded input frame into [mx, my, flags, aim, weaponSlot].
+ * @param {Object} frame - {moveX, moveY, fire, aimAngle, ability, heal, weaponSlot?}
+ * @returns {number[]}
+ */
+export function packFrame(frame) {
+    const e = encodeLocalInputFrame(frame);
+    const flags = (e.f ? FLAG_FIRE : 0) | (e.ab ? FLAG_ABILITY : 0) | (e.h ? FLAG_HEAL : 0);
+    return [e.mx, e.my, flags, e.a, e.w];
+}
+
+/**
+ * Inverse of packFrame().
+ * @param {number[]} packed
+ * @returns {Object} Decoded frame (same shape the lockstep session produces)
+ */
+export function unpackFrame(packed) {
+    const [mx, my, flags, a, weaponSlot] = packed;
+    return decodeInputFrame({
+        mx,
+        my,
+        f: flags & FLAG_FIRE,
+        a,
+        w: weaponSlot | 0,
+        ab: flags & FLAG_ABILITY,
+        h: flags & FLAG_HEAL
+    });
+}
+
+function samePacked(a, b) {
+    for (let i = 0; i < PACKED_FRAME_SIZE; i++) {
+        if (a[i] !== b[i]) return false;
+    }
+    return true;
+}
+
+/**
+ * Run-length encode one player's packed frames.
+ * @param {number[][]} frames
+ * @returns {number[]} [count, ...frame, count, ...frame, ...]
+ */
+export function encodeInputStream(frames) {
+    const out = [];
+    let i = 0;
+    while (i < frames.length) {
+        let run = 1;
+        while (i + run < frames.length && samePacked(frames[i], frames[i + run])) run++;
+        out.push(run, ...frames[i]);
+        i += run;
+    }
+    return out;
+}
+
+/**
+ * Expand a run-length encoded stream back to one packed frame per tick.
+ * Repeated ticks share the same array.
+ * @param {number[]} stream
+ * @returns {number[][]}
+ */
+export function decodeInputStream(stream) {
+    const frames = [];
+    for (let i = 0; i + PACKED_FRAME_SIZE < stream.length; i += PACKED_FRAME_SIZE + 1) {
+        const run = stream[i];
+        const packed = stream.slice(i + 1, i + 1 + PACKED_FRAME_SIZE);
+        for (let r = 0; r < run; r++) frames.push(packed);
+    }
+    return frames;
+}
+
+/**
+ * Check a parsed replay before playing it.
+ * @param {Object} replay
+ * @throws {Error} If the replay cannot be played by this build
+ */
+export function validateReplay(replay) {
+    if (!replay || typeof replay !== 'object') throw new Error('Replay is empty');
+    if (replay.v !== REPLAY_VERSION) throw new Error(`Unsupported replay version ${replay.v}`);
+    if (replay.mode !== 'solo' && replay.mode !== 'multiplayer') throw new Error(`Unknown replay mode ${replay.mode}`);
+    if (!Array.isArray(replay.players) || !Array.isArray(replay.inputs) || replay.inputs.length !== replay.players.length) {
+        throw new Error('Replay players and inputs do not match');
+    }
+    if (!Number.isInteger(replay.ticks) || replay.ticks < 0) throw new Error('Replay tick count is invalid');
+}
+
+/**
+ * Collects the frames every player used, tick by tick.
+ *
+ * Ticks must be recorded in order. Recording a tick again (rollback resimulation)
+ * discards it and everything after it, so the last simulated frames win.
+ */
+export class ReplayRecorder {
+    /**
+     * @param {Object} options
+     * @param {'solo'|'multiplayer'} options.mode
+     * @param {number|null} [options.seed]
+     * @param {Object|null} [options.map] - {file, name, gameConfig}
+     * @param {Array<{character:string, maxHP:number}>} options.players - In slot order
+     * @param {{count:number, skill:string}|null} [options.bots] - Multiplayer bots (rebuilt from the seed)
+     * @param {{safeZone:string, loot:string}|null} [options.rules] - Multiplayer lobby rules
+     * @param {number} [options.localPlayerIndex=0]
+     */
+    constructor({ mode, seed = null, map = null, players, bots = null, rules = null, localPlayerIndex = 0 } = {}) {
+        if (!Array.isArray(players) || players.length === 0) throw new Error('players required');
+
+        this.mode = mode;
+        this.seed = seed;
+        this.map = map;
+        this.players = players;
+        this.bots = bots;
+        this.rules = rules;
+        this.localPlayerIndex = localPlayerIndex;
+
+        // tick -> packed frames (one per player)
+        this.ticks = [];
+    }
+
+    /**
+     * @param {number} tick
+     * @param {Object[]} frames - Decoded frames in slot order
+     */
+    recordTick(tick, frames) {
+        if (tick > this.ticks.length) {
+            throw new Error(`Replay tick ${tick} recorded out of order (expected ${this.ticks.length})`);
+        }
+        this.ticks.length = tick;
+        this.ticks.push(frames.map(packFrame));
+    }
+
+    // Drop ticks simulated after the match was decided.
+    truncate(tickCount) {
+        if (tickCount < this.ticks.length) this.ticks.length = tickCount;
+    }
+
+    /**
+     * Build the replay object.
+     * @param {Object} [result] - {placement, kills, matchTime}
+     * @returns {Object}
+     */
+    finish(result = null) {
+        const inputs = this.players.map((_, playerIndex) => {
+            return encodeInputStream(this.ticks.map(frames => frames[playerIndex]));
+        });
+
+        return {
+            v: REPLAY_VERSION,
+            mode: this.mode,
+            seed: this.seed,
+            map: this.map,
+            players: this.players,
+            bots: this.bots,
+            rules: this.rules,
+            localPlayerIndex: this.localPlayerIndex,
+            ticks: this.ticks.length,
+            inputs,
+            result,
+            createdAt: Date.now()
+        };
+    }
+}
@@ -0,0 +1,68 @@
+// Plays a recorded replay back through the same interface as LockstepSession.
+
+// The match controller pops one tick of frames at a time exactly as it does for a
+// live match; live input is ignored and nothing is sent anywhere.
+
+import { decodeInputStream, unpackFrame, validateReplay } from './ReplayRecorder.js';
+
+export class ReplaySession {
+    /**
+     * @param {Object} replay - From ReplayRecorder.finish()
+     */
+    constructor(replay) {
+        validateReplay(replay);
+
+        this.replay = replay;
+        this.playerCount = replay.players.length;
+        this.localPlayerIndex = replay.localPlayerIndex;
+        this.totalTicks = replay.ticks;
+
+        // playerIndex -> packed frame per tick
+        this.framesByPlayer = replay.inputs.map(decodeInputStream);
+        for (const frames of this.framesByPlayer) {
+            if (frames.length < this.totalTicks) throw new Error('Replay input stream is truncated');
+        }
+
+        this.nextTickToSimulate = 0;
+        this.started = false;
+
+        // Same hook as LockstepSession; a replay never receives messages.
+        this.onControlMessage = null;
+    }
+
+    start() {
+        this.started = true;
+    }
+
+    // Recorded inputs only.
+    tick() {}
+
+    broadcast() {}
+
+    sendTo() {
+        return false;
+    }
+
+    isFinished() {
+        return this.nextTickToSimulate >= this.totalTicks;
+    }
+
+    canSimulateNextTick() {
+        return this.started && !this.isFinished();
+    }
+
+    getConfirmedTick() {
+        return this.nextTickToSimulate - 1;
+    }
+
+    /**
+     * @returns {{tick:number, frames:Object[], confirmed:boolean}|null}
+     */
+    popNextTickInputs() {
+        if (!this.canSimulateNextTick()) return null;
+
+        const tick = this.nextTickToSimulate++;
+        const frames = this.framesByPlayer.map(playerFrames => unpackFrame(playerFrames[tick]));
+        return { tick, frames, confirmed: true };
+    }
+}
@@ -0,0 +1,146 @@
+// Rollback variant of the lockstep session: never stalls on a late remote input.
+
+// Missing remote inputs are predicted by repeating that player's last known frame
+// so the simulation can run up to `maxRollbackTicks` ahead of the confirmed inputs.
+// When a real input arrives for a tick that was simulated with a different
+// prediction, the session flags that tick; the match controller then restores its
+// snapshot from before that tick and resimulates up to the present.
+
+import { LockstepSession, decodeInputFrame, framesEqual } from './LockstepSession.js';
+
+export class RollbackSession extends LockstepSession {
+    /**
+     * @param {Object} options - Same as LockstepSession, plus:
+     * @param {number} [options.maxRollbackTicks=8] - How far ahead of confirmed inputs we may predict
+     */
+    constructor({ maxRollbackTicks = 8, ...options } = {}) {
+        super(options);
+
+        this.maxRollbackTicks = maxRollbackTicks;
+
+        // Highest tick T such that every player's input for all ticks <= T is known.
+        // The first `startupTicks` ticks are neutral for everyone.
+        this.confirmedTick = this.startupTicks - 1;
+        this.lastConfirmedFrames = Array.from({ length: this.playerCount }, () => this.neutralFrame);
+
+        // tick -> encoded frames actually simulated (for unconfirmed ticks)
+        this.usedFramesByTick = new Map();
+
+        // Earliest simulated tick whose prediction turned out wrong (or null)
+        this.rollbackToTick = null;
+    }
+
+    reset() {
+        super.reset();
+        this.confirmedTick = this.startupTicks - 1;
+        this.lastConfirmedFrames.fill(this.neutralFrame);
+        this.usedFramesByTick.clear();
+        this.rollbackToTick = null;
+    }
+
+    // Late inputs still matter until their tick is confirmed.
+    acceptsInputTick(tick) {
+        return tick > this.confirmedTick;
+    }
+
+    // A frame for a tick we already simulated on a prediction may force a rollback.
+    receiveInput(fromPlayerIndex, tick, frame) {
+        if (!super.receiveInput(fromPlayerIndex, tick, frame)) return false;
+
+        const used = this.usedFramesByTick.get(tick);
+        if (used && !framesEqual(used[fromPlayerIndex], frame)) {
+            if (this.rollbackToTick === null || tick < this.rollbackToTick) {
+                this.rollbackToTick = tick;
+            }
+        }
+        return true;
+    }
+
+    onNetMessage(fromPlayerIndex, msg) {
+        super.onNetMessage(fromPlayerIndex, msg);
+        if (msg && msg.v === 1 && msg.type === 'inputs') this.advanceConfirmedTick();
+    }
+
+    advanceConfirmedTick() {
+        for (;;) {
+            const next = this.confirmedTick + 1;
+            if (!this.inputsByPlayer.every(bucket => bucket.has(next))) break;
+            this.confirmedTick = next;
+            this.lastConfirmedFrames = this.inputsByPlayer.map(bucket => bucket.get(next));
+        }
+
+        // Everything before the confirmed tick that was already simulated is final,
+        // except ticks a pending rollback is about to resimulate.
+        let keepFrom = Math.min(this.confirmedTick, this.nextTickToSimulate);
+        if (this.rollbackToTick !== null) keepFrom = Math.min(keepFrom, this.rollbackToTick);
+        for (const bucket of this.inputsByPlayer) {
+            for (const tick of bucket.keys()) {
+                if (tick < keepFrom) bucket.delete(tick);
+            }
+        }
+        for (const tick of this.usedFramesByTick.keys()) {
+            if (tick <= this.confirmedTick) this.usedFramesByTick.delete(tick);
+        }
+    }
+
+    // Predicted ticks may have used guesses for the lost inputs.
+    getResumeTick() {
+        return this.confirmedTick + 1;
+    }
+
+    getConfirmedTick() {
+        let tick = Math.min(this.confirmedTick, this.nextTickToSimulate - 1);
+        // Ticks from a pending rollback onward were simulated with wrong inputs.
+        if (this.rollbackToTick !== null) tick = Math.min(tick, this.rollbackToTick - 1);
+        return tick;
+    }
+
+    // Repeat the player's most recent known frame before `tick`.
+    predictFrame(playerIndex, tick) {
+        const bucket = this.inputsByPlayer[playerIndex];
+        for (let t = tick - 1; t > this.confirmedTick; t--) {
+            const frame = bucket.get(t);
+            if (frame) return frame;
+        }
+        return this.lastConfirmedFrames[playerIndex];
+    }
+
+    canSimulateNextTick() {
+        if (!this.started) return false;
+
+        const canSim = this.nextTickToSimulate <= this.confirmedTick + this.maxRollbackTicks;
+        if (!canSim && Math.random() < 0.01) {
+            console.log(`[Rollback] Prediction window full at ${this.nextTickToSimulate}. Waiting on players:`, this.getMissingPlayers());
+        }
+        return canSim;
+    }
+
+    popNextTickInputs() {
+        const tick = this.nextTickToSimulate;
+        if (tick < this.startupTicks) return super.popNextTickInputs();
+        if (!this.canSimulateNextTick()) return null;
+
+        const encoded = this.inputsByPlayer.map((bucket, playerIndex) => bucket.get(tick) || this.predictFrame(playerIndex, tick));
+        const confirmed = tick <= this.confirmedTick;
+        if (!confirmed) this.usedFramesByTick.set(tick, encoded);
+
+        this.nextTickToSimulate++;
+
+        return { tick, frames: encoded.map(decodeInputFrame), confirmed };
+    }
+
+    /**
+     * Earliest tick that must be resimulated, or null. Clears the flag.
+     * @returns {number|null}
+     */
+    takeRollbackTick() {
+        const tick = this.rollbackToTick;
+        this.rollbackToTick = null;
+        return tick;
+    }
+
+    // Rewind so the next popNextTickInputs() returns `tick` again.
+    rewindTo(tick) {
+        this.nextTickToSimulate = tick;
+    }
+}
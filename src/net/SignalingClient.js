@@ -0,0 +1,353 @@
+// Optional signaling relay client: swaps invite/reply codes through a WebSocket
+// relay (scripts/signaling-relay.mjs) instead of copy/paste.
+
+// The relay only carries the same codes the manual flow shows (offer from
+// WebRTCManualConnection.createOfferCode, answer from acceptOfferCodeAndCreateAnswer),
+// so links come out exactly as if they had been pasted. The host opens a room
+// and gets a short join code; each player who joins the room is sent a fresh
+// invite and its reply comes back the same way:
+//   host -> joiner  {type:'invite', offer}   (or {type:'refused', reason})
+//   joiner -> host  {type:'reply', answer}
+// Joiners are paired one at a time; while others are ahead, the host tells a
+// waiting joiner so each time the line moves:
+//   host -> joiner  {type:'queued', ahead}   (pairings before its own)
+// Without a relay URL (or if it cannot be reached) the lobby keeps the manual flow.
+
+const DEFAULT_TIMEOUT_MS = 8000;
+// How long the host waits for one joiner to pair before inviting the next
+const PAIR_TIMEOUT_MS = 20000;
+
+export const ROOM_CODE_PATTERN = /^[A-HJ-NP-Z2-9]{5}$/;
+
+/**
+ * @param {string} text
+ * @returns {string|null} The room code in `text` (any case, spaces ignored), or null
+ */
+export function parseRoomCode(text) {
+    const code = String(text || '').replace(/\s+/g, '').toUpperCase();
+    return ROOM_CODE_PATTERN.test(code) ? code : null;
+}
+
+export class SignalingClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.url - ws:// or wss:// relay address
+     * @param {Function} [options.WebSocketImpl] - WebSocket constructor (global by default)
+     * @param {number} [options.timeoutMs=8000] - For connecting and room replies
+     */
+    constructor({ url, WebSocketImpl = globalThis.WebSocket, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+        if (!url) throw new Error('relay url required');
+        if (typeof WebSocketImpl !== 'function') throw new Error('WebSocket not available');
+
+        this.url = url;
+        this.WebSocketImpl = WebSocketImpl;
+        this.timeoutMs = timeoutMs;
+        this.socket = null;
+
+        // Room code and our peer number in it (host = 0)
+        this.code = null;
+        this.peer = null;
+
+        // Relay reply a createRoom/joinRoom call is waiting for: { resolve, reject, timer }
+        this.pending = null;
+
+        // (fromPeer, data)
+        this.onSignal = null;
+        // Host only: (peer)
+        this.onPeerJoined = null;
+        this.onPeerLeft = null;
+        // Relay gone or room closed by its host
+        this.onClose = null;
+    }
+
+    /**
+     * Open the socket.
+     * @returns {Promise<void>}
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = new this.WebSocketImpl(this.url);
+            this.socket = socket;
+
+            const timer = setTimeout(() => {
+                socket.close();
+                reject(new Error(`Relay ${this.url} did not answer`));
+            }, this.timeoutMs);
+
+            socket.onopen = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            socket.onerror = () => {
+                clearTimeout(timer);
+                reject(new Error(`Cannot reach relay ${this.url}`));
+            };
+            socket.onmessage = (e) => this.receive(e.data);
+            socket.onclose = () => {
+                clearTimeout(timer);
+                this.failPending(new Error('Relay connection closed'));
+                if (this.socket === socket) this.handleClosed();
+            };
+        });
+    }
+
+    /**
+     * Host: open a room.
+     * @returns {Promise<string>} Join code to share
+     */
+    async createRoom() {
+        const reply = await this.request({ type: 'create' }, 'created');
+        this.code = reply.code;
+        this.peer = reply.peer;
+        return reply.code;
+    }
+
+    /**
+     * Join a host's room.
+     * @param {string} code
+     * @returns {Promise<number>} Our peer number in the room
+     */
+    async joinRoom(code) {
+        const reply = await this.request({ type: 'join', code }, 'joined');
+        this.code = reply.code;
+        this.peer = reply.peer;
+        return reply.peer;
+    }
+
+    /**
+     * @param {number} to - Peer number (host = 0)
+     * @param {Object} data
+     * @returns {boolean} False if the socket is not open
+     */
+    send(to, data) {
+        return this.sendRaw({ type: 'signal', to, data });
+    }
+
+    close() {
+        const socket = this.socket;
+        this.socket = null;
+        this.failPending(new Error('Relay closed'));
+        this.onSignal = null;
+        this.onPeerJoined = null;
+        this.onPeerLeft = null;
+        this.onClose = null;
+        if (socket) {
+            try {
+                socket.close();
+            } catch { /* ignore */ }
+        }
+    }
+
+    // ---- Internals ----------------------------------------------------------------
+
+    sendRaw(message) {
+        if (!this.socket || this.socket.readyState !== 1) return false;
+        this.socket.send(JSON.stringify(message));
+        return true;
+    }
+
+    request(message, replyType) {
+        return new Promise((resolve, reject) => {
+            if (this.pending) {
+                reject(new Error('Relay request already in flight'));
+                return;
+            }
+            const timer = setTimeout(() => this.failPending(new Error('Relay did not reply')), this.timeoutMs);
+            this.pending = { replyType, resolve, reject, timer };
+            if (!this.sendRaw(message)) this.failPending(new Error('Relay not connected'));
+        });
+    }
+
+    failPending(error) {
+        const pending = this.pending;
+        if (!pending) return;
+        this.pending = null;
+        clearTimeout(pending.timer);
+        pending.reject(error);
+    }
+
+    receive(text) {
+        let msg;
+        try {
+            msg = JSON.parse(text);
+        } catch {
+            return;
+        }
+        if (!msg || typeof msg !== 'object') return;
+
+        const pending = this.pending;
+        if (pending && (msg.type === pending.replyType || msg.type === 'error')) {
+            this.pending = null;
+            clearTimeout(pending.timer);
+            if (msg.type === 'error') pending.reject(new Error(msg.reason || 'Relay error'));
+            else pending.resolve(msg);
+            return;
+        }
+
+        switch (msg.type) {
+            case 'signal':
+                if (this.onSignal) this.onSignal(msg.from, msg.data || {});
+                break;
+            case 'peer_joined':
+                if (this.onPeerJoined) this.onPeerJoined(msg.peer);
+                break;
+            case 'peer_left':
+                if (this.onPeerLeft) this.onPeerLeft(msg.peer);
+                break;
+            case 'room_closed':
+                this.handleClosed();
+                break;
+            case 'error':
+                console.warn('[Relay]', msg.reason);
+                break;
+        }
+    }
+
+    handleClosed() {
+        const onClose = this.onClose;
+        this.close();
+        if (onClose) onClose();
+    }
+}
+
+/**
+ * Host side: send every player that joins the room an invite and apply their
+ * reply. One joiner at a time, since a host keeps a single pending invite
+ * (PeerMesh.createInvite replaces it); call paired() once that link is up.
+ */
+export class RelayInviter {
+    /**
+     * @param {Object} options
+     * @param {SignalingClient} options.signaling - In a room it created
+     * @param {Function} options.createOffer - () => Promise<string>, e.g. PeerMesh.createInvite
+     *   or WebRTCManualConnection.createOfferCode
+     * @param {Function} options.acceptAnswer - (answerCode) => Promise, e.g. PeerMesh.acceptInviteReply
+     * @param {number} [options.pairTimeoutMs=20000]
+     */
+    constructor({ signaling, createOffer, acceptAnswer, pairTimeoutMs = PAIR_TIMEOUT_MS } = {}) {
+        if (!signaling || typeof createOffer !== 'function' || typeof acceptAnswer !== 'function') {
+            throw new Error('signaling, createOffer and acceptAnswer required');
+        }
+        this.signaling = signaling;
+        this.createOffer = createOffer;
+        this.acceptAnswer = acceptAnswer;
+        this.pairTimeoutMs = pairTimeoutMs;
+
+        // Joiners waiting for an invite, and the one being paired: { peer, replied, timer }
+        this.queue = [];
+        this.current = null;
+
+        signaling.onPeerJoined = (peer) => {
+            this.queue.push(peer);
+            if (this.current) this.signaling.send(peer, { type: 'queued', ahead: this.queue.length });
+            else this.next();
+        };
+        signaling.onPeerLeft = (peer) => {
+            this.queue = this.queue.filter(p => p !== peer);
+            // Once it replied the link may still come up without the relay
+            if (this.current && this.current.peer === peer && !this.current.replied) this.finish();
+        };
+        signaling.onSignal = (from, data) => this.handleSignal(from, data);
+    }
+
+    /**
+     * The pending invite connected: move on to the next joiner.
+     */
+    paired() {
+        if (this.current) this.finish();
+    }
+
+    async next() {
+        if (this.current || this.queue.length === 0) return;
+
+        const peer = this.queue.shift();
+        const current = { peer, replied: false, timer: setTimeout(() => this.finish(), this.pairTimeoutMs) };
+        this.current = current;
+        // Keeps the others from giving up while they wait their turn
+        this.queue.forEach((waiting, i) => this.signaling.send(waiting, { type: 'queued', ahead: i + 1 }));
+
+        try {
+            const offer = await this.createOffer();
+            if (this.current === current) this.signaling.send(peer, { type: 'invite', offer });
+        } catch (e) {
+            console.warn('[Relay] Cannot invite peer:', e);
+            this.signaling.send(peer, { type: 'refused', reason: e.message || 'Cannot invite' });
+            if (this.current === current) this.finish();
+        }
+    }
+
+    async handleSignal(from, data) {
+        const current = this.current;
+        if (!current || from !== current.peer || data.type !== 'reply' || typeof data.answer !== 'string') return;
+
+        current.replied = true;
+        try {
+            await this.acceptAnswer(data.answer);
+        } catch (e) {
+            console.warn('[Relay] Bad reply from peer:', e);
+            if (this.current === current) this.finish();
+        }
+    }
+
+    finish() {
+        clearTimeout(this.current?.timer);
+        this.current = null;
+        this.next();
+    }
+}
+
+/**
+ * Joiner side: wait for the host's invite in the room, answer it and send the
+ * reply back. Keep the relay open until the link is up, so the host does not
+ * give the invite to the next joiner.
+ * @param {SignalingClient} signaling - Already in the host's room
+ * @param {Function} acceptOffer - (offerCode) => Promise<string> answer code, e.g. PeerMesh.joinWithOffer
+ *   or WebRTCManualConnection.acceptOfferCodeAndCreateAnswer
+ * @param {number} [timeoutMs=20000] - Wait for the invite, per pairing still ahead of us
+ *   (restarted whenever the host says the line moved)
+ * @returns {Promise<void>} Resolves once the reply is sent
+ */
+export function answerViaRelay(signaling, acceptOffer, timeoutMs = PAIR_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+        let timer = null;
+        const wait = (ms) => {
+            clearTimeout(timer);
+            timer = setTimeout(() => fail(new Error('Host did not send an invite')), ms);
+        };
+        const settle = () => {
+            clearTimeout(timer);
+            signaling.onSignal = null;
+            signaling.onClose = null;
+        };
+        const fail = (error) => {
+            settle();
+            reject(error);
+        };
+
+        wait(timeoutMs);
+        signaling.onClose = () => fail(new Error('Relay connection closed'));
+        signaling.onSignal = async (from, data) => {
+            if (from !== 0) return;
+            if (data.type === 'queued') {
+                // Each pairing ahead of us may take the host's whole pair timeout; one more for slack
+                const ahead = Number.isInteger(data.ahead) && data.ahead > 0 ? data.ahead : 1;
+                wait(timeoutMs * (ahead + 1));
+                return;
+            }
+            if (data.type === 'refused') {
+                fail(new Error(data.reason || 'Host refused'));
+                return;
+            }
+            if (data.type !== 'invite' || typeof data.offer !== 'string') return;
+
+            settle();
+            try {
+                const answer = await acceptOffer(data.offer);
+                signaling.send(0, { type: 'reply', answer });
+                resolve();
+            } catch (e) {
+                reject(e);
+            }
+        };
+    });
+}
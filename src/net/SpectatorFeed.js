@@ -0,0 +1,75 @@
+// Host side of spectating: streams the confirmed input stream to read-only peers.
+
+// Spectators are not lockstep peers. They only hold a link to the host, which
+// forwards every confirmed tick's frames (packed like replays) in order:
+//   {type: 'spectate_ticks', from, frames: [[packedFrame per player], ...]}
+// A spectator that joins mid-match starts from tick 0 and fast-forwards, so the
+// host sends the backlog in batches rather than one huge message.
+//
+// Nothing here feeds back into the match: spectators never send inputs and the
+// lockstep gate never waits on them.
+
+export const MAX_SPECTATORS = 4;
+
+// Ticks per message (2 seconds at 60 ticks/s) while a spectator catches up
+const DEFAULT_BATCH_TICKS = 120;
+// Batches per publish() per spectator, so a long backlog is spread over frames
+const MAX_BATCHES_PER_PUBLISH = 4;
+
+export class SpectatorFeed {
+    /**
+     * @param {Object} [options]
+     * @param {number} [options.batchTicks=120] - Max ticks per message
+     */
+    constructor({ batchTicks = DEFAULT_BATCH_TICKS } = {}) {
+        this.batchTicks = Math.max(1, batchTicks | 0);
+
+        // peerId -> { transport, nextTick }
+        this.spectators = new Map();
+    }
+
+    /**
+     * @param {number} peerId - Lobby peer id
+     * @param {Transport} transport - Link from the host to that peer
+     */
+    addSpectator(peerId, transport) {
+        if (!transport) throw new Error('spectator transport required');
+        this.spectators.set(peerId, { transport, nextTick: 0 });
+    }
+
+    removeSpectator(peerId) {
+        this.spectators.delete(peerId);
+    }
+
+    get count() {
+        return this.spectators.size;
+    }
+
+    /**
+     * Send every spectator the confirmed ticks it has not seen yet.
+     * @param {number[][][]} ticks - Packed frames by tick (ReplayRecorder.ticks)
+     * @param {number} confirmedTick - Highest tick that can no longer be rolled back
+     */
+    publish(ticks, confirmedTick) {
+        const available = Math.min(ticks.length, confirmedTick + 1);
+
+        for (const [peerId, spectator] of this.spectators) {
+            if (!spectator.transport.isConnected()) {
+                this.spectators.delete(peerId);
+                continue;
+            }
+
+            for (let batch = 0; batch < MAX_BATCHES_PER_PUBLISH && spectator.nextTick < available; batch++) {
+                const from = spectator.nextTick;
+                const to = Math.min(available, from + this.batchTicks);
+                const sent = spectator.transport.send({ type: 'spectate_ticks', from, frames: ticks.slice(from, to) });
+                if (!sent) break;
+                spectator.nextTick = to;
+            }
+        }
+    }
+
+    close() {
+        this.spectators.clear();
+    }
+}
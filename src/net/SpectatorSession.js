@@ -0,0 +1,117 @@
+// Watches a live match as a spectator, through the same interface as LockstepSession.
+
+// The host streams every confirmed tick's frames (see SpectatorFeed.js); the
+// match controller pops them one tick at a time like any other session. Nothing
+// is ever sent: a spectator has no player slot and no input.
+//
+// A spectator that joins mid-match (or falls behind) receives a backlog, so it
+// runs several ticks per update until it is close to live again.
+
+import { unpackFrame } from './ReplayRecorder.js';
+
+// Buffered ticks above which the spectator fast-forwards
+const CATCH_UP_THRESHOLD_TICKS = 30;
+// Max ticks simulated per update while catching up
+const MAX_CATCH_UP_TICKS_PER_UPDATE = 8;
+
+export class SpectatorSession {
+    /**
+     * @param {Object} options
+     * @param {Transport} options.hostTransport - Link to the host (see Transport.js)
+     * @param {number} options.playerCount - Players in the match
+     */
+    constructor({ hostTransport, playerCount } = {}) {
+        if (!hostTransport) throw new Error('hostTransport required');
+        if (!Number.isInteger(playerCount) || playerCount < 1) throw new Error('playerCount required');
+
+        this.hostTransport = hostTransport;
+        this.playerCount = playerCount;
+        this.localPlayerIndex = null;
+
+        // Packed frames by tick, appended in order as the host streams them
+        // (entries are cleared once simulated)
+        this.ticks = [];
+        this.nextTickToSimulate = 0;
+        this.started = false;
+        this.hostConnected = hostTransport.isConnected();
+
+        // Same hook as LockstepSession (the host only sends ticks today)
+        this.onControlMessage = null;
+
+        hostTransport.onMessage = (msg) => this.onNetMessage(msg);
+        hostTransport.onStatus = (status) => {
+            this.hostConnected = status === 'connected';
+        };
+    }
+
+    onNetMessage(msg) {
+        if (!msg || msg.v !== 1) return;
+        if (msg.type !== 'spectate_ticks') {
+            if (typeof this.onControlMessage === 'function') this.onControlMessage(0, msg);
+            return;
+        }
+
+        // Batches arrive in order over an ordered link; ignore anything else.
+        if (msg.from !== this.ticks.length || !Array.isArray(msg.frames)) return;
+        for (const frames of msg.frames) {
+            if (!Array.isArray(frames) || frames.length !== this.playerCount) return;
+            this.ticks.push(frames);
+        }
+    }
+
+    start() {
+        this.started = true;
+    }
+
+    // Spectators have no input to send.
+    tick() {}
+
+    broadcast() {}
+
+    sendTo() {
+        return false;
+    }
+
+    /**
+     * Ticks received but not simulated yet.
+     * @returns {number}
+     */
+    getBufferedTicks() {
+        return this.ticks.length - this.nextTickToSimulate;
+    }
+
+    isCatchingUp() {
+        return this.getBufferedTicks() > CATCH_UP_THRESHOLD_TICKS;
+    }
+
+    /**
+     * Number of ticks to simulate for one fixed update.
+     * @returns {number}
+     */
+    consumeTicks() {
+        if (!this.started) return 0;
+        return this.isCatchingUp() ? MAX_CATCH_UP_TICKS_PER_UPDATE : 1;
+    }
+
+    canSimulateNextTick() {
+        return this.started && this.nextTickToSimulate < this.ticks.length;
+    }
+
+    // The host only streams confirmed ticks.
+    getConfirmedTick() {
+        return this.nextTickToSimulate - 1;
+    }
+
+    /**
+     * @returns {{tick:number, frames:Object[], confirmed:boolean}|null}
+     */
+    popNextTickInputs() {
+        if (!this.canSimulateNextTick()) return null;
+
+        const tick = this.nextTickToSimulate++;
+        const frames = this.ticks[tick].map(unpackFrame);
+        // Simulated ticks are never needed again (the array length is the stream cursor).
+        this.ticks[tick] = null;
+        return { tick, frames, confirmed: true };
+    }
+}
@@ -0,0 +1,102 @@
+// Message transport interface shared by every link a multiplayer session can use.
+
+// A transport carries small JSON messages to exactly one remote peer:
+//   send(message) -> boolean   queue a message (false if not connected)
+//   sendUnreliable(message)    same, but may be dropped or reordered (inputs only;
+//                              defaults to send() where there is no such channel)
+//   onMessage = (msg) => {}    parsed message from the remote peer
+//   onStatus = (status) => {}  'connecting' | 'connected' | 'disconnected' | 'error' | ...
+//   isConnected() -> boolean
+//   close()
+//
+// Every message goes out as `{v: PROTOCOL_VERSION, ...message}` and is parsed on
+// receipt, whatever the underlying channel is, so sessions behave the same over
+// WebRTC, BroadcastChannel or the in-memory loopback. Per-tick match messages
+// are sent in a compact binary form (see wireFormat.js) unless the wire format
+// is set to 'json'; either form is accepted on receipt.
+
+import { safeJsonParse } from '../utils/jsonHelpers.js';
+import { encodeBinaryMessage, decodeBinaryMessage } from './wireFormat.js';
+
+export const PROTOCOL_VERSION = 1;
+
+// 'binary' | 'json' for transports created from now on
+let defaultWireFormat = 'binary';
+
+/**
+ * Pick the encoding new transports send with ('json' is easier to read in
+ * devtools; receivers understand both).
+ * @param {'binary'|'json'} format
+ */
+export function setDefaultWireFormat(format) {
+    if (format !== 'binary' && format !== 'json') throw new Error(`Unknown wire format: ${format}`);
+    defaultWireFormat = format;
+}
+
+export class Transport {
+    constructor() {
+        this.onStatus = null;
+        this.onMessage = null;
+
+        this.status = 'idle';
+        this.lastError = null;
+        this.wireFormat = defaultWireFormat;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        if (typeof this.onStatus === 'function') this.onStatus(status);
+    }
+
+    /**
+     * Serialize an outgoing message.
+     * @param {Object} message
+     * @returns {string|Uint8Array}
+     */
+    encode(message) {
+        if (this.wireFormat === 'binary') {
+            const bytes = encodeBinaryMessage(message);
+            if (bytes) return bytes;
+        }
+        return JSON.stringify({ v: PROTOCOL_VERSION, ...message });
+    }
+
+    /**
+     * Hand raw data from the channel to onMessage (malformed data is dropped).
+     * @param {string|ArrayBuffer|ArrayBufferView} data
+     */
+    receive(data) {
+        if (typeof this.onMessage !== 'function') return;
+        const parsed = typeof data === 'string' ? safeJsonParse(data) : decodeBinaryMessage(data, PROTOCOL_VERSION);
+        if (!parsed) return;
+        this.onMessage(parsed);
+    }
+
+    isConnected() {
+        return this.status === 'connected';
+    }
+
+    /**
+     * @param {Object} message
+     * @returns {boolean} False if the message could not be sent
+     */
+    send(message) {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+
+    /**
+     * Best-effort send for messages that are repeated until acknowledged
+     * (lockstep inputs). Links without a lossy channel just use send().
+     * @param {Object} message
+     * @returns {boolean}
+     */
+    sendUnreliable(message) {
+        return this.send(message);
+    }
+
+    close() {
+        this.onStatus = null;
+        this.onMessage = null;
+        this.status = 'closed';
+    }
+}
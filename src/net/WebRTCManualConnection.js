@@ -1,8 +1,8 @@
 // Manual offer/answer WebRTC connection (copy/paste SDP) for static-site multiplayer.
+// The same codes can travel through the optional signaling relay instead (see SignalingClient).
 
 import { safeJsonParse } from '../utils/jsonHelpers.js';
-
-const PROTOCOL_VERSION = 1;
+import { Transport } from './Transport.js';
 
 function delay(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
@@ -33,24 +33,32 @@ async function waitForIceGatheringComplete(pc, timeoutMs = 8000) {
     pc.removeEventListener('icegatheringstatechange', onState);
 }
 
+// Second data channel for lockstep inputs: unordered, never retransmitted.
+// Inputs repeat until acknowledged (see LockstepSession), so a lost packet is
+// covered by the next one instead of stalling everything behind it.
+const INPUT_CHANNEL_LABEL = 'inputs';
+
 export function getOptionalPublicStunIceServers() {
     // Optional, OFF by default. Not a gameplay server; used for NAT traversal.
     return [{ urls: ['stun:stun.l.google.com:19302'] }];
 }
 
-export class WebRTCManualConnection {
-    constructor({ role, iceServers = [] } = {}) {
+export class WebRTCManualConnection extends Transport {
+    /**
+     * @param {Object} options
+     * @param {'host'|'client'} options.role
+     * @param {Array} [options.iceServers]
+     * @param {boolean} [options.unreliableInputs=false] - Host: also open the unordered input
+     *   channel (the client takes whatever channels the host opens)
+     */
+    constructor({ role, iceServers = [], unreliableInputs = false } = {}) {
+        super();
         if (role !== 'host' && role !== 'client') throw new Error('role must be host or client');
         this.role = role;
 
         this.pc = new RTCPeerConnection({ iceServers });
         this.channel = null;
-
-        this.onStatus = null;
-        this.onMessage = null;
-
-        this.status = 'idle';
-        this.lastError = null;
+        this.inputChannel = null;
 
         this.pc.addEventListener('connectionstatechange', () => {
             this.setStatus(`pc:${this.pc.connectionState}`);
@@ -62,8 +70,18 @@ export class WebRTCManualConnection {
         if (this.role === 'host') {
             this.channel = this.pc.createDataChannel('game', { ordered: true });
             this.wireChannel(this.channel);
+            if (unreliableInputs) {
+                this.inputChannel = this.pc.createDataChannel(INPUT_CHANNEL_LABEL, { ordered: false, maxRetransmits: 0 });
+                this.wireInputChannel(this.inputChannel);
+            }
         } else {
             this.pc.addEventListener('datachannel', (e) => {
+                if (e.channel.label === INPUT_CHANNEL_LABEL) {
+                    if (this.inputChannel) return;
+                    this.inputChannel = e.channel;
+                    this.wireInputChannel(this.inputChannel);
+                    return;
+                }
                 if (this.channel) return;
                 this.channel = e.channel;
                 this.wireChannel(this.channel);
@@ -71,24 +89,21 @@ export class WebRTCManualConnection {
         }
     }
 
-    setStatus(status) {
-        this.status = status;
-        if (typeof this.onStatus === 'function') this.onStatus(status);
-    }
-
     wireChannel(channel) {
+        channel.binaryType = 'arraybuffer';
         channel.addEventListener('open', () => this.setStatus('connected'));
         channel.addEventListener('close', () => this.setStatus('disconnected'));
         channel.addEventListener('error', (e) => {
             this.lastError = e;
             this.setStatus('error');
         });
-        channel.addEventListener('message', (e) => {
-            if (typeof this.onMessage !== 'function') return;
-            const parsed = safeJsonParse(e.data);
-            if (!parsed) return;
-            this.onMessage(parsed);
-        });
+        channel.addEventListener('message', (e) => this.receive(e.data));
+    }
+
+    // Data only: the link's status follows the reliable channel.
+    wireInputChannel(channel) {
+        channel.binaryType = 'arraybuffer';
+        channel.addEventListener('message', (e) => this.receive(e.data));
     }
 
     isConnected() {
@@ -97,15 +112,29 @@ export class WebRTCManualConnection {
 
     send(message) {
         if (!this.isConnected()) return false;
-        this.channel.send(JSON.stringify({ v: PROTOCOL_VERSION, ...message }));
+        this.channel.send(this.encode(message));
         return true;
     }
 
+    // Falls back to the reliable channel until the input channel is open (or without one).
+    sendUnreliable(message) {
+        if (this.inputChannel && this.inputChannel.readyState === 'open') {
+            this.inputChannel.send(this.encode(message));
+            return true;
+        }
+        return this.send(message);
+    }
+
     close() {
         // Prevent re-entry or late callbacks
         this.onStatus = null;
         this.onMessage = null;
 
+        try {
+            if (this.inputChannel) this.inputChannel.close();
+        } catch { /* ignore */ }
+        this.inputChannel = null;
+
         try {
             if (this.channel) {
                 this.channel.onopen = null;
@@ -0,0 +1,56 @@
+// The lobby's final match config, agreed by every peer before the countdown.
+
+// When everyone is ready the host sends `{type:'match_config', config}` with the
+// settings it is about to start with, its build version, a hash of the map
+// JSON and one of the weapon definitions (weapons/*.json). Each peer checks the
+// map, weapons and build against its own copy and answers
+// `{type:'config_ack', id, ok, reason}`. The countdown only runs once every peer
+// has accepted that exact config (see StartScreen); a mismatched map file,
+// weapon file or build would desync on the first tick, so the lobby refuses to start instead.
+
+import { resolveMapsUrl } from '../utils/assetUrl.js';
+import { fnv1a } from '../utils/hash.js';
+
+/**
+ * Hash of a map file as this peer would load it, or null if it cannot be
+ * fetched (the match then falls back to the seeded procedural map, which is
+ * fine as long as every peer gets null).
+ * @param {string} mapFile
+ * @returns {Promise<number|null>}
+ */
+export async function loadMapHash(mapFile) {
+    try {
+        const response = await fetch(resolveMapsUrl(mapFile));
+        if (!response.ok) return null;
+        // Parsed and re-serialized so whitespace and line endings do not matter
+        return fnv1a(JSON.stringify(await response.json()));
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Why this peer cannot play the host's config, or null if it can.
+ * @param {Object} config - From the host
+ * @param {{mapHash:number|null, weaponsHash:number|null, build:string}} local - This peer's view of
+ *   config.mapFile, its weapon definitions hash (getWeaponDefinitionsHash) and build
+ * @returns {string|null}
+ */
+export function checkMatchConfig(config, local) {
+    if (!config || typeof config !== 'object') return 'Missing match config';
+    if (config.build !== local.build) return `Game version ${local.build} differs from host ${config.build}`;
+    if (config.mapHash !== local.mapHash) return `Map data for ${config.mapFile} differs from host`;
+    if (config.weaponsHash !== local.weaponsHash) return 'Weapon data differs from host';
+    return null;
+}
+
+/**
+ * True if two configs describe the same match (the id is ignored).
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {boolean}
+ */
+export function sameMatchConfig(a, b) {
+    if (!a || !b) return false;
+    return JSON.stringify({ ...a, id: 0 }) === JSON.stringify({ ...b, id: 0 });
+}
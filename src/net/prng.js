@@ -2,15 +2,22 @@
 
 // Mulberry32: fast, tiny, good enough for gameplay randomness seeding.
 // Returns a function that yields floats in [0, 1).
+// The generator state is a single uint32, exposed via getState()/setState() so a
+// simulation snapshot can rewind it.
 export function createMulberry32(seedUint32) {
     let t = seedUint32 >>> 0;
-    return function random() {
+    function random() {
         t += 0x6D2B79F5;
         let x = t;
         x = Math.imul(x ^ (x >>> 15), x | 1);
         x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
         return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+    }
+    random.getState = () => t;
+    random.setState = (state) => {
+        t = state >>> 0;
     };
+    return random;
 }
 
 // Stable string -> uint32 seed.
@@ -0,0 +1,120 @@
+// Compact simulation state summaries + hashes for lockstep desync detection.
+
+// Floats are quantized to 1/100 units before hashing so the summary is a plain,
+// JSON-safe object of ints that both peers can exchange and diff field by field.
+
+import { fnv1a } from '../utils/hash.js';
+
+const QUANT_SCALE = 100;
+
+function q(value) {
+    return Math.round((value || 0) * QUANT_SCALE);
+}
+
+/**
+ * Capture the parts of the simulation that must match on every peer.
+ * @param {GameState} gameState
+ * @param {CombatSystem} combatSystem
+ * @param {SpawnManager} [spawnManager] - Ground loot (weapons and consumables)
+ * @returns {Object} Summary grouped into hashable parts
+ */
+export function captureStateSummary(gameState, combatSystem, spawnManager = null) {
+    const zone = gameState.safeZoneSystem;
+
+    return {
+        tick: {
+            combatTick: combatSystem ? combatSystem.currentTick : 0,
+            matchTime: q(gameState.matchTime)
+        },
+        characters: gameState.characters.map(c => ({
+            x: q(c.position.x),
+            y: q(c.position.y),
+            hp: q(c.currentHP),
+            shield: q(c.shield),
+            dead: c.isDead ? 1 : 0,
+            downed: c.isDowned ? 1 : 0,
+            weapon: c.activeWeaponIndex,
+            weapons: c.weapons.length,
+            kits: c.healthKits,
+            effects: Object.keys(c.statusEffects).join(',')
+        })),
+        projectiles: (combatSystem ? combatSystem.projectiles : []).map(p => ({
+            x: q(p.position.x),
+            y: q(p.position.y),
+            active: p.active ? 1 : 0
+        })),
+        mines: (combatSystem ? combatSystem.mines : []).map(m => ({
+            id: m.mineId,
+            x: q(m.position.x),
+            y: q(m.position.y),
+            armed: m.armed ? 1 : 0
+        })),
+        loot: spawnManager ? {
+            weapons: spawnManager.getWeaponPickups().map(w => (w.active ? 1 : 0)),
+            consumables: spawnManager.consumables.map(c => ({
+                x: q(c.position.x),
+                y: q(c.position.y),
+                active: c.active ? 1 : 0
+            }))
+        } : null,
+        zone: zone ? {
+            phase: zone.currentPhaseIndex,
+            radius: q(zone.currentRadius),
+            x: q(zone.centerX),
+            y: q(zone.centerY)
+        } : null
+    };
+}
+
+/**
+ * Hash a summary. Per-part hashes let peers name the diverging area without
+ * sending the full summary every time.
+ * @param {Object} summary - From captureStateSummary()
+ * @returns {{hash:number, parts:Object<string, number>}}
+ */
+export function hashStateSummary(summary) {
+    const parts = {};
+    let combined = '';
+    for (const key of Object.keys(summary).sort()) {
+        parts[key] = fnv1a(JSON.stringify(summary[key]));
+        combined += `${key}:${parts[key]};`;
+    }
+    return { hash: fnv1a(combined), parts };
+}
+
+/**
+ * Field-level diff between two summaries (dequantized for readability).
+ * @param {Object} local
+ * @param {Object} remote
+ * @returns {Array<{path:string, local:*, remote:*}>}
+ */
+export function diffStateSummaries(local, remote) {
+    const diffs = [];
+
+    const walk = (a, b, path) => {
+        const aIsObj = a !== null && typeof a === 'object';
+        const bIsObj = b !== null && typeof b === 'object';
+
+        if (aIsObj && bIsObj) {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            if (Array.isArray(a) && Array.isArray(b) && a.length !== b.length) {
+                diffs.push({ path: `${path}.length`, local: a.length, remote: b.length });
+            }
+            for (const key of keys) walk(a[key], b[key], path ? `${path}.${key}` : key);
+            return;
+        }
+
+        if (a !== b) {
+            const readable = (v) => (typeof v === 'number' ? v / QUANT_SCALE : v);
+            const isCounter = /(combatTick|phase|dead|active|weapon|weapons|kits|\.\d+)$/.test(path);
+            diffs.push({
+                path,
+                local: isCounter ? a : readable(a),
+                remote: isCounter ? b : readable(b)
+            });
+        }
+    };
+
+    walk(local, remote, '');
+    return diffs;
+}
@@ -0,0 +1,347 @@
+// Compact binary encoding for the per-tick match messages.
+
+// Inputs, acks, hashes, pings and the small control messages go out every
+// frame, so they are packed into bytes instead of JSON:
+//   [WIRE_VERSION u8][type u8][payload...]
+// Ticks are unsigned varints (LEB128), input frames are 5 bytes (move x/y as
+// int8, aim angle as int16, one byte of button bits plus the weapon slot).
+// Anything without a binary layout (lobby, state dumps, spectator batches)
+// stays JSON, and receivers accept both, so `?wire=json` can be used on one
+// peer for debugging.
+//
+// Decoded messages have exactly the shape the JSON path produces (including
+// `v`), so sessions never know which encoding was used.
+
+import { INPUT_PROTOCOL, MAX_WEAPON_SLOT } from './LockstepSession.js';
+
+// 2: match epoch in `inputs`
+export const WIRE_VERSION = 2;
+
+// Message type ids (never reuse an id; add new ones at the end)
+const TYPE_IDS = {
+    inputs: 1,
+    hash: 2,
+    ping: 3,
+    pong: 4,
+    input_delay: 5,
+    resume: 6,
+    latency: 7
+};
+const TYPE_NAMES = Object.fromEntries(Object.entries(TYPE_IDS).map(([name, id]) => [id, name]));
+
+const FLAG_FIRE = 1;
+const FLAG_ABILITY = 2;
+const FLAG_HEAL = 4;
+// Weapon slot lives in the bits above the buttons
+const WEAPON_SLOT_SHIFT = 3;
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+class ByteWriter {
+    constructor() {
+        this.bytes = new Uint8Array(64);
+        this.view = new DataView(this.bytes.buffer);
+        this.length = 0;
+    }
+
+    reserve(count) {
+        if (this.length + count <= this.bytes.length) return;
+        const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + count));
+        grown.set(this.bytes);
+        this.bytes = grown;
+        this.view = new DataView(grown.buffer);
+    }
+
+    u8(value) {
+        this.reserve(1);
+        this.view.setUint8(this.length, value);
+        this.length += 1;
+    }
+
+    i8(value) {
+        this.reserve(1);
+        this.view.setInt8(this.length, value);
+        this.length += 1;
+    }
+
+    i16(value) {
+        this.reserve(2);
+        this.view.setInt16(this.length, value, true);
+        this.length += 2;
+    }
+
+    u32(value) {
+        this.reserve(4);
+        this.view.setUint32(this.length, value, true);
+        this.length += 4;
+    }
+
+    f32(value) {
+        this.reserve(4);
+        this.view.setFloat32(this.length, value, true);
+        this.length += 4;
+    }
+
+    f64(value) {
+        this.reserve(8);
+        this.view.setFloat64(this.length, value, true);
+        this.length += 8;
+    }
+
+    varint(value) {
+        let v = value;
+        while (v >= 0x80) {
+            this.u8((v % 0x80) | 0x80);
+            v = Math.floor(v / 0x80);
+        }
+        this.u8(v);
+    }
+
+    string(value) {
+        const encoded = textEncoder.encode(value);
+        this.varint(encoded.length);
+        this.reserve(encoded.length);
+        this.bytes.set(encoded, this.length);
+        this.length += encoded.length;
+    }
+
+    finish() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+    }
+
+    // DataView throws a RangeError past the end, which decodeBinaryMessage catches.
+    u8() { return this.view.getUint8(this.offset++); }
+    i8() { return this.view.getInt8(this.offset++); }
+
+    i16() {
+        const value = this.view.getInt16(this.offset, true);
+        this.offset += 2;
+        return value;
+    }
+
+    u32() {
+        const value = this.view.getUint32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    f32() {
+        const value = this.view.getFloat32(this.offset, true);
+        this.offset += 4;
+        return value;
+    }
+
+    f64() {
+        const value = this.view.getFloat64(this.offset, true);
+        this.offset += 8;
+        return value;
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        for (let i = 0; i < 8; i++) {
+            const byte = this.u8();
+            value += (byte & 0x7f) * scale;
+            if (byte < 0x80) return value;
+            scale *= 0x80;
+        }
+        throw new RangeError('varint too long');
+    }
+
+    string() {
+        const length = this.varint();
+        if (this.offset + length > this.bytes.length) throw new RangeError('string past end');
+        const value = textDecoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+}
+
+function isTick(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// ---- Input frames -------------------------------------------------------------
+
+function canPackFrame(frame) {
+    return !!frame && frame.p === INPUT_PROTOCOL &&
+        Math.abs(frame.mx) <= 127 && Math.abs(frame.my) <= 127 && Math.abs(frame.a) <= 32767 &&
+        Number.isInteger(frame.w) && frame.w >= 0 && frame.w <= MAX_WEAPON_SLOT;
+}
+
+function writeFrame(writer, frame) {
+    writer.i8(frame.mx | 0);
+    writer.i8(frame.my | 0);
+    writer.i16(frame.a | 0);
+    writer.u8((frame.f ? FLAG_FIRE : 0) | (frame.ab ? FLAG_ABILITY : 0) | (frame.h ? FLAG_HEAL : 0) |
+        (frame.w << WEAPON_SLOT_SHIFT));
+}
+
+function readFrame(reader) {
+    const mx = reader.i8();
+    const my = reader.i8();
+    const a = reader.i16();
+    const flags = reader.u8();
+    return {
+        p: INPUT_PROTOCOL,
+        mx,
+        my,
+        f: flags & FLAG_FIRE ? 1 : 0,
+        a,
+        w: flags >> WEAPON_SLOT_SHIFT,
+        ab: flags & FLAG_ABILITY ? 1 : 0,
+        h: flags & FLAG_HEAL ? 1 : 0
+    };
+}
+
+// ---- Messages -----------------------------------------------------------------
+
+// Payload writers return false when a message does not fit the binary layout.
+const WRITERS = {
+    inputs(writer, msg) {
+        if (!isTick(msg.match) || !Array.isArray(msg.frames) || !Number.isInteger(msg.ack) || msg.ack < -1) return false;
+        // Ticks ascend, so each one is stored as a delta from the previous.
+        writer.varint(msg.match);
+        writer.varint(msg.ack + 1);
+        writer.varint(msg.frames.length);
+        let previous = 0;
+        for (const [tick, frame] of msg.frames) {
+            if (!isTick(tick) || tick < previous || !canPackFrame(frame)) return false;
+            writer.varint(tick - previous);
+            writeFrame(writer, frame);
+            previous = tick;
+        }
+        return true;
+    },
+    hash(writer, msg) {
+        if (!isTick(msg.tick) || !Number.isInteger(msg.hash)) return false;
+        writer.varint(msg.tick);
+        writer.u32(msg.hash >>> 0);
+        const parts = Object.entries(msg.parts || {});
+        writer.varint(parts.length);
+        for (const [key, value] of parts) {
+            if (!Number.isInteger(value)) return false;
+            writer.string(key);
+            writer.u32(value >>> 0);
+        }
+        return true;
+    },
+    ping(writer, msg) {
+        if (typeof msg.t !== 'number') return false;
+        writer.f64(msg.t);
+        return true;
+    },
+    pong(writer, msg) {
+        return WRITERS.ping(writer, msg);
+    },
+    input_delay(writer, msg) {
+        if (!isTick(msg.delay) || !isTick(msg.tick)) return false;
+        writer.varint(msg.delay);
+        writer.varint(msg.tick);
+        return true;
+    },
+    resume(writer, msg) {
+        if (!isTick(msg.fromTick)) return false;
+        writer.varint(msg.fromTick);
+        return true;
+    },
+    latency(writer, msg) {
+        if (typeof msg.rtt !== 'number' || typeof msg.jitter !== 'number') return false;
+        writer.f32(msg.rtt);
+        writer.f32(msg.jitter);
+        return true;
+    }
+};
+
+const READERS = {
+    inputs(reader) {
+        const match = reader.varint();
+        const ack = reader.varint() - 1;
+        const count = reader.varint();
+        const frames = [];
+        let tick = 0;
+        for (let i = 0; i < count; i++) {
+            tick += reader.varint();
+            frames.push([tick, readFrame(reader)]);
+        }
+        return { match, frames, ack };
+    },
+    hash(reader) {
+        const tick = reader.varint();
+        const hash = reader.u32();
+        const count = reader.varint();
+        const parts = {};
+        for (let i = 0; i < count; i++) {
+            const key = reader.string();
+            parts[key] = reader.u32();
+        }
+        return { tick, hash, parts };
+    },
+    ping(reader) {
+        return { t: reader.f64() };
+    },
+    pong(reader) {
+        return { t: reader.f64() };
+    },
+    input_delay(reader) {
+        const delay = reader.varint();
+        return { delay, tick: reader.varint() };
+    },
+    resume(reader) {
+        return { fromTick: reader.varint() };
+    },
+    latency(reader) {
+        const rtt = reader.f32();
+        return { rtt, jitter: reader.f32() };
+    }
+};
+
+/**
+ * Binary encoding of a message, or null if it has no binary layout (send JSON).
+ * @param {Object} message - Without `v` (the version byte replaces it)
+ * @returns {Uint8Array|null}
+ */
+export function encodeBinaryMessage(message) {
+    const typeId = TYPE_IDS[message.type];
+    if (!typeId) return null;
+
+    const writer = new ByteWriter();
+    writer.u8(WIRE_VERSION);
+    writer.u8(typeId);
+    return WRITERS[message.type](writer, message) ? writer.finish() : null;
+}
+
+/**
+ * Decode a binary message into the same object the JSON path would produce.
+ * @param {ArrayBuffer|ArrayBufferView} data
+ * @param {number} protocolVersion - Value for the decoded message's `v`
+ * @returns {Object|null} Null if malformed or from another wire version
+ */
+export function decodeBinaryMessage(data, protocolVersion) {
+    const bytes = data instanceof ArrayBuffer
+        ? new Uint8Array(data)
+        : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+    try {
+        const reader = new ByteReader(bytes);
+        if (reader.u8() !== WIRE_VERSION) return null;
+        const type = TYPE_NAMES[reader.u8()];
+        if (!type) return null;
+
+        const payload = READERS[type](reader);
+        if (reader.offset !== bytes.length) return null;
+        return { v: protocolVersion, type, ...payload };
+    } catch {
+        return null;
+    }
+}
@@ -1,26 +1,78 @@
 // Character renderer for drawing characters on canvas
 
+import { areTeammates, TEAM_COLORS, REVIVE_CONFIG } from '../config/teams.js';
+import { STATUS_EFFECTS } from '../config/statusEffects.js';
+
 export class CharacterRenderer {
     constructor(ctx, assetLoader = null) {
         this.ctx = ctx;
         this.assetLoader = assetLoader;
     }
 
-    // Render all characters
-    render(characters) {
+    // Render all characters (viewer: local player, whose teammates get a marker)
+    render(characters, viewer = null) {
         characters.forEach(character => {
             if (character.isAlive()) {
-                this.drawCharacter(character);
+                this.drawCharacter(character, character !== viewer && areTeammates(character, viewer));
             }
         });
     }
 
+    /**
+     * Draw quick chat bubbles over their senders
+     * @param {Character[]} characters - Players first, in slot order (multiplayer)
+     * @param {Array} messages - QuickChat.getActiveMessages()
+     */
+    renderChatBubbles(characters, messages) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        for (const message of messages) {
+            const character = characters[message.playerIndex];
+            if (!message.showBubble || !character || !character.isAlive()) continue;
+
+            const width = ctx.measureText(message.label).width + 16;
+            const height = 24;
+            const x = character.position.x;
+            const y = character.position.y - character.radius - 38;
+
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.9)';
+            ctx.beginPath();
+            ctx.roundRect(x - width / 2, y - height / 2, width, height, 8);
+            ctx.fill();
+            // Tail pointing at the speaker
+            ctx.beginPath();
+            ctx.moveTo(x - 5, y + height / 2);
+            ctx.lineTo(x + 5, y + height / 2);
+            ctx.lineTo(x, y + height / 2 + 6);
+            ctx.fill();
+
+            ctx.fillStyle = '#111827';
+            ctx.fillText(message.label, x, y);
+        }
+
+        ctx.restore();
+    }
+
     // Draw a single character
-    drawCharacter(character) {
+    drawCharacter(character, isTeammate = false) {
         const ctx = this.ctx;
         const pos = character.position;
         
         ctx.save();
+
+        // Team-colored ring under teammates
+        if (isTeammate) {
+            this.drawTeammateRing(character);
+        }
+
+        // Downed characters are drawn faded
+        if (character.isDowned) {
+            ctx.globalAlpha = 0.5;
+        }
         
         // Try to render as PNG image first
         const rendered = this.drawCharacterImage(character);
@@ -29,9 +81,17 @@ export class CharacterRenderer {
         if (!rendered) {
             this.drawCharacterCircle(character);
         }
+
+        ctx.globalAlpha = 1;
         
         // Draw health bar above character
         this.drawHealthBar(character);
+        this.drawStatusIcons(character);
+
+        // Draw revive progress around downed characters
+        if (character.isDowned) {
+            this.drawReviveProgress(character);
+        }
         
         // Draw AI state label for debugging (if AI character)
         if (!character.isPlayer && character.aiState !== undefined) {
@@ -102,6 +162,49 @@ export class CharacterRenderer {
         }
     }
     
+    // Draw a ring in the team color around a teammate
+    drawTeammateRing(character) {
+        const ctx = this.ctx;
+        const pos = character.position;
+
+        ctx.strokeStyle = TEAM_COLORS[character.teamId % TEAM_COLORS.length];
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, character.radius + 6, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+    
+    // Draw a downed marker and the revive progress ring
+    drawReviveProgress(character) {
+        const ctx = this.ctx;
+        const pos = character.position;
+
+        ctx.fillStyle = '#ffffff';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 2;
+        ctx.font = 'bold 12px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'top';
+        ctx.strokeText('DOWNED', pos.x, pos.y + character.radius + 6);
+        ctx.fillText('DOWNED', pos.x, pos.y + character.radius + 6);
+
+        if (!character.reviver) return;
+
+        ctx.globalAlpha = 0.8;
+        ctx.strokeStyle = '#00ff00';
+        ctx.lineWidth = 4;
+        ctx.beginPath();
+        ctx.arc(
+            pos.x,
+            pos.y,
+            character.radius + 12,
+            -Math.PI / 2,
+            -Math.PI / 2 + (Math.PI * 2 * character.getReviveProgress())
+        );
+        ctx.stroke();
+        ctx.globalAlpha = 1;
+    }
+    
     // Draw AI state label for debugging
     drawAIStateLabel(character) {
         const ctx = this.ctx;
@@ -122,6 +225,43 @@ export class CharacterRenderer {
         ctx.fillText(label, pos.x, labelY);
     }
 
+    // Draw active status effects in a row right of the health bar (stack count when above 1)
+    drawStatusIcons(character) {
+        const ids = Object.keys(STATUS_EFFECTS).filter(id => character.statusEffects[id]);
+        if (ids.length === 0) return;
+
+        const ctx = this.ctx;
+        const size = 14;
+        const y = character.position.y - character.radius - 8;
+        let x = character.position.x + character.radius + 4 + size / 2;
+
+        ctx.font = '10px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        for (const id of ids) {
+            const def = STATUS_EFFECTS[id];
+            const stacks = character.statusEffects[id].stacks;
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.strokeStyle = def.color;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, size / 2, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = def.color;
+            ctx.fillText(def.icon, x, y + 1);
+
+            if (stacks > 1) {
+                ctx.font = 'bold 9px Arial';
+                ctx.fillStyle = '#ffffff';
+                ctx.fillText(String(stacks), x + size / 2, y + size / 2);
+                ctx.font = '10px Arial';
+            }
+            x += size + 2;
+        }
+    }
+
     // Draw health bar above character
     drawHealthBar(character) {
         const ctx = this.ctx;
@@ -134,9 +274,12 @@ export class CharacterRenderer {
         ctx.fillStyle = '#ff0000';
         ctx.fillRect(pos.x - barWidth / 2, barY, barWidth, barHeight);
         
-        // Health (green)
-        const healthWidth = barWidth * character.getHealthPercentage();
-        ctx.fillStyle = '#00ff00';
+        // Health (green), or what is left of the bleed-out pool (orange) while downed
+        const healthFraction = character.isDowned
+            ? character.currentHP / REVIVE_CONFIG.bleedOutHP
+            : character.getHealthPercentage();
+        const healthWidth = barWidth * healthFraction;
+        ctx.fillStyle = character.isDowned ? '#f97316' : '#00ff00';
         ctx.fillRect(pos.x - barWidth / 2, barY, healthWidth, barHeight);
         
         // Border
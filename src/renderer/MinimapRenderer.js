@@ -1,6 +1,7 @@
 // Minimap renderer for Battle-2D-eath Phase 5
 
 import { MAP_CONFIG } from '../config/map.js';
+import { areTeammates, TEAM_COLORS } from '../config/teams.js';
 
 export class MinimapRenderer {
     constructor(ctx) {
@@ -32,6 +33,11 @@ export class MinimapRenderer {
         
         // Draw characters (player and AI)
         this.drawMinimapCharacters(gameState);
+
+        // Draw quick chat location pings (multiplayer)
+        if (gameState.quickChat) {
+            this.drawMinimapPings(gameState.quickChat.getActiveMessages());
+        }
         
         // Draw minimap border
         this.drawMinimapBorder();
@@ -102,6 +108,26 @@ export class MinimapRenderer {
         this.ctx.stroke();
     }
 
+    drawMinimapPings(messages) {
+        const centerX = this.minimapX + this.minimapSize / 2;
+        const centerY = this.minimapY + this.minimapSize / 2;
+        const mapScale = (this.minimapSize - this.minimapPadding * 2) / (MAP_CONFIG.radius * 2);
+        const pulse = 5 + Math.sin(Date.now() / 150) * 2;
+
+        this.ctx.save();
+        this.ctx.strokeStyle = '#facc15';
+        this.ctx.lineWidth = 2;
+        for (const message of messages) {
+            if (!message.ping) continue;
+            const minimapX = centerX + (message.ping.x - MAP_CONFIG.centerX) * mapScale;
+            const minimapY = centerY + (message.ping.y - MAP_CONFIG.centerY) * mapScale;
+            this.ctx.beginPath();
+            this.ctx.arc(minimapX, minimapY, pulse, 0, Math.PI * 2);
+            this.ctx.stroke();
+        }
+        this.ctx.restore();
+    }
+
     drawMinimapCharacters(gameState) {
         const centerX = this.minimapX + this.minimapSize / 2;
         const centerY = this.minimapY + this.minimapSize / 2;
@@ -112,9 +138,10 @@ export class MinimapRenderer {
             
             // Check if character is in a bush (for stealth)
             const isInBush = this.isCharacterInBush(character);
+            const isTeammate = !character.isPlayer && areTeammates(character, gameState.player);
             
-            // Don't show AI characters on minimap if they're in bushes (stealth)
-            if (!character.isPlayer && isInBush) {
+            // Don't show opponents on minimap if they're in bushes (stealth); teammates always show
+            if (!character.isPlayer && !isTeammate && isInBush) {
                 return;
             }
             
@@ -136,6 +163,15 @@ export class MinimapRenderer {
                 this.ctx.strokeStyle = 'white';
                 this.ctx.lineWidth = 1;
                 this.ctx.stroke();
+            } else if (isTeammate) {
+                // Teammates in their team color, outlined like the player
+                this.ctx.fillStyle = TEAM_COLORS[character.teamId % TEAM_COLORS.length];
+                this.ctx.beginPath();
+                this.ctx.arc(minimapX, minimapY, 4, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.strokeStyle = 'white';
+                this.ctx.lineWidth = 1;
+                this.ctx.stroke();
             } else {
                 // AI characters are red
                 this.ctx.fillStyle = '#ef4444';
@@ -0,0 +1,185 @@
+/**
+ * ReconnectOverlay.js - "Waiting for opponent" Panel
+ *
+ * DOM panel shown over the paused match while one or more player links are
+ * down. For each lost link it walks through the manual re-pairing exchange
+ * (see LinkRepair): show our code (text + QR) and take the other player's code.
+ *
+ * Key Responsibilities:
+ * - Countdown until the reconnect timeout ends the match
+ * - Per-link code exchange (create / copy / paste)
+ * - "Leave match" escape hatch
+ *
+ * Architecture Notes:
+ * - Same styling and layout approach as the lobby wizard (mp-* classes,
+ *   positioned over the canvas rect)
+ * - Owned by MultiplayerMatchController; rebuilt whenever a repair changes
+ *
+ * @module renderer/ReconnectOverlay
+ */
+
+import qrcode from '../vendor/qrcode.js';
+
+const STATUS_TEXT = {
+    idle: 'Preparing reconnect code...',
+    creating: 'Preparing reconnect code...',
+    'awaiting-reply': 'Waiting for their reply code',
+    'awaiting-code': 'Waiting for their reconnect code',
+    connecting: 'Connecting...',
+    connected: 'Reconnected',
+    error: 'Connection failed'
+};
+
+export class ReconnectOverlay {
+    /**
+     * @param {HTMLCanvasElement} canvas - Overlay is laid over this element
+     * @param {Object} options
+     * @param {Function} options.onLeave - Player gave up waiting
+     */
+    constructor(canvas, { onLeave }) {
+        this.canvas = canvas;
+        this.onLeave = onLeave;
+        this.repairs = [];
+
+        this.root = document.createElement('div');
+        this.root.className = 'mp-lobby mp-reconnect';
+        this.root.innerHTML = `
+            <div class="mp-panel">
+                <div class="mp-header">
+                    <div class="mp-title">Connection Lost</div>
+                </div>
+                <div class="mp-status-bar">
+                    <span data-mp="waiting">Waiting for opponent...</span>
+                    <span data-mp="countdown"></span>
+                </div>
+                <div data-mp="repairs"></div>
+                <div class="mp-actions-center">
+                    <button class="mp-btn" data-mp="btnLeave">Leave Match</button>
+                </div>
+            </div>
+        `;
+        this.els = {
+            waiting: this.root.querySelector('[data-mp="waiting"]'),
+            countdown: this.root.querySelector('[data-mp="countdown"]'),
+            repairs: this.root.querySelector('[data-mp="repairs"]')
+        };
+        this.root.querySelector('[data-mp="btnLeave"]').addEventListener('click', () => this.onLeave());
+
+        document.body.appendChild(this.root);
+        this.updateLayout();
+    }
+
+    updateLayout() {
+        const rect = this.canvas.getBoundingClientRect();
+        this.root.style.left = `${rect.left}px`;
+        this.root.style.top = `${rect.top}px`;
+        this.root.style.width = `${rect.width}px`;
+        this.root.style.height = `${rect.height}px`;
+    }
+
+    /**
+     * @param {LinkRepair[]} repairs - One per lost link
+     */
+    setRepairs(repairs) {
+        this.repairs = repairs;
+        for (const repair of repairs) repair.onChange = () => this.renderRepairs();
+        this.renderRepairs();
+    }
+
+    renderRepairs() {
+        const container = this.els.repairs;
+        container.innerHTML = '';
+
+        const names = this.repairs.filter(r => r.status !== 'connected').map(r => `P${r.playerIndex + 1}`);
+        this.els.waiting.textContent = names.length > 0 ? `Waiting for ${names.join(', ')}...` : 'Resuming...';
+
+        for (const repair of this.repairs) {
+            container.appendChild(this.createRepairSection(repair));
+        }
+    }
+
+    createRepairSection(repair) {
+        const name = `P${repair.playerIndex + 1}`;
+        const section = document.createElement('div');
+        section.className = 'mp-section';
+
+        const content = document.createElement('div');
+        content.className = 'mp-step-content';
+        section.appendChild(content);
+
+        const status = document.createElement('p');
+        status.textContent = `${name}: ${repair.error ? `${STATUS_TEXT.error} (${repair.error})` : STATUS_TEXT[repair.status]}`;
+        content.appendChild(status);
+        if (repair.status === 'connected') return section;
+
+        if (repair.code) {
+            const hint = document.createElement('p');
+            hint.textContent = repair.offering ? `Send this reconnect code to ${name}:` : `Send this reply code back to ${name}:`;
+            content.appendChild(hint);
+
+            const qr = document.createElement('div');
+            qr.className = 'mp-qr-wrapper';
+            try {
+                const code = qrcode(0, 'M');
+                code.addData(repair.code);
+                code.make();
+                qr.innerHTML = code.createImgTag(3, 4);
+                content.appendChild(qr);
+            } catch (e) {
+                // Too long for a QR code; the text and copy button still work.
+            }
+
+            const display = document.createElement('textarea');
+            display.className = 'mp-input-area';
+            display.rows = 2;
+            display.readOnly = true;
+            display.value = repair.code;
+            content.appendChild(display);
+
+            const copy = this.createButton('Copy Code', () => navigator.clipboard.writeText(repair.code));
+            content.appendChild(copy);
+        }
+
+        // Offering side pastes the reply; answering side pastes the offer.
+        const canPaste = repair.offering ? !!repair.code : true;
+        if (canPaste) {
+            const input = document.createElement('textarea');
+            input.className = 'mp-input-area';
+            input.rows = 2;
+            input.placeholder = repair.offering ? `Paste ${name}'s reply code...` : `Paste ${name}'s reconnect code...`;
+            content.appendChild(input);
+
+            const label = repair.offering ? 'Connect' : 'Generate Reply';
+            content.appendChild(this.createButton(label, () => repair.submitCode(input.value), true));
+        }
+
+        if (repair.offering && repair.status === 'error') {
+            content.appendChild(this.createButton('New Code', () => repair.createOffer()));
+        }
+
+        return section;
+    }
+
+    createButton(label, onClick, primary = false) {
+        const button = document.createElement('button');
+        button.className = primary ? 'mp-btn mp-primary' : 'mp-btn';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    /**
+     * Per-frame refresh of the countdown.
+     * @param {number} secondsLeft
+     */
+    update(secondsLeft) {
+        this.els.countdown.textContent = `${Math.max(0, Math.ceil(secondsLeft))}s`;
+        this.updateLayout();
+    }
+
+    destroy() {
+        for (const repair of this.repairs) repair.onChange = null;
+        this.repairs = [];
+        this.root.remove();
+    }
+}
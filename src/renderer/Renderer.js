@@ -41,7 +41,9 @@ export class Renderer {
         // Get camera position
         const camera = gameState.camera;
         
-        // Translate canvas to camera position (world space)
+        // Scale (spectator overview zooms out), then translate to camera position (world space)
+        const zoom = camera.zoom || 1;
+        if (zoom !== 1) this.ctx.scale(zoom, zoom);
         this.ctx.translate(-camera.x, -camera.y);
         
         // Layer 1: Map background and terrain
@@ -84,8 +86,11 @@ export class Renderer {
             }
         }
         
-        // Layer 4: Characters
-        this.characterRenderer.render(gameState.characters);
+        // Layer 4: Characters (with quick chat bubbles in multiplayer)
+        this.characterRenderer.render(gameState.characters, gameState.player);
+        if (gameState.quickChat) {
+            this.characterRenderer.renderChatBubbles(gameState.characters, gameState.quickChat.getActiveMessages());
+        }
         
         // Layer 5: Weapon effects and projectiles (already rendered with pickups above)
         
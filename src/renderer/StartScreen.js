@@ -23,14 +23,57 @@
  */
 
 import { CHARACTERS } from '../config/characters.js';
+import { MULTIPLAYER_BOT_COUNTS, AI_SKILL_LEVELS, SAFE_ZONE_PRESETS, LOOT_PRESETS, normalizeBotConfig, normalizeMatchRules } from '../config/gameConfig.js';
+import { TEAM_MODES, getTeamForIndex, normalizeTeamMode } from '../config/teams.js';
 import { resolveMapsUrl, resolveMapBackgroundUrl, warnMissingAsset } from '../utils/assetUrl.js';
 import { META_CONFIG } from '../config/metaProgression.js';
 import { loadProfile, saveProfile, getXpProgress, purchaseUpgrade, checkRequirements, getUpgradeLevel } from '../core/ProfileStore.js';
-import { WebRTCManualConnection, getOptionalPublicStunIceServers } from '../net/WebRTCManualConnection.js';
+import { hasReplay, downloadReplay } from '../core/ReplayStore.js';
+import { getOptionalPublicStunIceServers } from '../net/WebRTCManualConnection.js';
+import { PeerMesh, HOST_PEER_ID } from '../net/PeerMesh.js';
+import { BroadcastChannelTransport, BROADCAST_TRANSPORT } from '../net/BroadcastChannelTransport.js';
+import { SignalingClient, RelayInviter, answerViaRelay, parseRoomCode } from '../net/SignalingClient.js';
+import { setDefaultWireFormat } from '../net/Transport.js';
+import { MAX_LOCKSTEP_PLAYERS } from '../net/LockstepSession.js';
+import { MAX_SPECTATORS } from '../net/SpectatorFeed.js';
 import { randomSeedUint32 } from '../net/prng.js';
+import { loadMapHash, checkMatchConfig, sameMatchConfig } from '../net/matchConfig.js';
+import { getWeaponDefinitionsHash } from '../config/weapons.js';
+import { parseSeedInput } from '../core/MatchRandom.js';
 // Import QR Code generator (vendored)
 import qrcode from '../vendor/qrcode.js'; 
 
+// Settings: how long a multiplayer match waits for a dropped player (seconds)
+const RECONNECT_WAIT_OPTIONS = [30, 60, 120];
+
+function getLobbyTransportFromUrl() {
+    try {
+        const params = new URLSearchParams(window.location.search);
+        return params.get('transport') === BROADCAST_TRANSPORT ? BROADCAST_TRANSPORT : 'webrtc';
+    } catch {
+        return 'webrtc';
+    }
+}
+
+// '?relay=ws://host:8787' swaps invite/reply codes through scripts/signaling-relay.mjs
+function getRelayUrlFromUrl() {
+    try {
+        const relay = new URLSearchParams(window.location.search).get('relay');
+        return relay && /^wss?:\/\//.test(relay) ? relay : null;
+    } catch {
+        return null;
+    }
+}
+
+// Dev: '?wire=json' sends match messages as readable JSON instead of binary
+function applyWireFormatFromUrl() {
+    try {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('wire') === 'json') setDefaultWireFormat('json');
+    } catch {
+        // Keep the binary default
+    }
+}
 
 export class StartScreen {
     constructor(canvas, ctx, assetLoader = null) {
@@ -137,19 +180,42 @@ export class StartScreen {
         this.multiplayerStartRequested = false;
         this.multiplayerStartSession = null;
 
+        // Replay picked from the profile match history (replay id)
+        this.replayRequestedId = null;
+
+        applyWireFormatFromUrl();
+
         // Multiplayer lobby state (DOM overlay driven for copy/paste)
         this.mp = {
             role: null, // 'host' | 'client'
-            connection: null,
+            mesh: null, // PeerMesh (host <-> clients + client <-> client links)
             useStun: false,
+            // Dev: '?transport=broadcast' links tabs on this machine instead of WebRTC
+            transport: getLobbyTransportFromUrl(),
+            // Optional signaling relay (null = copy/paste codes only)
+            relayUrl: getRelayUrlFromUrl(),
+            relay: null, // SignalingClient while hosting a room or joining one
+            relayInviter: null, // host only: RelayInviter for the room
+            roomCode: '',
             statusText: 'Disconnected',
             offerCode: '',
             answerCode: '',
-            remoteReady: false,
             localReady: false,
+            readyByPeer: new Map(), // host only: peerId -> ready
+            characterByPeer: new Map(), // host only: peerId -> character type
+            roster: [], // [{ peerId, ready, character }] in slot order
+            spectators: [], // peerIds watching instead of playing
+            spectatorPeers: new Set(), // host only: peers that asked to spectate
+            localSpectating: false,
+            meshComplete: false,
             countdown: { active: false, secondsLeft: 0, endsAtMs: 0 },
             seed: null,
             mapFile: 'facey.json',
+            netMode: 'lockstep', // 'lockstep' | 'rollback' (host picks)
+            bots: { count: 0, skill: 'intermediate' }, // host picks; they join after the players
+            rules: { safeZone: 'normal', loot: 'normal', teams: 'ffa', friendlyFire: false }, // host picks (see applyMatchRules)
+            // Host only: config offered to everyone once all are ready, and who accepted it
+            agreement: null, // { config, acks: Set(peerId), rejected: string|null }
             joinLink: '' // New: Link to share
         };
 
@@ -167,12 +233,18 @@ export class StartScreen {
         // Render-time computed hit targets (Upgrades screen)
         this.upgradesBuyButtons = [];
 
+        // Render-time computed hit targets (Profile screen replays)
+        this.profileReplayButtons = [];
+
         // Render-time computed hit targets (Home)
         this.profileHudRect = null;
 
         // Per-map gameConfig overrides set from the menu settings
         this.mapGameConfigOverrides = new Map();
 
+        // Solo match seed typed in the map settings ('' = random each match)
+        this.soloSeedText = '';
+
         // Hit rect for map settings row (computed during render)
         this.mapSettingsHitRect = null;
 
@@ -194,6 +266,20 @@ export class StartScreen {
     }
 
     checkJoinLink() {
+        // Relay room link: the join flow picks the code up like a pasted invite
+        if (window.location.hash.startsWith('#room=')) {
+            const code = parseRoomCode(window.location.hash.substring('#room='.length));
+            if (code && this.mp.relayUrl) {
+                this.menuState = 'multiplayer';
+                this.mp.offerCode = code;
+                this.mp.role = 'client';
+                setTimeout(() => this.showMultiplayerLobbyDom(), 100);
+            } else {
+                window.location.hash = '';
+            }
+            return;
+        }
+
         if (window.location.hash.startsWith('#join=')) {
             try {
                 // Parse the hash
@@ -201,7 +287,7 @@ export class StartScreen {
                 const offerCode = atob(base64Offer);
                 const parsed = JSON.parse(offerCode);
 
-                if (parsed && parsed.type === 'offer' && parsed.sdp) {
+                if (parsed && parsed.type === 'offer' && (parsed.sdp || BroadcastChannelTransport.isInviteCode(offerCode))) {
                     console.log('Auto-joining via link...');
                     this.menuState = 'multiplayer';
 
@@ -249,12 +335,12 @@ export class StartScreen {
                 <!-- STATUS BAR -->
                 <div class="mp-status-bar">
                     <span data-mp="statusText">Disconnected</span>
-                    <span class="mp-players" data-mp="playerCount">Players: 1/2</span>
+                    <span class="mp-players" data-mp="playerCount">Players: 1/${MAX_LOCKSTEP_PLAYERS}</span>
                 </div>
 
                 <!-- STEP 0: LANDING -->
                 <div class="mp-step" data-step="landing">
-                    <p class="mp-desc">Play peer-to-peer with a friend nearby.</p>
+                    <p class="mp-desc">Play peer-to-peer with up to ${MAX_LOCKSTEP_PLAYERS - 1} friends nearby.</p>
                     <div class="mp-actions-vertical">
                         <button class="mp-btn mp-primary mp-large" data-mp="btnHost">Host Game</button>
                         <button class="mp-btn mp-large" data-mp="btnJoin">Join Game</button>
@@ -267,6 +353,7 @@ export class StartScreen {
                         <div class="mp-step-num">1</div>
                         <div class="mp-step-content">
                             <p>Share this with your friend:</p>
+                            <div class="mp-room-code hidden" data-mp="roomCode"></div>
                             <div class="mp-qr-wrapper" data-mp="hostQr"></div>
                             <div class="mp-row-tight">
                                 <button class="mp-btn" data-mp="btnCopyLink">Copy Link</button>
@@ -285,13 +372,17 @@ export class StartScreen {
                             <button class="mp-btn mp-primary" data-mp="btnHostConnect" disabled>Connect to Friend</button>
                         </div>
                     </div>
+
+                    <div class="mp-actions-center">
+                        <button class="mp-btn hidden" data-mp="btnBackToLobby">Back to Lobby</button>
+                    </div>
                 </div>
 
                 <!-- STEP 1-JOIN: ENTRY -->
                 <div class="mp-step hidden" data-step="join_entry">
                     <div class="mp-section">
                          <div class="mp-step-content">
-                            <p>Paste the Host's Invite Link or Code:</p>
+                            <p>Paste the Host's Invite Link or Code${this.mp.relayUrl ? ' (or type its Room Code)' : ''}:</p>
                             <textarea class="mp-input-area" data-mp="joinOfferInput" rows="3" placeholder="Paste Link or Code..."></textarea>
                             <button class="mp-btn mp-primary" data-mp="btnJoinGenerate">Generate Reply</button>
                         </div>
@@ -317,6 +408,12 @@ export class StartScreen {
                         <span>Setup Match</span>
                     </div>
 
+                    <div class="mp-section-title">Players</div>
+                    <div class="mp-roster" data-mp="roster"></div>
+                    <div class="mp-actions-center">
+                        <button class="mp-btn hidden" data-mp="btnInvite">Invite Another Player</button>
+                    </div>
+
                     <div class="mp-section-title">Select Map <span data-mp="hostOnlyTag" style="font-size:10px; opacity:0.6; margin-left:5px;">(Host Only)</span></div>
                     <div class="mp-scroll-x" data-mp="mapSelectContainer">
                         ${mapOptions.map((m, i) => `
@@ -326,6 +423,62 @@ export class StartScreen {
                         `).join('')}
                     </div>
 
+                    <div class="mp-section-title" style="margin-top:15px;">Netcode <span data-mp="netHostOnlyTag" style="font-size:10px; opacity:0.6; margin-left:5px;">(Host Only)</span></div>
+                    <div class="mp-scroll-x" data-mp="netSelectContainer">
+                        <div class="mp-option-card selected" data-mp-net="lockstep">
+                            <div class="mp-card-name">Lockstep</div>
+                        </div>
+                        <div class="mp-option-card" data-mp-net="rollback">
+                            <div class="mp-card-name">Rollback</div>
+                        </div>
+                    </div>
+
+                    <div class="mp-section-title" style="margin-top:15px;">Bots <span data-mp="botsHostOnlyTag" style="font-size:10px; opacity:0.6; margin-left:5px;">(Host Only)</span></div>
+                    <div data-mp="botSelectContainer">
+                        <div class="mp-scroll-x">
+                            ${MULTIPLAYER_BOT_COUNTS.map(count => `
+                                <div class="mp-option-card ${count === 0 ? 'selected' : ''}" data-mp-bots="${count}">
+                                    <div class="mp-card-name">${count === 0 ? 'None' : count}</div>
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="mp-scroll-x">
+                            ${AI_SKILL_LEVELS.map(skill => `
+                                <div class="mp-option-card ${skill === 'intermediate' ? 'selected' : ''}" data-mp-bot-skill="${skill}">
+                                    <div class="mp-card-name">${skill[0].toUpperCase()}${skill.slice(1)}</div>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
+
+                    <div class="mp-section-title" style="margin-top:15px;">Rules <span data-mp="rulesHostOnlyTag" style="font-size:10px; opacity:0.6; margin-left:5px;">(Host Only)</span></div>
+                    <div data-mp="rulesSelectContainer">
+                        <div class="mp-scroll-x">
+                            ${Object.entries(SAFE_ZONE_PRESETS).map(([key, preset]) => `
+                                <div class="mp-option-card ${key === 'normal' ? 'selected' : ''}" data-mp-zone="${key}">
+                                    <div class="mp-card-name">${preset.name} Zone</div>
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="mp-scroll-x">
+                            ${Object.entries(LOOT_PRESETS).map(([key, preset]) => `
+                                <div class="mp-option-card ${key === 'normal' ? 'selected' : ''}" data-mp-loot="${key}">
+                                    <div class="mp-card-name">${preset.name} Loot</div>
+                                </div>
+                            `).join('')}
+                        </div>
+                        <div class="mp-scroll-x">
+                            ${Object.entries(TEAM_MODES).map(([key, mode]) => `
+                                <div class="mp-option-card ${key === 'ffa' ? 'selected' : ''}" data-mp-teams="${key}">
+                                    <div class="mp-card-name">${mode.name}</div>
+                                </div>
+                            `).join('')}
+                            <div class="mp-option-card" data-mp-ff="toggle">
+                                <div class="mp-card-name">Friendly Fire</div>
+                            </div>
+                        </div>
+                    </div>
+
                     <div class="mp-section-title" style="margin-top:15px;">Select Character</div>
                     <div class="mp-scroll-x" data-mp="charSelectContainer">
                         ${charOptions.map((c, i) => `
@@ -338,6 +491,9 @@ export class StartScreen {
                     <div class="mp-actions-center" style="margin-top: 20px;">
                          <button class="mp-btn mp-ready-btn" data-mp="btnToggleReady">Ready to Battle</button>
                     </div>
+                    <div class="mp-actions-center">
+                         <button class="mp-btn mp-spectate-btn hidden" data-mp="btnToggleSpectate">Watch as Spectator</button>
+                    </div>
                     <div class="mp-countdown" data-mp="countdown"></div>
                 </div>
 
@@ -369,6 +525,7 @@ export class StartScreen {
             statusText: q('[data-mp="statusText"]'),
             playerCount: q('[data-mp="playerCount"]'),
             hostQr: q('[data-mp="hostQr"]'),
+            roomCode: q('[data-mp="roomCode"]'),
             hostAnswerInput: q('[data-mp="hostAnswerInput"]'),
             joinOfferInput: q('[data-mp="joinOfferInput"]'),
             joinAnswerDisplay: q('[data-mp="joinAnswerDisplay"]'),
@@ -376,15 +533,25 @@ export class StartScreen {
             mapContainer: q('[data-mp="mapSelectContainer"]'),
             charContainer: q('[data-mp="charSelectContainer"]'),
             hostOnlyTag: q('[data-mp="hostOnlyTag"]'),
+            netContainer: q('[data-mp="netSelectContainer"]'),
+            netHostOnlyTag: q('[data-mp="netHostOnlyTag"]'),
+            botContainer: q('[data-mp="botSelectContainer"]'),
+            botsHostOnlyTag: q('[data-mp="botsHostOnlyTag"]'),
+            rulesContainer: q('[data-mp="rulesSelectContainer"]'),
+            rulesHostOnlyTag: q('[data-mp="rulesHostOnlyTag"]'),
+            roster: q('[data-mp="roster"]'),
             btns: {
                 host: q('[data-mp="btnHost"]'),
                 join: q('[data-mp="btnJoin"]'),
                 copyLink: q('[data-mp="btnCopyLink"]'),
                 copyOffer: q('[data-mp="btnCopyOffer"]'),
                 hostConnect: q('[data-mp="btnHostConnect"]'),
+                backToLobby: q('[data-mp="btnBackToLobby"]'),
+                invite: q('[data-mp="btnInvite"]'),
                 joinGenerate: q('[data-mp="btnJoinGenerate"]'),
                 joinCopyAnswer: q('[data-mp="btnJoinCopyAnswer"]'),
                 toggleReady: q('[data-mp="btnToggleReady"]'),
+                toggleSpectate: q('[data-mp="btnToggleSpectate"]'),
                 close: q('[data-mp="close"]')
             }
         };
@@ -411,62 +578,264 @@ export class StartScreen {
         this.mp.mapFile = mapOptions[0].file;
         this.mp.characterType = 'bolt';
 
+        const closeRelay = () => {
+            if (this.mp.relay) this.mp.relay.close();
+            this.mp.relay = null;
+            this.mp.relayInviter = null;
+            this.mp.roomCode = '';
+        };
+
         // Clean up helper
         const shutdown = () => {
-            if (this.mp.connection) {
-                this.mp.connection.close();
-                this.mp.connection = null;
+            closeRelay();
+            if (this.mp.mesh) {
+                this.mp.mesh.close();
+                this.mp.mesh = null;
             }
             this.mp.role = null;
             this.mp.offerCode = '';
             this.mp.answerCode = '';
+            this.mp.joinLink = '';
             this.mp.statusText = 'Disconnected';
             this.mp.localReady = false;
-            this.mp.remoteReady = false;
+            this.mp.readyByPeer.clear();
+            this.mp.characterByPeer.clear();
+            this.mp.agreement = null;
+            this.mp.roster = [];
+            this.mp.spectators = [];
+            this.mp.spectatorPeers.clear();
+            this.mp.localSpectating = false;
+            this.mp.meshComplete = false;
 
             // Re-render to landing
             this.hideMultiplayerLobbyDom();
         };
 
         // Core Functions
-        const wireConnection = (conn) => {
-            conn.onStatus = (s) => {
-                if (s === 'connected') {
-                    setStatus('Connected');
-                    els.playerCount.textContent = 'Players: 2/2';
-                    els.playerCount.style.color = '#4ade80'; // green
-                    setStep('setup');
-
-                    // Client: disable map selection visuals
-                    if (this.mp.role === 'client') {
-                        els.mapContainer.classList.add('disabled-container');
-                        els.hostOnlyTag.style.opacity = '1';
-                    } else {
-                        els.mapContainer.classList.remove('disabled-container');
-                        els.hostOnlyTag.style.display = 'none';
-                        // Host sends initial map
+        const send = (payload) => {
+            const mesh = this.mp.mesh;
+            if (!mesh) return;
+            // Lobby traffic is hub-and-spoke through the host; client links only carry the match.
+            if (this.mp.role === 'host') mesh.broadcast(payload);
+            else mesh.sendTo(HOST_PEER_ID, payload);
+        };
+
+        // HOST: rebuild the roster, share it, and start/cancel the countdown.
+        // Spectators (and anyone past the player cap) watch instead of taking a slot.
+        const syncRosterHost = () => {
+            const mesh = this.mp.mesh;
+            if (!mesh) return;
+
+            const peerIds = mesh.getPeerIds();
+            for (const peerId of [...this.mp.readyByPeer.keys()]) {
+                if (!peerIds.includes(peerId)) this.mp.readyByPeer.delete(peerId);
+            }
+            for (const peerId of [...this.mp.spectatorPeers]) {
+                if (!peerIds.includes(peerId)) this.mp.spectatorPeers.delete(peerId);
+            }
+            for (const peerId of [...this.mp.characterByPeer.keys()]) {
+                if (!peerIds.includes(peerId)) this.mp.characterByPeer.delete(peerId);
+            }
+            this.mp.readyByPeer.set(HOST_PEER_ID, this.mp.localReady);
+            this.mp.characterByPeer.set(HOST_PEER_ID, selectedCharId);
+
+            const playerIds = peerIds.filter(peerId => !this.mp.spectatorPeers.has(peerId)).slice(0, MAX_LOCKSTEP_PLAYERS);
+            this.mp.roster = playerIds.map(peerId => ({
+                peerId,
+                ready: !!this.mp.readyByPeer.get(peerId),
+                character: this.mp.characterByPeer.get(peerId) || 'bolt'
+            }));
+            this.mp.spectators = peerIds.filter(peerId => !playerIds.includes(peerId));
+            // Spectators only need their link to the host.
+            this.mp.meshComplete = mesh.isComplete(playerIds.filter(peerId => peerId !== HOST_PEER_ID));
+            send({ type: 'lobby_roster', players: this.mp.roster, spectators: this.mp.spectators, meshComplete: this.mp.meshComplete });
+
+            if (isAllReadyHost()) {
+                agreeMatchConfigHost();
+            } else {
+                this.mp.agreement = null;
+                if (this.mp.countdown.active) cancelCountdownHost();
+            }
+            render();
+        };
+
+        const isAllReadyHost = () => this.mp.roster.length >= 2 && this.mp.meshComplete && this.mp.roster.every(p => p.ready);
+
+        // Map hashes by file, fetched once per lobby
+        const mapHashes = new Map();
+        const getMapHash = (mapFile) => {
+            if (!mapHashes.has(mapFile)) mapHashes.set(mapFile, loadMapHash(mapFile));
+            return mapHashes.get(mapFile);
+        };
+
+        // HOST: offer the match config everyone is about to play (see net/matchConfig.js).
+        // Called again whenever the roster or a setting changes; an unchanged config
+        // keeps its agreement (and any running countdown).
+        let configSeq = 0;
+        const agreeMatchConfigHost = async () => {
+            const mapFile = this.mp.mapFile;
+            const mapHash = await getMapHash(mapFile);
+            // A later call owns the agreement if things changed while hashing
+            if (this.mp.role !== 'host' || mapFile !== this.mp.mapFile || !isAllReadyHost()) return;
+
+            const config = {
+                id: 0,
+                mapFile,
+                mapHash,
+                weaponsHash: getWeaponDefinitionsHash(),
+                build: this.buildVersionText,
+                netMode: this.mp.netMode,
+                bots: { ...this.mp.bots },
+                rules: { ...this.mp.rules },
+                roster: this.mp.roster.map(p => p.peerId),
+                characters: this.mp.roster.map(p => p.character)
+            };
+            if (this.mp.agreement && sameMatchConfig(this.mp.agreement.config, config)) return;
+
+            if (this.mp.countdown.active) cancelCountdownHost();
+            config.id = ++configSeq;
+            this.mp.agreement = { config, acks: new Set(), rejected: null };
+            send({ type: 'match_config', config });
+            setStatus('Confirming match settings...');
+            checkAgreementHost();
+        };
+
+        // HOST: count down once every other peer (spectators too) accepted the config
+        const checkAgreementHost = () => {
+            const agreement = this.mp.agreement;
+            if (!agreement || agreement.rejected || !this.mp.mesh) return;
+            const others = this.mp.mesh.getPeerIds().filter(peerId => peerId !== HOST_PEER_ID);
+            if (others.every(peerId => agreement.acks.has(peerId))) tryStartCountdownHost();
+        };
+
+        // CLIENT: accept the host's config only if our map file and build match
+        const acceptMatchConfigClient = async (config) => {
+            const mapHash = typeof config?.mapFile === 'string' ? await getMapHash(config.mapFile) : null;
+            const reason = checkMatchConfig(config, { mapHash, weaponsHash: getWeaponDefinitionsHash(), build: this.buildVersionText });
+            if (reason) {
+                console.warn(`[Lobby] Refusing match config: ${reason}`);
+                setStatus(reason);
+            }
+            send({ type: 'config_ack', id: config?.id, ok: !reason, reason });
+        };
+
+        // HOST: notify the lobby that a setting changed (re-offers the config if everyone is ready)
+        const settingsChangedHost = (message) => {
+            updateSelectionVisuals();
+            send(message);
+            syncRosterHost();
+        };
+
+        const enterSetup = () => {
+            setStep('setup');
+
+            // Client: disable map/netcode selection visuals
+            if (this.mp.role === 'client') {
+                els.mapContainer.classList.add('disabled-container');
+                els.netContainer.classList.add('disabled-container');
+                els.botContainer.classList.add('disabled-container');
+                els.rulesContainer.classList.add('disabled-container');
+                els.hostOnlyTag.style.opacity = '1';
+                els.netHostOnlyTag.style.opacity = '1';
+                els.botsHostOnlyTag.style.opacity = '1';
+                els.rulesHostOnlyTag.style.opacity = '1';
+            } else {
+                els.mapContainer.classList.remove('disabled-container');
+                els.netContainer.classList.remove('disabled-container');
+                els.botContainer.classList.remove('disabled-container');
+                els.rulesContainer.classList.remove('disabled-container');
+                els.hostOnlyTag.style.display = 'none';
+                els.netHostOnlyTag.style.display = 'none';
+                els.botsHostOnlyTag.style.display = 'none';
+                els.rulesHostOnlyTag.style.display = 'none';
+            }
+        };
+
+        const wireMesh = (mesh) => {
+            mesh.onStatus = (peerId, s) => {
+                if (this.mp.role === 'host') {
+                    if (peerId === null) {
+                        setStatus(s); // pending invite, e.g. 'connecting'
+                    } else if (s === 'connected') {
+                        setStatus('Player joined');
+                        if (this.mp.relayInviter) this.mp.relayInviter.paired();
+                        enterSetup();
+                        // Newcomer needs the current map, netcode, bots and rules
                         send({ type: 'map_select', mapIndex: selectedMapIndex, mapFile: mapOptions[selectedMapIndex].file });
+                        send({ type: 'net_mode', mode: this.mp.netMode });
+                        send({ type: 'bot_config', ...this.mp.bots });
+                        send({ type: 'match_rules', ...this.mp.rules });
+                    } else if (s === 'left') {
+                        setStatus('A player left');
                     }
-                } else {
-                    setStatus(s); // e.g. 'connecting...'
-                    if (s === 'closed' || s === 'disconnected') {
-                        els.playerCount.textContent = 'Players: 1/2';
-                        els.playerCount.style.color = '';
+                } else if (peerId === HOST_PEER_ID) {
+                    if (s === 'connected') {
+                        setStatus('Connected');
+                        // The room only carried the codes; the link is direct now
+                        closeRelay();
+                        enterSetup();
+                        send({ type: 'character', characterType: selectedCharId });
+                    } else if (s === 'left') {
+                        setStatus('Host left the lobby');
+                        this.mp.roster = [];
+                        render();
+                    } else {
+                        setStatus(s); // e.g. 'connecting...'
                     }
                 }
             };
 
-            conn.onMessage = (msg) => {
-                if (!msg || msg.v !== 1) return;
+            mesh.onChange = () => {
+                if (this.mp.role === 'host') syncRosterHost();
+                else render();
+            };
+
+            mesh.onMessage = (fromPeerId, msg) => {
                 switch (msg.type) {
                     case 'ready':
-                        this.mp.remoteReady = msg.ready;
-                        render();
-                        // If host, check for start
-                        if (this.mp.role === 'host' && this.mp.localReady && this.mp.remoteReady) {
-                            tryStartCountdownHost();
-                        } else if (this.mp.role === 'host') { // cancel if someone unreadied
-                            cancelCountdownHost();
+                        if (this.mp.role === 'host') {
+                            this.mp.readyByPeer.set(fromPeerId, !!msg.ready);
+                            syncRosterHost();
+                        }
+                        break;
+                    case 'character':
+                        if (this.mp.role === 'host' && CHARACTERS[msg.characterType]) {
+                            this.mp.characterByPeer.set(fromPeerId, msg.characterType);
+                            syncRosterHost();
+                        }
+                        break;
+                    case 'config_ack':
+                        if (this.mp.role === 'host') {
+                            const agreement = this.mp.agreement;
+                            if (!agreement || msg.id !== agreement.config.id) break;
+                            if (msg.ok) {
+                                agreement.acks.add(fromPeerId);
+                            } else {
+                                const slot = agreement.config.roster.indexOf(fromPeerId);
+                                const who = slot >= 0 ? `P${slot + 1}` : 'A spectator';
+                                agreement.rejected = String(msg.reason || 'Match config rejected');
+                                setStatus(`${who} can't start: ${agreement.rejected}`);
+                            }
+                            checkAgreementHost();
+                        }
+                        break;
+                    case 'spectate':
+                        if (this.mp.role === 'host') {
+                            if (msg.spectate) {
+                                this.mp.spectatorPeers.add(fromPeerId);
+                                this.mp.readyByPeer.set(fromPeerId, false);
+                            } else {
+                                this.mp.spectatorPeers.delete(fromPeerId);
+                            }
+                            syncRosterHost();
+                        }
+                        break;
+                    case 'lobby_roster':
+                        if (this.mp.role === 'client' && Array.isArray(msg.players)) {
+                            this.mp.roster = msg.players;
+                            this.mp.spectators = Array.isArray(msg.spectators) ? msg.spectators : [];
+                            this.mp.meshComplete = !!msg.meshComplete;
+                            render();
                         }
                         break;
                     case 'map_select':
@@ -479,6 +848,27 @@ export class StartScreen {
                             }
                         }
                         break;
+                    case 'net_mode':
+                        if (this.mp.role === 'client' && (msg.mode === 'lockstep' || msg.mode === 'rollback')) {
+                            this.mp.netMode = msg.mode;
+                            updateSelectionVisuals();
+                        }
+                        break;
+                    case 'bot_config':
+                        if (this.mp.role === 'client') {
+                            this.mp.bots = normalizeBotConfig(msg);
+                            updateSelectionVisuals();
+                        }
+                        break;
+                    case 'match_rules':
+                        if (this.mp.role === 'client') {
+                            this.mp.rules = normalizeMatchRules(msg);
+                            updateSelectionVisuals();
+                        }
+                        break;
+                    case 'match_config':
+                        if (this.mp.role === 'client') acceptMatchConfigClient(msg.config);
+                        break;
                     case 'countdown_start':
                         if (this.mp.role === 'client') {
                             const seconds = Number(msg.seconds) || 3;
@@ -493,26 +883,88 @@ export class StartScreen {
                         break;
                     case 'start':
                         // CLIENT START
-                        if (this.mp.role === 'client') {
-                            this.multiplayerStartRequested = true;
-                            // Store session fully
-                            this.multiplayerStartSession = {
-                                role: 'client',
-                                seed: msg.seed,
-                                mapFile: msg.mapFile,
-                                 characterType: selectedCharId, // My Selected Character
-                                 connection: this.mp.connection,
-                                 selectedMap: mapOptions.find(m => m.file === msg.mapFile)
-                             };
-                            // StartScreen checks this property in render()
+                        if (this.mp.role === 'client' && Array.isArray(msg.roster)) {
+                            startClient(msg);
                         }
                         break;
                 }
             };
         };
 
-        const send = (payload) => {
-            if (this.mp.connection) this.mp.connection.send(payload);
+        // Hand the session to main.js (checked via checkMultiplayerStartRequested()).
+        // Match slots follow the roster order chosen by the host.
+        const requestStart = (start) => {
+            const mesh = this.mp.mesh;
+            const roster = start.roster;
+            const spectators = Array.isArray(start.spectators) ? start.spectators : [];
+            const match = {
+                seed: start.seed,
+                mapFile: start.mapFile,
+                mapHash: start.mapHash ?? null,
+                build: start.build,
+                netMode: start.netMode || 'lockstep',
+                bots: normalizeBotConfig(start.bots),
+                rules: normalizeMatchRules(start.rules),
+                characters: roster.map((_, i) => (CHARACTERS[start.characters?.[i]] ? start.characters[i] : 'bolt')),
+                playerCount: roster.length,
+                roster,
+                spectators,
+                mesh,
+                // Maps the host can swap to for a rematch
+                mapPool: mapOptions.map(m => ({ file: m.file, name: m.name })),
+                selectedMap: mapOptions.find(m => m.file === start.mapFile)
+            };
+
+            const localPlayerIndex = roster.indexOf(mesh.localPeerId);
+            if (localPlayerIndex < 0) {
+                if (!spectators.includes(mesh.localPeerId)) {
+                    setStatus('Not part of this match');
+                    return;
+                }
+
+                // Spectator: no slot, the host streams the match over its link.
+                this.multiplayerStartRequested = true;
+                this.multiplayerStartSession = {
+                    ...match,
+                    role: 'spectator',
+                    localPlayerIndex: null,
+                    peers: [],
+                    hostTransport: mesh.getTransport(HOST_PEER_ID),
+                    characterType: selectedCharId
+                };
+                return;
+            }
+
+            let peers;
+            try {
+                peers = mesh.getLockstepPeers(roster);
+            } catch (e) {
+                console.error(e);
+                setStatus('Missing link to a player');
+                return;
+            }
+
+            this.multiplayerStartRequested = true;
+            this.multiplayerStartSession = {
+                ...match,
+                role: this.mp.role,
+                localPlayerIndex,
+                peers,
+                characterType: match.characters[localPlayerIndex] // My Selected Character
+            };
+        };
+
+        // CLIENT: check the map and build once more (late spectators never saw the
+        // config offer); hashes are cached, so players who accepted it pass at once.
+        const startClient = async (start) => {
+            const mapHash = await getMapHash(start.mapFile);
+            const reason = checkMatchConfig(start, { mapHash, weaponsHash: getWeaponDefinitionsHash(), build: this.buildVersionText });
+            if (reason) {
+                console.warn(`[Lobby] Not starting: ${reason}`);
+                setStatus(reason);
+                return;
+            }
+            requestStart(start);
         };
 
         const tryStartCountdownHost = () => {
@@ -521,7 +973,7 @@ export class StartScreen {
             const endsAtMs = Date.now() + (seconds * 1000);
             this.mp.countdown = { active: true, secondsLeft: seconds, endsAtMs };
 
-            // Send to client
+            // Send to clients
             send({
                 type: 'countdown_start',
                 seconds,
@@ -537,27 +989,30 @@ export class StartScreen {
         };
 
         const finalizeStartHost = () => {
-            // HOST START
-            const mapFile = this.mp.mapFile || 'facey.json';
-            const seed = this.mp.seed || (Math.floor(Math.random() * 4294967296));
+            // HOST START, with the config every peer accepted
+            const config = this.mp.agreement?.config;
+            if (!config) return;
 
-            // Send start to client
-            send({
+            // An open invite stays up: whoever joins after the start watches as a
+            // spectator (see MultiplayerMatchController.admitLateSpectator).
+            const start = {
                 type: 'start',
-                seed: seed,
-                mapFile: mapFile
-            });
+                seed: this.mp.seed || randomSeedUint32(),
+                mapFile: config.mapFile,
+                mapHash: config.mapHash,
+                weaponsHash: config.weaponsHash,
+                build: config.build,
+                roster: config.roster,
+                netMode: config.netMode,
+                bots: config.bots,
+                rules: config.rules,
+                characters: config.characters,
+                spectators: [...this.mp.spectators]
+            };
 
-            // Trigger local start
-            this.multiplayerStartRequested = true;
-            this.multiplayerStartSession = {
-                role: 'host',
-                 seed: seed,
-                 mapFile: mapFile,
-                 characterType: selectedCharId, // My Selected Character
-                 connection: this.mp.connection,
-                 selectedMap: mapOptions.find(m => m.file === mapFile)
-             };
+            // Send start to clients, then trigger local start
+            send(start);
+            requestStart(start);
         };
 
         const runCountdown = () => {
@@ -581,6 +1036,33 @@ export class StartScreen {
             }
         };
 
+        const renderRoster = () => {
+            const localPeerId = this.mp.mesh ? this.mp.mesh.localPeerId : null;
+            els.roster.innerHTML = this.mp.roster.map((p, i) => {
+                const character = CHARACTERS[p.character]?.name || 'Bolt';
+                const teamId = getTeamForIndex(i, this.mp.rules.teams);
+                const team = teamId !== null ? ` - Team ${teamId + 1}` : '';
+                const label = `P${i + 1}${p.peerId === HOST_PEER_ID ? ' (Host)' : ''}${p.peerId === localPeerId ? ' - You' : ''} - ${character}${team}`;
+                return `
+                    <div class="mp-roster-row ${p.ready ? 'ready' : ''}">
+                        <span>${label}</span>
+                        <span class="mp-roster-state">${p.ready ? 'Ready' : 'Not ready'}</span>
+                    </div>
+                `;
+            }).join('');
+
+            if (this.mp.roster.length > 2 && !this.mp.meshComplete) {
+                els.roster.insertAdjacentHTML('beforeend', '<div class="mp-roster-note">Linking players...</div>');
+            }
+
+            els.roster.insertAdjacentHTML('beforeend', this.mp.spectators.map(peerId => `
+                <div class="mp-roster-row spectator">
+                    <span>Spectator${peerId === localPeerId ? ' - You' : ''}</span>
+                    <span class="mp-roster-state">Watching</span>
+                </div>
+            `).join(''));
+        };
+
         // Render function (updates UI state based on `this.mp`)
         const render = () => {
             // Host Connect Button Valid?
@@ -588,13 +1070,34 @@ export class StartScreen {
 
             // Ready Button Text
             if (this.mp.localReady) {
-                els.btns.toggleReady.textContent = "Waiting for other...";
+                els.btns.toggleReady.textContent = "Waiting for others...";
                 els.btns.toggleReady.classList.add('active');
             } else {
                 els.btns.toggleReady.textContent = "Ready to Battle";
                 els.btns.toggleReady.classList.remove('active');
             }
 
+            // Player count
+            const count = Math.max(1, this.mp.roster.length);
+            els.playerCount.textContent = `Players: ${count}/${MAX_LOCKSTEP_PLAYERS}`;
+            els.playerCount.style.color = count >= 2 ? '#4ade80' : ''; // green
+            renderRoster();
+
+            // Host-only lobby controls
+            const isHost = this.mp.role === 'host';
+            const peerCount = this.mp.roster.length + this.mp.spectators.length;
+            els.btns.invite.classList.toggle('hidden', !isHost || peerCount >= MAX_LOCKSTEP_PLAYERS + MAX_SPECTATORS);
+            els.btns.backToLobby.classList.toggle('hidden', !isHost || count < 2);
+
+            // Clients may watch instead of playing (the host always plays)
+            els.btns.toggleSpectate.classList.toggle('hidden', this.mp.role !== 'client');
+            els.btns.toggleSpectate.classList.toggle('active', this.mp.localSpectating);
+            els.btns.toggleSpectate.textContent = this.mp.localSpectating ? 'Spectating - Tap to Play' : 'Watch as Spectator';
+            els.btns.toggleReady.classList.toggle('hidden', this.mp.localSpectating);
+
+            els.roomCode.classList.toggle('hidden', !this.mp.roomCode);
+            els.roomCode.textContent = this.mp.roomCode ? `Room ${this.mp.roomCode}` : '';
+
             // Setup QR if needed
             if (this.mp.role === 'host' && this.mp.joinLink && !els.hostQr.hasChildNodes()) {
                 try {
@@ -613,6 +1116,32 @@ export class StartScreen {
                 else el.classList.remove('selected');
             });
 
+            // Update Netcode
+            els.netContainer.querySelectorAll('.mp-option-card').forEach((el) => {
+                if (el.dataset.mpNet === this.mp.netMode) el.classList.add('selected');
+                else el.classList.remove('selected');
+            });
+
+            // Update Bots
+            els.botContainer.querySelectorAll('.mp-option-card').forEach((el) => {
+                const selected = el.dataset.mpBots !== undefined
+                    ? Number(el.dataset.mpBots) === this.mp.bots.count
+                    : el.dataset.mpBotSkill === this.mp.bots.skill;
+                el.classList.toggle('selected', selected);
+            });
+
+            // Update Rules
+            els.rulesContainer.querySelectorAll('.mp-option-card').forEach((el) => {
+                let selected;
+                if (el.dataset.mpZone) selected = el.dataset.mpZone === this.mp.rules.safeZone;
+                else if (el.dataset.mpLoot) selected = el.dataset.mpLoot === this.mp.rules.loot;
+                else if (el.dataset.mpTeams) selected = el.dataset.mpTeams === this.mp.rules.teams;
+                else selected = this.mp.rules.friendlyFire;
+                el.classList.toggle('selected', selected);
+            });
+            // Roster rows show each player's team
+            renderRoster();
+
             // Update Chars
             els.charContainer.querySelectorAll('.mp-option-card').forEach((el) => {
                 if (el.dataset.mpChar === selectedCharId) el.classList.add('selected');
@@ -620,25 +1149,17 @@ export class StartScreen {
             });
         };
 
-
-        // --- Event Listeners ---
-
-        els.btns.close.addEventListener('click', shutdown);
-
-        els.btns.host.addEventListener('click', async () => {
-            this.mp.role = 'host';
-            // Setup connection
-            const iceServers = this.mp.useStun ? getOptionalPublicStunIceServers() : [];
-            const conn = new WebRTCManualConnection({ role: 'host', iceServers });
-            this.mp.connection = conn;
-            wireConnection(conn);
-
-            // Create Offer
+        // HOST: create an invite for the next player (one outstanding invite at a time)
+        const createInviteHost = async () => {
             setStatus('Creating Offer...');
             try {
-                this.mp.offerCode = await conn.createOfferCode();
+                this.mp.offerCode = await this.mp.mesh.createInvite();
                  const b64 = btoa(this.mp.offerCode);
-                 this.mp.joinLink = window.location.href.split('#')[0] + '#join=' + b64;
+                 const baseUrl = window.location.href.split('#')[0];
+                 // With a relay room the link stays valid for every joiner
+                 this.mp.joinLink = this.mp.roomCode ? `${baseUrl}#room=${this.mp.roomCode}` : `${baseUrl}#join=${b64}`;
+                 els.hostQr.innerHTML = '';
+                 els.hostAnswerInput.value = '';
                  setStatus('Waiting for reply...');
                  setStep('host_waiting');
                  render();
@@ -646,6 +1167,88 @@ export class StartScreen {
                  console.error(e);
                  setStatus('Error creating offer');
              }
+        };
+
+
+        // HOST: open a relay room; everyone who joins it gets an invite automatically.
+        // Without a relay (or if it is down) the copy/paste invite still works.
+        const openRelayRoomHost = async (mesh) => {
+            if (!this.mp.relayUrl || this.mp.transport === BROADCAST_TRANSPORT) return;
+            const relay = new SignalingClient({ url: this.mp.relayUrl });
+            try {
+                await relay.connect();
+                const code = await relay.createRoom();
+                if (this.mp.mesh !== mesh) {
+                    relay.close();
+                    return;
+                }
+                this.mp.relay = relay;
+                this.mp.roomCode = code;
+                this.mp.relayInviter = new RelayInviter({
+                    signaling: relay,
+                    createOffer: () => mesh.createInvite(),
+                    acceptAnswer: (answer) => mesh.acceptInviteReply(answer)
+                });
+                relay.onClose = () => {
+                    if (this.mp.relay !== relay) return;
+                    console.warn('[Relay] Lost the relay; invites are copy/paste only now');
+                    closeRelay();
+                    render();
+                };
+            } catch (e) {
+                console.warn('[Relay] Not using the relay:', e);
+                relay.close();
+            }
+        };
+
+        // CLIENT: start the mesh from the host's invite code; returns our reply code
+        const joinWithOfferClient = async (offerCode) => {
+            const iceServers = this.mp.useStun ? getOptionalPublicStunIceServers() : [];
+            // The invite decides the link type (a tab link or WebRTC).
+            const transport = BroadcastChannelTransport.isInviteCode(offerCode) ? BROADCAST_TRANSPORT : 'webrtc';
+            const mesh = new PeerMesh({ role: 'client', iceServers, transport });
+            this.mp.mesh = mesh;
+            wireMesh(mesh);
+            return { answer: await mesh.joinWithOffer(offerCode), transport };
+        };
+
+        // CLIENT: join a relay room; the host's invite and our reply go through the relay
+        const joinRoomClient = async (code) => {
+            if (!this.mp.relayUrl) {
+                setStatus('Room codes need a relay (?relay=ws://...)');
+                return;
+            }
+            closeRelay();
+            const relay = new SignalingClient({ url: this.mp.relayUrl });
+            this.mp.relay = relay;
+            try {
+                setStatus(`Joining room ${code}...`);
+                await relay.connect();
+                await relay.joinRoom(code);
+                await answerViaRelay(relay, async (offer) => (await joinWithOfferClient(offer)).answer);
+                setStatus('Connecting to host...');
+            } catch (e) {
+                console.error(e);
+                if (this.mp.relay === relay) closeRelay();
+                setStatus(e.message || 'Cannot join room');
+            }
+        };
+
+        // --- Event Listeners ---
+
+        els.btns.close.addEventListener('click', shutdown);
+
+        els.btns.host.addEventListener('click', async () => {
+            this.mp.role = 'host';
+            // Setup mesh (host is always peer 0)
+            const iceServers = this.mp.useStun ? getOptionalPublicStunIceServers() : [];
+            const mesh = new PeerMesh({ role: 'host', iceServers, maxPlayers: MAX_LOCKSTEP_PLAYERS + MAX_SPECTATORS, transport: this.mp.transport });
+            this.mp.mesh = mesh;
+            wireMesh(mesh);
+            syncRosterHost();
+
+            await openRelayRoomHost(mesh);
+            await createInviteHost();
         });
 
         els.btns.join.addEventListener('click', () => {
@@ -669,7 +1272,7 @@ export class StartScreen {
             if (!answer) return;
             try {
                  setStatus('Connecting...');
-                 await this.mp.connection.acceptAnswerCode(answer);
+                 await this.mp.mesh.acceptInviteReply(answer);
              } catch (e) {
                  setStatus('Invalid Reply Code');
                  console.error(e);
@@ -678,9 +1281,25 @@ export class StartScreen {
 
         els.hostAnswerInput.addEventListener('input', render);
 
+        // HOST: invite more players / return to the lobby without inviting
+        els.btns.invite.addEventListener('click', createInviteHost);
+        els.btns.backToLobby.addEventListener('click', () => {
+            if (this.mp.mesh) this.mp.mesh.cancelInvite();
+            setStatus('Connected');
+            setStep('setup');
+        });
+
         // JOIN: Generate Reply (from Link or Paste)
         els.btns.joinGenerate.addEventListener('click', async () => {
             const offer = els.joinOfferInput.value.trim();
+
+            // Relay room code (typed, or a '#room=' link)
+            const roomCode = parseRoomCode(offer.includes('#room=') ? offer.split('#room=')[1] : offer);
+            if (roomCode) {
+                await joinRoomClient(roomCode);
+                return;
+            }
+
             // Handle pure base64 (link format) vs JSON
             let cleanOffer = offer;
 
@@ -694,17 +1313,13 @@ export class StartScreen {
 
             if (!cleanOffer) return;
 
-            // Start Client Connection
-            const iceServers = this.mp.useStun ? getOptionalPublicStunIceServers() : [];
-            const conn = new WebRTCManualConnection({ role: 'client', iceServers });
-            this.mp.connection = conn;
-            wireConnection(conn);
-
+            // Start Client Mesh (link to host first; other players link automatically)
             try {
-                 this.mp.answerCode = await conn.acceptOfferCodeAndCreateAnswer(cleanOffer);
+                 const { answer, transport } = await joinWithOfferClient(cleanOffer);
+                 this.mp.answerCode = answer;
                  els.joinAnswerDisplay.value = this.mp.answerCode;
                  setStep('join_response');
-                 setStatus('Reply generated. Send back to Host.');
+                 setStatus(transport === BROADCAST_TRANSPORT ? 'Connecting to host tab...' : 'Reply generated. Send back to Host.');
              } catch (e) {
                  console.error(e);
                  setStatus('Invalid Invite Code');
@@ -718,17 +1333,21 @@ export class StartScreen {
 
         // READY TOGGLE
         els.btns.toggleReady.addEventListener('click', () => {
-            if (this.mp.localReady) {
-                // unready
-                this.mp.localReady = false;
-                 if (this.mp.connection) this.mp.connection.send({ type: 'ready', ready: false });
-                 if (this.mp.role === 'host') cancelCountdownHost();
-             } else {
-                 // ready
-                 this.mp.localReady = true;
-                 if (this.mp.connection) this.mp.connection.send({ type: 'ready', ready: true });
-                 // Host checks start in onMessage ('ready')
-             }
+            this.mp.localReady = !this.mp.localReady;
+            if (this.mp.role === 'host') {
+                // Host checks start whenever the roster changes
+                syncRosterHost();
+            } else {
+                send({ type: 'ready', ready: this.mp.localReady });
+            }
+            render();
+        });
+
+        // SPECTATE TOGGLE (clients): watch the match instead of taking a slot
+        els.btns.toggleSpectate.addEventListener('click', () => {
+            this.mp.localSpectating = !this.mp.localSpectating;
+            if (this.mp.localSpectating) this.mp.localReady = false;
+            send({ type: 'spectate', spectate: this.mp.localSpectating });
             render();
         });
 
@@ -741,19 +1360,62 @@ export class StartScreen {
                 if (!isNaN(idx)) {
                     selectedMapIndex = idx;
                     this.mp.mapFile = mapOptions[idx].file;
-                    updateSelectionVisuals();
-                    // Send update to client
-                    send({ type: 'map_select', mapIndex: idx, mapFile: this.mp.mapFile });
+                    // Send update to clients
+                    settingsChangedHost({ type: 'map_select', mapIndex: idx, mapFile: this.mp.mapFile });
                 }
             }
         });
 
+        els.netContainer.addEventListener('click', (e) => {
+            if (this.mp.role !== 'host') return;
+            const card = e.target.closest('.mp-option-card');
+            if (card && card.dataset.mpNet) {
+                this.mp.netMode = card.dataset.mpNet;
+                settingsChangedHost({ type: 'net_mode', mode: this.mp.netMode });
+            }
+        });
+
+        els.botContainer.addEventListener('click', (e) => {
+            if (this.mp.role !== 'host') return;
+            const card = e.target.closest('.mp-option-card');
+            if (!card) return;
+            if (card.dataset.mpBots !== undefined) {
+                this.mp.bots.count = Number(card.dataset.mpBots);
+            } else if (card.dataset.mpBotSkill) {
+                this.mp.bots.skill = card.dataset.mpBotSkill;
+            } else {
+                return;
+            }
+            settingsChangedHost({ type: 'bot_config', ...this.mp.bots });
+        });
+
+        els.rulesContainer.addEventListener('click', (e) => {
+            if (this.mp.role !== 'host') return;
+            const card = e.target.closest('.mp-option-card');
+            if (!card) return;
+            if (card.dataset.mpZone) {
+                this.mp.rules.safeZone = card.dataset.mpZone;
+            } else if (card.dataset.mpLoot) {
+                this.mp.rules.loot = card.dataset.mpLoot;
+            } else if (card.dataset.mpTeams) {
+                this.mp.rules.teams = card.dataset.mpTeams;
+            } else if (card.dataset.mpFf) {
+                this.mp.rules.friendlyFire = !this.mp.rules.friendlyFire;
+            } else {
+                return;
+            }
+            settingsChangedHost({ type: 'match_rules', ...this.mp.rules });
+        });
+
         els.charContainer.addEventListener('click', (e) => {
             const card = e.target.closest('.mp-option-card');
             if (card) {
                 selectedCharId = card.dataset.mpChar;
                 this.mp.characterType = selectedCharId;
                 updateSelectionVisuals();
+                // The host keeps everyone's pick in the roster
+                if (this.mp.role === 'host') syncRosterHost();
+                else send({ type: 'character', characterType: selectedCharId });
             }
         });
 
@@ -808,7 +1470,7 @@ export class StartScreen {
 
         // Panel
         const width = Math.min(400, this.canvas.width * 0.85);
-        const height = 300;
+        const height = 340;
         const x = (this.canvas.width - width) / 2;
         const y = (this.canvas.height - height) / 2;
 
@@ -854,8 +1516,31 @@ export class StartScreen {
             ctx.fillRect(boxX + 4, boxY + 4, boxSize - 8, boxSize - 8);
         }
 
+        // Multiplayer reconnect wait (tap to cycle)
+        const waitY = y + 170;
+        const wait = this.settingsManager ? this.settingsManager.get('reconnectTimeoutSeconds') : 60;
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'right';
+        ctx.fillText('Reconnect Wait', centerX - 20, waitY);
+        ctx.fillStyle = '#4ade80';
+        ctx.textAlign = 'left';
+        ctx.fillText(`${wait}s`, centerX + 10, waitY);
+
+        // Multiplayer quick chat mute (checkbox)
+        const muteY = y + 220;
+        const muted = this.settingsManager ? this.settingsManager.get('muteQuickChat') : false;
+        ctx.fillStyle = '#fff';
+        ctx.textAlign = 'right';
+        ctx.fillText('Mute Quick Chat', centerX - 20, muteY);
+        ctx.strokeStyle = '#fff';
+        ctx.strokeRect(boxX, muteY - boxSize / 2, boxSize, boxSize);
+        if (muted) {
+            ctx.fillStyle = '#4ade80';
+            ctx.fillRect(boxX + 4, muteY - boxSize / 2 + 4, boxSize - 8, boxSize - 8);
+        }
+
         // Close Button
-        const closeY = y + 220;
+        const closeY = y + 270;
         ctx.fillStyle = '#666';
         ctx.beginPath();
         ctx.roundRect((this.canvas.width - 120) / 2, closeY, 120, 40, 8);
@@ -869,7 +1554,7 @@ export class StartScreen {
 
     handleSettingsTouch(x, y) {
         const width = Math.min(400, this.canvas.width * 0.85);
-        const height = 300;
+        const height = 340;
         const panelY = (this.canvas.height - height) / 2;
         const panelX = (this.canvas.width - width) / 2;
 
@@ -891,8 +1576,28 @@ export class StartScreen {
             return true;
         }
 
+        // Reconnect Wait Hit Area
+        const waitY = panelY + 170;
+        if (x >= centerX - 180 && x <= centerX + 80 && y >= waitY - 20 && y <= waitY + 20) {
+            if (this.settingsManager) {
+                const current = this.settingsManager.get('reconnectTimeoutSeconds');
+                const index = RECONNECT_WAIT_OPTIONS.indexOf(current);
+                this.settingsManager.set('reconnectTimeoutSeconds', RECONNECT_WAIT_OPTIONS[(index + 1) % RECONNECT_WAIT_OPTIONS.length]);
+            }
+            return true;
+        }
+
+        // Mute Quick Chat Hit Area
+        const muteY = panelY + 220;
+        if (x >= centerX - 180 && x <= centerX + 60 && y >= muteY - 20 && y <= muteY + 20) {
+            if (this.settingsManager) {
+                this.settingsManager.set('muteQuickChat', !this.settingsManager.get('muteQuickChat'));
+            }
+            return true;
+        }
+
         // Close Button
-        const closeY = panelY + 220;
+        const closeY = panelY + 270;
         const closeX = (this.canvas.width - 120) / 2;
 
         // Click outside panel to close
@@ -903,7 +1608,7 @@ export class StartScreen {
         
         // Close Button
         // This is a duplicate check, but harmless. The above 'click outside' handles it.
-        // const closeY = panelY + 220;
+        // const closeY = panelY + 270;
         // const closeX = (this.canvas.width - 120) / 2;
         if (x >= closeX && x <= closeX + 120 && y >= closeY && y <= closeY + 40) {
             this.menuState = 'home';
@@ -1349,7 +2054,9 @@ export class StartScreen {
         if (this.menuState === 'profileStats') {
             if (this.isPointInButton(coords.x, coords.y, this.backButton)) {
                 this.menuState = 'home';
+                return null;
             }
+            this.handleProfileReplayTap(coords.x, coords.y);
             return null;
         }
 
@@ -1522,7 +2229,9 @@ export class StartScreen {
         if (this.menuState === 'profileStats') {
             if (this.isPointInButton(coords.x, coords.y, this.backButton)) {
                 this.menuState = 'home';
+                return null;
             }
+            this.handleProfileReplayTap(coords.x, coords.y);
             return null;
         }
 
@@ -1927,9 +2636,82 @@ export class StartScreen {
             if (y > panelY + panelH - 18 * scale) break;
         }
 
+        this.renderProfileReplays(profile, panelX, y, panelW, panelY + panelH, scale);
+
         ctx.restore();
     }
 
+    // Recent matches that still have a stored replay, with play/download buttons.
+    renderProfileReplays(profile, panelX, topY, panelW, bottomY, scale) {
+        const ctx = this.ctx;
+        this.profileReplayButtons = [];
+
+        const entries = (profile.history || []).filter(entry => hasReplay(entry.replayId));
+        if (entries.length === 0) return;
+
+        const rowH = Math.max(30, 34 * scale);
+        const btnH = rowH - 6;
+        const btnW = Math.max(44, 56 * scale);
+        const startX = panelX + 18 * scale;
+        let y = topY + 8 * scale;
+        if (y + rowH > bottomY) return;
+
+        ctx.font = `bold ${Math.max(14, 16 * scale)}px Arial`;
+        ctx.fillStyle = '#ffffff';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('🎬 Replays', startX, y);
+        y += rowH * 0.6;
+
+        ctx.font = `${Math.max(12, 14 * scale)}px Arial`;
+        for (const entry of entries) {
+            if (y + rowH > bottomY - 8 * scale) break;
+
+            const when = new Date(entry.ts).toLocaleDateString();
+            const mode = entry.mode === 'multiplayer' ? 'MP' : 'Solo';
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+            ctx.textAlign = 'left';
+            ctx.fillText(`${when}  ${mode}  #${entry.placement}  ⚔️${entry.kills}`, startX, y + rowH / 2);
+
+            const buttons = [
+                { action: 'play', label: '▶' },
+                { action: 'download', label: '⬇' }
+            ];
+            let bx = panelX + panelW - 18 * scale - buttons.length * (btnW + 8 * scale);
+            for (const button of buttons) {
+                const rect = { action: button.action, replayId: entry.replayId, x: bx, y: y + 3, w: btnW, h: btnH };
+                this.profileReplayButtons.push(rect);
+
+                ctx.fillStyle = 'rgba(255, 255, 255, 0.12)';
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+                ctx.lineWidth = 1.5;
+                this.roundRect(ctx, rect.x, rect.y, rect.w, rect.h, 8);
+                ctx.fill();
+                ctx.stroke();
+
+                ctx.fillStyle = '#ffffff';
+                ctx.textAlign = 'center';
+                ctx.fillText(button.label, rect.x + rect.w / 2, rect.y + rect.h / 2);
+                bx += btnW + 8 * scale;
+            }
+
+            y += rowH;
+        }
+        ctx.textAlign = 'left';
+    }
+
+    handleProfileReplayTap(x, y) {
+        for (const btn of this.profileReplayButtons) {
+            if (x >= btn.x && x <= btn.x + btn.w && y >= btn.y && y <= btn.y + btn.h) {
+                if (btn.action === 'play') {
+                    this.replayRequestedId = btn.replayId;
+                } else {
+                    downloadReplay(btn.replayId);
+                }
+                return;
+            }
+        }
+    }
+
     renderUpgradesScreen() {
         const ctx = this.ctx;
         const scale = Math.min(this.canvas.width / 720, this.canvas.height / 1280);
@@ -3031,6 +3813,33 @@ export class StartScreen {
         form.appendChild(makeField('cfg_initialWeapons', 'Initial Weapons'));
         form.appendChild(makeField('cfg_initialConsumables', 'Initial Consumables'));
 
+        // Team mode: swap the number input for a select
+        const teamField = makeField('cfg_teamMode', 'Teams');
+        const teamSelect = document.createElement('select');
+        teamSelect.style.cssText = teamField.querySelector('input').style.cssText;
+        teamSelect.innerHTML = Object.entries(TEAM_MODES)
+            .map(([key, mode]) => `<option value="${key}">${mode.name}</option>`)
+            .join('');
+        teamField.querySelector('input').replaceWith(teamSelect);
+        teamSelect.id = 'cfg_teamMode';
+        form.appendChild(teamField);
+
+        const ffField = makeField('cfg_friendlyFire', 'Friendly Fire');
+        const ffInput = ffField.querySelector('input');
+        ffInput.type = 'checkbox';
+        ffInput.style.width = '20px';
+        ffInput.style.height = '20px';
+        form.appendChild(ffField);
+
+        // Any text works as a seed; numbers from the end screen are used as-is.
+        const seedField = makeField('cfg_seed', 'Match Seed (blank = random)');
+        seedField.style.gridColumn = '1 / -1';
+        const seedInput = seedField.querySelector('input');
+        seedInput.type = 'text';
+        seedInput.inputMode = 'text';
+        seedInput.placeholder = 'Random';
+        form.appendChild(seedField);
+
         const actions = document.createElement('div');
         actions.style.display = 'flex';
         actions.style.gap = '10px';
@@ -3096,6 +3905,10 @@ export class StartScreen {
         setVal('cfg_damageTickRate', merged?.safeZone?.damageTickRate);
         setVal('cfg_initialWeapons', merged?.loot?.initialWeapons);
         setVal('cfg_initialConsumables', merged?.loot?.initialConsumables);
+        setVal('cfg_teamMode', normalizeTeamMode(merged?.match?.teamMode));
+        const ffEl = document.getElementById('cfg_friendlyFire');
+        if (ffEl) ffEl.checked = merged?.match?.friendlyFire === true;
+        setVal('cfg_seed', this.soloSeedText);
 
         overlay.style.display = 'block';
     }
@@ -3120,10 +3933,15 @@ export class StartScreen {
             return Number.isFinite(n) ? n : undefined;
         };
 
+        const teamEl = document.getElementById('cfg_teamMode');
+        const ffEl = document.getElementById('cfg_friendlyFire');
+
         const override = {
             match: {
                 aiCount: getNum('cfg_aiCount'),
-                targetDuration: getNum('cfg_targetDuration')
+                targetDuration: getNum('cfg_targetDuration'),
+                teamMode: teamEl ? normalizeTeamMode(teamEl.value) : undefined,
+                friendlyFire: ffEl ? ffEl.checked : undefined
             },
             safeZone: {
                 shrinkDuration: getNum('cfg_shrinkDuration'),
@@ -3137,6 +3955,9 @@ export class StartScreen {
 
         const cleaned = this.stripUndefinedDeep(override);
         this.setMapGameConfigOverride(map, cleaned);
+
+        const seedEl = document.getElementById('cfg_seed');
+        this.soloSeedText = seedEl ? String(seedEl.value || '').trim() : '';
         this.closeMapSettingsModal();
     }
 
@@ -3210,6 +4031,13 @@ export class StartScreen {
         return this.selectedCharacter;
     }
     
+    /**
+     * @returns {number|null} Seed entered for solo matches, or null for a random one
+     */
+    getSoloSeed() {
+        return parseSeedInput(this.soloSeedText);
+    }
+
     getSelectedMap() {
         const map = this.selectedMap;
         if (!map) return null;
@@ -3238,6 +4066,15 @@ export class StartScreen {
         return requested;
     }
 
+    /**
+     * @returns {string|null} Replay id picked in the profile screen (cleared on read)
+     */
+    checkReplayRequested() {
+        const id = this.replayRequestedId;
+        this.replayRequestedId = null;
+        return id;
+    }
+
     checkMultiplayerStartRequested() {
         const requested = this.menuState === 'multiplayer' && this.multiplayerStartRequested;
         this.multiplayerStartRequested = false;
@@ -3253,7 +4090,20 @@ export class StartScreen {
                 role: rawSession.role,
                 seed: rawSession.seed,
                 mapFile: rawSession.mapFile,
-                connection: rawSession.connection
+                mapHash: rawSession.mapHash,
+                build: rawSession.build,
+                netMode: rawSession.netMode,
+                bots: rawSession.bots || null,
+                rules: rawSession.rules || null,
+                characters: rawSession.characters,
+                localPlayerIndex: rawSession.localPlayerIndex,
+                playerCount: rawSession.playerCount,
+                peers: rawSession.peers,
+                hostTransport: rawSession.hostTransport || null,
+                roster: rawSession.roster,
+                spectators: rawSession.spectators,
+                mapPool: rawSession.mapPool || [],
+                mesh: rawSession.mesh
             },
             characterType: rawSession.characterType,
             selectedMap: rawSession.selectedMap,
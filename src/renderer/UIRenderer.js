@@ -1,6 +1,8 @@
 // UI renderer for HUD elements and virtual controls
 
 import { DEBUG_MODE } from '../config/constants.js';
+import { countAliveSides } from '../config/teams.js';
+import { QUICK_CHAT_OPTIONS } from '../net/QuickChat.js';
 
 export class UIRenderer {
     constructor(ctx, canvas) {
@@ -9,8 +11,19 @@ export class UIRenderer {
 
         // Cached UI bounds for match-end interactions
         this.matchEndUI = {
-            returnToMenuButton: null
+            returnToMenuButton: null,
+            // Rematch, series length and map buttons: [{ action, x, y, width, height }]
+            rematchButtons: []
         };
+
+        // Cached replay control bar buttons: [{ action, x, y, width, height }]
+        this.replayButtons = [];
+
+        // Cached spectator control bar buttons (same shape)
+        this.spectatorButtons = [];
+
+        // Cached quick chat button and wheel options (same shape)
+        this.quickChatButtons = [];
     }
 
     /**
@@ -32,8 +45,23 @@ export class UIRenderer {
         // Render red screen pulse if player is outside safe zone (Phase 6)
         this.renderSafeZoneWarning(gameState);
         
-        // Render virtual joystick
+        // Render virtual joystick (pans the free camera in replays)
         joystick.render(this.ctx);
+
+        // Replays: playback controls instead of the player's action buttons
+        if (gameState.replay) {
+            this.renderHUD(gameState);
+            this.renderSafeZoneTimer(gameState);
+            this.renderReplayControls(gameState.replay);
+            return;
+        }
+
+        // Spectators: camera controls only (no player of their own)
+        if (gameState.spectator) {
+            this.renderSafeZoneTimer(gameState);
+            this.renderSpectatorControls(gameState.spectator);
+            return;
+        }
         
         // Render weapon buttons with player position for aim preview
         if (weaponButtons && gameState.player) {
@@ -73,6 +101,22 @@ export class UIRenderer {
         
         // Render safe zone timer (Phase 6)
         this.renderSafeZoneTimer(gameState);
+
+        // Multiplayer: eliminated players keep watching until the last one stands
+        if (gameState.player && gameState.player.isDead) {
+            this.renderSpectatingBanner(gameState);
+        }
+
+        // Team modes: downed until a teammate revives
+        if (gameState.player && gameState.player.isDowned) {
+            this.renderDownedBanner(gameState.player);
+        }
+
+        // Multiplayer: quick chat button (and wheel when open)
+        this.quickChatButtons = [];
+        if (gameState.quickChat) {
+            this.renderQuickChat(gameState.quickChat);
+        }
         
         // Render debug info if enabled
         if (DEBUG_MODE) {
@@ -96,6 +140,221 @@ export class UIRenderer {
         ctx.restore();
     }
 
+    // Render "eliminated / spectating" banner (multiplayer, local player dead)
+    renderSpectatingBanner(gameState) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        const centerX = this.canvas.width / 2;
+        const y = 140;
+        const placement = gameState.matchStats.finalPlacement;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.roundRect(ctx, centerX - 170, y - 30, 340, 60, 12);
+        ctx.fill();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#ef4444';
+        ctx.font = 'bold 20px Arial';
+        ctx.fillText(placement ? `ELIMINATED - #${placement}` : 'ELIMINATED', centerX, y - 9);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '14px Arial';
+        ctx.fillText('Spectating until the match ends', centerX, y + 14);
+
+        ctx.restore();
+    }
+
+    // Render replay playback bar (bottom center): exit, pause, speed, camera
+    renderReplayControls(replay) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        const buttons = [
+            { action: 'exit', label: '✕' },
+            { action: 'slower', label: '−' },
+            { action: 'pause', label: replay.paused ? '▶' : '❚❚' },
+            { action: 'faster', label: '+' },
+            { action: 'camera', label: replay.freeCamera ? 'FREE' : 'FOLLOW' }
+        ];
+        const size = 52;
+        const gap = 10;
+        const cameraWidth = 96;
+        const totalWidth = size * (buttons.length - 1) + cameraWidth + gap * (buttons.length - 1);
+        let x = (this.canvas.width - totalWidth) / 2;
+        const y = this.canvas.height - size - 24;
+
+        // Progress + speed readout above the bar
+        const seconds = (tick) => Math.floor(tick / 60);
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 16px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(
+            `REPLAY  ${seconds(replay.currentTick)}s / ${seconds(replay.totalTicks)}s  •  ${replay.speed}x${replay.paused ? '  •  PAUSED' : ''}`,
+            this.canvas.width / 2,
+            y - 18
+        );
+
+        this.replayButtons = [];
+        for (const button of buttons) {
+            const width = button.action === 'camera' ? cameraWidth : size;
+            this.replayButtons.push({ action: button.action, x, y, width, height: size });
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.lineWidth = 2;
+            this.roundRect(ctx, x, y, width, size, 10);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font = button.action === 'camera' ? 'bold 14px Arial' : 'bold 20px Arial';
+            ctx.fillText(button.label, x + width / 2, y + size / 2);
+
+            x += width + gap;
+        }
+
+        ctx.restore();
+    }
+
+    // Render spectator bar (bottom center): exit, previous/next player, full map
+    renderSpectatorControls(spectator) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        const buttons = [
+            { action: 'exit', label: '✕' },
+            { action: 'prev', label: '◀' },
+            { action: 'next', label: '▶' },
+            { action: 'view', label: spectator.overview ? 'FOLLOW' : 'MAP' }
+        ];
+        const size = 52;
+        const gap = 10;
+        const viewWidth = 96;
+        const totalWidth = size * (buttons.length - 1) + viewWidth + gap * (buttons.length - 1);
+        let x = (this.canvas.width - totalWidth) / 2;
+        const y = this.canvas.height - size - 24;
+
+        // Who is being watched, above the bar
+        let label = 'FULL MAP';
+        if (!spectator.overview) {
+            const watched = spectator.getWatchedPlayer();
+            label = watched ? `P${spectator.players.indexOf(watched) + 1} (${watched.characterType})` : '—';
+        }
+        let status = `${spectator.getAliveCount()} alive`;
+        if (!spectator.hostConnected) status = 'HOST DISCONNECTED';
+        else if (spectator.catchingUp) status = 'CATCHING UP';
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.font = 'bold 16px Arial';
+        ctx.fillStyle = '#ffffff';
+        ctx.fillText(`SPECTATING  •  ${label}  •  ${status}`, this.canvas.width / 2, y - 18);
+
+        this.spectatorButtons = [];
+        for (const button of buttons) {
+            const width = button.action === 'view' ? viewWidth : size;
+            this.spectatorButtons.push({ action: button.action, x, y, width, height: size });
+
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.lineWidth = 2;
+            this.roundRect(ctx, x, y, width, size, 10);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.font = button.action === 'view' ? 'bold 14px Arial' : 'bold 20px Arial';
+            ctx.fillText(button.label, x + width / 2, y + size / 2);
+
+            x += width + gap;
+        }
+
+        ctx.restore();
+    }
+
+    // Render quick chat: a button above the joystick, and the option wheel around the screen center
+    renderQuickChat(quickChat) {
+        const ctx = this.ctx;
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        const drawButton = (action, label, x, y, width, height, active = false) => {
+            this.quickChatButtons.push({ action, x, y, width, height });
+
+            ctx.fillStyle = active ? 'rgba(74, 222, 128, 0.8)' : 'rgba(0, 0, 0, 0.6)';
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.35)';
+            ctx.lineWidth = 2;
+            this.roundRect(ctx, x, y, width, height, 10);
+            ctx.fill();
+            ctx.stroke();
+
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(label, x + width / 2, y + height / 2);
+        };
+
+        const size = 52;
+        ctx.font = 'bold 22px Arial';
+        drawButton('toggle', '💬', 24, this.canvas.height - 290, size, size, quickChat.wheelOpen);
+
+        if (quickChat.wheelOpen) {
+            const centerX = this.canvas.width / 2;
+            const centerY = this.canvas.height / 2;
+            const radius = 130;
+            const width = 124;
+            const height = 44;
+
+            ctx.font = 'bold 16px Arial';
+            QUICK_CHAT_OPTIONS.forEach((option, i) => {
+                const angle = -Math.PI / 2 + (i / QUICK_CHAT_OPTIONS.length) * Math.PI * 2;
+                const x = centerX + Math.cos(angle) * radius - width / 2;
+                const y = centerY + Math.sin(angle) * radius - height / 2;
+                drawButton(`chat:${option.id}`, option.ping ? `📍 ${option.label}` : option.label, x, y, width, height);
+            });
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * @param {number} screenX
+     * @param {number} screenY
+     * @returns {string|null} Quick chat action under the point ('toggle' or 'chat:<id>')
+     */
+    getQuickChatControlHit(screenX, screenY) {
+        return this.findButtonHit(this.quickChatButtons, screenX, screenY);
+    }
+
+    /**
+     * @param {number} screenX
+     * @param {number} screenY
+     * @returns {string|null} Replay action under the point
+     */
+    getReplayControlHit(screenX, screenY) {
+        return this.findButtonHit(this.replayButtons, screenX, screenY);
+    }
+
+    /**
+     * @param {number} screenX
+     * @param {number} screenY
+     * @returns {string|null} Spectator action under the point
+     */
+    getSpectatorControlHit(screenX, screenY) {
+        return this.findButtonHit(this.spectatorButtons, screenX, screenY);
+    }
+
+    findButtonHit(buttons, screenX, screenY) {
+        for (const rect of buttons) {
+            if (screenX >= rect.x && screenX <= rect.x + rect.width &&
+                screenY >= rect.y && screenY <= rect.y + rect.height) {
+                return rect.action;
+            }
+        }
+        return null;
+    }
+
     // Render HUD (health, game info, special pickups)
     renderHUD(gameState) {
         if (!gameState.player) return;
@@ -138,9 +397,12 @@ export class UIRenderer {
             }
         }
         
-        // Remaining players
+        // Remaining players (and teams in Duos/Trios)
         const aliveCount = gameState.characters.filter(c => !c.isDead).length;
-        ctx.fillText(`👥 Alive: ${aliveCount}`, panelX, panelY + lineHeight);
+        const teamsText = gameState.player && gameState.player.teamId !== null
+            ? ` (Teams: ${countAliveSides(gameState.characters)})`
+            : '';
+        ctx.fillText(`👥 Alive: ${aliveCount}${teamsText}`, panelX, panelY + lineHeight);
         
         // Kill count
         const kills = gameState.matchStats.kills;
@@ -260,6 +522,33 @@ export class UIRenderer {
     }
 
     // Render red screen pulse when outside safe zone
+    // Render "downed" banner (team modes, local player waiting for a revive)
+    renderDownedBanner(player) {
+        const ctx = this.ctx;
+        ctx.save();
+
+        const centerX = this.canvas.width / 2;
+        const y = 140;
+
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        this.roundRect(ctx, centerX - 170, y - 30, 340, 60, 12);
+        ctx.fill();
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillStyle = '#f97316';
+        ctx.font = 'bold 20px Arial';
+        ctx.fillText('DOWNED', centerX, y - 9);
+        ctx.fillStyle = '#ffffff';
+        ctx.font = '14px Arial';
+        const hint = player.reviver
+            ? `Being revived... ${Math.floor(player.getReviveProgress() * 100)}%`
+            : 'Crawl to a teammate to be revived';
+        ctx.fillText(hint, centerX, y + 14);
+
+        ctx.restore();
+    }
+
     renderSafeZoneWarning(gameState) {
         if (!gameState.player || !gameState.safeZoneSystem) return;
         
@@ -314,6 +603,7 @@ export class UIRenderer {
 
         // Reset cached bounds each render
         this.matchEndUI.returnToMenuButton = null;
+        this.matchEndUI.rematchButtons = [];
         
         // Calculate scale based on canvas size
         const scale = Math.min(this.canvas.width / 720, this.canvas.height / 1280);
@@ -340,14 +630,26 @@ export class UIRenderer {
         
         // Title with glow effect
         const isVictory = gameState.phase === 'victory';
+        const spectator = gameState.spectator;
+        let title = isVictory ? '🏆 VICTORY! 🏆' : '💀 GAME OVER 💀';
+        let titleColor = isVictory ? '#4ade80' : '#ef4444';
+        if (spectator) {
+            title = '🏁 MATCH OVER 🏁';
+            titleColor = '#fbbf24';
+        } else if (gameState.matchEndReason === 'opponentLeft') {
+            title = '🏆 WIN BY FORFEIT 🏆';
+        } else if (gameState.matchEndReason === 'connectionLost') {
+            title = '📡 CONNECTION LOST 📡';
+            titleColor = '#fbbf24';
+        }
         ctx.font = `bold ${titleSize}px Arial`;
         ctx.textAlign = 'center';
         
         // Glow effect
-        ctx.shadowColor = isVictory ? '#4ade80' : '#ef4444';
+        ctx.shadowColor = titleColor;
         ctx.shadowBlur = 20;
-        ctx.fillStyle = isVictory ? '#4ade80' : '#ef4444';
-        ctx.fillText(isVictory ? '🏆 VICTORY! 🏆' : '💀 GAME OVER 💀', centerX, centerY - titleOffsetY);
+        ctx.fillStyle = titleColor;
+        ctx.fillText(title, centerX, centerY - titleOffsetY);
         
         ctx.shadowBlur = 0;
         
@@ -379,14 +681,25 @@ export class UIRenderer {
         const statsX = statsBoxX + 28 * scale;
         const statsY = centerY + 30 * scale;
 
-        // Placement with color coding
-        ctx.fillStyle = stats.finalPlacement === 1 ? '#fbbf24' : '#ffffff';
-        ctx.fillText(`🏅 Placement: #${stats.finalPlacement}`, statsX, statsY);
+        if (spectator) {
+            // Spectators have no stats of their own: show the result instead
+            const winnerIndex = spectator.getWinnerIndex();
+            const winner = winnerIndex === null ? null : spectator.players[winnerIndex];
+            ctx.fillStyle = '#fbbf24';
+            ctx.fillText(winner ? `🏆 Winner: P${winnerIndex + 1} (${winner.characterType})` : '🤝 Draw', statsX, statsY);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`👥 Players: ${spectator.players.length}`, statsX, statsY + lineHeight);
+            ctx.fillText(`⏱️ Match time: ${Math.floor(gameState.matchTime)}s`, statsX, statsY + lineHeight * 2);
+        } else {
+            // Placement with color coding
+            ctx.fillStyle = stats.finalPlacement === 1 ? '#fbbf24' : '#ffffff';
+            ctx.fillText(`🏅 Placement: #${stats.finalPlacement}`, statsX, statsY);
 
-        ctx.fillStyle = '#ffffff';
-        ctx.fillText(`⚔️ Kills: ${stats.kills}`, statsX, statsY + lineHeight);
-        ctx.fillText(`💥 Damage: ${Math.round(stats.damageDealt)}`, statsX, statsY + lineHeight * 2);
-        ctx.fillText(`⏱️ Survival: ${Math.floor(stats.survivalTime)}s`, statsX, statsY + lineHeight * 3);
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(`⚔️ Kills: ${stats.kills}`, statsX, statsY + lineHeight);
+            ctx.fillText(`💥 Damage: ${Math.round(stats.damageDealt)}`, statsX, statsY + lineHeight * 2);
+            ctx.fillText(`⏱️ Survival: ${Math.floor(stats.survivalTime)}s`, statsX, statsY + lineHeight * 3);
+        }
 
         // Rewards earned (meta progression)
         if (gameState.matchRewards) {
@@ -426,10 +739,101 @@ export class UIRenderer {
         ctx.textAlign = 'center';
         ctx.textBaseline = 'middle';
         ctx.fillText('Return to Menu', centerX, buttonY + buttonHeight / 2);
+
+        // Seed, so the match can be replayed or shared from the solo settings
+        if (gameState.matchSeed !== null) {
+            ctx.font = `${Math.max(13, 15 * scale)}px Arial`;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.fillText(`🎲 Seed: ${gameState.matchSeed}`, centerX, buttonY + buttonHeight + 24 * scale);
+        }
+
+        if (gameState.rematch && gameState.rematch.available) {
+            this.renderRematchControls(gameState.rematch, centerX, buttonY + buttonHeight + 50 * scale, buttonWidth, buttonHeight, scale);
+        }
         
         ctx.restore();
     }
 
+    /**
+     * Series score, the Rematch button and (host) series length and map
+     * pickers, below the Return to Menu button.
+     * @param {RematchCoordinator} rematch
+     * @param {number} centerX
+     * @param {number} top
+     * @param {number} buttonWidth
+     * @param {number} buttonHeight
+     * @param {number} scale
+     */
+    renderRematchControls(rematch, centerX, top, buttonWidth, buttonHeight, scale) {
+        const ctx = this.ctx;
+        const textSize = Math.max(14, 17 * scale);
+        const lineHeight = 26 * scale;
+        let y = top;
+
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // Score: wins per player slot under the series length picked for the next match
+        const seriesWinners = rematch.getSeriesWinners();
+        ctx.font = `bold ${textSize}px Arial`;
+        ctx.fillStyle = '#fbbf24';
+        if (seriesWinners.length > 0) {
+            ctx.fillText(`🏆 Series won by ${seriesWinners.map(i => `P${i + 1}`).join(' & ')}`, centerX, y);
+            y += lineHeight;
+        }
+        ctx.font = `${textSize}px Arial`;
+        ctx.fillStyle = '#ffffff';
+        const score = rematch.series.wins.map((wins, i) => `P${i + 1}: ${wins}`).join('   ');
+        ctx.fillText(`Best of ${rematch.bestOf}  •  ${score}`, centerX, y);
+        y += lineHeight * 0.8;
+
+        const drawButton = (action, label, x, width, highlighted) => {
+            ctx.fillStyle = highlighted ? 'rgba(74, 222, 128, 0.3)' : 'rgba(255, 255, 255, 0.12)';
+            ctx.strokeStyle = highlighted ? 'rgba(74, 222, 128, 0.8)' : 'rgba(255, 255, 255, 0.35)';
+            ctx.lineWidth = 2;
+            this.roundRect(ctx, x, y, width, buttonHeight, 14);
+            ctx.fill();
+            ctx.stroke();
+            ctx.fillStyle = '#ffffff';
+            ctx.fillText(label, x + width / 2, y + buttonHeight / 2);
+            this.matchEndUI.rematchButtons.push({ action, x, y, width, height: buttonHeight });
+        };
+
+        const voteLabel = seriesWinners.length > 0 ? 'New Series' : 'Rematch';
+        ctx.font = `bold ${Math.max(16, 20 * scale)}px Arial`;
+        drawButton('vote', rematch.hasVoted ? `✔ ${voteLabel}` : voteLabel, centerX - buttonWidth / 2, buttonWidth, rematch.hasVoted);
+        y += buttonHeight + 10 * scale;
+
+        // Host picks the series length and map; the others see the host's choice
+        ctx.font = `${textSize}px Arial`;
+        if (rematch.isHost) {
+            const halfWidth = (buttonWidth - 10 * scale) / 2;
+            drawButton('bestOf', `Best of ${rematch.bestOf}`, centerX - buttonWidth / 2, halfWidth, false);
+            drawButton('map', `🗺️ ${rematch.mapName}`, centerX + buttonWidth / 2 - halfWidth, halfWidth, false);
+            y += buttonHeight + lineHeight * 0.6;
+        } else {
+            y += lineHeight * 0.3;
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.75)';
+            ctx.fillText(`Next map: ${rematch.mapName}`, centerX, y);
+            y += lineHeight;
+        }
+
+        const status = rematch.getStatusText();
+        if (status) {
+            ctx.fillStyle = rematch.error ? '#ef4444' : 'rgba(255, 255, 255, 0.75)';
+            ctx.fillText(status, centerX, y);
+        }
+    }
+
+    /**
+     * @param {number} screenX
+     * @param {number} screenY
+     * @returns {string|null} Rematch action under the point ('vote', 'bestOf' or 'map')
+     */
+    getRematchControlHit(screenX, screenY) {
+        return this.findButtonHit(this.matchEndUI.rematchButtons, screenX, screenY);
+    }
+
     isReturnToMenuHit(screenX, screenY) {
         const rect = this.matchEndUI.returnToMenuButton;
         if (!rect) return false;
@@ -1,6 +1,8 @@
 // Weapon button for firing weapons with tap or hold+drag aiming
 
 import { Vector2D } from '../utils/Vector2D.js';
+import { MAP_CONFIG } from '../config/map.js';
+import { raycastObstacles } from '../utils/collision.js';
 
 export class WeaponButton {
     constructor(x, y, radius, weaponIndex, assetLoader = null) {
@@ -233,6 +235,45 @@ export class WeaponButton {
             ctx.strokeStyle = weapon.glowColor || '#ff9944';
             ctx.lineWidth = 2;
             ctx.stroke();
+        } else if (weapon.attackType === 'mine' && !weapon.attackParams?.thrown) {
+            // Dropped mines land at the player's feet: show their trigger ring
+            ctx.strokeStyle = weapon.glowColor || '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.arc(playerX, playerY, weapon.attackParams.triggerRadius || 40, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.setLineDash([]);
+        } else if (weapon.attackType === 'beam') {
+            // Draw aim line for beams, cut short where an obstacle would stop it
+            const reach = raycastObstacles(playerPosition.x, playerPosition.y, angle, range, MAP_CONFIG.obstacles);
+            const endX = playerX + Math.cos(angle) * reach;
+            const endY = playerY + Math.sin(angle) * reach;
+
+            ctx.strokeStyle = weapon.color || '#00ffcc';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(playerX, playerY);
+            ctx.lineTo(endX, endY);
+            ctx.stroke();
+
+            // Blocked part of the range, dashed
+            if (reach < range) {
+                ctx.globalAlpha = 0.15;
+                ctx.setLineDash([6, 6]);
+                ctx.beginPath();
+                ctx.moveTo(endX, endY);
+                ctx.lineTo(playerX + Math.cos(angle) * range, playerY + Math.sin(angle) * range);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.globalAlpha = 0.4;
+            }
+
+            // Draw end marker
+            ctx.fillStyle = weapon.glowColor || '#aaffee';
+            ctx.beginPath();
+            ctx.arc(endX, endY, 5, 0, Math.PI * 2);
+            ctx.fill();
         } else {
             // Draw line preview for other weapons from player position
             const endX = playerX + Math.cos(angle) * range;
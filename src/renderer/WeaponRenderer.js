@@ -14,8 +14,16 @@ export class WeaponRenderer {
         
         // Render weapon effects
         if (combatSystem) {
+            // Render mines (enemy mines only once revealed to the viewer; spectators see all)
+            combatSystem.getMines().forEach(mine => {
+                if (!player || mine.isRevealedTo(player)) this.renderMine(mine, player);
+            });
+
             const effects = combatSystem.getWeaponEffects();
             effects.forEach(effect => this.renderWeaponEffect(effect));
+
+            // Render beams still charging
+            combatSystem.getChargingBeams().forEach(beam => this.renderChargingBeam(beam));
         
             // Render projectiles
             const projectiles = combatSystem.getProjectiles();
@@ -38,6 +46,8 @@ export class WeaponRenderer {
             this.renderConeEffect(effect);
         } else if (effect.attackType === 'aoe') {
             this.renderAoeEffect(effect);
+        } else if (effect.attackType === 'beam') {
+            this.renderBeamEffect(effect);
         }
         
         ctx.restore();
@@ -112,6 +122,114 @@ export class WeaponRenderer {
         ctx.stroke();
     }
     
+    // Render beam effect (Laser)
+    renderBeamEffect(effect) {
+        const ctx = this.ctx;
+        const x = effect.position.x;
+        const y = effect.position.y;
+        const endX = x + Math.cos(effect.angle) * effect.beamLength;
+        const endY = y + Math.sin(effect.angle) * effect.beamLength;
+        const width = effect.beamWidth || 6;
+
+        ctx.lineCap = 'round';
+
+        // Draw outer glow
+        ctx.strokeStyle = effect.glowColor;
+        ctx.lineWidth = width * 2.5;
+        ctx.globalAlpha = effect.alpha * 0.35;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(endX, endY);
+        ctx.stroke();
+
+        // Draw beam body (thins out as it fades)
+        ctx.strokeStyle = effect.color;
+        ctx.lineWidth = width * effect.alpha;
+        ctx.globalAlpha = effect.alpha;
+        ctx.stroke();
+
+        // Draw white core
+        ctx.strokeStyle = '#ffffff';
+        ctx.lineWidth = Math.max(1, width * 0.3 * effect.alpha);
+        ctx.stroke();
+
+        // Draw impact flash where the beam stopped
+        ctx.fillStyle = effect.glowColor;
+        ctx.beginPath();
+        ctx.arc(endX, endY, width * 1.5 * effect.alpha, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // Render mine (dark disc, blinking light once armed, trigger ring for its owner's side)
+    renderMine(mine, viewer = null) {
+        const ctx = this.ctx;
+        const x = mine.position.x;
+        const y = mine.position.y;
+        const friendly = !!viewer && mine.isFriendlyTo(viewer);
+
+        ctx.save();
+
+        // Draw trigger radius
+        ctx.strokeStyle = friendly ? mine.glowColor : '#ff2222';
+        ctx.lineWidth = 1;
+        ctx.globalAlpha = 0.35;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.arc(x, y, mine.triggerRadius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Draw mine body
+        ctx.globalAlpha = 1.0;
+        ctx.fillStyle = '#333333';
+        ctx.beginPath();
+        ctx.arc(x, y, mine.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.strokeStyle = mine.color;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        // Draw status light: steady while arming, blinking once armed
+        const blinkOn = !mine.armed || Math.floor(mine.age * 4) % 2 === 0;
+        if (blinkOn) {
+            ctx.fillStyle = mine.armed ? '#ff2222' : '#ffcc00';
+            ctx.beginPath();
+            ctx.arc(x, y, mine.radius * 0.4, 0, Math.PI * 2);
+            ctx.fill();
+        }
+
+        ctx.restore();
+    }
+
+    // Render a beam that is still charging: faint sight line and a growing muzzle glow
+    renderChargingBeam(beam) {
+        const ctx = this.ctx;
+        const x = beam.position.x;
+        const y = beam.position.y;
+
+        ctx.save();
+
+        // Draw sight line
+        ctx.strokeStyle = beam.color;
+        ctx.lineWidth = 1 + beam.progress;
+        ctx.globalAlpha = 0.2 + beam.progress * 0.4;
+        ctx.setLineDash([8, 6]);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + Math.cos(beam.angle) * beam.range, y + Math.sin(beam.angle) * beam.range);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // Draw muzzle glow
+        ctx.fillStyle = beam.glowColor;
+        ctx.globalAlpha = 0.4 + beam.progress * 0.6;
+        ctx.beginPath();
+        ctx.arc(x, y, 4 + beam.progress * 8, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.restore();
+    }
+    
     // Render projectile
     renderProjectile(projectile) {
         const ctx = this.ctx;
@@ -27,11 +27,13 @@ import { Vector2D } from '../utils/Vector2D.js';
 import { Weapon, WeaponPickup } from '../entities/Weapon.js';
 import { Consumable } from '../entities/Consumable.js';
 import { createWeapon } from '../config/weapons.js';
-import { createConsumable } from '../config/consumables.js';
+import { createConsumable, rollDeathDrop } from '../config/consumables.js';
 import { getCurrentMapConfig, getGameConfig } from '../config/map.js';
+import { matchRandom } from '../core/MatchRandom.js';
 import { AINavigationSystem } from './ai/AINavigationSystem.js';
 import { AIPerceptionSystem } from './ai/AIPerceptionSystem.js';
 import { AIBehaviorSystem } from './ai/AIBehaviorSystem.js';
+import { REVIVE_CONFIG, areTeammates } from '../config/teams.js';
 
 export class AISystem {
     constructor(gameState, eventBus, combatSystem, abilitySystem = null) {
@@ -68,8 +70,9 @@ export class AISystem {
     // Update all AI characters
     update(deltaTime) {
         // Get all AI characters
+        // Downed bots just wait for a teammate
         const aiCharacters = this.gameState.characters.filter(char =>
-            !char.isPlayer && !char.isDead && char.aiState !== undefined
+            !char.isPlayer && !char.isDead && !char.isDowned && char.aiState !== undefined
         );
         
         // Update each AI
@@ -87,7 +90,8 @@ export class AISystem {
             ai,
             this.gameState.characters,
             this.gameState.consumables,
-            this.availableWeapons
+            this.availableWeapons,
+            this.combatSystem.getMines()
         );
         
         // Decision making
@@ -96,6 +100,15 @@ export class AISystem {
             ai.resetDecisionCooldown();
         }
         
+        // Team modes: go revive a downed teammate unless fighting
+        if (ai.aiState !== 'combat' && ai.aiState !== 'flee') {
+            const downedTeammate = this.findDownedTeammate(ai);
+            if (downedTeammate) {
+                this.behaviorSystem.executeReviveTeammate(ai, downedTeammate, deltaTime, this.aiSpeedMultiplier);
+                return;
+            }
+        }
+        
         // Execute current state behavior
         switch (ai.getState()) {
             case 'moveToSafeZone':
@@ -146,6 +159,23 @@ export class AISystem {
         }
     }
     
+    // Nearest downed teammate within reach, if any
+    findDownedTeammate(ai) {
+        let nearest = null;
+        let nearestDistSq = REVIVE_CONFIG.botReviveRange * REVIVE_CONFIG.botReviveRange;
+        for (const character of this.gameState.characters) {
+            if (!character.isDowned || character.isDead || !areTeammates(character, ai)) continue;
+            const dx = character.position.x - ai.position.x;
+            const dy = character.position.y - ai.position.y;
+            const distSq = dx * dx + dy * dy;
+            if (distSq < nearestDistSq) {
+                nearest = character;
+                nearestDistSq = distSq;
+            }
+        }
+        return nearest;
+    }
+    
     // Use health kit if needed based on skill level
     useHealthKitIfNeeded(ai) {
         if (ai.healthKits <= 0 || ai.isDead) return;
@@ -240,17 +270,10 @@ export class AISystem {
     // Handle character death
     handleCharacterDeath(character) {
         if (character.isDead) {
-            // Drop consumables randomly: 70% health kit, 25% shield potion, 5% nothing
-            const dropChance = Math.random();
-            
-            if (dropChance < 0.70) {
-                // 70% chance to drop health kit
-                this.spawnConsumableNearPosition(character.position.clone(), 'healthKit');
-            } else if (dropChance < 0.95) {
-                // 25% chance to drop shield potion
-                this.spawnConsumableNearPosition(character.position.clone(), 'shieldPotion');
+            const dropType = rollDeathDrop(matchRandom.random);
+            if (dropType) {
+                this.spawnConsumableNearPosition(character.position.clone(), dropType);
             }
-            // 5% chance to drop nothing (dropChance >= 0.95)
         }
     }
     
@@ -1,6 +1,9 @@
 // Special ability system for character abilities
 
 import { Vector2D } from '../utils/Vector2D.js';
+import { cloneState } from '../utils/snapshot.js';
+import { canDamage } from '../config/teams.js';
+import { applyStatusEffect, isStunned } from '../config/statusEffects.js';
 
 export class AbilitySystem {
     constructor(gameState, eventBus, combatSystem) {
@@ -20,7 +23,7 @@ export class AbilitySystem {
         if (!character || !character.specialAbility) return false;
         
         // Check cooldown
-        if (character.specialAbilityCooldown > 0) return false;
+        if (character.specialAbilityCooldown > 0 || isStunned(character)) return false;
         
         const ability = character.specialAbility;
         let success = false;
@@ -48,19 +51,9 @@ export class AbilitySystem {
     
     // Execute dash ability (Bolt)
     executeDash(character, ability) {
-        // Apply speed boost for 3 seconds instead of teleporting
-        const speedMultiplier = 2; // 2x speed boost
-        const duration = 2000; // 2 seconds
-        
-        // Store original move speed if not already boosted
-        if (!character.dashSpeedBoostActive) {
-            character.originalMoveSpeed = character.moveSpeed;
-        }
-        
-        // Apply speed boost
-        character.moveSpeed = character.originalMoveSpeed * speedMultiplier;
-        character.dashSpeedBoostActive = true;
-        character.dashSpeedBoostRemainingMs = duration;
+        // Speed boost instead of teleporting (2x for 2 seconds, see STATUS_EFFECTS.haste)
+        const duration = 2000;
+        applyStatusEffect(character, 'haste', { durationMs: duration, source: character });
         
         // Create visual effect
         this.activeEffects.push({
@@ -69,8 +62,6 @@ export class AbilitySystem {
             remainingMs: duration
         });
         
-        console.log(`Bolt dash activated! Speed boosted to ${character.moveSpeed} for 3 seconds`);
-        
         return true;
     }
     
@@ -86,7 +77,7 @@ export class AbilitySystem {
         // Find all characters in range
         const hitCharacters = [];
         this.gameState.characters.forEach(target => {
-            if (target === character || target.isDead) return;
+            if (target.isDead || !canDamage(character, target, this.gameState.friendlyFire)) return;
             
             const dx = target.position.x - character.position.x;
             const dy = target.position.y - character.position.y;
@@ -100,12 +91,11 @@ export class AbilitySystem {
         
         // Apply damage and stun to all hit characters
         hitCharacters.forEach(target => {
-            // Apply damage
-            this.combatSystem.applyDamage(target, baseDamage, character.position, character);
+            // Apply damage and shove away from Boulder
+            this.combatSystem.applyDamage(target, baseDamage, character.position, character, null, { force: ability.knockback || 0 });
             
-            // Apply stun (reduce movement temporarily)
-            target.stunned = true;
-            target.stunRemainingMs = stunDuration;
+            // Apply stun (no moving, attacking or abilities; see STATUS_EFFECTS.stun)
+            applyStatusEffect(target, 'stun', { durationMs: stunDuration, source: character });
         });
         
         // Create visual effect
@@ -149,32 +139,19 @@ export class AbilitySystem {
             effect.remainingMs -= dtMs;
             return effect.remainingMs > 0;
         });
-        
-        // Update stunned characters
-        this.gameState.characters.forEach(character => {
-            if (character.stunned) {
-                character.stunRemainingMs = (character.stunRemainingMs || 0) - dtMs;
-                if (character.stunRemainingMs <= 0) {
-                    character.stunned = false;
-                    character.stunRemainingMs = 0;
-                }
-            }
-            
-            // Update dash speed boost
-            if (character.dashSpeedBoostActive) {
-                character.dashSpeedBoostRemainingMs = (character.dashSpeedBoostRemainingMs || 0) - dtMs;
-                if (character.dashSpeedBoostRemainingMs <= 0) {
-                    character.moveSpeed = character.originalMoveSpeed;
-                    character.dashSpeedBoostActive = false;
-                    character.dashSpeedBoostRemainingMs = 0;
-                    console.log(`Bolt dash ended! Speed restored to ${character.moveSpeed}`);
-                }
-            }
-        });
     }
     
     // Get active effects for rendering
     getActiveEffects() {
         return this.activeEffects;
     }
+
+    // Capture active effects for rollback (stun/haste timers are status effects on the characters)
+    createSnapshot() {
+        return { activeEffects: cloneState(this.activeEffects) };
+    }
+
+    restoreSnapshot(snapshot) {
+        this.activeEffects = cloneState(snapshot.activeEffects);
+    }
 }
\ No newline at end of file
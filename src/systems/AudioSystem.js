@@ -2,6 +2,8 @@ export class AudioSystem {
     constructor(eventBus, audioManager) {
         this.eventBus = eventBus;
         this.audioManager = audioManager;
+        // Set while rollback resimulates ticks whose sounds already played
+        this.muted = false;
         
         this.setupListeners();
     }
@@ -11,6 +13,7 @@ export class AudioSystem {
 
         // Weapon events
         this.eventBus.on('weaponFired', (data) => {
+            if (this.muted) return;
             const weaponType = data.weapon?.type || 'blaster';
             // Play specific weapon sound or fallback to synth
             this.audioManager.play(`weapon_${weaponType}`, { 
@@ -21,6 +24,7 @@ export class AudioSystem {
 
         // Combat events
         this.eventBus.on('characterDamaged', (data) => {
+            if (this.muted) return;
             // Distinct sound for player vs enemy hit could be added here
             // For now, general hit sound
             this.audioManager.play('impact_hit', {
@@ -30,6 +34,7 @@ export class AudioSystem {
         });
 
         this.eventBus.on('characterKilled', (data) => {
+            if (this.muted) return;
             this.audioManager.play('impact_kill', {
                 volume: 1.0
             });
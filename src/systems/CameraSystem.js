@@ -17,6 +17,36 @@ export class CameraSystem {
         // Target position (what the camera is following)
         this.targetX = 0;
         this.targetY = 0;
+
+        // World-to-screen scale (1 = normal; below 1 shows more of the map)
+        this.zoom = 1;
+    }
+
+    // Size of the visible world area at the current zoom
+    get viewWidth() {
+        return this.canvasWidth / this.zoom;
+    }
+
+    get viewHeight() {
+        return this.canvasHeight / this.zoom;
+    }
+
+    /**
+     * @param {number} zoom - World-to-screen scale (e.g. getFullMapZoom() for an overview)
+     */
+    setZoom(zoom) {
+        if (!Number.isFinite(zoom) || zoom <= 0) return;
+        this.zoom = zoom;
+    }
+
+    /**
+     * Zoom at which the whole circular map fits on screen.
+     * @param {number} [margin=1.05] - Extra room around the map edge
+     * @returns {number}
+     */
+    getFullMapZoom(margin = 1.05) {
+        const mapSize = MAP_CONFIG.radius * 2 * margin;
+        return Math.min(this.canvasWidth / mapSize, this.canvasHeight / mapSize);
     }
 
     /**
@@ -27,8 +57,8 @@ export class CameraSystem {
         if (!target) return;
         
         // Calculate desired camera position (center target on screen)
-        this.targetX = target.position.x - this.canvasWidth / 2;
-        this.targetY = target.position.y - this.canvasHeight / 2;
+        this.targetX = target.position.x - this.viewWidth / 2;
+        this.targetY = target.position.y - this.viewHeight / 2;
         
         // Clamp camera to map bounds
         this.clampToMapBounds();
@@ -45,21 +75,26 @@ export class CameraSystem {
         const mapTop = MAP_CONFIG.centerY - MAP_CONFIG.radius;
         const mapBottom = MAP_CONFIG.centerY + MAP_CONFIG.radius;
         
-        // Clamp camera position
-        this.targetX = Math.max(mapLeft, Math.min(this.targetX, mapRight - this.canvasWidth));
-        this.targetY = Math.max(mapTop, Math.min(this.targetY, mapBottom - this.canvasHeight));
+        // Clamp camera position (a view larger than the map is centered on it)
+        this.targetX = this.viewWidth >= mapRight - mapLeft
+            ? MAP_CONFIG.centerX - this.viewWidth / 2
+            : Math.max(mapLeft, Math.min(this.targetX, mapRight - this.viewWidth));
+        this.targetY = this.viewHeight >= mapBottom - mapTop
+            ? MAP_CONFIG.centerY - this.viewHeight / 2
+            : Math.max(mapTop, Math.min(this.targetY, mapBottom - this.viewHeight));
     }
 
     /**
      * Get camera bounds for rendering
-     * @returns {Object} Camera viewport bounds with x, y, width, height properties
+     * @returns {Object} Camera viewport bounds with x, y, width, height (world units) and zoom
      */
     getBounds() {
         return {
             x: this.x,
             y: this.y,
-            width: this.canvasWidth,
-            height: this.canvasHeight
+            width: this.viewWidth,
+            height: this.viewHeight,
+            zoom: this.zoom
         };
     }
 
@@ -71,8 +106,8 @@ export class CameraSystem {
      */
     worldToScreen(worldX, worldY) {
         return {
-            x: worldX - this.x,
-            y: worldY - this.y
+            x: (worldX - this.x) * this.zoom,
+            y: (worldY - this.y) * this.zoom
         };
     }
 
@@ -84,8 +119,8 @@ export class CameraSystem {
      */
     screenToWorld(screenX, screenY) {
         return {
-            x: screenX + this.x,
-            y: screenY + this.y
+            x: screenX / this.zoom + this.x,
+            y: screenY / this.zoom + this.y
         };
     }
 
@@ -98,8 +133,8 @@ export class CameraSystem {
      */
     isVisible(worldX, worldY, margin = 0) {
         return worldX >= this.x - margin &&
-               worldX <= this.x + this.canvasWidth + margin &&
+               worldX <= this.x + this.viewWidth + margin &&
                worldY >= this.y - margin &&
-               worldY <= this.y + this.canvasHeight + margin;
+               worldY <= this.y + this.viewHeight + margin;
     }
 }
\ No newline at end of file
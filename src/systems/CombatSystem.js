@@ -1,9 +1,19 @@
 // Combat system for handling weapon firing, damage calculation, and hit detection
 
-import { WeaponEffect, Projectile, DamageNumber, PROJECTILE_STATES } from '../entities/Weapon.js';
+import { WeaponEffect, Projectile, DamageNumber, Mine, PROJECTILE_STATES } from '../entities/Weapon.js';
 import { Vector2D } from '../utils/Vector2D.js';
 import { MAP_CONFIG } from '../config/map.js';
-import { circleRectCollision } from '../utils/collision.js';
+import { circleRectCollision, segmentCircleIntersection, raycastObstacles } from '../utils/collision.js';
+import { cloneInstance } from '../utils/snapshot.js';
+import { canDamage } from '../config/teams.js';
+import { getAttackType } from './attackTypes.js';
+import { applyStatusEffect, isStunned } from '../config/statusEffects.js';
+import { FIXED_TIMESTEP } from '../config/constants.js';
+
+// Weapon timings are in ms; bursts and charges count them in fixed ticks
+function msToTicks(ms) {
+    return Math.ceil(ms / FIXED_TIMESTEP);
+}
 
 export class CombatSystem {
     constructor(gameState, eventBus) {
@@ -16,6 +26,9 @@ export class CombatSystem {
         this.weaponEffects = [];
         this.projectiles = [];
         this.damageNumbers = [];
+        this.mines = [];
+        // Next Mine.mineId (part of snapshots so ids match after a rollback)
+        this.nextMineId = 1;
 
         // Tick-based timing for deterministic multiplayer
         this.currentTick = 0;
@@ -37,7 +50,11 @@ export class CombatSystem {
             if (projectile.active) {
                 // Check for detonation (AoE)
                 if (projectile.state === PROJECTILE_STATES.DETONATED) {
-                    this.createExplosion(projectile.position, projectile.explosionRadius, projectile.damage, projectile.owner);
+                    if (projectile.isMine) {
+                        this.placeMine(projectile.position, projectile.mineData);
+                    } else {
+                        this.createExplosion(projectile.position, projectile.explosionRadius, projectile.damage, projectile.owner, projectile.statusEffect, projectile.knockback);
+                    }
                     return false;
                 }
 
@@ -57,6 +74,24 @@ export class CombatSystem {
             return projectile.active;
         });
         
+        // Update mines: expire, then go off under the first enemy in range
+        this.mines = this.mines.filter(mine => {
+            mine.update(deltaTime);
+            if (!mine.active) return false;
+            if (!mine.armed) return true;
+
+            const victim = this.gameState.characters.find(target =>
+                !target.isDead &&
+                canDamage(mine.owner, target, this.gameState.friendlyFire) &&
+                mine.isTriggeredBy(target)
+            );
+            if (victim) {
+                this.createExplosion(mine.position, mine.explosionRadius, mine.damage, mine.owner, mine.statusEffect, mine.knockback);
+                return false;
+            }
+            return true;
+        });
+        
         // Update damage numbers
         this.damageNumbers = this.damageNumbers.filter(number => {
             number.update(deltaTime);
@@ -73,6 +108,13 @@ export class CombatSystem {
             character.weapons.forEach(weapon => {
                 if (!weapon.burstState) return;
 
+                // A stun cancels the rest of the burst rather than holding it
+                // until the stun ends, the same as going down
+                if (isStunned(character)) {
+                    delete weapon.burstState;
+                    return;
+                }
+
                 const burst = weapon.burstState;
 
                 // Check if it's time to fire next shot
@@ -91,6 +133,25 @@ export class CombatSystem {
             });
         });
 
+        // Fire beams whose charge-up is over (cancelled if the shooter went down
+        // or got stunned; a stun does not just hold the charge)
+        this.gameState.characters.forEach(character => {
+            if (!character.weapons || character.weapons.length === 0) return;
+
+            character.weapons.forEach(weapon => {
+                const charge = weapon.chargeState;
+                if (!charge) return;
+
+                if (character.isDead || character.isDowned || isStunned(character)) {
+                    delete weapon.chargeState;
+                } else if (this.currentTick >= charge.fireTick) {
+                    delete weapon.chargeState;
+                    // From where the shooter stands now, in the direction it was aimed
+                    this.fireBeam({ ...charge.attackData, position: character.position.clone() });
+                }
+            });
+        });
+
         // Update weapon cooldowns for all characters
         this.gameState.characters.forEach(character => {
             if (character.weapons && character.weapons.length > 0) {
@@ -105,7 +166,7 @@ export class CombatSystem {
     
     // Fire a weapon
     fireWeapon(character, weapon, aimAngle) {
-        if (!weapon || !weapon.isReady()) {
+        if (!weapon || !weapon.isReady() || isStunned(character)) {
             return false;
         }
         
@@ -119,21 +180,8 @@ export class CombatSystem {
             return false;
         }
         
-        // Handle different attack types
-        switch (attackData.attackType) {
-            case 'cone':
-                this.handleConeAttack(attackData);
-                break;
-            case 'projectile':
-                this.handleProjectileAttack(attackData);
-                break;
-            case 'aoe':
-                this.handleAoeAttack(attackData);
-                break;
-            case 'burst':
-                this.handleBurstAttack(attackData, weapon, this.currentTick);
-                break;
-        }
+        // Hand off to the attack type's handler (systems/attackTypes.js)
+        getAttackType(attackData.attackType)?.fire(this, attackData, weapon);
         
         // Emit weapon fired event
         this.eventBus.emit('weaponFired', {
@@ -163,7 +211,7 @@ export class CombatSystem {
         
         // Check all characters
         this.gameState.characters.forEach(target => {
-            if (target === attackData.owner || target.isDead) return;
+            if (target.isDead || !canDamage(attackData.owner, target, this.gameState.friendlyFire)) return;
             
             // Calculate angle to target
             const dx = target.position.x - attackData.position.x;
@@ -196,7 +244,7 @@ export class CombatSystem {
             }
             
             if (inCone) {
-                this.applyDamage(target, attackData.damage, attackData.position, attackData.owner);
+                this.applyDamage(target, attackData.damage, attackData.position, attackData.owner, attackData.statusEffect, { force: attackData.knockback });
             }
         });
     }
@@ -219,8 +267,7 @@ export class CombatSystem {
         const burstCount = attackData.burstCount || 3;
         const burstDelayMs = attackData.burstDelay || 100;
 
-        // Convert ms delay to ticks (assume 60 FPS = ~16.67ms per tick)
-        const ticksPerShot = Math.ceil(burstDelayMs / 16.67);
+        const ticksPerShot = msToTicks(burstDelayMs);
 
         // Initialize burst state on the weapon
         weapon.burstState = {
@@ -237,6 +284,111 @@ export class CombatSystem {
         weapon.burstState.nextShotTick = currentTick + ticksPerShot;
     }
 
+    // Handle beam attack (Laser): fires once the charge-up is over
+    handleBeamAttack(attackData, weapon, currentTick) {
+        const chargeTicks = msToTicks(attackData.chargeTime || 0);
+        if (chargeTicks <= 0) {
+            this.fireBeam(attackData);
+            return;
+        }
+
+        weapon.chargeState = {
+            attackData: attackData,
+            startTick: currentTick,
+            fireTick: currentTick + chargeTicks
+        };
+    }
+
+    // Cast the beam: hit up to `pierce + 1` characters in order, stopping at the first obstacle
+    fireBeam(attackData) {
+        if (this.disposed) return;
+
+        const origin = attackData.position;
+        const halfWidth = (attackData.beamWidth || 6) / 2;
+        const reach = raycastObstacles(origin.x, origin.y, attackData.angle, attackData.range, MAP_CONFIG.obstacles);
+        const dx = Math.cos(attackData.angle) * reach;
+        const dy = Math.sin(attackData.angle) * reach;
+
+        // Characters along the ray, nearest first (stable sort keeps character order on ties)
+        const hits = [];
+        this.gameState.characters.forEach(target => {
+            if (target.isDead || !canDamage(attackData.owner, target, this.gameState.friendlyFire)) return;
+
+            const t = segmentCircleIntersection(
+                origin.x,
+                origin.y,
+                dx,
+                dy,
+                target.position.x,
+                target.position.y,
+                target.hitboxRadius + halfWidth
+            );
+            if (t !== null) hits.push({ target, t });
+        });
+        hits.sort((a, b) => a.t - b.t);
+
+        const maxTargets = (attackData.pierce || 0) + 1;
+        const struck = hits.slice(0, maxTargets);
+        struck.forEach(({ target }) => {
+            this.applyDamage(target, attackData.damage, origin, attackData.owner, attackData.statusEffect, { force: attackData.knockback, angle: attackData.angle });
+        });
+
+        // Out of pierce: the beam ends on the last character it hit
+        const beamLength = struck.length === maxTargets ? struck[struck.length - 1].t * reach : reach;
+
+        this.weaponEffects.push(new WeaponEffect({ ...attackData, beamLength, beamWidth: halfWidth * 2 }));
+    }
+
+    /**
+     * Beams still charging, for the renderer.
+     * @returns {{position: Vector2D, angle: number, range: number, progress: number, color: string, glowColor: string}[]}
+     */
+    getChargingBeams() {
+        const beams = [];
+        this.gameState.characters.forEach(character => {
+            if (!character.weapons || character.isDead) return;
+            character.weapons.forEach(weapon => {
+                const charge = weapon.chargeState;
+                if (!charge) return;
+                const span = Math.max(1, charge.fireTick - charge.startTick);
+                beams.push({
+                    position: character.position,
+                    angle: charge.attackData.angle,
+                    range: charge.attackData.range,
+                    progress: Math.min(1, (this.currentTick - charge.startTick) / span),
+                    color: charge.attackData.color,
+                    glowColor: charge.attackData.glowColor
+                });
+            });
+        });
+        return beams;
+    }
+
+    // Handle mine attack: drop at the shooter's feet, or throw it in a bomb arc
+    handleMineAttack(attackData) {
+        if (attackData.thrown) {
+            this.projectiles.push(new Projectile(attackData));
+        } else {
+            this.placeMine(attackData.position, attackData);
+        }
+    }
+
+    // Lay an armed mine; past the weapon's maxActive the owner's oldest one fizzles
+    placeMine(position, attackData) {
+        if (this.disposed) return;
+
+        if (attackData.maxActive) {
+            const own = this.mines.filter(mine => mine.owner === attackData.owner && mine.weaponType === attackData.weaponType);
+            const excess = own.length - attackData.maxActive + 1;
+            if (excess > 0) {
+                const expired = new Set(own.slice(0, excess));
+                this.mines = this.mines.filter(mine => !expired.has(mine));
+            }
+        }
+
+        this.mines.push(new Mine(position, attackData, this.nextMineId++));
+    }
+
     // Fire a single burst shot
     fireBurstShot(burstState, shotIndex) {
         if (this.disposed) return;
@@ -281,7 +433,8 @@ export class CombatSystem {
     // Check projectile collisions with characters
     checkProjectileCollisions(projectile) {
         this.gameState.characters.forEach(target => {
-            if (target === projectile.owner || target.isDead) return;
+            // Teammates are passed through unless friendly fire is on
+            if (target.isDead || !canDamage(projectile.owner, target, this.gameState.friendlyFire)) return;
             
             // Check if projectile hits target
             const dx = target.position.x - projectile.position.x;
@@ -289,20 +442,21 @@ export class CombatSystem {
             const distance = Math.sqrt(dx * dx + dy * dy);
             
             if (distance <= target.hitboxRadius + projectile.radius) {
-                // Hit detected
-                this.applyDamage(target, projectile.damage, projectile.position, projectile.owner);
+                // Hit detected (pushed along the projectile's flight)
+                this.applyDamage(target, projectile.damage, projectile.position, projectile.owner, projectile.statusEffect,
+                    { force: projectile.knockback, angle: projectile.velocity.angle() });
                 projectile.hit();
                 
                 // If AoE, create explosion
                 if (projectile.isAoe) {
-                    this.createExplosion(projectile.position, projectile.explosionRadius, projectile.damage, projectile.owner);
+                    this.createExplosion(projectile.position, projectile.explosionRadius, projectile.damage, projectile.owner, projectile.statusEffect, projectile.knockback);
                 }
             }
         });
     }
     
     // Create explosion for AoE attacks
-    createExplosion(position, radius, damage, owner) {
+    createExplosion(position, radius, damage, owner, statusEffect = null, knockback = 0) {
         // Add visual effect for the explosion
         const explosionEffect = new WeaponEffect({
             attackType: 'aoe',
@@ -318,26 +472,52 @@ export class CombatSystem {
         this.weaponEffects.push(explosionEffect);
 
         this.gameState.characters.forEach(target => {
-            if (target === owner || target.isDead) return;
+            if (target.isDead || !canDamage(owner, target, this.gameState.friendlyFire)) return;
             
             const distance = position.distanceTo(target.position);
             if (distance <= radius) {
-                // Apply damage with falloff
+                // Apply damage and an outward push, both with falloff
                 const falloff = 1 - (distance / radius);
                 const explosionDamage = damage * falloff;
-                this.applyDamage(target, explosionDamage, position, owner);
+                this.applyDamage(target, explosionDamage, position, owner, statusEffect, { force: knockback * falloff });
             }
         });
     }
     
-    // Apply damage to a target
-    applyDamage(target, damage, sourcePosition, attacker = null) {
+    /**
+     * Apply damage to a target
+     * @param {Character} target
+     * @param {number} damage
+     * @param {Vector2D} sourcePosition
+     * @param {Character|null} [attacker=null]
+     * @param {{id: string, durationMs?: number}|null} [statusEffect=null] - Applied if the target is still standing
+     * @param {{force: number, angle?: number}|null} [knockback=null] - Push in px/s, along `angle` or
+     *   away from sourcePosition
+     */
+    applyDamage(target, damage, sourcePosition, attacker = null, statusEffect = null, knockback = null) {
         const wasDead = target.isDead;
+        const wasDowned = target.isDowned;
 
         // Apply damage to character
         target.takeDamage(damage);
 
         const killedNow = !wasDead && target.isDead;
+        const downedNow = !wasDowned && target.isDowned;
+
+        if (statusEffect) {
+            applyStatusEffect(target, statusEffect.id, { durationMs: statusEffect.durationMs, source: attacker });
+        }
+
+        if (knockback?.force > 0 && !target.isDead) {
+            const dx = target.position.x - sourcePosition.x;
+            const dy = target.position.y - sourcePosition.y;
+            if (knockback.angle !== undefined) {
+                target.applyKnockback(knockback.force, knockback.angle);
+            } else if (dx !== 0 || dy !== 0) {
+                // Nothing to push away from when hit dead center
+                target.applyKnockback(knockback.force, Math.atan2(dy, dx));
+            }
+        }
         
         // Create damage number
         const damageNumber = new DamageNumber(
@@ -355,12 +535,16 @@ export class CombatSystem {
             attacker: attacker
         });
 
-        if (killedNow) {
-            // Clean up burst state on death
-            if (target.weapon && target.weapon.burstState) {
-                delete target.weapon.burstState;
-            }
+        if (downedNow) {
+            // Credited with the kill if they bleed out (see ReviveSystem)
+            target.downedBy = attacker;
+            this.eventBus.emit('characterDowned', {
+                target: target,
+                attacker: attacker
+            });
+        }
 
+        if (killedNow) {
             this.eventBus.emit('characterKilled', {
                 target: target,
                 attacker: attacker,
@@ -384,12 +568,40 @@ export class CombatSystem {
     getDamageNumbers() {
         return this.damageNumbers;
     }
+
+    // Get all mines (renderers and AI check Mine.isRevealedTo themselves)
+    getMines() {
+        return this.mines;
+    }
     
+    // Capture projectiles/effects for rollback (weapon burst state lives on the weapons)
+    createSnapshot() {
+        return {
+            currentTick: this.currentTick,
+            weaponEffects: this.weaponEffects.map(cloneInstance),
+            projectiles: this.projectiles.map(cloneInstance),
+            damageNumbers: this.damageNumbers.map(cloneInstance),
+            mines: this.mines.map(cloneInstance),
+            nextMineId: this.nextMineId
+        };
+    }
+
+    // Restore a snapshot; copies again so the snapshot can be reused
+    restoreSnapshot(snapshot) {
+        this.currentTick = snapshot.currentTick;
+        this.weaponEffects = snapshot.weaponEffects.map(cloneInstance);
+        this.projectiles = snapshot.projectiles.map(cloneInstance);
+        this.damageNumbers = snapshot.damageNumbers.map(cloneInstance);
+        this.mines = snapshot.mines.map(cloneInstance);
+        this.nextMineId = snapshot.nextMineId;
+    }
+
     // Clear all combat entities
     clear() {
         this.weaponEffects = [];
         this.projectiles = [];
         this.damageNumbers = [];
+        this.mines = [];
     }
 
     /**
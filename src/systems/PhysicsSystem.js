@@ -1,9 +1,11 @@
 // Physics system for movement and collision detection
 
 import { Vector2D } from '../utils/Vector2D.js';
-import { FRICTION } from '../config/constants.js';
+import { FRICTION, KNOCKBACK_FRICTION } from '../config/constants.js';
 import { getCurrentMapConfig, getGameConfig, clampToMapBounds } from '../config/map.js';
 import { circleRectCollision } from '../utils/collision.js';
+import { REVIVE_CONFIG } from '../config/teams.js';
+import { isStunned, getStatusSpeedMultiplier } from '../config/statusEffects.js';
 
 export class PhysicsSystem {
     constructor(gameState) {
@@ -24,19 +26,19 @@ export class PhysicsSystem {
 
     // Update character physics
     updateCharacterPhysics(character, deltaTime) {
-        // Don't apply movement if character is stunned (e.g.: Boulder ability)
-        if (character.stunned) {
+        // Stunned characters can't move themselves (e.g.: Boulder ability), but still get pushed
+        if (isStunned(character)) {
             character.velocity.set(0, 0);
-            return;
-        }
-        
-        // Apply input to human-controlled characters (local player or remote network player)
-        if (typeof character.getInputVector === 'function') {
+        } else if (typeof character.getInputVector === 'function') {
+            // Apply input to human-controlled characters (local player or remote network player)
             this.applyPlayerInput(character);
         }
         
-        // Check if character is in water (slows movement)
-        const waterSpeedMultiplier = this.isInWater(character) ? 0.75 : 1.0;
+        // Check if character is in water (slows movement); downed characters crawl;
+        // status effects slow or hasten (slow, haste)
+        const waterSpeedMultiplier = (this.isInWater(character) ? 0.75 : 1.0) *
+            (character.isDowned ? REVIVE_CONFIG.crawlSpeedMultiplier : 1.0) *
+            getStatusSpeedMultiplier(character);
         
         // Apply friction
         character.velocity.multiply(FRICTION);
@@ -45,8 +47,10 @@ export class PhysicsSystem {
         const oldX = character.position.x;
         const oldY = character.position.y;
 
-        const deltaX = character.velocity.x * deltaTime * waterSpeedMultiplier;
-        const deltaY = character.velocity.y * deltaTime * waterSpeedMultiplier;
+        // Knockback adds to the character's own movement; terrain and effects don't scale it
+        const knockback = character.knockback;
+        const deltaX = character.velocity.x * deltaTime * waterSpeedMultiplier + knockback.x * deltaTime;
+        const deltaY = character.velocity.y * deltaTime * waterSpeedMultiplier + knockback.y * deltaTime;
 
         // Axis-separated movement for lightweight sliding along obstacles.
         // This prevents characters from getting fully stuck on corners.
@@ -55,12 +59,20 @@ export class PhysicsSystem {
         if (this.checkObstacleCollision(character)) {
             character.position.x = oldX;
             character.velocity.x = 0;
+            knockback.x = 0;
         }
 
         character.position.y = oldY + deltaY;
         if (this.checkObstacleCollision(character)) {
             character.position.y = oldY;
             character.velocity.y = 0;
+            knockback.y = 0;
+        }
+
+        // Knockback fades out like friction; stop it once it is negligible
+        if (knockback.x !== 0 || knockback.y !== 0) {
+            knockback.multiply(KNOCKBACK_FRICTION);
+            if (knockback.magnitude() < 1) knockback.set(0, 0);
         }
         
         // Apply circular map boundary
@@ -109,6 +121,7 @@ export class PhysicsSystem {
             character.position.x = mapConfig.centerX + dx * scale;
             character.position.y = mapConfig.centerY + dy * scale;
             character.velocity.set(0, 0);
+            character.knockback.set(0, 0);
         }
     }
 
@@ -0,0 +1,93 @@
+// Revive system for downed characters in team modes (bleed-out and teammate revives)
+
+import { REVIVE_CONFIG, areTeammates, isStanding } from '../config/teams.js';
+
+export class ReviveSystem {
+    constructor(gameState, eventBus) {
+        this.gameState = gameState;
+        this.eventBus = eventBus;
+    }
+
+    /**
+     * Bleed out downed characters and advance revives. All of its state lives on
+     * the characters, so GameState snapshots cover it.
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {
+        // Character order decides who claims a revive, so every peer agrees
+        for (const character of this.gameState.characters) {
+            if (!character.isDowned || character.isDead) continue;
+
+            // Nobody left standing to revive them: the team is out
+            if (!this.hasStandingTeammate(character)) {
+                this.bleedOut(character);
+                continue;
+            }
+
+            if (this.updateRevive(character, deltaTime)) continue;
+
+            // Bleeding pauses while a teammate is reviving
+            if (!character.reviver) {
+                character.currentHP -= (REVIVE_CONFIG.bleedOutHP / REVIVE_CONFIG.bleedOutSeconds) * deltaTime;
+                if (character.currentHP <= 0) {
+                    this.bleedOut(character);
+                }
+            }
+        }
+    }
+
+    /**
+     * Advance the revive of a downed character. Same claim rules as pickups:
+     * the first standing teammate in range owns the progress until they go
+     * down or walk away.
+     * @param {Character} downed
+     * @param {number} deltaTime
+     * @returns {boolean} True if the revive completed this tick
+     */
+    updateRevive(downed, deltaTime) {
+        const claimant = downed.reviver;
+        if (!claimant || !isStanding(claimant) || !this.isInReviveRange(claimant, downed)) {
+            downed.reviver = this.gameState.characters.find(c =>
+                c !== downed && isStanding(c) && areTeammates(c, downed) && this.isInReviveRange(c, downed)
+            ) || null;
+            downed.reviveProgress = 0;
+        }
+
+        if (!downed.reviver) return false;
+
+        downed.reviveProgress += deltaTime;
+        if (downed.reviveProgress < REVIVE_CONFIG.reviveSeconds) return false;
+
+        const reviver = downed.reviver;
+        downed.revive(REVIVE_CONFIG.revivedHPFraction);
+        this.eventBus.emit('characterRevived', {
+            target: downed,
+            reviver: reviver
+        });
+        return true;
+    }
+
+    // Finish a downed character; whoever downed them gets the kill
+    bleedOut(character) {
+        const attacker = character.downedBy;
+        character.currentHP = 0;
+        character.die();
+
+        this.eventBus.emit('characterKilled', {
+            target: character,
+            attacker: attacker,
+            sourcePosition: character.position.clone(),
+            damage: 0
+        });
+    }
+
+    hasStandingTeammate(character) {
+        return this.gameState.characters.some(c => c !== character && isStanding(c) && areTeammates(c, character));
+    }
+
+    isInReviveRange(reviver, downed) {
+        const dx = reviver.position.x - downed.position.x;
+        const dy = reviver.position.y - downed.position.y;
+        return dx * dx + dy * dy <= REVIVE_CONFIG.reviveRadius * REVIVE_CONFIG.reviveRadius;
+    }
+}
@@ -1,6 +1,10 @@
 // Safe Zone System for managing shrinking zone mechanics and damage
 
 import { getCurrentMapConfig, getGameConfig } from '../config/map.js';
+import { captureFields, restoreFields } from '../utils/snapshot.js';
+
+// Fields that never change during a match
+const SNAPSHOT_SKIP = ['gameState', 'eventBus', 'phases', 'shrinkDuration', 'damageTickInterval'];
 
 export class SafeZoneSystem {
     constructor(gameState, eventBus) {
@@ -140,17 +144,22 @@ export class SafeZoneSystem {
                 const previousHP = character.currentHP;
                 character.currentHP -= this.currentDamage;
                 
-                // Check if character died from zone damage
+                // Check if character died (or went down) from zone damage
                 if (character.currentHP <= 0) {
-                    character.currentHP = 0;
-                    character.die();
-                    
-                    // Emit death event
-                    this.eventBus.emit('characterDiedToZone', {
-                        character: character
-                    });
-                    
-                    console.log(`${character.name} died to safe zone damage`);
+                    const wasDowned = character.isDowned;
+                    character.knockOut();
+
+                    if (character.isDead) {
+                        // Emit death event
+                        this.eventBus.emit('characterDiedToZone', {
+                            character: character
+                        });
+
+                        console.log(`${character.name} died to safe zone damage`);
+                    } else if (!wasDowned) {
+                        character.downedBy = null;
+                        this.eventBus.emit('characterDowned', { target: character, attacker: null });
+                    }
                 }
                 
                 // Emit zone damage event for visual feedback
@@ -263,4 +272,13 @@ export class SafeZoneSystem {
         this.damageTickTimer = 0;
         this.charactersOutsideZone.clear();
     }
-}
\ No newline at end of file
+
+    // Capture zone state for rollback
+    createSnapshot() {
+        return captureFields(this, SNAPSHOT_SKIP);
+    }
+
+    restoreSnapshot(snapshot) {
+        restoreFields(this, snapshot, SNAPSHOT_SKIP);
+    }
+}
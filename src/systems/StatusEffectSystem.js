@@ -0,0 +1,81 @@
+// Status effect system: counts effects down, deals their tick damage and applies terrain effects
+
+import { STATUS_EFFECTS, applyStatusEffect } from '../config/statusEffects.js';
+import { getCurrentMapConfig } from '../config/map.js';
+import { isStanding } from '../config/teams.js';
+
+export class StatusEffectSystem {
+    constructor(gameState, eventBus, combatSystem) {
+        this.gameState = gameState;
+        this.eventBus = eventBus;
+        this.combatSystem = combatSystem;
+    }
+
+    /**
+     * Advance every character's effects and immunity windows. All of its state
+     * lives on the characters, so GameState snapshots cover it.
+     * @param {number} deltaTime - Time elapsed since last update in seconds
+     */
+    update(deltaTime) {
+        const dtMs = deltaTime * 1000;
+
+        for (const character of this.gameState.characters) {
+            if (character.isDead) continue;
+
+            for (const id of Object.keys(character.statusImmunities)) {
+                character.statusImmunities[id] -= dtMs;
+                if (character.statusImmunities[id] <= 0) delete character.statusImmunities[id];
+            }
+
+            if (!isStanding(character)) continue;
+            this.applyTerrainEffects(character);
+            this.updateEffects(character, dtMs);
+        }
+    }
+
+    updateEffects(character, dtMs) {
+        for (const [id, def] of Object.entries(STATUS_EFFECTS)) {
+            const effect = character.statusEffects[id];
+            if (!effect) continue;
+
+            if (def.tickMs) {
+                effect.tickElapsedMs += dtMs;
+                while (effect.tickElapsedMs >= def.tickMs) {
+                    effect.tickElapsedMs -= def.tickMs;
+                    this.combatSystem.applyDamage(character, def.damagePerTick * effect.stacks, character.position, effect.source);
+                    // Going down or dying clears every effect
+                    if (!isStanding(character)) return;
+                }
+            }
+
+            effect.remainingMs -= dtMs;
+            if (effect.remainingMs <= 0) {
+                delete character.statusEffects[id];
+                if (def.immunityMs) character.statusImmunities[id] = def.immunityMs;
+            }
+        }
+    }
+
+    // Bushes and water areas with a `statusEffect` apply it to whoever stands in
+    // them, again each time it wears off
+    applyTerrainEffects(character) {
+        const mapConfig = getCurrentMapConfig();
+        for (const area of [...mapConfig.bushes, ...mapConfig.waterAreas]) {
+            if (!area.statusEffect || character.statusEffects[area.statusEffect]) continue;
+            if (this.isInArea(character.position, area)) {
+                applyStatusEffect(character, area.statusEffect);
+            }
+        }
+    }
+
+    // Circle areas have a radius, rectangles a width and height (like PhysicsSystem.isInWater)
+    isInArea(position, area) {
+        if (area.radius !== undefined) {
+            const dx = position.x - area.position.x;
+            const dy = position.y - area.position.y;
+            return dx * dx + dy * dy <= area.radius * area.radius;
+        }
+        return Math.abs(position.x - area.position.x) <= area.width / 2 &&
+            Math.abs(position.y - area.position.y) <= area.height / 2;
+    }
+}
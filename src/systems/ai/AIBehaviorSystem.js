@@ -26,6 +26,8 @@
  */
 
 import { Vector2D } from '../../utils/Vector2D.js';
+import { matchRandom } from '../../core/MatchRandom.js';
+import { REVIVE_CONFIG } from '../../config/teams.js';
 
 export class AIBehaviorSystem {
     constructor(navigationSystem, perceptionSystem) {
@@ -140,9 +142,9 @@ export class AIBehaviorSystem {
         if (!ai.lastVariationChange) ai.lastVariationChange = 0;
         
         ai.lastVariationChange += deltaTime;
-        if (ai.lastVariationChange > 1.0 && Math.random() < 0.1) {
+        if (ai.lastVariationChange > 1.0 && matchRandom.random() < 0.1) {
             // Random speed variation (70-130%)
-            ai.moveSpeedMultiplier = 0.7 + Math.random() * 0.6;
+            ai.moveSpeedMultiplier = 0.7 + matchRandom.random() * 0.6;
             ai.lastVariationChange = 0;
         }
         
@@ -198,10 +200,11 @@ export class AIBehaviorSystem {
             return;
         }
         
-        // Track pickup timeout to prevent getting stuck
-        if (!ai.pickupAttemptStart) {
-            ai.pickupAttemptStart = Date.now();
-        } else if (Date.now() - ai.pickupAttemptStart > 3000) {
+        // Track pickup timeout to prevent getting stuck (match time, so
+        // multiplayer peers give up on the same tick)
+        if (ai.pickupAttemptStart === null) {
+            ai.pickupAttemptStart = gameState.matchTime;
+        } else if (gameState.matchTime - ai.pickupAttemptStart > 3) {
             // Been trying to pickup for 3+ seconds, give up
             console.log(`AI ${ai.name} gave up on ${ai.targetConsumable ? 'consumable' : 'weapon'} pickup (timeout)`);
             ai.setTargetWeapon(null);
@@ -417,6 +420,42 @@ export class AIBehaviorSystem {
         ai.facingAngle = directionToCenter.angle();
     }
     
+    /**
+     * Walk over to a downed teammate and stay next to them (ReviveSystem does
+     * the reviving once in range)
+     * @param {AICharacter} ai - The AI character
+     * @param {Character} teammate - Downed teammate
+     * @param {number} deltaTime - Time delta
+     * @param {number} aiSpeedMultiplier - AI speed multiplier from game config
+     */
+    executeReviveTeammate(ai, teammate, deltaTime, aiSpeedMultiplier) {
+        this._scratchVector1.set(
+            teammate.position.x - ai.position.x,
+            teammate.position.y - ai.position.y
+        );
+        const direction = this._scratchVector1;
+
+        // Close enough: hold still until the revive completes
+        if (direction.magnitude() <= REVIVE_CONFIG.reviveRadius * 0.5) {
+            ai.velocity.set(0, 0);
+            return;
+        }
+
+        this.navigationSystem.checkIfStuck(ai, deltaTime, aiSpeedMultiplier);
+        direction.normalize();
+
+        if (ai.isStuck && ai.unstuckDirection) {
+            direction.add(ai.unstuckDirection.multiply(2.5));
+            direction.normalize();
+        }
+
+        this.navigationSystem.steerAroundObstacles(ai, direction);
+
+        ai.velocity.x = direction.x * ai.moveSpeed * aiSpeedMultiplier;
+        ai.velocity.y = direction.y * ai.moveSpeed * aiSpeedMultiplier;
+        ai.facingAngle = direction.angle();
+    }
+    
     /**
      * Execute flee behavior
      * @param {AICharacter} ai - The AI character
@@ -523,7 +562,7 @@ export class AIBehaviorSystem {
         );
         
         // Add inaccuracy based on skill level
-        const inaccuracy = (1 - ai.aimAccuracy) * (Math.random() - 0.5) * 0.5;
+        const inaccuracy = (1 - ai.aimAccuracy) * (matchRandom.random() - 0.5) * 0.5;
         aimAngle += inaccuracy;
         
         // Fire weapon through combat system
@@ -547,7 +586,7 @@ export class AIBehaviorSystem {
         const chancePerSecond = typeof ai.abilityUseChancePerSecond === 'number' ? ai.abilityUseChancePerSecond : 0;
         const rollChance = Math.max(0, chancePerSecond) * deltaTime;
         if (rollChance <= 0) return;
-        if (Math.random() > rollChance) return;
+        if (matchRandom.random() > rollChance) return;
 
         const abilityType = ai.specialAbility.type;
 
@@ -3,6 +3,8 @@
 import { Vector2D } from '../../utils/Vector2D.js';
 import { circleRectCollision } from '../../utils/collision.js';
 import { MAP_CONFIG, getCurrentMapConfig } from '../../config/map.js';
+import { matchRandom } from '../../core/MatchRandom.js';
+import { isStunned, getStatusSpeedMultiplier } from '../../config/statusEffects.js';
 
 export class AINavigationSystem {
     constructor() {
@@ -30,11 +32,11 @@ export class AINavigationSystem {
             return;
         }
         
-        // Check if AI has moved significantly
+        // Check if AI has moved significantly (slowed by status effects; a stunned AI is held, not stuck)
         const distanceMoved = ai.position.distanceTo(ai.lastPosition);
-        const expectedMovement = ai.moveSpeed * aiSpeedMultiplier * deltaTime * 0.15; // More sensitive - expect at least 15% of speed
+        const expectedMovement = ai.moveSpeed * aiSpeedMultiplier * getStatusSpeedMultiplier(ai) * deltaTime * 0.15; // More sensitive - expect at least 15% of speed
         
-        if (distanceMoved < expectedMovement && ai.velocity.magnitude() > 0.5) {
+        if (distanceMoved < expectedMovement && ai.velocity.magnitude() > 0.5 && !isStunned(ai)) {
             // AI is trying to move but not moving much - likely stuck
             ai.stuckTimer += deltaTime;
             
@@ -52,7 +54,7 @@ export class AINavigationSystem {
                     unstuckAngle = ai.velocity.angle() + Math.PI;
                 } else {
                     // Otherwise try perpendicular with some randomness
-                    const perpOffset = (Math.random() - 0.5) * Math.PI * 0.5;
+                    const perpOffset = (matchRandom.random() - 0.5) * Math.PI * 0.5;
                     unstuckAngle = ai.velocity.angle() + Math.PI / 2 + perpOffset;
                 }
                 
@@ -140,7 +142,7 @@ export class AINavigationSystem {
     }
 
     /**
-     * Check if AI would collide with obstacles at a given position
+     * Check if AI would collide with obstacles (or walk onto a known enemy mine) at a given position
      * @param {AICharacter} ai - The AI character
      * @param {number} x - X coordinate to check
      * @param {number} y - Y coordinate to check
@@ -157,6 +159,18 @@ export class AINavigationSystem {
                 return true;
             }
         }
+
+        // Mines the bot has spotted (AIPerceptionSystem.updateKnownMines)
+        if (ai.knownMines) {
+            for (const mine of ai.knownMines) {
+                const dx = x - mine.x;
+                const dy = y - mine.y;
+                const reach = mine.radius + radius;
+                if (dx * dx + dy * dy < reach * reach) {
+                    return true;
+                }
+            }
+        }
         return false;
     }
     
@@ -1,5 +1,7 @@
 // AI Perception System - handles target detection, threat assessment, and loot finding
 
+import { areTeammates } from '../../config/teams.js';
+
 export class AIPerceptionSystem {
     /**
      * Update AI perception - detect enemies, health kits, and weapons
@@ -7,10 +9,14 @@ export class AIPerceptionSystem {
      * @param {Array<Character>} allCharacters - All characters in the game
      * @param {Array<Consumable>} consumables - All consumables in the game
      * @param {Array<WeaponPickup>} availableWeapons - All available weapon pickups
+     * @param {Array<Mine>} [mines] - All mines on the map
      */
-    updatePerception(ai, allCharacters, consumables, availableWeapons) {
+    updatePerception(ai, allCharacters, consumables, availableWeapons, mines = []) {
         // Find nearest enemy (player or other AI)
         this.findNearestEnemy(ai, allCharacters);
+
+        // Remember enemy mines once they are revealed
+        this.updateKnownMines(ai, mines);
         
         // Look for nearby health kits if damaged and has room
         const needsHealing = ai.currentHP < ai.maxHP * 0.7; // Below 70% health
@@ -32,6 +38,36 @@ export class AIPerceptionSystem {
         }
     }
     
+    /**
+     * Remember enemy mines revealed to this AI and forget ones that are gone.
+     * Navigation steers around remembered mines (AINavigationSystem.wouldCollideAt),
+     * so a bot keeps avoiding a mine after walking out of its reveal range.
+     * @param {AICharacter} ai - The AI character
+     * @param {Array<Mine>} mines - All mines on the map
+     */
+    updateKnownMines(ai, mines) {
+        if (!ai.knownMines) return;
+        if (mines.length === 0) {
+            if (ai.knownMines.length > 0) ai.knownMines = [];
+            return;
+        }
+
+        const activeIds = new Set(mines.map(mine => mine.mineId));
+        ai.knownMines = ai.knownMines.filter(known => activeIds.has(known.mineId));
+
+        for (const mine of mines) {
+            if (mine.isFriendlyTo(ai)) continue;
+            if (ai.knownMines.some(known => known.mineId === mine.mineId)) continue;
+            if (!mine.isRevealedTo(ai)) continue;
+            ai.knownMines.push({
+                mineId: mine.mineId,
+                x: mine.position.x,
+                y: mine.position.y,
+                radius: mine.triggerRadius
+            });
+        }
+    }
+
     /**
      * Find the nearest enemy to this AI
      * @param {AICharacter} ai - The AI character
@@ -42,7 +78,7 @@ export class AIPerceptionSystem {
         let nearestDistance = ai.perceptionRange;
         
         allCharacters.forEach(character => {
-            if (character === ai || character.isDead) return;
+            if (character === ai || character.isDead || areTeammates(ai, character)) return;
             
             const distance = ai.position.distanceTo(character.position);
             if (distance < nearestDistance) {
@@ -0,0 +1,122 @@
+// Attack type registry: how each weapon `attackType` fires, and which extra
+// definition fields it takes.
+
+// Weapon definitions (weapons/*.json) name an attack type; validation rejects
+// unknown ones and checks the fields listed here. Those fields are copied into
+// every attack the weapon fires (Weapon.fire), so a handler finds its own
+// parameters on `attackData`. A new weapon kind registers itself with
+// registerAttackType before the weapon definitions are loaded.
+//
+// Handlers run inside the simulated tick: keep them deterministic (matchRandom
+// and tick counts only).
+
+/**
+ * @typedef {Object} AttackFieldSpec
+ * @property {'number'|'string'|'boolean'|'tiers'} type - 'tiers' is one number per weapon
+ *   tier (e.g. [0, 1, 2]); attacks get the value for the weapon's tier
+ * @property {boolean} [required=false]
+ * @property {number} [min] - Numbers and tiers only
+ * @property {boolean} [integer=false] - Numbers and tiers only
+ */
+
+/**
+ * @typedef {Object} AttackTypeHandler
+ * @property {Object<string, AttackFieldSpec>} fields - Extra weapon definition fields
+ * @property {Function} fire - (combatSystem, attackData, weapon) => void
+ */
+
+const ATTACK_TYPES = new Map();
+
+/**
+ * @param {string} name - Value of `attackType` in weapon definitions
+ * @param {AttackTypeHandler} handler
+ */
+export function registerAttackType(name, handler) {
+    if (typeof name !== 'string' || !name) throw new Error('attack type name required');
+    if (!handler || typeof handler.fire !== 'function') throw new Error(`attack type ${name}: fire() required`);
+    if (ATTACK_TYPES.has(name)) throw new Error(`attack type ${name} is already registered`);
+    ATTACK_TYPES.set(name, { fields: handler.fields || {}, fire: handler.fire });
+}
+
+/**
+ * @param {string} name
+ * @returns {AttackTypeHandler|null}
+ */
+export function getAttackType(name) {
+    return ATTACK_TYPES.get(name) || null;
+}
+
+/**
+ * @returns {string[]} Registered attack types, in registration order
+ */
+export function getAttackTypeNames() {
+    return [...ATTACK_TYPES.keys()];
+}
+
+// ---- Built-in attack types ------------------------------------------------------
+
+// Instant hit in a cone in front of the shooter (Blaster)
+registerAttackType('cone', {
+    fields: {
+        coneAngle: { type: 'number', required: true, min: 0 }
+    },
+    fire: (combat, attackData) => combat.handleConeAttack(attackData)
+});
+
+// Single straight projectile (Spear)
+registerAttackType('projectile', {
+    fields: {
+        projectileSpeed: { type: 'number', required: true, min: 1 },
+        coneAngle: { type: 'number', min: 0 }
+    },
+    fire: (combat, attackData) => combat.handleProjectileAttack(attackData)
+});
+
+// Lobbed projectile that explodes after a fuse (Bomb)
+registerAttackType('aoe', {
+    fields: {
+        explosionRadius: { type: 'number', required: true, min: 1 },
+        arcHeight: { type: 'number', required: true, min: 0 },
+        fuseTime: { type: 'number', required: true, min: 0 },
+        projectileSpeed: { type: 'number', min: 1 }
+    },
+    fire: (combat, attackData) => combat.handleAoeAttack(attackData)
+});
+
+// Several projectiles fanned out over a few ticks (Gun)
+registerAttackType('burst', {
+    fields: {
+        burstCount: { type: 'number', required: true, min: 1, integer: true },
+        burstDelay: { type: 'number', required: true, min: 0 },
+        projectileSpeed: { type: 'number', required: true, min: 1 },
+        coneAngle: { type: 'number', min: 0 }
+    },
+    fire: (combat, attackData, weapon) => combat.handleBurstAttack(attackData, weapon, combat.currentTick)
+});
+
+// Instant ray after a charge-up, stopped by obstacles; passes through `pierce` characters (Laser)
+registerAttackType('beam', {
+    fields: {
+        chargeTime: { type: 'number', required: true, min: 0 }, // milliseconds
+        pierce: { type: 'tiers', required: true, min: 0, integer: true },
+        beamWidth: { type: 'number', min: 1 }
+    },
+    fire: (combat, attackData, weapon) => combat.handleBeamAttack(attackData, weapon, combat.currentTick)
+});
+
+// Proximity mine dropped at the shooter's feet, or thrown in a bomb arc when
+// `thrown`; hidden from enemies beyond revealRadius (Mine)
+registerAttackType('mine', {
+    fields: {
+        armTime: { type: 'number', required: true, min: 0 }, // milliseconds
+        lifetime: { type: 'number', required: true, min: 1 }, // milliseconds
+        triggerRadius: { type: 'number', required: true, min: 1 },
+        explosionRadius: { type: 'number', required: true, min: 1 },
+        revealRadius: { type: 'number', required: true, min: 0 },
+        maxActive: { type: 'number', min: 1, integer: true },
+        thrown: { type: 'boolean' },
+        arcHeight: { type: 'number', min: 0 },
+        projectileSpeed: { type: 'number', min: 1 }
+    },
+    fire: (combat, attackData) => combat.handleMineAttack(attackData)
+});
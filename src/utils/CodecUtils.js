@@ -1,6 +1,6 @@
 
 /**
- * CodecUtils.js - Compression utilities for SDP exchange
+ * CodecUtils.js - Compression utilities for SDP exchange and replays
  * Uses CompressionStream (GZIP) and Base64 to shrink link/QR payloads.
  */
 
@@ -21,6 +21,24 @@ function bytesToBase64(bytes) {
  * @returns {Promise<string>} Compressed Base64 string
  */
 export async function compressSDP(data) {
+    return compressJSON(data);
+}
+
+/**
+ * Decompresses a URL-safe Base64 string back into a JSON object.
+ * @param {string} compressedString 
+ * @returns {Promise<Object>} The original JSON object (SDP)
+ */
+export async function decompressSDP(compressedString) {
+    return decompressJSON(compressedString);
+}
+
+/**
+ * Compresses any JSON-serializable value into a URL-safe Base64 string.
+ * @param {*} data
+ * @returns {Promise<string>} Compressed Base64 string
+ */
+export async function compressJSON(data) {
     const jsonStr = JSON.stringify(data);
     const stream = new Blob([jsonStr]).stream();
     const compressedStream = stream.pipeThrough(new CompressionStream("gzip"));
@@ -42,11 +60,11 @@ export async function compressSDP(data) {
 }
 
 /**
- * Decompresses a URL-safe Base64 string back into a JSON object.
- * @param {string} compressedString 
- * @returns {Promise<Object>} The original JSON object (SDP)
+ * Decompresses a string from compressJSON().
+ * @param {string} compressedString
+ * @returns {Promise<*>} The original value, or null if it is not valid
  */
-export async function decompressSDP(compressedString) {
+export async function decompressJSON(compressedString) {
     try {
         const bytes = base64ToBytes(compressedString);
         const stream = new Blob([bytes]).stream();
@@ -25,6 +25,10 @@ export function resolveMapsUrl(pathUnderMaps) {
     return resolveAssetUrl(`maps/${String(pathUnderMaps || '').replace(/^\/+/, '')}`);
 }
 
+export function resolveWeaponsUrl(pathUnderWeapons) {
+    return resolveAssetUrl(`weapons/${String(pathUnderWeapons || '').replace(/^\/+/, '')}`);
+}
+
 export function resolveMapBackgroundUrl(filename) {
     return resolveAssetUrl(`maps/backgrounds/${String(filename || '').replace(/^\/+/, '')}`);
 }
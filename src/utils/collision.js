@@ -22,3 +22,93 @@ export function circleRectCollision(circleX, circleY, radius, rectX, rectY, rect
     const dy = circleY - closestY;
     return (dx * dx + dy * dy) < (radius * radius);
 }
+
+/**
+ * Where a line segment first touches a rectangle (slab test)
+ * @param {number} x - Segment start X
+ * @param {number} y - Segment start Y
+ * @param {number} dx - Segment vector X (end - start)
+ * @param {number} dy - Segment vector Y (end - start)
+ * @param {number} rectX - Rectangle X
+ * @param {number} rectY - Rectangle Y
+ * @param {number} rectWidth - Rectangle width
+ * @param {number} rectHeight - Rectangle height
+ * @returns {number|null} Fraction along the segment (0-1; 0 if it starts inside), or null if it misses
+ */
+export function segmentRectIntersection(x, y, dx, dy, rectX, rectY, rectWidth, rectHeight) {
+    let tMin = 0;
+    let tMax = 1;
+    const axes = [
+        [x, dx, rectX, rectX + rectWidth],
+        [y, dy, rectY, rectY + rectHeight]
+    ];
+    for (const [start, delta, min, max] of axes) {
+        if (delta === 0) {
+            if (start < min || start > max) return null;
+            continue;
+        }
+        let t1 = (min - start) / delta;
+        let t2 = (max - start) / delta;
+        if (t1 > t2) [t1, t2] = [t2, t1];
+        tMin = Math.max(tMin, t1);
+        tMax = Math.min(tMax, t2);
+        if (tMin > tMax) return null;
+    }
+    return tMin;
+}
+
+/**
+ * Where a line segment first touches a circle
+ * @param {number} x - Segment start X
+ * @param {number} y - Segment start Y
+ * @param {number} dx - Segment vector X (end - start)
+ * @param {number} dy - Segment vector Y (end - start)
+ * @param {number} circleX - Circle center X
+ * @param {number} circleY - Circle center Y
+ * @param {number} radius - Circle radius
+ * @returns {number|null} Fraction along the segment (0-1; 0 if it starts inside), or null if it misses
+ */
+export function segmentCircleIntersection(x, y, dx, dy, circleX, circleY, radius) {
+    const fx = x - circleX;
+    const fy = y - circleY;
+    const c = fx * fx + fy * fy - radius * radius;
+    if (c <= 0) return 0;
+
+    const a = dx * dx + dy * dy;
+    if (a === 0) return null;
+    const b = 2 * (fx * dx + fy * dy);
+    const discriminant = b * b - 4 * a * c;
+    if (discriminant < 0) return null;
+
+    const t = (-b - Math.sqrt(discriminant)) / (2 * a);
+    return t >= 0 && t <= 1 ? t : null;
+}
+
+/**
+ * How far a ray gets before hitting an obstacle (map obstacles are centered rectangles)
+ * @param {number} x - Ray start X
+ * @param {number} y - Ray start Y
+ * @param {number} angle - Direction in radians
+ * @param {number} length - Maximum distance
+ * @param {Array} obstacles - {position, width, height}
+ * @returns {number} Distance to the first obstacle, or `length` if the way is clear
+ */
+export function raycastObstacles(x, y, angle, length, obstacles) {
+    const dx = Math.cos(angle) * length;
+    const dy = Math.sin(angle) * length;
+    let nearest = 1;
+    for (const obstacle of obstacles) {
+        const t = segmentRectIntersection(
+            x,
+            y,
+            dx,
+            dy,
+            obstacle.position.x - obstacle.width / 2,
+            obstacle.position.y - obstacle.height / 2,
+            obstacle.width,
+            obstacle.height
+        );
+        if (t !== null && t < nearest) nearest = t;
+    }
+    return nearest * length;
+}
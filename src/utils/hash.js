@@ -0,0 +1,11 @@
+// String hashing shared by desync detection and the lobby's config checks.
+
+// FNV-1a 32-bit over a string.
+export function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
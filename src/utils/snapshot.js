@@ -0,0 +1,69 @@
+// Snapshot helpers for rollback: copy simulation state without breaking object identity.
+
+import { Vector2D } from './Vector2D.js';
+
+/**
+ * Copy a value for a snapshot.
+ * Plain objects/arrays are copied deeply and Vector2Ds are cloned; class instances
+ * (characters, weapons, systems) are kept by reference so relationships like
+ * `projectile.owner` still point at the live objects after a restore.
+ * @param {*} value
+ * @returns {*}
+ */
+export function cloneState(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Vector2D) return value.clone();
+    if (Array.isArray(value)) return value.map(cloneState);
+    if (value instanceof Set) return new Set(value);
+    if (value instanceof Map) return new Map(value);
+
+    const proto = Object.getPrototypeOf(value);
+    if (proto === Object.prototype || proto === null) {
+        const out = {};
+        for (const key of Object.keys(value)) out[key] = cloneState(value[key]);
+        return out;
+    }
+
+    return value;
+}
+
+/**
+ * Capture the own fields of a long-lived object (restored in place later).
+ * @param {Object} obj
+ * @param {string[]} [skip] - Keys left out (handled separately or never changing)
+ * @returns {Object}
+ */
+export function captureFields(obj, skip = []) {
+    const fields = {};
+    for (const key of Object.keys(obj)) {
+        if (skip.includes(key)) continue;
+        fields[key] = cloneState(obj[key]);
+    }
+    return fields;
+}
+
+/**
+ * Restore fields captured by captureFields() onto the same object.
+ * Keys added since the capture (e.g. `chargeState`) are removed.
+ * @param {Object} obj
+ * @param {Object} fields
+ * @param {string[]} [skip] - Same skip list used for the capture
+ */
+export function restoreFields(obj, fields, skip = []) {
+    for (const key of Object.keys(obj)) {
+        if (skip.includes(key)) continue;
+        if (!(key in fields)) delete obj[key];
+    }
+    for (const key of Object.keys(fields)) {
+        obj[key] = cloneState(fields[key]);
+    }
+}
+
+/**
+ * Copy a short-lived instance (projectile, effect) keeping its prototype.
+ * @param {Object} obj
+ * @returns {Object}
+ */
+export function cloneInstance(obj) {
+    return Object.assign(Object.create(Object.getPrototypeOf(obj)), captureFields(obj));
+}